@@ -0,0 +1,134 @@
+// ============================================
+// Sugestões de alívio de rede para CTOs saturadas
+// ============================================
+// Para uma CTO saturada, procura CTOs vizinhas que podem receber parte dos
+// clientes:
+//   - estão em OUTRA PON (caminho cid_rede/pop/olt/slot/pon diferente);
+//   - estão ativadas (status_cto ATIVADO; CTO não ativada não recebe clientes);
+//   - têm portas livres;
+//   - a área de atendimento se sobrepõe à da saturada (distância entre as CTOs
+//     menor que a soma dos raios de cobertura das regras de cobertura);
+//   - a PON ainda tem folga de ONTs (max_onts do perfil de PON − clientes da PON).
+// Clientes migráveis = menor valor entre as portas livres da candidata, a folga
+// da PON da candidata e os clientes da CTO saturada.
+//
+// Ordenação: pontuação (menor = melhor) que pesa a distância relativa ao
+// alcance máximo (PESO_DISTANCIA) e a folga relativa da PON (PESO_FOLGA_PON).
+// ============================================
+
+import { texto, inteiro, arredondar } from './utilitarios.js';
+
+export const PESO_DISTANCIA = 0.6;
+export const PESO_FOLGA_PON = 0.4;
+export const SUGESTOES_ALIVIO_PADRAO = 10;
+export const STATUS_CTO_ATIVADO = 'ATIVADO';
+
+// Chave do caminho de rede (mesmo formato de validarPons em capacidadePon.js)
+export function chaveCaminhoRede(cto) {
+  return [cto.cid_rede, cto.pop, cto.olt, cto.slot, cto.pon].map(texto).join('|');
+}
+
+// Portas, clientes e livres de uma CTO (livre da base, ou portas − ocupado)
+function portasCTO(cto) {
+  const portas = inteiro(cto.portas);
+  const ocupado = inteiro(cto.ocupado);
+  const livre = cto.livre !== null && cto.livre !== undefined && cto.livre !== ''
+    ? inteiro(cto.livre)
+    : Math.max(portas - ocupado, 0);
+  return { portas, ocupado, livre };
+}
+
+function resumoCTO(cto) {
+  return {
+    id_cto: String(cto.id_cto ?? '').trim(),
+    nome: cto.cto || '',
+    cid_rede: texto(cto.cid_rede),
+    pop: texto(cto.pop),
+    olt: texto(cto.olt),
+    slot: texto(cto.slot),
+    pon: texto(cto.pon),
+    latitude: parseFloat(cto.latitude),
+    longitude: parseFloat(cto.longitude),
+    status_cto: cto.status_cto || '',
+    ...portasCTO(cto)
+  };
+}
+
+/**
+ * Sugerir CTOs para aliviar uma CTO saturada
+ * @param {Object} saturada - CTO saturada (linha da tabela ctos) com raio_metros
+ * @param {Object[]} vizinhas - [{ cto (linha da tabela ctos), distancia_metros, raio_metros }] ao redor da saturada
+ * @param {Map} pons - chaveCaminhoRede → PON de validarPons (ocupado, max_onts, status, alertas...)
+ * @param {Object} opcoes - { limite }
+ * @returns {Object} - { saturada, sugestoes, total_sugestoes, descartadas: { mesma_pon, nao_ativada, sem_portas_livres, sem_sobreposicao, pon_sem_folga } }
+ */
+export function sugerirAlivio(saturada, vizinhas, pons, { limite = SUGESTOES_ALIVIO_PADRAO } = {}) {
+  const chaveSaturada = chaveCaminhoRede(saturada);
+  const idSaturada = String(saturada.id_cto ?? '').trim();
+  const dadosSaturada = resumoCTO(saturada);
+  const descartadas = { mesma_pon: 0, nao_ativada: 0, sem_portas_livres: 0, sem_sobreposicao: 0, pon_sem_folga: 0 };
+  const sugestoes = [];
+
+  for (const { cto, distancia_metros: distancia, raio_metros: raio } of vizinhas) {
+    if (String(cto.id_cto ?? '').trim() === idSaturada) {
+      continue;
+    }
+    const chave = chaveCaminhoRede(cto);
+    if (chave === chaveSaturada) {
+      descartadas.mesma_pon++;
+      continue;
+    }
+    if (String(cto.status_cto ?? '').trim().toUpperCase() !== STATUS_CTO_ATIVADO) {
+      descartadas.nao_ativada++;
+      continue;
+    }
+    const { livre } = portasCTO(cto);
+    if (livre <= 0) {
+      descartadas.sem_portas_livres++;
+      continue;
+    }
+    const alcance = saturada.raio_metros + raio;
+    if (distancia >= alcance) {
+      descartadas.sem_sobreposicao++;
+      continue;
+    }
+
+    const pon = pons.get(chave);
+    const folgaPon = pon ? Math.max(pon.max_onts - pon.ocupado, 0) : 0;
+    if (folgaPon <= 0) {
+      descartadas.pon_sem_folga++;
+      continue;
+    }
+
+    const migraveis = Math.min(livre, folgaPon, dadosSaturada.ocupado);
+    const pontuacao = PESO_DISTANCIA * (distancia / alcance) + PESO_FOLGA_PON * (1 - Math.min(folgaPon / pon.max_onts, 1));
+
+    sugestoes.push({
+      ...resumoCTO(cto),
+      distancia_metros: Math.round(distancia),
+      raio_metros: raio,
+      sobreposicao_metros: Math.round(alcance - distancia),
+      capacidade_pon: {
+        chave,
+        modelo: pon.modelo,
+        total_ctos: pon.total_ctos,
+        clientes: pon.ocupado,
+        max_onts: pon.max_onts,
+        folga_onts: folgaPon,
+        status: pon.status,
+        alertas: pon.alertas
+      },
+      clientes_migraveis: migraveis,
+      pontuacao: arredondar(pontuacao)
+    });
+  }
+
+  sugestoes.sort((a, b) => (a.pontuacao - b.pontuacao) || (b.clientes_migraveis - a.clientes_migraveis));
+
+  return {
+    saturada: { ...dadosSaturada, raio_metros: saturada.raio_metros, pct_ocup: dadosSaturada.portas > 0 ? arredondar((dadosSaturada.ocupado / dadosSaturada.portas) * 100) : 0 },
+    total_sugestoes: sugestoes.length,
+    sugestoes: sugestoes.slice(0, limite),
+    descartadas
+  };
+}
@@ -0,0 +1,146 @@
+// ============================================
+// Árvore de capacidade da rede (POP → OLT → slot → PON → CTOs)
+// ============================================
+// Agrupa as CTOs pelo caminho de rede e soma portas, ocupadas e livres em cada
+// nível, para planejar o alívio de rede por PON em vez de CTO por CTO.
+// Campos da tabela ctos usados em cada nível (a Análise de Cobertura exibe
+// olt como CHASSE, slot como PLACA e pon como OLT):
+//   pop  → cid_rede + pop (o mesmo POP pode existir em cidades diferentes)
+//   olt  → olt
+//   slot → slot
+//   pon  → pon
+// Cada nível informa quantas CTOs estão com ocupação >= limiar.
+// ============================================
+
+import { texto, inteiro, arredondar } from './utilitarios.js';
+
+export const LIMIAR_OCUPACAO_PADRAO = 80;
+export const NIVEIS_ARVORE_REDE = ['pop', 'olt', 'slot', 'pon'];
+
+// Portas, ocupadas, livres e % de ocupação de uma CTO
+// pct_ocup vem da base; sem ele, é calculado a partir de ocupado/portas
+export function ocupacaoCTO(cto) {
+  const portas = inteiro(cto.portas);
+  const ocupado = inteiro(cto.ocupado);
+  const livre = cto.livre !== null && cto.livre !== undefined && cto.livre !== ''
+    ? inteiro(cto.livre)
+    : Math.max(portas - ocupado, 0);
+  const pctBase = parseFloat(cto.pct_ocup);
+  const pct = Number.isFinite(pctBase) ? pctBase : (portas > 0 ? (ocupado / portas) * 100 : 0);
+
+  return { portas, ocupado, livre, pct_ocup: arredondar(pct) };
+}
+
+function novoNo(nivel, nome, extras = {}) {
+  return {
+    nivel,
+    nome,
+    ...extras,
+    total_ctos: 0,
+    portas: 0,
+    ocupado: 0,
+    livre: 0,
+    pct_ocup: 0,
+    ctos_acima_limiar: 0,
+    filhos: new Map()
+  };
+}
+
+function somar(no, ocupacao, acimaLimiar) {
+  no.total_ctos++;
+  no.portas += ocupacao.portas;
+  no.ocupado += ocupacao.ocupado;
+  no.livre += ocupacao.livre;
+  if (acimaLimiar) {
+    no.ctos_acima_limiar++;
+  }
+}
+
+// Converter os Maps de filhos em listas ordenadas (mais ocupados primeiro) e calcular o % de cada nível
+function finalizarNo(no) {
+  no.pct_ocup = no.portas > 0 ? arredondar((no.ocupado / no.portas) * 100) : 0;
+
+  if (no.filhos instanceof Map) {
+    no.filhos = [...no.filhos.values()]
+      .map(finalizarNo)
+      .sort((a, b) => (b.pct_ocup - a.pct_ocup) || String(a.nome).localeCompare(String(b.nome), 'pt-BR', { numeric: true }));
+  }
+  return no;
+}
+
+// Montar a árvore a partir das CTOs (linhas da tabela ctos)
+// incluirCTOs: adiciona a lista de CTOs em cada PON (campo ctos)
+// Retorna { totais, arvore } - arvore é a lista de POPs
+export function montarArvoreRede(ctos, { limiar = LIMIAR_OCUPACAO_PADRAO, incluirCTOs = false } = {}) {
+  const raiz = novoNo('rede', 'Rede');
+
+  for (const cto of ctos) {
+    const ocupacao = ocupacaoCTO(cto);
+    const acimaLimiar = ocupacao.pct_ocup >= limiar;
+
+    const cidade = texto(cto.cid_rede);
+    const pop = texto(cto.pop);
+    const chavePop = `${cidade}|${pop}`;
+    if (!raiz.filhos.has(chavePop)) {
+      raiz.filhos.set(chavePop, novoNo('pop', pop, { cidade }));
+    }
+    const noPop = raiz.filhos.get(chavePop);
+
+    const olt = texto(cto.olt);
+    if (!noPop.filhos.has(olt)) {
+      noPop.filhos.set(olt, novoNo('olt', olt));
+    }
+    const noOlt = noPop.filhos.get(olt);
+
+    const slot = texto(cto.slot);
+    if (!noOlt.filhos.has(slot)) {
+      noOlt.filhos.set(slot, novoNo('slot', slot));
+    }
+    const noSlot = noOlt.filhos.get(slot);
+
+    const pon = texto(cto.pon);
+    if (!noSlot.filhos.has(pon)) {
+      noSlot.filhos.set(pon, novoNo('pon', pon));
+      // PON é a folha da árvore: CTOs vão em uma lista, não em filhos
+      noSlot.filhos.get(pon).filhos = null;
+      noSlot.filhos.get(pon).ctos = [];
+    }
+    const noPon = noSlot.filhos.get(pon);
+
+    for (const no of [raiz, noPop, noOlt, noSlot, noPon]) {
+      somar(no, ocupacao, acimaLimiar);
+    }
+
+    if (incluirCTOs) {
+      noPon.ctos.push({
+        nome: cto.cto || cto.id_cto || '',
+        id_cto: cto.id_cto ? String(cto.id_cto) : '',
+        status_cto: cto.status_cto || '',
+        latitude: parseFloat(cto.latitude),
+        longitude: parseFloat(cto.longitude),
+        ...ocupacao,
+        acima_limiar: acimaLimiar
+      });
+    }
+  }
+
+  finalizarNo(raiz);
+
+  // Sem a lista de CTOs, PON não leva o campo ctos
+  const limparFolhas = (nos) => nos.forEach(no => {
+    if (no.nivel === 'pon') {
+      delete no.filhos;
+      if (incluirCTOs) {
+        no.ctos.sort((a, b) => (b.pct_ocup - a.pct_ocup) || a.nome.localeCompare(b.nome, 'pt-BR', { numeric: true }));
+      } else {
+        delete no.ctos;
+      }
+    } else {
+      limparFolhas(no.filhos);
+    }
+  });
+  limparFolhas(raiz.filhos);
+
+  const { filhos: arvore, nivel, nome, ...totais } = raiz;
+  return { totais, arvore };
+}
@@ -0,0 +1,336 @@
+// ============================================
+// Módulo de Autenticação (tokens de sessão e senhas)
+// ============================================
+// Emite e valida tokens de sessão assinados com HMAC-SHA256.
+// Formato do token: <payload base64url>.<assinatura base64url>
+// O payload carrega o usuário, o tipo, um identificador único (jti)
+// e a data de expiração. Tokens revogados (logout) ficam em memória
+// até expirarem; contas excluídas ou renomeadas revogam todos os tokens
+// emitidos até aquele momento.
+// Também gera e confere hashes de senha (scrypt com salt) e controla
+// tentativas de login (backoff exponencial e bloqueio temporário).
+// ============================================
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Segredo usado para assinar os tokens
+// Se SESSION_SECRET não estiver configurado, gera um segredo aleatório por execução
+// (todas as sessões são invalidadas quando o servidor reinicia)
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️ [Auth] SESSION_SECRET não configurado - usando segredo temporário (sessões expiram ao reiniciar o servidor)');
+}
+
+// Duração do token (padrão: 12 horas)
+export const SESSION_TOKEN_TTL = (parseInt(process.env.SESSION_TOKEN_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+
+// Tokens revogados via logout
+// Formato: { jti: expiraEm (timestamp) }
+const revokedTokens = new Map();
+
+// Usuários com todas as sessões revogadas (conta excluída ou renomeada)
+// Formato: { usuario (minúsculo): revogadoEm (timestamp) } - vale para tokens emitidos antes
+const revokedUsers = new Map();
+
+// Assinar payload (base64url) com o segredo da sessão
+function signPayload(encodedPayload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(encodedPayload).digest('base64url');
+}
+
+// Criar token de sessão para o usuário
+export function createSessionToken(usuario, tipo = 'user') {
+  const now = Date.now();
+  const payload = {
+    sub: usuario,
+    tipo: tipo,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + SESSION_TOKEN_TTL
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const token = `${encodedPayload}.${signPayload(encodedPayload)}`;
+
+  return { token, expiresAt: payload.exp };
+}
+
+// Validar token de sessão
+// Retorna o payload se o token for válido, ou null se inválido/expirado/revogado
+export function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const [encodedPayload, signature] = parts;
+  const expectedSignature = signPayload(encodedPayload);
+
+  // Comparação em tempo constante para não vazar informação sobre a assinatura
+  const signatureBuffer = Buffer.from(signature);
+  const expectedBuffer = Buffer.from(expectedSignature);
+  if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!payload || !payload.sub || !payload.jti || !payload.exp) {
+    return null;
+  }
+
+  if (Date.now() > payload.exp) {
+    return null;
+  }
+
+  if (revokedTokens.has(payload.jti)) {
+    return null;
+  }
+
+  const revogadoEm = revokedUsers.get(String(payload.sub).toLowerCase());
+  if (revogadoEm && payload.iat < revogadoEm) {
+    return null;
+  }
+
+  return payload;
+}
+
+// Revogar token (logout)
+// Retorna o payload do token revogado, ou null se o token já era inválido
+export function revokeSessionToken(token) {
+  const payload = verifySessionToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  revokedTokens.set(payload.jti, payload.exp);
+  return payload;
+}
+
+// Revogar todas as sessões de um usuário (conta excluída ou renomeada)
+// Tokens emitidos a partir de agora para o mesmo nome continuam válidos
+export function revokeUserSessions(usuario) {
+  revokedUsers.set(String(usuario || '').trim().toLowerCase(), Date.now());
+}
+
+// Extrair token do header Authorization (formato: "Bearer <token>")
+export function extractBearerToken(req) {
+  const authHeader = req.headers.authorization || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Limpar tokens revogados que já expiraram (não precisam mais ficar na lista)
+setInterval(() => {
+  const now = Date.now();
+  for (const [jti, exp] of revokedTokens) {
+    if (now > exp) {
+      revokedTokens.delete(jti);
+    }
+  }
+  // Depois do TTL não sobra nenhum token emitido antes da revogação
+  for (const [usuario, revogadoEm] of revokedUsers) {
+    if (now > revogadoEm + SESSION_TOKEN_TTL) {
+      revokedUsers.delete(usuario);
+    }
+  }
+}, 60 * 60 * 1000); // Verificar a cada hora
+
+// ============================================
+// Hash de senhas (scrypt com salt aleatório)
+// ============================================
+// Formato armazenado: scrypt$N$r$p$<salt base64>$<hash base64>
+// Os parâmetros ficam no próprio valor para permitir ajustar o custo no futuro
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_PREFIX = 'scrypt$';
+
+// Verificar se o valor armazenado já é um hash (e não senha em texto puro)
+export function isPasswordHash(valor) {
+  return typeof valor === 'string' && valor.startsWith(SCRYPT_PREFIX);
+}
+
+// Gerar hash da senha com salt aleatório
+export async function hashPassword(senha) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(String(senha), salt, SCRYPT_KEYLEN, { N, r, p });
+  return `${SCRYPT_PREFIX}${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Hash fictício usado quando o usuário não existe ou a senha ainda é legada
+// Assim o scrypt sempre roda e o tempo de resposta não revela se o usuário existe
+const DUMMY_HASH = `${SCRYPT_PREFIX}${SCRYPT_PARAMS.N}$${SCRYPT_PARAMS.r}$${SCRYPT_PARAMS.p}$${crypto.randomBytes(16).toString('base64')}$${Buffer.alloc(SCRYPT_KEYLEN).toString('base64')}`;
+
+// Conferir senha informada contra o valor armazenado
+// Aceita senhas legadas em texto puro (são convertidas para hash no próximo login)
+export async function verifyPassword(senha, armazenada) {
+  const usarHash = isPasswordHash(armazenada);
+  const [, N, r, p, saltB64, hashB64] = (usarHash ? armazenada : DUMMY_HASH).split('$');
+  if (!N || !r || !p || !saltB64 || !hashB64) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const hash = await scryptAsync(String(senha || ''), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+
+  if (!senha || !armazenada) {
+    return false;
+  }
+
+  if (!usarHash) {
+    // Senha legada: comparar digests em tempo constante
+    const a = crypto.createHash('sha256').update(String(senha)).digest();
+    const b = crypto.createHash('sha256').update(String(armazenada)).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+}
+
+// ============================================
+// Proteção contra força bruta no login
+// ============================================
+// Contadores de falhas por usuário e por IP (em memória)
+// Cada falha dobra o tempo de espera até a próxima tentativa (backoff exponencial)
+// Após o limite de falhas seguidas, o usuário (ou IP) fica bloqueado temporariamente
+export const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_MAX_FAILURES_IP = parseInt(process.env.LOGIN_MAX_FAILURES_IP, 10) || 20;
+export const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+const LOGIN_BACKOFF_BASE_MS = 1000; // 1s, 2s, 4s, 8s...
+const LOGIN_BACKOFF_MAX_MS = 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 60 * 60 * 1000; // Falhas são esquecidas após 1 hora sem novas falhas
+
+// Formato: { 'usuario:nome' | 'ip:endereco': { failures, lastFailure, lockedUntil } }
+const loginAttempts = new Map();
+
+function attemptKey(tipo, valor) {
+  return `${tipo}:${String(valor || '').trim().toLowerCase()}`;
+}
+
+// Obter contador ativo (descarta contadores antigos sem bloqueio vigente)
+function getAttempt(key, now) {
+  const attempt = loginAttempts.get(key);
+  if (!attempt) {
+    return null;
+  }
+
+  const bloqueado = attempt.lockedUntil && now < attempt.lockedUntil;
+  if (!bloqueado && now - attempt.lastFailure > LOGIN_FAILURE_WINDOW_MS) {
+    loginAttempts.delete(key);
+    return null;
+  }
+
+  return attempt;
+}
+
+// Tempo (ms) que ainda falta esperar antes da próxima tentativa
+// falhasLivres: quantidade de falhas toleradas antes de começar o backoff
+function remainingWait(attempt, now, falhasLivres = 0) {
+  if (!attempt) {
+    return 0;
+  }
+
+  if (attempt.lockedUntil && now < attempt.lockedUntil) {
+    return attempt.lockedUntil - now;
+  }
+
+  if (attempt.failures <= falhasLivres) {
+    return 0;
+  }
+
+  const backoff = Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (attempt.failures - falhasLivres - 1), LOGIN_BACKOFF_MAX_MS);
+  return Math.max(0, attempt.lastFailure + backoff - now);
+}
+
+// Verificar se uma nova tentativa de login é permitida para o usuário/IP
+// Retorna { allowed, locked, retryAfterMs }
+export function checkLoginAllowed(usuario, ip) {
+  const now = Date.now();
+  const userAttempt = getAttempt(attemptKey('usuario', usuario), now);
+  const ipAttempt = getAttempt(attemptKey('ip', ip), now);
+
+  const locked = [userAttempt, ipAttempt].some(a => a && a.lockedUntil && now < a.lockedUntil);
+  // O IP só entra em backoff após várias falhas (vários usuários podem compartilhar o mesmo IP)
+  const retryAfterMs = Math.max(remainingWait(userAttempt, now), remainingWait(ipAttempt, now, LOGIN_MAX_FAILURES));
+
+  return { allowed: retryAfterMs === 0, locked, retryAfterMs };
+}
+
+// Registrar falha de login (usuário e IP)
+// Retorna { locked } indicando se esta falha bloqueou o usuário
+export function registerLoginFailure(usuario, ip) {
+  const now = Date.now();
+  let locked = false;
+
+  for (const [tipo, valor, limite] of [['usuario', usuario, LOGIN_MAX_FAILURES], ['ip', ip, LOGIN_MAX_FAILURES_IP]]) {
+    const key = attemptKey(tipo, valor);
+    const attempt = getAttempt(key, now) || { failures: 0, lastFailure: 0, lockedUntil: null };
+
+    // Bloqueio anterior já expirou: recomeçar contagem
+    if (attempt.lockedUntil && now >= attempt.lockedUntil) {
+      attempt.failures = 0;
+      attempt.lockedUntil = null;
+    }
+
+    attempt.failures++;
+    attempt.lastFailure = now;
+
+    if (attempt.failures >= limite) {
+      attempt.lockedUntil = now + LOGIN_LOCKOUT_MS;
+      if (tipo === 'usuario') {
+        locked = true;
+      }
+    }
+
+    loginAttempts.set(key, attempt);
+  }
+
+  return { locked };
+}
+
+// Login bem-sucedido: zerar contador do usuário
+// O contador do IP é mantido (um login válido não libera tentativas contra outras contas)
+export function registerLoginSuccess(usuario) {
+  loginAttempts.delete(attemptKey('usuario', usuario));
+}
+
+// Desbloquear usuário manualmente (admin)
+// Retorna true se havia contador/bloqueio para o usuário
+export function unlockLoginUser(usuario) {
+  return loginAttempts.delete(attemptKey('usuario', usuario));
+}
+
+// Listar usuários bloqueados no momento
+export function listLockedUsers() {
+  const now = Date.now();
+  const bloqueados = [];
+
+  for (const [key, attempt] of loginAttempts) {
+    if (key.startsWith('usuario:') && attempt.lockedUntil && now < attempt.lockedUntil) {
+      bloqueados.push({
+        usuario: key.slice('usuario:'.length),
+        failures: attempt.failures,
+        lockedUntil: attempt.lockedUntil
+      });
+    }
+  }
+
+  return bloqueados;
+}
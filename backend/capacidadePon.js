@@ -0,0 +1,264 @@
+// ============================================
+// Capacidade de PON: split e orçamento óptico
+// ============================================
+// Cada perfil descreve um modelo de OLT: os níveis de splitter de uma PON
+// (ex: 1:8 no primeiro nível e 1:8 na CTO = split 1:64), o máximo de ONTs por
+// PON e a potência de transmissão/sensibilidade de recepção usadas no
+// orçamento óptico. O perfil vale para as CTOs cujo campo olt (CHASSE) está
+// na lista do perfil; o perfil sem lista é o padrão.
+// Os perfis são gravados na tabela perfis_pon (editor nas Configurações).
+//
+// O orçamento óptico é uma ESTIMATIVA: a base não tem a posição das OLTs, então
+// a distância da fibra é a distância em linha reta do centro do POP (média das
+// coordenadas das CTOs do POP) até a CTO, multiplicada por FATOR_ROTA_FIBRA,
+// mais o drop até o cliente quando informado.
+// ============================================
+
+import { texto, arredondar, distanciaMetros } from './utilitarios.js';
+
+// Perda típica de splitters balanceados (dB) por razão de divisão
+export const PERDA_SPLITTER_DB = { 2: 3.7, 4: 7.3, 8: 10.5, 16: 13.7, 32: 17.1, 64: 20.5, 128: 24 };
+
+export const PERDA_FIBRA_DB_KM = 0.35; // 1310 nm
+export const PERDA_CONECTOR_DB = 0.5;
+export const PERDA_EMENDA_DB = 0.1;
+export const EMENDAS_POR_KM = 0.5; // Uma emenda a cada 2 km
+export const FATOR_ROTA_FIBRA = 1.3; // A fibra não segue a linha reta
+export const MARGEM_SEGURANCA_DB = 3;
+
+// Perfil usado quando nenhum perfil configurado se aplica (GPON classe B+)
+export const PERFIL_PON_PADRAO = {
+  modelo: 'PADRÃO',
+  olts: [],
+  splitters: [8, 8],
+  max_onts: 64,
+  potencia_tx_dbm: 3,
+  sensibilidade_rx_dbm: -27,
+  conectores: 4
+};
+
+function normalizarOlt(valor) {
+  return String(valor ?? '').trim().toUpperCase();
+}
+
+// Aceita "1:8", "8" ou número
+function parseSplitter(valor) {
+  const texto = String(valor ?? '').trim();
+  const razao = Number(texto.includes(':') ? texto.split(':')[1] : texto);
+  return Object.prototype.hasOwnProperty.call(PERDA_SPLITTER_DB, razao) ? razao : null;
+}
+
+// Lista gravada como texto separado por vírgula (Excel/Supabase) ou já como array
+function parseLista(valor) {
+  if (Array.isArray(valor)) {
+    return valor;
+  }
+  return String(valor ?? '').split(/[,;]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Validar e normalizar a lista de perfis enviada pelo editor
+// Retorna { perfis, erros } (erros vazio = lista válida)
+export function validarPerfisPon(lista) {
+  if (!Array.isArray(lista)) {
+    return { perfis: [], erros: ['Perfis devem ser uma lista'] };
+  }
+
+  const erros = [];
+  const perfis = [];
+  const modelos = new Set();
+  const olts = new Map(); // olt → modelo
+  let temPadrao = false;
+
+  lista.forEach((item, indice) => {
+    const linha = `Perfil ${indice + 1}`;
+    const modelo = String(item?.modelo ?? '').trim();
+    const splittersBrutos = parseLista(item?.splitters);
+    const splitters = splittersBrutos.map(parseSplitter);
+    const maxOnts = Number(item?.max_onts);
+    const potenciaTx = Number(item?.potencia_tx_dbm);
+    const sensibilidadeRx = Number(item?.sensibilidade_rx_dbm);
+    const conectores = item?.conectores === undefined || item?.conectores === '' ? PERFIL_PON_PADRAO.conectores : Number(item.conectores);
+    const oltsPerfil = [...new Set(parseLista(item?.olts).map(normalizarOlt))];
+
+    if (!modelo) {
+      erros.push(`${linha}: modelo é obrigatório`);
+      return;
+    }
+    if (modelos.has(modelo.toUpperCase())) {
+      erros.push(`${linha}: modelo ${modelo} repetido`);
+      return;
+    }
+    if (splitters.length === 0 || splitters.includes(null)) {
+      erros.push(`${linha}: splitters inválidos (use razões como 1:8, 1:16; níveis separados por vírgula)`);
+      return;
+    }
+    if (!Number.isInteger(maxOnts) || maxOnts < 1 || maxOnts > 1024) {
+      erros.push(`${linha}: máximo de ONTs deve ser um inteiro entre 1 e 1024`);
+      return;
+    }
+    if (!Number.isFinite(potenciaTx) || potenciaTx < -10 || potenciaTx > 10) {
+      erros.push(`${linha}: potência de transmissão deve estar entre -10 e 10 dBm`);
+      return;
+    }
+    if (!Number.isFinite(sensibilidadeRx) || sensibilidadeRx < -40 || sensibilidadeRx > -10) {
+      erros.push(`${linha}: sensibilidade de recepção deve estar entre -40 e -10 dBm`);
+      return;
+    }
+    if (!Number.isInteger(conectores) || conectores < 0 || conectores > 20) {
+      erros.push(`${linha}: conectores deve ser um inteiro entre 0 e 20`);
+      return;
+    }
+    if (oltsPerfil.length === 0) {
+      if (temPadrao) {
+        erros.push(`${linha}: só um perfil pode ficar sem OLTs (perfil padrão)`);
+        return;
+      }
+      temPadrao = true;
+    }
+    const repetida = oltsPerfil.find(olt => olts.has(olt));
+    if (repetida) {
+      erros.push(`${linha}: OLT ${repetida} já está no perfil ${olts.get(repetida)}`);
+      return;
+    }
+
+    modelos.add(modelo.toUpperCase());
+    oltsPerfil.forEach(olt => olts.set(olt, modelo));
+    perfis.push({
+      modelo,
+      olts: oltsPerfil,
+      splitters,
+      max_onts: maxOnts,
+      potencia_tx_dbm: potenciaTx,
+      sensibilidade_rx_dbm: sensibilidadeRx,
+      conectores
+    });
+  });
+
+  return { perfis, erros };
+}
+
+// Perfil aplicado a uma OLT (campo olt da CTO)
+export function resolverPerfilPon(olt, perfis) {
+  const chave = normalizarOlt(olt);
+  return perfis.find(perfil => perfil.olts.includes(chave)) ||
+    perfis.find(perfil => perfil.olts.length === 0) ||
+    PERFIL_PON_PADRAO;
+}
+
+export function splitRatio(perfil) {
+  return perfil.splitters.reduce((total, razao) => total * razao, 1);
+}
+
+// Orçamento óptico estimado de um enlace OLT → cliente
+export function orcamentoOptico(perfil, distanciaMetros) {
+  const km = Math.max(distanciaMetros, 0) / 1000;
+  const perdaFibra = km * PERDA_FIBRA_DB_KM;
+  const perdaEmendas = Math.ceil(km * EMENDAS_POR_KM) * PERDA_EMENDA_DB;
+  const perdaSplitters = perfil.splitters.reduce((total, razao) => total + PERDA_SPLITTER_DB[razao], 0);
+  const perdaConectores = perfil.conectores * PERDA_CONECTOR_DB;
+  const perdaTotal = perdaFibra + perdaEmendas + perdaSplitters + perdaConectores;
+  const potenciaRx = perfil.potencia_tx_dbm - perdaTotal;
+  const margem = potenciaRx - perfil.sensibilidade_rx_dbm;
+
+  return {
+    distancia_metros: Math.round(distanciaMetros),
+    perda_fibra_db: arredondar(perdaFibra),
+    perda_emendas_db: arredondar(perdaEmendas),
+    perda_splitters_db: arredondar(perdaSplitters),
+    perda_conectores_db: arredondar(perdaConectores),
+    perda_total_db: arredondar(perdaTotal),
+    potencia_rx_dbm: arredondar(potenciaRx),
+    margem_db: arredondar(margem),
+    dentro_orcamento: margem >= MARGEM_SEGURANCA_DB
+  };
+}
+
+function coordenadas(cto) {
+  const lat = parseFloat(cto.latitude);
+  const lng = parseFloat(cto.longitude);
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+// Centro de cada POP (média das coordenadas das CTOs), chave 'cidade|pop'
+export function centrosDosPops(ctos) {
+  const somas = new Map();
+  for (const cto of ctos) {
+    const ponto = coordenadas(cto);
+    if (!ponto) continue;
+    const chave = `${texto(cto.cid_rede)}|${texto(cto.pop)}`;
+    const soma = somas.get(chave) || { lat: 0, lng: 0, total: 0 };
+    soma.lat += ponto.lat;
+    soma.lng += ponto.lng;
+    soma.total++;
+    somas.set(chave, soma);
+  }
+
+  const centros = new Map();
+  for (const [chave, soma] of somas) {
+    centros.set(chave, { lat: soma.lat / soma.total, lng: soma.lng / soma.total });
+  }
+  return centros;
+}
+
+// Distância estimada da fibra do POP até a CTO (null sem coordenadas)
+export function distanciaFibraEstimada(cto, centros) {
+  const ponto = coordenadas(cto);
+  const centro = centros.get(`${texto(cto.cid_rede)}|${texto(cto.pop)}`);
+  if (!ponto || !centro) {
+    return null;
+  }
+  return distanciaMetros(centro.lat, centro.lng, ponto.lat, ponto.lng) * FATOR_ROTA_FIBRA;
+}
+
+// Validar as PONs presentes em uma lista de CTOs
+// centros: resultado de centrosDosPops (calculado com TODAS as CTOs dos POPs envolvidos)
+// Retorna uma lista de PONs: { cidade, pop, olt, slot, pon, modelo, split_ratio, max_onts, total_ctos,
+//   portas, ocupado, distancia_maxima_metros, orcamento, alertas, status: 'ok' | 'alerta' }
+export function validarPons(ctos, perfis, centros) {
+  const pons = new Map();
+
+  for (const cto of ctos) {
+    const chave = [cto.cid_rede, cto.pop, cto.olt, cto.slot, cto.pon].map(texto).join('|');
+    if (!pons.has(chave)) {
+      const [cidade, pop, olt, slot, pon] = chave.split('|');
+      pons.set(chave, { chave, cidade, pop, olt, slot, pon, total_ctos: 0, portas: 0, ocupado: 0, distancia_maxima_metros: null });
+    }
+    const registro = pons.get(chave);
+    registro.total_ctos++;
+    registro.portas += parseInt(cto.portas, 10) || 0;
+    registro.ocupado += parseInt(cto.ocupado, 10) || 0;
+
+    const distancia = distanciaFibraEstimada(cto, centros);
+    if (distancia !== null && (registro.distancia_maxima_metros === null || distancia > registro.distancia_maxima_metros)) {
+      registro.distancia_maxima_metros = distancia;
+    }
+  }
+
+  return [...pons.values()].map(registro => {
+    const perfil = resolverPerfilPon(registro.olt === 'N/A' ? '' : registro.olt, perfis);
+    const split = splitRatio(perfil);
+    const orcamento = registro.distancia_maxima_metros !== null ? orcamentoOptico(perfil, registro.distancia_maxima_metros) : null;
+    const alertas = [];
+
+    if (registro.portas > split) {
+      alertas.push(`${registro.portas} portas de CTO para split 1:${split}`);
+    }
+    if (registro.ocupado > perfil.max_onts) {
+      alertas.push(`${registro.ocupado} clientes para máximo de ${perfil.max_onts} ONTs`);
+    }
+    if (orcamento && !orcamento.dentro_orcamento) {
+      alertas.push(`Orçamento óptico estimado com margem de ${orcamento.margem_db} dB (mínimo ${MARGEM_SEGURANCA_DB} dB) a ${(orcamento.distancia_metros / 1000).toFixed(2)} km`);
+    }
+
+    return {
+      ...registro,
+      distancia_maxima_metros: registro.distancia_maxima_metros !== null ? Math.round(registro.distancia_maxima_metros) : null,
+      modelo: perfil.modelo,
+      split_ratio: split,
+      max_onts: perfil.max_onts,
+      orcamento,
+      alertas,
+      status: alertas.length > 0 ? 'alerta' : 'ok'
+    };
+  });
+}
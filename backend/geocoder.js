@@ -0,0 +1,113 @@
+// ============================================
+// Módulo de Geocodificação (endereço → coordenadas)
+// ============================================
+// Usado pela consulta de viabilidade em lote para linhas sem latitude/longitude.
+// O provedor é escolhido pela variável GEOCODER_PROVIDER:
+//   - 'google'    : Google Geocoding API (requer GOOGLE_MAPS_API_KEY)
+//   - 'nominatim' : OpenStreetMap Nominatim (NOMINATIM_URL opcional, máx. 1 requisição/s)
+//   - 'nenhum'    : desativado (linhas sem coordenadas ficam como "Endereço não Localizado")
+// Padrão: 'google' se GOOGLE_MAPS_API_KEY estiver configurada, senão 'nenhum'.
+// Outros provedores podem ser adicionados com registrarGeocoder().
+// ============================================
+
+const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY || '';
+const NOMINATIM_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+const NOMINATIM_INTERVALO_MS = 1100; // Política de uso do Nominatim: no máximo 1 requisição por segundo
+const GEOCODER_TIMEOUT_MS = 10000;
+
+// Provedores registrados
+// Cada provedor recebe o endereço e retorna { latitude, longitude, endereco_formatado } ou null
+const provedores = new Map();
+
+let ultimaRequisicaoNominatim = 0;
+
+// Buscar JSON com timeout
+async function buscarJson(url, opcoes = {}) {
+  const response = await fetch(url, { ...opcoes, signal: AbortSignal.timeout(GEOCODER_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+provedores.set('google', async (endereco) => {
+  if (!GOOGLE_MAPS_API_KEY) {
+    throw new Error('GOOGLE_MAPS_API_KEY não configurada');
+  }
+
+  const params = new URLSearchParams({ address: endereco, key: GOOGLE_MAPS_API_KEY, region: 'br', language: 'pt-BR' });
+  const data = await buscarJson(`https://maps.googleapis.com/maps/api/geocode/json?${params}`);
+
+  if (data.status === 'ZERO_RESULTS') {
+    return null;
+  }
+  if (data.status !== 'OK') {
+    throw new Error(`Google Geocoding: ${data.status}${data.error_message ? ` - ${data.error_message}` : ''}`);
+  }
+
+  const resultado = data.results[0];
+  return {
+    latitude: resultado.geometry.location.lat,
+    longitude: resultado.geometry.location.lng,
+    endereco_formatado: resultado.formatted_address || endereco
+  };
+});
+
+provedores.set('nominatim', async (endereco) => {
+  // Respeitar o intervalo mínimo entre requisições
+  // O horário é reservado antes de esperar, para chamadas simultâneas (lote de viabilidade) entrarem em fila
+  const agora = Date.now();
+  const horario = Math.max(agora, ultimaRequisicaoNominatim + NOMINATIM_INTERVALO_MS);
+  ultimaRequisicaoNominatim = horario;
+  if (horario > agora) {
+    await new Promise(resolve => setTimeout(resolve, horario - agora));
+  }
+
+  const params = new URLSearchParams({ q: endereco, format: 'jsonv2', limit: '1', countrycodes: 'br' });
+  const data = await buscarJson(`${NOMINATIM_URL}/search?${params}`, {
+    headers: { 'User-Agent': 'viabilidade-alares/1.0' }
+  });
+
+  if (!Array.isArray(data) || data.length === 0) {
+    return null;
+  }
+
+  return {
+    latitude: parseFloat(data[0].lat),
+    longitude: parseFloat(data[0].lon),
+    endereco_formatado: data[0].display_name || endereco
+  };
+});
+
+provedores.set('nenhum', async () => null);
+
+// Registrar (ou substituir) um provedor de geocodificação
+export function registrarGeocoder(nome, geocodificar) {
+  provedores.set(String(nome).toLowerCase(), geocodificar);
+}
+
+// Nome do provedor ativo
+export function getGeocoderAtivo() {
+  const configurado = String(process.env.GEOCODER_PROVIDER || '').trim().toLowerCase();
+  if (configurado) {
+    return configurado;
+  }
+  return GOOGLE_MAPS_API_KEY ? 'google' : 'nenhum';
+}
+
+// Geocodificar endereço com o provedor ativo
+// Retorna { latitude, longitude, endereco_formatado } ou null se o endereço não foi encontrado
+export async function geocodificarEndereco(endereco) {
+  const texto = String(endereco || '').trim();
+  if (!texto) {
+    return null;
+  }
+
+  const nome = getGeocoderAtivo();
+  const provedor = provedores.get(nome);
+  if (!provedor) {
+    throw new Error(`Provedor de geocodificação desconhecido: ${nome}`);
+  }
+
+  return provedor(texto);
+}
@@ -0,0 +1,431 @@
+// ============================================
+// Leitores de arquivo para o upload da base de CTOs
+// ============================================
+// O upload da base processa planilhas Excel (validateExcelColumns e
+// processExcelStreaming no server.js). Os demais formatos passam por um leitor
+// que converte o arquivo em uma planilha .xlsx com os MESMOS cabeçalhos do
+// original; daí em diante o fluxo é o mesmo do Excel (normalizeKey e mapeamento
+// de colunas, chave_unica, prévia, snapshots e arquivo de fallback).
+//
+// Cada leitor: { formato, descricao, extensoes, ler(caminho) }
+//   ler → Promise<{ cabecalhos: string[], linhas: (Async)Iterable<Object> }>
+//   cada linha é um objeto { cabecalho: valor }.
+// Formatos geográficos (GeoJSON, KML, Shapefile) ganham as colunas latitude e
+// longitude a partir da geometria de ponto (a geometria prevalece sobre
+// propriedades com esses nomes). Geometrias que não são ponto ficam sem
+// coordenada e a linha é ignorada no upload (aparece no relatório de qualidade).
+//
+// Novos formatos: registrarLeitorBase({ formato, descricao, extensoes, ler })
+// ============================================
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+
+export const EXTENSOES_EXCEL = ['.xlsx', '.xls'];
+
+const COLUNAS_GEOMETRIA = ['latitude', 'longitude'];
+
+export function extensaoArquivo(nomeArquivo) {
+  return path.extname(String(nomeArquivo || '')).toLowerCase();
+}
+
+// Cabeçalhos na ordem em que aparecem nas linhas, sem repetir
+function unirCabecalhos(linhas) {
+  const cabecalhos = new Set();
+  for (const linha of linhas) {
+    Object.keys(linha).forEach(cabecalho => cabecalhos.add(cabecalho));
+  }
+  return [...cabecalhos];
+}
+
+// Propriedades + coordenadas do ponto (colunas latitude/longitude no fim, para prevalecer no normalizeKey)
+function linhaGeografica(propriedades, ponto) {
+  const linha = {};
+  for (const [chave, valor] of Object.entries(propriedades || {})) {
+    if (!COLUNAS_GEOMETRIA.includes(String(chave).trim().toLowerCase())) {
+      linha[chave] = valor !== null && typeof valor === 'object' ? JSON.stringify(valor) : valor;
+    }
+  }
+  linha.latitude = ponto ? ponto.lat : null;
+  linha.longitude = ponto ? ponto.lng : null;
+  return linha;
+}
+
+function linhasGeograficas(linhas) {
+  const cabecalhos = unirCabecalhos(linhas).filter(cabecalho => !COLUNAS_GEOMETRIA.includes(cabecalho));
+  return { cabecalhos: [...cabecalhos, ...COLUNAS_GEOMETRIA], linhas };
+}
+
+// ---------- CSV ----------
+
+function detectarSeparador(linha) {
+  const contagem = (caractere) => linha.split(caractere).length - 1;
+  return [';', '\t', ','].reduce((melhor, separador) => contagem(separador) > contagem(melhor) ? separador : melhor, ',');
+}
+
+// Registros do CSV (lista de campos), em streaming; aceita aspas, "" e quebra de linha dentro de aspas
+async function* registrosCsv(caminho) {
+  const leitor = readline.createInterface({ input: fs.createReadStream(caminho, { encoding: 'utf8' }), crlfDelay: Infinity });
+  let separador = null;
+  let campos = [];
+  let campo = '';
+  let entreAspas = false;
+
+  for await (let linha of leitor) {
+    if (separador === null) {
+      linha = linha.replace(/^\uFEFF/, '');
+      separador = detectarSeparador(linha);
+    }
+
+    for (let i = 0; i < linha.length; i++) {
+      const caractere = linha[i];
+      if (entreAspas) {
+        if (caractere === '"' && linha[i + 1] === '"') {
+          campo += '"';
+          i++;
+        } else if (caractere === '"') {
+          entreAspas = false;
+        } else {
+          campo += caractere;
+        }
+      } else if (caractere === '"') {
+        entreAspas = true;
+      } else if (caractere === separador) {
+        campos.push(campo);
+        campo = '';
+      } else {
+        campo += caractere;
+      }
+    }
+
+    if (entreAspas) {
+      campo += '\n';
+      continue;
+    }
+
+    campos.push(campo);
+    yield campos;
+    campos = [];
+    campo = '';
+  }
+
+  if (entreAspas) {
+    campos.push(campo);
+    yield campos;
+  }
+}
+
+async function lerCsv(caminho) {
+  const registros = registrosCsv(caminho)[Symbol.asyncIterator]();
+  const { value: primeiro, done } = await registros.next();
+  if (done) {
+    throw new Error('Arquivo CSV vazio');
+  }
+  const cabecalhos = primeiro.map(cabecalho => cabecalho.trim());
+
+  async function* linhas() {
+    for await (const campos of { [Symbol.asyncIterator]: () => registros }) {
+      if (campos.every(valor => valor.trim() === '')) {
+        continue; // Linha em branco
+      }
+      const linha = {};
+      cabecalhos.forEach((cabecalho, i) => {
+        const valor = (campos[i] ?? '').trim();
+        linha[cabecalho] = valor === '' ? null : valor;
+      });
+      yield linha;
+    }
+  }
+
+  return { cabecalhos, linhas: linhas() };
+}
+
+// ---------- GeoJSON ----------
+
+function pontoGeoJSON(geometria) {
+  if (!geometria) {
+    return null;
+  }
+  const coordenadas = geometria.type === 'Point' ? geometria.coordinates
+    : geometria.type === 'MultiPoint' ? geometria.coordinates?.[0]
+    : null;
+  if (!Array.isArray(coordenadas) || coordenadas.length < 2) {
+    return null;
+  }
+  return { lng: coordenadas[0], lat: coordenadas[1] };
+}
+
+async function lerGeoJSON(caminho) {
+  const conteudo = JSON.parse((await fsPromises.readFile(caminho, 'utf8')).replace(/^\uFEFF/, ''));
+  const features = conteudo.type === 'FeatureCollection' ? conteudo.features
+    : conteudo.type === 'Feature' ? [conteudo]
+    : Array.isArray(conteudo) ? conteudo
+    : null;
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON deve ser um FeatureCollection, um Feature ou uma lista de Features');
+  }
+  return linhasGeograficas(features.map(feature => linhaGeografica(feature?.properties, pontoGeoJSON(feature?.geometry))));
+}
+
+// ---------- KML ----------
+// Cada Placemark vira uma linha: name, ExtendedData (Data/value e SchemaData/SimpleData) e o Point
+
+function textoXml(valor) {
+  return String(valor ?? '')
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .replace(/&#(\d+);/g, (_, codigo) => String.fromCharCode(parseInt(codigo, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, codigo) => String.fromCharCode(parseInt(codigo, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+async function lerKml(caminho) {
+  const conteudo = await fsPromises.readFile(caminho, 'utf8');
+  const linhas = [];
+
+  for (const [, placemark] of conteudo.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/gi)) {
+    const propriedades = {};
+    const nome = placemark.match(/<name>([\s\S]*?)<\/name>/i);
+    if (nome) {
+      propriedades.name = textoXml(nome[1]);
+    }
+    for (const [, chave, valor] of placemark.matchAll(/<Data\s+name="([^"]*)"[^>]*>\s*<value>([\s\S]*?)<\/value>/gi)) {
+      propriedades[textoXml(chave)] = textoXml(valor);
+    }
+    for (const [, chave, valor] of placemark.matchAll(/<SimpleData\s+name="([^"]*)"[^>]*>([\s\S]*?)<\/SimpleData>/gi)) {
+      propriedades[textoXml(chave)] = textoXml(valor);
+    }
+
+    const coordenadas = placemark.match(/<Point\b[^>]*>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i);
+    const [lng, lat] = coordenadas ? textoXml(coordenadas[1]).split(/\s+/)[0].split(',').map(Number) : [];
+    linhas.push(linhaGeografica(propriedades, Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null));
+  }
+
+  if (linhas.length === 0) {
+    throw new Error('Nenhum Placemark encontrado no KML');
+  }
+  return linhasGeograficas(linhas);
+}
+
+// ---------- Shapefile (.zip com .shp e .dbf) ----------
+
+// Primeiro ponto de cada registro do .shp (null para geometria vazia ou que não é ponto)
+function pontosShp(buffer) {
+  const pontos = [];
+  let offset = 100; // Cabeçalho do arquivo
+  while (offset + 12 <= buffer.length) {
+    const tamanho = buffer.readInt32BE(offset + 4) * 2; // Em palavras de 16 bits
+    const inicio = offset + 8;
+    const tipo = buffer.readInt32LE(inicio);
+    if ([1, 11, 21].includes(tipo)) { // Point, PointZ, PointM
+      pontos.push({ lng: buffer.readDoubleLE(inicio + 4), lat: buffer.readDoubleLE(inicio + 12) });
+    } else if ([8, 18, 28].includes(tipo) && buffer.readInt32LE(inicio + 36) > 0) { // MultiPoint
+      pontos.push({ lng: buffer.readDoubleLE(inicio + 40), lat: buffer.readDoubleLE(inicio + 48) });
+    } else {
+      pontos.push(null);
+    }
+    offset = inicio + tamanho;
+  }
+  return pontos;
+}
+
+// Registros do .dbf (dBASE III)
+function registrosDbf(buffer, codificacao) {
+  const totalRegistros = buffer.readUInt32LE(4);
+  const tamanhoCabecalho = buffer.readUInt16LE(8);
+  const tamanhoRegistro = buffer.readUInt16LE(10);
+
+  const campos = [];
+  for (let offset = 32; offset + 32 <= tamanhoCabecalho && buffer[offset] !== 0x0D; offset += 32) {
+    campos.push({
+      nome: buffer.toString('latin1', offset, offset + 11).replace(/\0[\s\S]*$/, '').trim(),
+      tipo: String.fromCharCode(buffer[offset + 11]),
+      tamanho: buffer[offset + 16]
+    });
+  }
+
+  const registros = [];
+  for (let i = 0; i < totalRegistros; i++) {
+    const inicio = tamanhoCabecalho + i * tamanhoRegistro;
+    if (inicio + tamanhoRegistro > buffer.length) {
+      break;
+    }
+    const apagado = buffer[inicio] === 0x2A; // '*'
+    let posicao = inicio + 1;
+    const registro = {};
+    for (const campo of campos) {
+      const bruto = buffer.toString(codificacao, posicao, posicao + campo.tamanho).trim();
+      posicao += campo.tamanho;
+      if (bruto === '') {
+        registro[campo.nome] = null;
+      } else if (campo.tipo === 'N' || campo.tipo === 'F') {
+        const numero = parseFloat(bruto);
+        registro[campo.nome] = Number.isFinite(numero) ? numero : null;
+      } else if (campo.tipo === 'D' && /^\d{8}$/.test(bruto)) {
+        registro[campo.nome] = `${bruto.slice(0, 4)}-${bruto.slice(4, 6)}-${bruto.slice(6, 8)}`;
+      } else {
+        registro[campo.nome] = bruto;
+      }
+    }
+    registros.push({ apagado, registro });
+  }
+  return registros;
+}
+
+async function lerShapefile(caminho) {
+  const zip = await JSZip.loadAsync(await fsPromises.readFile(caminho));
+  const entrada = (extensao) => Object.values(zip.files).find(arquivo => !arquivo.dir && arquivo.name.toLowerCase().endsWith(extensao));
+
+  const shp = entrada('.shp');
+  const dbf = entrada('.dbf');
+  if (!shp || !dbf) {
+    throw new Error('O .zip do Shapefile deve conter os arquivos .shp e .dbf');
+  }
+
+  const prj = entrada('.prj');
+  if (prj && /^\s*PROJCS/i.test(await prj.async('string'))) {
+    throw new Error('Shapefile em coordenadas projetadas. Exporte em WGS84 (EPSG:4326, latitude/longitude)');
+  }
+
+  // .cpg informa a codificação do .dbf (padrão latin1, comum nos exports de GIS)
+  const cpg = entrada('.cpg');
+  const codificacao = cpg && /utf-?8/i.test(await cpg.async('string')) ? 'utf8' : 'latin1';
+
+  const pontos = pontosShp(await shp.async('nodebuffer'));
+  const linhas = [];
+  registrosDbf(await dbf.async('nodebuffer'), codificacao).forEach(({ apagado, registro }, i) => {
+    if (!apagado) {
+      linhas.push(linhaGeografica(registro, pontos[i] || null));
+    }
+  });
+  return linhasGeograficas(linhas);
+}
+
+// ---------- Mapeamento de colunas ----------
+// Cabeçalhos que o mapeamento fixo do normalizeKey não conhece (ex: exports de GIS)
+// podem ser associados a um campo da base nas Configurações.
+
+// Campos da base de CTOs (colunas obrigatórias do upload)
+export const CAMPOS_BASE = [
+  'cid_rede', 'estado', 'pop', 'olt', 'slot', 'pon', 'id_cto', 'cto', 'latitude', 'longitude',
+  'status_cto', 'data_cadastro', 'portas', 'ocupado', 'livre', 'pct_ocup'
+];
+
+// Cabeçalho como comparado no normalizeKey (minúsculas, sem espaços nas pontas)
+export function chaveCabecalho(cabecalho) {
+  return String(cabecalho ?? '').trim().toLowerCase();
+}
+
+/**
+ * Validar mapeamentos de colunas
+ * @param {Object[]} mapeamentos - [{ cabecalho, campo }]
+ * @returns {Object} - { mapeamentos (normalizados e ordenados), erros }
+ */
+export function validarMapeamentosColunas(mapeamentos) {
+  if (!Array.isArray(mapeamentos)) {
+    return { mapeamentos: [], erros: ['mapeamentos deve ser uma lista'] };
+  }
+
+  const erros = [];
+  const vistos = new Set();
+  const validos = [];
+
+  mapeamentos.forEach((mapeamento, i) => {
+    const cabecalho = String(mapeamento?.cabecalho ?? '').trim();
+    const campo = String(mapeamento?.campo ?? '').trim().toLowerCase();
+    const linha = `Mapeamento ${i + 1}`;
+
+    if (!cabecalho) {
+      erros.push(`${linha}: cabeçalho vazio`);
+      return;
+    }
+    if (!CAMPOS_BASE.includes(campo)) {
+      erros.push(`${linha}: campo "${mapeamento?.campo ?? ''}" não existe na base (use ${CAMPOS_BASE.join(', ')})`);
+      return;
+    }
+    const chave = chaveCabecalho(cabecalho);
+    if (CAMPOS_BASE.includes(chave) && chave !== campo) {
+      erros.push(`${linha}: "${cabecalho}" já é o nome do campo ${chave}`);
+      return;
+    }
+    if (vistos.has(chave)) {
+      erros.push(`${linha}: cabeçalho "${cabecalho}" repetido`);
+      return;
+    }
+    vistos.add(chave);
+    validos.push({ cabecalho, campo });
+  });
+
+  validos.sort((a, b) => a.cabecalho.localeCompare(b.cabecalho, 'pt-BR'));
+  return { mapeamentos: validos, erros };
+}
+
+// ---------- Registro de leitores ----------
+
+const leitoresBase = [
+  { formato: 'csv', descricao: 'CSV (separado por vírgula, ponto e vírgula ou tabulação)', extensoes: ['.csv', '.txt'], ler: lerCsv },
+  { formato: 'geojson', descricao: 'GeoJSON (pontos)', extensoes: ['.geojson', '.json'], ler: lerGeoJSON },
+  { formato: 'kml', descricao: 'KML (Placemarks com Point)', extensoes: ['.kml'], ler: lerKml },
+  { formato: 'shapefile', descricao: 'Shapefile compactado (.zip com .shp, .dbf e .prj em WGS84)', extensoes: ['.zip'], ler: lerShapefile }
+];
+
+export function registrarLeitorBase(leitor) {
+  if (!leitor?.formato || !Array.isArray(leitor.extensoes) || typeof leitor.ler !== 'function') {
+    throw new Error('Leitor deve ter formato, extensoes e ler(caminho)');
+  }
+  leitoresBase.push({ ...leitor, extensoes: leitor.extensoes.map(extensao => extensao.toLowerCase()) });
+}
+
+// Leitor do arquivo pela extensão (null para Excel, que é lido direto, ou formato desconhecido)
+export function leitorDoArquivo(nomeArquivo) {
+  const extensao = extensaoArquivo(nomeArquivo);
+  return leitoresBase.find(leitor => leitor.extensoes.includes(extensao)) || null;
+}
+
+export function formatoAceito(nomeArquivo) {
+  return EXTENSOES_EXCEL.includes(extensaoArquivo(nomeArquivo)) || leitorDoArquivo(nomeArquivo) !== null;
+}
+
+// Formatos aceitos no upload (para a tela de Configurações e mensagens de erro)
+export function formatosBase() {
+  return [
+    { formato: 'excel', descricao: 'Excel', extensoes: EXTENSOES_EXCEL },
+    ...leitoresBase.map(({ formato, descricao, extensoes }) => ({ formato, descricao, extensoes }))
+  ];
+}
+
+/**
+ * Converter um arquivo de outro formato em planilha .xlsx (streaming na escrita)
+ * @param {string} origem - Caminho do arquivo enviado (a extensão define o leitor)
+ * @param {string} destino - Caminho do .xlsx a gerar
+ * @returns {Promise<Object>} - { formato, linhas, cabecalhos }
+ */
+export async function converterParaExcel(origem, destino) {
+  const leitor = leitorDoArquivo(origem);
+  if (!leitor) {
+    throw new Error(`Formato não suportado: ${extensaoArquivo(origem) || 'sem extensão'}`);
+  }
+
+  const { cabecalhos, linhas } = await leitor.ler(origem);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: destino, useStyles: false, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet('CTOs');
+  worksheet.addRow(cabecalhos).commit();
+
+  let total = 0;
+  for await (const linha of linhas) {
+    worksheet.addRow(cabecalhos.map(cabecalho => linha[cabecalho] ?? null)).commit();
+    total++;
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return { formato: leitor.formato, linhas: total, cabecalhos };
+}
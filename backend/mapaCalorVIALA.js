@@ -0,0 +1,126 @@
+// ============================================
+// Mapa de calor das consultas de VI ALA (grade hexagonal)
+// ============================================
+// Agrupa os registros da base de VI ALA em hexágonos pela latitude/longitude
+// para mostrar de onde vêm os pedidos e onde a resposta foi "Fora da Área de
+// Cobertura".
+//   - projeção equiretangular em metros (longitude escalada pelo cosseno de
+//     uma latitude de referência arredondada, para os ids dos hexágonos não
+//     mudarem com os filtros);
+//   - hexágonos "pointy-top" em coordenadas axiais (q, r), tamanho = distância
+//     do centro a um vértice.
+// ============================================
+
+import { TABULACAO_SEM_COBERTURA } from './planejamentoCTO.js';
+import { METROS_POR_GRAU, coordenada } from './utilitarios.js';
+
+export const HEX_TAMANHO_PADRAO_METROS = 500;
+export const HEX_TAMANHO_MIN_METROS = 50;
+export const HEX_TAMANHO_MAX_METROS = 20000;
+
+const RAIZ_3 = Math.sqrt(3);
+
+// Arredondar coordenadas axiais fracionárias para o hexágono mais próximo (via coordenadas cúbicas)
+function arredondarHex(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return [rq, rr];
+}
+
+/**
+ * Agrupar registros de VI ALA em hexágonos
+ * @param {Object[]} registros - Linhas da base (colunas LATITUDE, LONGITUDE, TABULAÇÃO FINAL...)
+ * @param {Object} opcoes - { tamanhoMetros }
+ * @returns {Object} - { hexagonos: [{ id, centro, poligono, total, sem_cobertura, pct_sem_cobertura, por_tabulacao }], total, sem_coordenadas, max_total }
+ */
+export function agruparEmHexagonos(registros, { tamanhoMetros = HEX_TAMANHO_PADRAO_METROS } = {}) {
+  const pontos = [];
+  let semCoordenadas = 0;
+  for (const row of registros) {
+    const latitude = coordenada(row['LATITUDE']);
+    const longitude = coordenada(row['LONGITUDE']);
+    if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || (latitude === 0 && longitude === 0)) {
+      semCoordenadas++;
+      continue;
+    }
+    pontos.push({ latitude, longitude, tabulacao: String(row['TABULAÇÃO FINAL'] || '').trim() || 'Não Informado' });
+  }
+
+  if (pontos.length === 0) {
+    return { hexagonos: [], total: 0, sem_coordenadas: semCoordenadas, max_total: 0 };
+  }
+
+  const latReferencia = Math.round(pontos.reduce((soma, ponto) => soma + ponto.latitude, 0) / pontos.length);
+  const metrosPorGrauLng = METROS_POR_GRAU * Math.max(Math.cos(latReferencia * Math.PI / 180), 0.01);
+  const paraLatLng = (x, y) => [
+    Math.round((x / metrosPorGrauLng) * 1e6) / 1e6,
+    Math.round((y / METROS_POR_GRAU) * 1e6) / 1e6
+  ];
+
+  const hexagonos = new Map();
+  for (const ponto of pontos) {
+    const x = ponto.longitude * metrosPorGrauLng;
+    const y = ponto.latitude * METROS_POR_GRAU;
+    const [q, r] = arredondarHex((RAIZ_3 / 3 * x - y / 3) / tamanhoMetros, (2 / 3 * y) / tamanhoMetros);
+    const id = `${q}:${r}`;
+    if (!hexagonos.has(id)) {
+      hexagonos.set(id, { id, q, r, total: 0, sem_cobertura: 0, por_tabulacao: {} });
+    }
+    const hexagono = hexagonos.get(id);
+    hexagono.total++;
+    hexagono.por_tabulacao[ponto.tabulacao] = (hexagono.por_tabulacao[ponto.tabulacao] || 0) + 1;
+    if (ponto.tabulacao.toLowerCase() === TABULACAO_SEM_COBERTURA.toLowerCase()) {
+      hexagono.sem_cobertura++;
+    }
+  }
+
+  let maxTotal = 0;
+  const lista = [...hexagonos.values()].map(({ q, r, ...hexagono }) => {
+    const cx = tamanhoMetros * RAIZ_3 * (q + r / 2);
+    const cy = tamanhoMetros * 1.5 * r;
+    const vertices = [];
+    for (let i = 0; i < 6; i++) {
+      const angulo = (60 * i + 30) * Math.PI / 180;
+      vertices.push(paraLatLng(cx + tamanhoMetros * Math.cos(angulo), cy + tamanhoMetros * Math.sin(angulo)));
+    }
+    vertices.push(vertices[0]);
+    maxTotal = Math.max(maxTotal, hexagono.total);
+    return {
+      ...hexagono,
+      centro: paraLatLng(cx, cy),
+      poligono: vertices,
+      pct_sem_cobertura: Math.round((hexagono.sem_cobertura / hexagono.total) * 10000) / 100
+    };
+  });
+
+  lista.sort((a, b) => b.total - a.total);
+  return { hexagonos: lista, total: pontos.length, sem_coordenadas: semCoordenadas, max_total: maxTotal };
+}
+
+/**
+ * Montar o GeoJSON da grade (um Polygon por hexágono com contagens nas propriedades)
+ * @param {Object[]} hexagonos - Hexágonos de agruparEmHexagonos
+ * @param {Object} resumo - Propriedades da FeatureCollection
+ * @returns {Object} - FeatureCollection
+ */
+export function geojsonHexagonos(hexagonos, resumo = {}) {
+  return {
+    type: 'FeatureCollection',
+    properties: resumo,
+    features: hexagonos.map(({ poligono, centro, ...propriedades }) => ({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [poligono] },
+      properties: { ...propriedades, centro }
+    }))
+  };
+}
@@ -0,0 +1,92 @@
+// Migração única: converte senhas em texto puro dos projetistas para hash (scrypt)
+// Atualiza o Supabase (se configurado) e o arquivo projetistas.xlsx (se existir)
+// Uso: npm run migrate-passwords
+// Senhas que já estão em hash são ignoradas, então o script pode ser executado mais de uma vez
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import supabase, { isSupabaseAvailable } from './supabase.js';
+import { hashPassword, isPasswordHash } from './auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const PROJETISTAS_FILE = path.join(DATA_DIR, 'projetistas.xlsx');
+
+// Migrar senhas da tabela projetistas no Supabase
+async function migrateSupabase() {
+  if (!supabase || !isSupabaseAvailable()) {
+    console.log('⚠️ Supabase não configurado, pulando migração no Supabase');
+    return;
+  }
+
+  const { data, error } = await supabase
+    .from('projetistas')
+    .select('id, nome, senha');
+
+  if (error) {
+    throw error;
+  }
+
+  let migrated = 0;
+  for (const projetista of data || []) {
+    if (!projetista.senha || isPasswordHash(projetista.senha)) {
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('projetistas')
+      .update({ senha: await hashPassword(String(projetista.senha).trim()) })
+      .eq('id', projetista.id);
+
+    if (updateError) {
+      console.error(`❌ [Supabase] Erro ao migrar senha de '${projetista.nome}':`, updateError.message);
+      continue;
+    }
+    migrated++;
+  }
+
+  console.log(`✅ [Supabase] ${migrated} senha(s) convertida(s) para hash (${(data || []).length} projetista(s) verificados)`);
+}
+
+// Migrar senhas do arquivo projetistas.xlsx
+async function migrateExcel() {
+  if (!fs.existsSync(PROJETISTAS_FILE)) {
+    console.log(`⚠️ Arquivo não encontrado, pulando migração no Excel: ${PROJETISTAS_FILE}`);
+    return;
+  }
+
+  const workbook = XLSX.readFile(PROJETISTAS_FILE);
+  const sheetName = workbook.SheetNames[0];
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+
+  let migrated = 0;
+  for (const row of rows) {
+    const senhaCol = Object.keys(row).find(col => col.toLowerCase().trim() === 'senha');
+    if (!senhaCol || !row[senhaCol] || isPasswordHash(row[senhaCol])) {
+      continue;
+    }
+
+    row[senhaCol] = await hashPassword(String(row[senhaCol]).trim());
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    workbook.Sheets[sheetName] = XLSX.utils.json_to_sheet(rows);
+    XLSX.writeFile(workbook, PROJETISTAS_FILE);
+  }
+
+  console.log(`✅ [Excel] ${migrated} senha(s) convertida(s) para hash (${rows.length} projetista(s) verificados)`);
+}
+
+try {
+  await migrateSupabase();
+  await migrateExcel();
+  console.log('\n🔒 Migração de senhas concluída\n');
+  process.exit(0);
+} catch (err) {
+  console.error('❌ Erro na migração de senhas:', err);
+  process.exit(1);
+}
@@ -0,0 +1,223 @@
+// ============================================
+// Planejamento de novas CTOs para a demanda sem cobertura
+// ============================================
+// As consultas tabuladas como "Fora da Área de Cobertura" ficam na base de
+// VI ALA com latitude/longitude. Aqui elas são agrupadas em locais candidatos
+// a uma nova CTO:
+//   - cada candidato atende os pontos a até o raio de cobertura configurado;
+//   - escolha gulosa: a cada passo entra o local que cobre mais pontos ainda
+//     não atendidos (centro = ponto de demanda ou centroide do grupo, o que
+//     cobrir mais);
+//   - para quando atinge o máximo de sugestões ou quando o melhor local cobre
+//     menos que o mínimo de pontos.
+// A PON que alimenta cada candidato é escolhida no server.js (CTOs próximas +
+// perfis de PON) e o resultado sai como GeoJSON para o MapaConsulta.
+// ============================================
+
+import { METROS_POR_GRAU, coordenada, distanciaMetros } from './utilitarios.js';
+
+export const TABULACAO_SEM_COBERTURA = 'Fora da Área de Cobertura';
+export const NOVAS_CTOS_PADRAO = 20;
+export const NOVAS_CTOS_MAXIMO = 100;
+export const NOVAS_CTOS_MINIMO_PONTOS_PADRAO = 2;
+
+function normalizarTabulacao(valor) {
+  return String(valor ?? '').trim().toLowerCase();
+}
+
+/**
+ * Pontos de demanda sem cobertura da base de VI ALA
+ * @param {Object[]} registros - Linhas da base (colunas VI ALA, CIDADE, ENDEREÇO, LATITUDE, LONGITUDE, TABULAÇÃO FINAL...)
+ * @returns {Object} - { pontos: [{ vi_ala, cidade, endereco, projetista, data, latitude, longitude }], sem_coordenadas }
+ */
+export function pontosSemCobertura(registros) {
+  const alvo = normalizarTabulacao(TABULACAO_SEM_COBERTURA);
+  const pontos = [];
+  let semCoordenadas = 0;
+
+  for (const row of registros) {
+    if (normalizarTabulacao(row['TABULAÇÃO FINAL']) !== alvo) {
+      continue;
+    }
+    const latitude = coordenada(row['LATITUDE']);
+    const longitude = coordenada(row['LONGITUDE']);
+    if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || (latitude === 0 && longitude === 0)) {
+      semCoordenadas++;
+      continue;
+    }
+    pontos.push({
+      vi_ala: row['VI ALA'] || '',
+      cidade: String(row['CIDADE'] || '').trim(),
+      endereco: row['ENDEREÇO'] || '',
+      projetista: row['PROJETISTA'] || '',
+      data: row['DATA'] || '',
+      latitude,
+      longitude
+    });
+  }
+
+  return { pontos, sem_coordenadas: semCoordenadas };
+}
+
+// Grade de células com lado >= raio: os vizinhos de um ponto estão nas 3×3 células ao redor
+// A largura em longitude usa a maior |latitude| dos pontos: lá um grau de longitude tem menos
+// metros, então a célula cobre o raio em todas as latitudes (com a média, pontos de cidades mais
+// ao sul/norte ficariam a mais de uma célula de distância e os vizinhos se perderiam)
+function criarGrade(pontos, raioMetros) {
+  const latMaxima = pontos.reduce((maior, ponto) => Math.max(maior, Math.abs(ponto.latitude)), 0);
+  const passoLat = raioMetros / METROS_POR_GRAU;
+  const passoLng = raioMetros / (METROS_POR_GRAU * Math.max(Math.cos(latMaxima * Math.PI / 180), 0.01));
+  const celula = (lat, lng) => [Math.floor(lat / passoLat), Math.floor(lng / passoLng)];
+  const celulas = new Map();
+
+  pontos.forEach((ponto, indice) => {
+    const chave = celula(ponto.latitude, ponto.longitude).join(':');
+    if (!celulas.has(chave)) {
+      celulas.set(chave, []);
+    }
+    celulas.get(chave).push(indice);
+  });
+
+  // Índices dos pontos a até raioMetros de (lat, lng)
+  return (lat, lng) => {
+    const [linha, coluna] = celula(lat, lng);
+    const proximos = [];
+    for (let i = linha - 1; i <= linha + 1; i++) {
+      for (let j = coluna - 1; j <= coluna + 1; j++) {
+        for (const indice of celulas.get(`${i}:${j}`) || []) {
+          const ponto = pontos[indice];
+          if (distanciaMetros(lat, lng, ponto.latitude, ponto.longitude) <= raioMetros) {
+            proximos.push(indice);
+          }
+        }
+      }
+    }
+    return proximos;
+  };
+}
+
+/**
+ * Sugerir locais para novas CTOs que cubram o máximo de pontos sem cobertura
+ * @param {Object[]} pontos - Pontos de pontosSemCobertura (mesmo raio para todos)
+ * @param {Object} opcoes - { raioMetros, maxSugestoes, minimoPontos }
+ * @returns {Object[]} - [{ latitude, longitude, raio_metros, pontos: [...] }] do local que cobre mais para o que cobre menos
+ */
+export function sugerirLocaisCTO(pontos, { raioMetros, maxSugestoes = NOVAS_CTOS_PADRAO, minimoPontos = NOVAS_CTOS_MINIMO_PONTOS_PADRAO } = {}) {
+  if (pontos.length === 0) {
+    return [];
+  }
+
+  const proximosDe = criarGrade(pontos, raioMetros);
+  const vizinhos = pontos.map(ponto => proximosDe(ponto.latitude, ponto.longitude));
+  const atendido = new Array(pontos.length).fill(false);
+  const contagem = vizinhos.map(lista => lista.length); // Pontos ainda não atendidos no raio de cada ponto
+  const sugestoes = [];
+
+  while (sugestoes.length < maxSugestoes) {
+    let melhor = -1;
+    for (let i = 0; i < pontos.length; i++) {
+      if (!atendido[i] && (melhor === -1 || contagem[i] > contagem[melhor])) {
+        melhor = i;
+      }
+    }
+    if (melhor === -1 || contagem[melhor] < minimoPontos) {
+      break;
+    }
+
+    // Centroide do grupo: costuma ficar mais perto de todos e alcançar pontos da borda
+    let cobertos = vizinhos[melhor].filter(indice => !atendido[indice]);
+    let latitude = pontos[melhor].latitude;
+    let longitude = pontos[melhor].longitude;
+    const latCentro = cobertos.reduce((soma, indice) => soma + pontos[indice].latitude, 0) / cobertos.length;
+    const lngCentro = cobertos.reduce((soma, indice) => soma + pontos[indice].longitude, 0) / cobertos.length;
+    const doCentro = proximosDe(latCentro, lngCentro).filter(indice => !atendido[indice]);
+    if (doCentro.length >= cobertos.length) {
+      cobertos = doCentro;
+      latitude = latCentro;
+      longitude = lngCentro;
+    }
+
+    for (const indice of cobertos) {
+      atendido[indice] = true;
+      for (const vizinho of vizinhos[indice]) {
+        contagem[vizinho]--;
+      }
+    }
+
+    sugestoes.push({
+      latitude: Math.round(latitude * 1e6) / 1e6,
+      longitude: Math.round(longitude * 1e6) / 1e6,
+      raio_metros: raioMetros,
+      pontos: cobertos.map(indice => ({
+        ...pontos[indice],
+        distancia_metros: Math.round(distanciaMetros(latitude, longitude, pontos[indice].latitude, pontos[indice].longitude))
+      }))
+    });
+  }
+
+  return sugestoes;
+}
+
+/**
+ * Montar o GeoJSON das sugestões para sobrepor no mapa
+ * Features: 'nova_cto' (Point do local), 'demanda' (Point de cada VI ALA atendida)
+ * e 'alimentacao' (LineString do local até a CTO de referência da PON escolhida)
+ * @param {Object[]} sugestoes - Sugestões com id e pon_alimentacao (ou null)
+ * @param {Object} resumo - Propriedades da FeatureCollection
+ * @returns {Object} - FeatureCollection
+ */
+export function geojsonNovasCTOs(sugestoes, resumo = {}) {
+  const features = [];
+
+  for (const sugestao of sugestoes) {
+    const { pontos, pon_alimentacao: pon, ...dados } = sugestao;
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [sugestao.longitude, sugestao.latitude] },
+      properties: {
+        tipo: 'nova_cto',
+        ...dados,
+        pontos_cobertos: pontos.length,
+        vi_alas: pontos.map(ponto => ponto.vi_ala),
+        pon_alimentacao: pon
+      }
+    });
+
+    for (const ponto of pontos) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [ponto.longitude, ponto.latitude] },
+        properties: {
+          tipo: 'demanda',
+          sugestao: sugestao.id,
+          vi_ala: ponto.vi_ala,
+          cidade: ponto.cidade,
+          endereco: ponto.endereco,
+          data: ponto.data,
+          distancia_metros: ponto.distancia_metros
+        }
+      });
+    }
+
+    if (pon?.cto_referencia) {
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: [
+            [sugestao.longitude, sugestao.latitude],
+            [pon.cto_referencia.longitude, pon.cto_referencia.latitude]
+          ]
+        },
+        properties: {
+          tipo: 'alimentacao',
+          sugestao: sugestao.id,
+          pon: pon.chave,
+          distancia_metros: pon.distancia_metros
+        }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', properties: resumo, features };
+}
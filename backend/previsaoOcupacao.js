@@ -0,0 +1,119 @@
+// ============================================
+// Previsão de esgotamento das CTOs e PONs
+// ============================================
+// Usa o histórico de ocupação gravado a cada upload da base
+// (ctos_ocupacao_historico) para estimar quando cada CTO e cada caminho
+// cid_rede/pop/olt/slot/pon chega a 100% das portas.
+//
+// Modelo: tendência linear (mínimos quadrados) das portas ocupadas em função do
+// tempo, ajustada nos uploads da janela recente. A inclinação (regr_slope) e o
+// r² (regr_r2) vêm do banco, por ocupacao_tendencias()
+// (backend/sql/create_ctos_ocupacao_historico.sql), só para as CTOs e caminhos
+// do último upload. A projeção parte da ocupação do último upload e avança pela
+// inclinação da reta:
+//   dias_para_esgotar = (portas - ocupado_atual) / portas_por_dia
+// Séries com menos de PREVISAO_MINIMO_PONTOS uploads ou tendência estável/de
+// queda não têm previsão. CTOs e PONs já sem portas livres entram com 0 dias.
+// ============================================
+
+import { texto, inteiro, arredondar } from './utilitarios.js';
+
+export const PREVISAO_HORIZONTE_PADRAO_DIAS = 90;
+export const PREVISAO_HORIZONTE_MAXIMO_DIAS = 730;
+export const PREVISAO_JANELA_DIAS = 180; // Uploads usados no ajuste da tendência
+export const PREVISAO_MINIMO_PONTOS = 3;
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Número da tendência vindo do banco (NULL ou inválido vira null)
+function numeroOuNull(valor) {
+  const numero = valor === null || valor === undefined ? NaN : Number(valor);
+  return Number.isFinite(numero) ? numero : null;
+}
+
+/**
+ * Prever o esgotamento de uma série (CTO ou PON) a partir da tendência calculada no banco
+ * @param {Object} tendencia - { uploads, ultimo_upload, portas, ocupado, portas_por_dia, r2 } (linha de ocupacao_tendencias)
+ * @param {Object} opcoes - { agora (ms), minimoPontos }
+ * @returns {Object} - { portas, ocupado, livre, pct_ocup, uploads, ultimo_upload, portas_por_mes, r2, dias_para_esgotar, data_esgotamento }
+ */
+export function preverSerie(tendencia, { agora = Date.now(), minimoPontos = PREVISAO_MINIMO_PONTOS } = {}) {
+  const portas = inteiro(tendencia.portas);
+  const ocupado = inteiro(tendencia.ocupado);
+  const uploads = inteiro(tendencia.uploads);
+  const tempoUltimo = new Date(tendencia.ultimo_upload).getTime();
+  const resultado = {
+    portas,
+    ocupado,
+    livre: Math.max(portas - ocupado, 0),
+    pct_ocup: portas > 0 ? arredondar((ocupado / portas) * 100) : 0,
+    uploads,
+    ultimo_upload: Number.isFinite(tempoUltimo) ? new Date(tempoUltimo).toISOString() : null,
+    portas_por_mes: null,
+    r2: null,
+    dias_para_esgotar: null,
+    data_esgotamento: null
+  };
+
+  if (portas <= 0) {
+    return resultado;
+  }
+
+  const portasPorDia = uploads >= minimoPontos ? numeroOuNull(tendencia.portas_por_dia) : null;
+  if (portasPorDia !== null) {
+    resultado.portas_por_mes = arredondar(portasPorDia * 30);
+    // regr_r2 é NULL quando a ocupação não variou (reta perfeita)
+    resultado.r2 = arredondar(numeroOuNull(tendencia.r2) ?? 1);
+  }
+
+  let dias = null;
+  if (ocupado >= portas) {
+    dias = 0;
+  } else if (portasPorDia !== null && portasPorDia > 0) {
+    // Projeção a partir do último upload, descontando o tempo já passado desde ele
+    const diasDesdeUltimo = Number.isFinite(tempoUltimo) ? Math.max((agora - tempoUltimo) / DIA_MS, 0) : 0;
+    dias = Math.max((portas - ocupado) / portasPorDia - diasDesdeUltimo, 0);
+  }
+
+  if (dias !== null) {
+    resultado.dias_para_esgotar = Math.ceil(dias);
+    resultado.data_esgotamento = new Date(agora + Math.ceil(dias) * DIA_MS).toISOString().slice(0, 10);
+  }
+  return resultado;
+}
+
+/**
+ * Prever o esgotamento das CTOs e dos caminhos cid_rede/pop/olt/slot/pon
+ * @param {Object} tendencias - Retorno de ocupacao_tendencias: { ctos: [...], pons: [...] }
+ * @param {Object} opcoes - { agora (ms), minimoPontos }
+ * @returns {Object} - { ctos: [...], pons: [...] } com a previsão de cada série (sem filtro de horizonte)
+ */
+export function preverEsgotamento({ ctos = [], pons = [] } = {}, opcoes = {}) {
+  const caminhoDe = (linha) => ({
+    cid_rede: texto(linha.cid_rede),
+    pop: texto(linha.pop),
+    olt: texto(linha.olt),
+    slot: texto(linha.slot),
+    pon: texto(linha.pon)
+  });
+
+  return {
+    ctos: ctos.map(linha => ({
+      id_cto: String(linha.id_cto ?? '').trim(),
+      nome: texto(linha.cto),
+      ...caminhoDe(linha),
+      ...preverSerie(linha, opcoes)
+    })),
+    pons: pons.map(linha => {
+      const caminho = caminhoDe(linha);
+      return { chave: Object.values(caminho).join('|'), ...caminho, total_ctos: inteiro(linha.total_ctos), ...preverSerie(linha, opcoes) };
+    })
+  };
+}
+
+// Séries que esgotam dentro do horizonte, das mais urgentes para as menos
+export function filtrarPorHorizonte(previsoes, horizonteDias) {
+  return previsoes
+    .filter(previsao => previsao.dias_para_esgotar !== null && previsao.dias_para_esgotar <= horizonteDias)
+    .sort((a, b) => (a.dias_para_esgotar - b.dias_para_esgotar) || (b.pct_ocup - a.pct_ocup));
+}
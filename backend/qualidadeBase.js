@@ -0,0 +1,221 @@
+// ============================================
+// Qualidade dos dados da base de CTOs
+// ============================================
+// Roda depois de cada upload da base (e sob demanda em /api/base/quality) e
+// aponta os problemas que hoje passam em silêncio:
+//   - linhas da planilha ignoradas no upload (coordenada inválida, erro de leitura);
+//   - coordenadas inválidas ou com latitude e longitude invertidas;
+//   - CTOs fora da área da cidade (cid_rede);
+//   - nomes de CTO repetidos na mesma cidade;
+//   - ocupado maior que portas e pct_ocup diferente de ocupado/portas;
+//   - status_cto fora dos valores conhecidos.
+//
+// A base não tem o limite oficial das cidades, então a área de cada cid_rede é
+// ESTIMADA pelas próprias CTOs: centro = mediana das coordenadas, raio =
+// CIDADE_FATOR_MEDIANA × a distância mediana até o centro (mínimo de
+// CIDADE_RAIO_MINIMO_METROS). Cidades com poucas CTOs não são avaliadas.
+// ============================================
+
+import { texto, distanciaMetros } from './utilitarios.js';
+
+export const TIPOS_PROBLEMA_QUALIDADE = {
+  linha_ignorada: 'Linha ignorada no upload',
+  coordenada_invalida: 'Coordenada inválida',
+  coordenada_invertida: 'Latitude e longitude invertidas',
+  fora_da_cidade: 'Fora da área da cidade (cid_rede)',
+  nome_duplicado: 'Nome de CTO repetido na cidade',
+  ocupado_maior_que_portas: 'Ocupadas maior que portas',
+  pct_ocup_inconsistente: 'PCT_OCUP diferente de ocupado/portas',
+  status_desconhecido: 'Status da CTO desconhecido'
+};
+
+// Status usados pelas ferramentas (ATIVADO / NÃO ATIVADO); status das regras de cobertura também contam como conhecidos
+export const STATUS_CTO_CONHECIDOS = ['ATIVADO', 'NAO ATIVADO'];
+
+// Retângulo que contém o Brasil (coordenadas fora dele são consideradas inválidas)
+export const LIMITES_BRASIL = { minLat: -34, maxLat: 5.5, minLng: -74, maxLng: -34 };
+
+export const TOLERANCIA_PCT_OCUP = 1; // Pontos percentuais
+export const CIDADE_MINIMO_CTOS = 5;
+export const CIDADE_FATOR_MEDIANA = 4;
+export const CIDADE_RAIO_MINIMO_METROS = 15000;
+
+const CTOS_POR_DUPLICADO_NO_DETALHE = 5;
+
+// Comparação sem acento, em maiúsculas e com espaços simples
+export function normalizarTexto(valor) {
+  return String(valor ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, ' ');
+}
+
+function numero(valor) {
+  if (valor === null || valor === undefined || valor === '') {
+    return null;
+  }
+  const convertido = typeof valor === 'number' ? valor : parseFloat(String(valor).replace(',', '.'));
+  return Number.isFinite(convertido) ? convertido : null;
+}
+
+function dentroDoBrasil(lat, lng) {
+  return lat >= LIMITES_BRASIL.minLat && lat <= LIMITES_BRASIL.maxLat &&
+    lng >= LIMITES_BRASIL.minLng && lng <= LIMITES_BRASIL.maxLng;
+}
+
+function mediana(valores) {
+  const ordenados = [...valores].sort((a, b) => a - b);
+  const meio = Math.floor(ordenados.length / 2);
+  return ordenados.length % 2 ? ordenados[meio] : (ordenados[meio - 1] + ordenados[meio]) / 2;
+}
+
+function km(metros) {
+  return (metros / 1000).toFixed(1).replace('.', ',');
+}
+
+// Avaliar as coordenadas de uma CTO
+// Retorna { tipo, detalhe } do problema ou null se as coordenadas forem válidas
+export function problemaCoordenada(latitude, longitude) {
+  const lat = numero(latitude);
+  const lng = numero(longitude);
+  if (lat === null || lng === null) {
+    return { tipo: 'coordenada_invalida', detalhe: 'Latitude ou longitude ausente ou não numérica' };
+  }
+  if (lat === 0 && lng === 0) {
+    return { tipo: 'coordenada_invalida', detalhe: 'Coordenada (0, 0)' };
+  }
+  if (dentroDoBrasil(lat, lng)) {
+    return null;
+  }
+  if (dentroDoBrasil(lng, lat)) {
+    return { tipo: 'coordenada_invertida', detalhe: `Latitude ${lat} e longitude ${lng} parecem invertidas` };
+  }
+  return { tipo: 'coordenada_invalida', detalhe: `Coordenada (${lat}, ${lng}) fora do Brasil` };
+}
+
+/**
+ * Avaliar a qualidade da base
+ * @param {Object[]} ctos - CTOs da base (id_cto, cto, cid_rede, pop, latitude, longitude, portas, ocupado, pct_ocup, status_cto)
+ * @param {Object} opcoes
+ * @param {Object[]} opcoes.linhasIgnoradas - Linhas ignoradas no upload ({ linha, id_cto, cto, cid_rede, detalhe })
+ * @param {string[]} opcoes.statusConhecidos - Status aceitos além de STATUS_CTO_CONHECIDOS
+ * @returns {Object} - { total_ctos, ctos_com_problemas, total_problemas, resumo: [{ tipo, descricao, total }], problemas }
+ */
+export function avaliarQualidadeBase(ctos, { linhasIgnoradas = [], statusConhecidos = [] } = {}) {
+  const problemas = [];
+  const idsComProblema = new Set();
+  const status = new Set([...STATUS_CTO_CONHECIDOS, ...statusConhecidos].map(normalizarTexto));
+
+  const registrar = (tipo, cto, detalhe) => {
+    problemas.push({
+      tipo,
+      id_cto: cto.id_cto ?? '',
+      cto: cto.cto ?? '',
+      cid_rede: cto.cid_rede ?? '',
+      pop: cto.pop ?? '',
+      latitude: cto.latitude ?? '',
+      longitude: cto.longitude ?? '',
+      detalhe
+    });
+    idsComProblema.add(String(cto.id_cto));
+  };
+
+  for (const linha of linhasIgnoradas) {
+    problemas.push({
+      tipo: 'linha_ignorada',
+      linha: linha.linha ?? '',
+      id_cto: linha.id_cto ?? '',
+      cto: linha.cto ?? '',
+      cid_rede: linha.cid_rede ?? '',
+      pop: linha.pop ?? '',
+      latitude: linha.latitude ?? '',
+      longitude: linha.longitude ?? '',
+      detalhe: linha.detalhe
+    });
+  }
+
+  const coordenadasPorCidade = new Map();
+  const nomesPorCidade = new Map();
+
+  for (const cto of ctos) {
+    const problema = problemaCoordenada(cto.latitude, cto.longitude);
+    if (problema) {
+      registrar(problema.tipo, cto, problema.detalhe);
+    } else {
+      const cidade = texto(cto.cid_rede);
+      if (!coordenadasPorCidade.has(cidade)) {
+        coordenadasPorCidade.set(cidade, []);
+      }
+      coordenadasPorCidade.get(cidade).push({ cto, lat: numero(cto.latitude), lng: numero(cto.longitude) });
+    }
+
+    const nome = normalizarTexto(cto.cto);
+    if (nome) {
+      const chave = `${texto(cto.cid_rede)}|${nome}`;
+      if (!nomesPorCidade.has(chave)) {
+        nomesPorCidade.set(chave, []);
+      }
+      nomesPorCidade.get(chave).push(cto);
+    }
+
+    const portas = numero(cto.portas);
+    const ocupado = numero(cto.ocupado);
+    if (portas !== null && ocupado !== null && ocupado > portas) {
+      registrar('ocupado_maior_que_portas', cto, `${ocupado} ocupada(s) em ${portas} porta(s)`);
+    }
+
+    // pct_ocup pode vir em percentual (0-100) ou em fração (0-1)
+    const pctOcup = numero(cto.pct_ocup);
+    if (pctOcup !== null && portas !== null && portas > 0 && ocupado !== null) {
+      const esperado = (ocupado / portas) * 100;
+      if (Math.abs(pctOcup - esperado) > TOLERANCIA_PCT_OCUP && Math.abs(pctOcup * 100 - esperado) > TOLERANCIA_PCT_OCUP) {
+        registrar('pct_ocup_inconsistente', cto, `PCT_OCUP ${pctOcup} para ${ocupado}/${portas} (esperado ${esperado.toFixed(1)}%)`);
+      }
+    }
+
+    if (!status.has(normalizarTexto(cto.status_cto))) {
+      registrar('status_desconhecido', cto, cto.status_cto ? `Status "${cto.status_cto}"` : 'Status vazio');
+    }
+  }
+
+  // Área estimada de cada cidade
+  for (const [cidade, pontos] of coordenadasPorCidade) {
+    if (pontos.length < CIDADE_MINIMO_CTOS) {
+      continue;
+    }
+    const centro = { lat: mediana(pontos.map(p => p.lat)), lng: mediana(pontos.map(p => p.lng)) };
+    const distancias = pontos.map(p => distanciaMetros(centro.lat, centro.lng, p.lat, p.lng));
+    const limite = Math.max(CIDADE_RAIO_MINIMO_METROS, CIDADE_FATOR_MEDIANA * mediana(distancias));
+    pontos.forEach((ponto, i) => {
+      if (distancias[i] > limite) {
+        registrar('fora_da_cidade', ponto.cto, `A ${km(distancias[i])} km do centro das CTOs de ${cidade} (limite ${km(limite)} km)`);
+      }
+    });
+  }
+
+  for (const grupo of nomesPorCidade.values()) {
+    if (grupo.length < 2) {
+      continue;
+    }
+    const ids = grupo.map(cto => cto.id_cto).slice(0, CTOS_POR_DUPLICADO_NO_DETALHE).join(', ');
+    const restantes = grupo.length > CTOS_POR_DUPLICADO_NO_DETALHE ? ` e mais ${grupo.length - CTOS_POR_DUPLICADO_NO_DETALHE}` : '';
+    for (const cto of grupo) {
+      registrar('nome_duplicado', cto, `Nome usado por ${grupo.length} CTOs de ${texto(cto.cid_rede)} (id_cto ${ids}${restantes})`);
+    }
+  }
+
+  const totais = new Map(Object.keys(TIPOS_PROBLEMA_QUALIDADE).map(tipo => [tipo, 0]));
+  for (const problema of problemas) {
+    totais.set(problema.tipo, totais.get(problema.tipo) + 1);
+  }
+
+  return {
+    total_ctos: ctos.length,
+    ctos_com_problemas: idsComProblema.size,
+    total_problemas: problemas.length,
+    resumo: [...totais].map(([tipo, total]) => ({ tipo, descricao: TIPOS_PROBLEMA_QUALIDADE[tipo], total })),
+    problemas
+  };
+}
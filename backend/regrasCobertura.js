@@ -0,0 +1,114 @@
+// ============================================
+// Regras de raio da mancha de cobertura
+// ============================================
+// Cada regra define o raio de atendimento (em metros) das CTOs de uma cidade
+// (cid_rede), de um POP (pop) ou de um status de CTO (status_cto).
+// Uma CTO usa a regra de maior prioridade entre as que casam com ela; em caso
+// de empate vale a mais específica (status_cto, depois pop, depois cid_rede).
+// CTOs sem regra usam RAIO_COBERTURA_PADRAO_METROS.
+// As regras são gravadas na tabela regras_cobertura (editor nas Configurações).
+// ============================================
+
+import crypto from 'crypto';
+
+// Campos aceitos (chave → descrição exibida no editor)
+export const CAMPOS_REGRA_COBERTURA = {
+  cid_rede: 'Cidade (CID_REDE)',
+  pop: 'POP',
+  status_cto: 'Status da CTO'
+};
+
+export const RAIO_COBERTURA_PADRAO_METROS = 250;
+export const RAIO_COBERTURA_MIN_METROS = 10;
+export const RAIO_COBERTURA_MAX_METROS = 5000;
+
+// Ordem de desempate (mais específico primeiro)
+const ORDEM_CAMPOS = ['status_cto', 'pop', 'cid_rede'];
+
+// Valores são comparados sem espaços nas pontas e em maiúsculas
+function normalizarValor(valor) {
+  return String(valor ?? '').trim().toUpperCase();
+}
+
+// Validar e normalizar a lista de regras enviada pelo editor
+// Retorna { regras, erros } (erros vazio = lista válida)
+export function validarRegrasCobertura(lista) {
+  if (!Array.isArray(lista)) {
+    return { regras: [], erros: ['Regras devem ser uma lista'] };
+  }
+
+  const erros = [];
+  const regras = [];
+  const chaves = new Set();
+
+  lista.forEach((item, indice) => {
+    const linha = `Regra ${indice + 1}`;
+    const campo = String(item?.campo || '').trim().toLowerCase();
+    const valor = normalizarValor(item?.valor);
+    const raio = Number(item?.raio_metros);
+    const prioridade = item?.prioridade === undefined || item?.prioridade === '' ? 0 : Number(item.prioridade);
+
+    if (!Object.prototype.hasOwnProperty.call(CAMPOS_REGRA_COBERTURA, campo)) {
+      erros.push(`${linha}: campo inválido (use ${Object.keys(CAMPOS_REGRA_COBERTURA).join(', ')})`);
+      return;
+    }
+    if (!valor) {
+      erros.push(`${linha}: valor é obrigatório`);
+      return;
+    }
+    if (!Number.isFinite(raio) || raio < RAIO_COBERTURA_MIN_METROS || raio > RAIO_COBERTURA_MAX_METROS) {
+      erros.push(`${linha}: raio deve estar entre ${RAIO_COBERTURA_MIN_METROS} e ${RAIO_COBERTURA_MAX_METROS} metros`);
+      return;
+    }
+    if (!Number.isInteger(prioridade)) {
+      erros.push(`${linha}: prioridade deve ser um número inteiro`);
+      return;
+    }
+
+    const chave = `${campo}:${valor}`;
+    if (chaves.has(chave)) {
+      erros.push(`${linha}: já existe uma regra para ${campo} = ${valor}`);
+      return;
+    }
+    chaves.add(chave);
+
+    regras.push({ campo, valor, raio_metros: raio, prioridade });
+  });
+
+  return { regras, erros };
+}
+
+// Ordenar regras pela ordem de aplicação (maior prioridade, depois campo mais específico)
+export function ordenarRegrasCobertura(regras) {
+  return [...regras].sort((a, b) =>
+    (b.prioridade - a.prioridade) ||
+    (ORDEM_CAMPOS.indexOf(a.campo) - ORDEM_CAMPOS.indexOf(b.campo)) ||
+    a.valor.localeCompare(b.valor)
+  );
+}
+
+// Regra aplicada a uma CTO (null = raio padrão)
+// regras deve estar ordenada por ordenarRegrasCobertura
+export function resolverRegraCobertura(cto, regras) {
+  return regras.find(regra => normalizarValor(cto?.[regra.campo]) === regra.valor) || null;
+}
+
+// Raio de cobertura de uma CTO em metros
+export function raioCoberturaCTO(cto, regras) {
+  return resolverRegraCobertura(cto, regras)?.raio_metros ?? RAIO_COBERTURA_PADRAO_METROS;
+}
+
+// Maior raio possível com as regras atuais (usado para buscar CTOs candidatas ao redor de um ponto)
+export function raioMaximoCobertura(regras) {
+  return Math.max(RAIO_COBERTURA_PADRAO_METROS, ...regras.map(regra => regra.raio_metros));
+}
+
+// Versão do conjunto de regras (hash do conteúdo, gravado junto com o polígono de cobertura)
+// O conjunto vazio também tem versão: é o que usa apenas o raio padrão
+export function versaoRegrasCobertura(regras) {
+  const conteudo = JSON.stringify({
+    padrao: RAIO_COBERTURA_PADRAO_METROS,
+    regras: ordenarRegrasCobertura(regras).map(({ campo, valor, raio_metros, prioridade }) => [campo, valor, raio_metros, prioridade])
+  });
+  return crypto.createHash('sha1').update(conteudo).digest('hex').slice(0, 12);
+}
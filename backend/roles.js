@@ -0,0 +1,76 @@
+// ============================================
+// Papéis (perfis de acesso) e capacidades
+// ============================================
+// Cada projetista tem um papel, gravado na coluna projetistas.tipo.
+// Cada papel carrega um conjunto de capacidades, e as rotas exigem
+// capacidades específicas (requireCapacidade no server.js).
+// O papel 'admin' sempre tem todas as capacidades. As capacidades dos
+// demais papéis podem ser ajustadas pelo editor de papéis (tabela papeis).
+// ============================================
+
+// Capacidades disponíveis (chave → descrição exibida no editor)
+export const CAPACIDADES = {
+  gerenciar_projetistas: 'Gerenciar projetistas (criar, excluir, permissões de ferramentas, desbloquear login)',
+  gerenciar_papeis: 'Alterar papel dos usuários e editar capacidades dos papéis',
+  upload_base: 'Carregar nova base de dados',
+  deletar_base: 'Deletar base de dados',
+  recalcular_cobertura: 'Recalcular mancha de cobertura',
+  gerenciar_regras_cobertura: 'Editar regras de raio da mancha de cobertura',
+  gerenciar_perfis_pon: 'Editar perfis de PON (split e orçamento óptico)',
+  gerenciar_mapeamento_colunas: 'Editar mapeamento de colunas do upload da base',
+  gerenciar_tabulacoes: 'Gerenciar tabulações',
+  exportar_vi_ala: 'Exportar VI ALA',
+  ver_usuarios_online: 'Ver usuários online',
+  ver_auditoria: 'Ver auditoria'
+};
+
+export const PAPEL_ADMIN = 'admin';
+
+// Papel atribuído a novos projetistas
+export const PAPEL_PADRAO = 'projetista';
+
+// Papéis e capacidades padrão (usados quando não há configuração salva)
+export const PAPEIS_PADRAO = {
+  admin: {
+    descricao: 'Administrador',
+    capacidades: Object.keys(CAPACIDADES)
+  },
+  supervisor: {
+    descricao: 'Supervisor',
+    capacidades: ['upload_base', 'recalcular_cobertura', 'gerenciar_tabulacoes', 'exportar_vi_ala', 'ver_usuarios_online', 'ver_auditoria']
+  },
+  projetista: {
+    descricao: 'Projetista',
+    capacidades: ['gerenciar_tabulacoes', 'exportar_vi_ala', 'ver_usuarios_online']
+  },
+  viewer: {
+    descricao: 'Visualizador',
+    capacidades: []
+  },
+  auditor: {
+    descricao: 'Auditor',
+    capacidades: ['ver_auditoria', 'ver_usuarios_online', 'exportar_vi_ala']
+  }
+};
+
+// Tipos antigos (antes dos papéis nomeados) e o papel equivalente
+const PAPEIS_LEGADOS = {
+  user: PAPEL_PADRAO
+};
+
+// Normalizar tipo gravado no banco para um nome de papel
+export function normalizarPapel(tipo) {
+  const papel = String(tipo || '').trim().toLowerCase();
+  if (!papel) {
+    return PAPEL_PADRAO;
+  }
+  return PAPEIS_LEGADOS[papel] || papel;
+}
+
+// Manter apenas capacidades conhecidas (sem duplicatas)
+export function filtrarCapacidades(lista) {
+  if (!Array.isArray(lista)) {
+    return [];
+  }
+  return [...new Set(lista.filter(capacidade => Object.prototype.hasOwnProperty.call(CAPACIDADES, capacidade)))];
+}
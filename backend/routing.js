@@ -0,0 +1,593 @@
+// ============================================
+// Módulo de Rotas (grafo viário local a partir de extrato OSM)
+// ============================================
+// Carrega um extrato do OpenStreetMap (.osm.pbf) em um grafo viário em memória
+// e calcula a menor rota pelas ruas (A*) entre dois pontos, sem depender do Google.
+// Modos: 'walking' (caminhada, ignora mão única e não usa rodovias)
+//        'driving' (carro, respeita mão única)
+// Mesma regra da Viabilidade Alares para escolher o modo: caminhada até 5 km
+// de distância linear, carro acima disso (modoPorDistancia).
+// Formato PBF: https://wiki.openstreetmap.org/wiki/PBF_Format
+// O arquivo é lido duas vezes (vias e depois nós) para guardar apenas os nós usados pelas vias.
+// No servidor, o grafo e as buscas ficam em uma worker thread (routingWorker.js /
+// routingCliente.js) para o A* não bloquear as requisições do Express.
+// ============================================
+
+import fsPromises from 'fs/promises';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import Pbf from 'pbf';
+import { distanciaMetros } from './utilitarios.js';
+
+const inflateAsync = promisify(zlib.inflate);
+
+const MODO_CAMINHADA = 1;
+const MODO_CARRO = 2;
+const MODOS = { walking: MODO_CAMINHADA, driving: MODO_CARRO };
+
+// Distância linear a partir da qual a rota passa a ser calculada de carro
+export const ROTA_LIMITE_CAMINHADA_METROS = 5000;
+
+// Distância máxima entre o ponto informado e a via mais próxima
+const ROTA_MAX_DISTANCIA_VIA_METROS = 1000;
+
+// Limite de nós visitados por busca (evita buscas muito longas segurarem a fila de rotas)
+const ROTA_MAX_NOS_VISITADOS = 1000000;
+
+// Vias (tag highway) por modo
+// Caminhada não usa rodovias (como avoidHighways no Google)
+const VIAS_CARRO = new Set([
+  'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+  'secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'unclassified',
+  'residential', 'living_street', 'service', 'road'
+]);
+const VIAS_SOMENTE_CARRO = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']);
+const VIAS_SOMENTE_CAMINHADA = new Set(['footway', 'path', 'pedestrian', 'steps', 'track', 'cycleway', 'corridor', 'bridleway']);
+
+const ACESSO_PROIBIDO = new Set(['no', 'private']);
+
+// Tamanho da célula do índice espacial (graus, ~550 m)
+const TAMANHO_CELULA = 0.005;
+const CELULAS_POR_LINHA = Math.ceil(360 / TAMANHO_CELULA) + 1;
+
+// Grafo carregado
+// Formato: { lat, lon (Float64Array), inicio (Int32Array, arestas de cada nó), destino, peso, modo, celulas (Map) }
+let grafo = null;
+
+let statusGrafo = {
+  estado: 'nao_carregado', // 'nao_carregado', 'carregando', 'carregado', 'erro'
+  arquivo: null,
+  nos: 0,
+  arestas: 0,
+  carregadoEm: null,
+  erro: null
+};
+
+// Distância geodésica (Haversine) em metros
+export const distanciaLinear = distanciaMetros;
+
+// Modo usado pela Viabilidade Alares para a distância linear informada
+export function modoPorDistancia(distanciaLinearMetros) {
+  return distanciaLinearMetros > ROTA_LIMITE_CAMINHADA_METROS ? 'driving' : 'walking';
+}
+
+export function isModoRotaValido(modo) {
+  return Object.prototype.hasOwnProperty.call(MODOS, modo);
+}
+
+export function isGrafoViarioCarregado() {
+  return grafo !== null;
+}
+
+export function getStatusGrafoViario() {
+  return { ...statusGrafo };
+}
+
+// ============================================
+// Leitura do arquivo PBF
+// ============================================
+
+// Ler blocos OSMData do arquivo (já descompactados)
+async function* lerBlocosOSM(caminho) {
+  const arquivo = await fsPromises.open(caminho, 'r');
+  try {
+    const tamanhoBuf = Buffer.alloc(4);
+    let posicao = 0;
+
+    while (true) {
+      const { bytesRead } = await arquivo.read(tamanhoBuf, 0, 4, posicao);
+      if (bytesRead < 4) {
+        break;
+      }
+      posicao += 4;
+
+      const cabecalhoBuf = Buffer.alloc(tamanhoBuf.readUInt32BE(0));
+      await arquivo.read(cabecalhoBuf, 0, cabecalhoBuf.length, posicao);
+      posicao += cabecalhoBuf.length;
+
+      const cabecalho = new Pbf(cabecalhoBuf).readFields((tag, obj, pbf) => {
+        if (tag === 1) obj.tipo = pbf.readString();
+        else if (tag === 3) obj.tamanho = pbf.readVarint();
+      }, { tipo: '', tamanho: 0 });
+
+      const blobBuf = Buffer.alloc(cabecalho.tamanho);
+      await arquivo.read(blobBuf, 0, blobBuf.length, posicao);
+      posicao += blobBuf.length;
+
+      if (cabecalho.tipo !== 'OSMData') {
+        continue;
+      }
+
+      const blob = new Pbf(blobBuf).readFields((tag, obj, pbf) => {
+        if (tag === 1) obj.bruto = pbf.readBytes();
+        else if (tag === 3) obj.zlib = pbf.readBytes();
+        else if (tag === 4 || tag === 6 || tag === 7) obj.naoSuportado = true;
+      }, {});
+
+      if (blob.naoSuportado) {
+        throw new Error('Compressão do arquivo PBF não suportada (use zlib)');
+      }
+
+      yield blob.bruto || await inflateAsync(blob.zlib);
+    }
+  } finally {
+    await arquivo.close();
+  }
+}
+
+// Ler um PrimitiveBlock chamando aoLerVia(tags, refs) e/ou aoLerNo(id, lat, lon)
+function lerBlocoPrimitivo(dados, { aoLerVia, aoLerNo }) {
+  const pbf = new Pbf(dados);
+  const bloco = { strings: [], grupos: [], granularidade: 100, latOffset: 0, lonOffset: 0 };
+
+  // Os grupos são lidos depois, pois granularidade e offsets vêm depois deles no bloco
+  pbf.readFields((tag, b, p) => {
+    if (tag === 1) {
+      b.strings = p.readMessage((t, lista, p2) => {
+        if (t === 1) lista.push(p2.readString());
+      }, []);
+    } else if (tag === 2) {
+      const fim = p.readVarint() + p.pos;
+      b.grupos.push([p.pos, fim]);
+      p.pos = fim;
+    } else if (tag === 17) {
+      b.granularidade = p.readVarint();
+    } else if (tag === 19) {
+      b.latOffset = p.readVarint(true);
+    } else if (tag === 20) {
+      b.lonOffset = p.readVarint(true);
+    }
+  }, bloco);
+
+  const converter = (valor, offset) => 1e-9 * (offset + bloco.granularidade * valor);
+
+  for (const [inicioGrupo, fimGrupo] of bloco.grupos) {
+    pbf.pos = inicioGrupo;
+    pbf.readFields((tag, _, p) => {
+      if (tag === 3 && aoLerVia) {
+        const via = p.readMessage((t, v, p2) => {
+          if (t === 2) p2.readPackedVarint(v.chaves);
+          else if (t === 3) p2.readPackedVarint(v.valores);
+          else if (t === 8) p2.readPackedSVarint(v.refs);
+        }, { chaves: [], valores: [], refs: [] });
+
+        const tags = {};
+        via.chaves.forEach((chave, i) => {
+          tags[bloco.strings[chave]] = bloco.strings[via.valores[i]];
+        });
+
+        // refs vêm codificados como diferença para o anterior
+        let ref = 0;
+        aoLerVia(tags, via.refs.map(delta => (ref += delta)));
+      } else if (tag === 2 && aoLerNo) {
+        const densos = p.readMessage((t, d, p2) => {
+          if (t === 1) p2.readPackedSVarint(d.ids);
+          else if (t === 8) p2.readPackedSVarint(d.lats);
+          else if (t === 9) p2.readPackedSVarint(d.lons);
+        }, { ids: [], lats: [], lons: [] });
+
+        let id = 0, lat = 0, lon = 0;
+        for (let i = 0; i < densos.ids.length; i++) {
+          id += densos.ids[i];
+          lat += densos.lats[i];
+          lon += densos.lons[i];
+          aoLerNo(id, converter(lat, bloco.latOffset), converter(lon, bloco.lonOffset));
+        }
+      } else if (tag === 1 && aoLerNo) {
+        const no = p.readMessage((t, n, p2) => {
+          if (t === 1) n.id = p2.readSVarint();
+          else if (t === 8) n.lat = p2.readSVarint();
+          else if (t === 9) n.lon = p2.readSVarint();
+        }, { id: 0, lat: 0, lon: 0 });
+        aoLerNo(no.id, converter(no.lat, bloco.latOffset), converter(no.lon, bloco.lonOffset));
+      }
+    }, null, fimGrupo);
+  }
+}
+
+// Modos permitidos em cada sentido da via: { ida, volta } (bits MODO_*)
+function modosDaVia(tags) {
+  const highway = tags.highway;
+  if (!highway || tags.area === 'yes') {
+    return { ida: 0, volta: 0 };
+  }
+
+  const acessoGeral = ACESSO_PROIBIDO.has(tags.access);
+
+  let caminhada = (VIAS_CARRO.has(highway) && !VIAS_SOMENTE_CARRO.has(highway)) || VIAS_SOMENTE_CAMINHADA.has(highway);
+  if (tags.foot) {
+    caminhada = caminhada && !ACESSO_PROIBIDO.has(tags.foot);
+  } else if (acessoGeral) {
+    caminhada = false;
+  }
+
+  let carro = VIAS_CARRO.has(highway);
+  const acessoCarro = tags.motorcar || tags.motor_vehicle || tags.vehicle;
+  if (acessoCarro) {
+    carro = carro && !ACESSO_PROIBIDO.has(acessoCarro);
+  } else if (acessoGeral) {
+    carro = false;
+  }
+
+  const maoUnica = tags.oneway === 'yes' || tags.oneway === '1' || tags.oneway === 'true' ||
+    tags.junction === 'roundabout' || highway === 'motorway';
+  const contraMao = tags.oneway === '-1' || tags.oneway === 'reverse';
+
+  const bitCaminhada = caminhada ? MODO_CAMINHADA : 0;
+  const bitCarro = carro ? MODO_CARRO : 0;
+
+  return {
+    ida: bitCaminhada | (contraMao ? 0 : bitCarro),
+    volta: bitCaminhada | (maoUnica && !contraMao ? 0 : bitCarro)
+  };
+}
+
+function chaveCelula(lat, lon) {
+  return Math.floor((lat + 90) / TAMANHO_CELULA) * CELULAS_POR_LINHA + Math.floor((lon + 180) / TAMANHO_CELULA);
+}
+
+// Carregar extrato OSM (.osm.pbf) e montar o grafo viário
+// Substitui o grafo atual apenas quando o novo estiver pronto
+export async function carregarGrafoViario(caminho) {
+  const inicioCarga = Date.now();
+  statusGrafo = { ...statusGrafo, estado: 'carregando', arquivo: caminho, erro: null };
+  console.log(`🛣️ [Rotas] Carregando malha viária de ${caminho}...`);
+
+  try {
+    // Passo 1: vias (segmentos entre nós consecutivos)
+    const indicePorId = new Map();
+    const segmentoA = [];
+    const segmentoB = [];
+    const modosIda = [];
+    const modosVolta = [];
+
+    for await (const dados of lerBlocosOSM(caminho)) {
+      lerBlocoPrimitivo(dados, {
+        aoLerVia: (tags, refs) => {
+          const { ida, volta } = modosDaVia(tags);
+          if (!ida && !volta) {
+            return;
+          }
+
+          let anterior = -1;
+          for (const ref of refs) {
+            let indice = indicePorId.get(ref);
+            if (indice === undefined) {
+              indice = indicePorId.size;
+              indicePorId.set(ref, indice);
+            }
+            if (anterior >= 0 && anterior !== indice) {
+              segmentoA.push(anterior);
+              segmentoB.push(indice);
+              modosIda.push(ida);
+              modosVolta.push(volta);
+            }
+            anterior = indice;
+          }
+        }
+      });
+    }
+
+    // Passo 2: coordenadas apenas dos nós usados pelas vias
+    const totalNos = indicePorId.size;
+    const lat = new Float64Array(totalNos).fill(NaN);
+    const lon = new Float64Array(totalNos).fill(NaN);
+
+    for await (const dados of lerBlocosOSM(caminho)) {
+      lerBlocoPrimitivo(dados, {
+        aoLerNo: (id, latNo, lonNo) => {
+          const indice = indicePorId.get(id);
+          if (indice !== undefined) {
+            lat[indice] = latNo;
+            lon[indice] = lonNo;
+          }
+        }
+      });
+    }
+    indicePorId.clear();
+
+    // Passo 3: listas de adjacência compactas (arestas de cada nó em destino[inicio[n]..inicio[n+1]])
+    const inicio = new Int32Array(totalNos + 1);
+    const segmentoValido = (s) => !isNaN(lat[segmentoA[s]]) && !isNaN(lat[segmentoB[s]]);
+
+    for (let s = 0; s < segmentoA.length; s++) {
+      if (!segmentoValido(s)) continue;
+      if (modosIda[s]) inicio[segmentoA[s] + 1]++;
+      if (modosVolta[s]) inicio[segmentoB[s] + 1]++;
+    }
+    for (let n = 0; n < totalNos; n++) {
+      inicio[n + 1] += inicio[n];
+    }
+
+    const totalArestas = inicio[totalNos];
+    const destino = new Int32Array(totalArestas);
+    const peso = new Float32Array(totalArestas);
+    const modo = new Uint8Array(totalArestas);
+    const proxima = inicio.slice(0, totalNos);
+
+    for (let s = 0; s < segmentoA.length; s++) {
+      if (!segmentoValido(s)) continue;
+      const a = segmentoA[s];
+      const b = segmentoB[s];
+      const distancia = distanciaLinear(lat[a], lon[a], lat[b], lon[b]);
+      if (modosIda[s]) {
+        const e = proxima[a]++;
+        destino[e] = b;
+        peso[e] = distancia;
+        modo[e] = modosIda[s];
+      }
+      if (modosVolta[s]) {
+        const e = proxima[b]++;
+        destino[e] = a;
+        peso[e] = distancia;
+        modo[e] = modosVolta[s];
+      }
+    }
+
+    // Índice espacial (grade) para encontrar o nó de via mais próximo de um ponto
+    const celulas = new Map();
+    for (let n = 0; n < totalNos; n++) {
+      if (inicio[n + 1] === inicio[n]) continue;
+      const chave = chaveCelula(lat[n], lon[n]);
+      let lista = celulas.get(chave);
+      if (!lista) {
+        lista = [];
+        celulas.set(chave, lista);
+      }
+      lista.push(n);
+    }
+
+    grafo = { lat, lon, inicio, destino, peso, modo, celulas };
+    statusGrafo = {
+      estado: 'carregado',
+      arquivo: caminho,
+      nos: totalNos,
+      arestas: totalArestas,
+      carregadoEm: Date.now(),
+      erro: null
+    };
+
+    console.log(`✅ [Rotas] Malha viária carregada: ${totalNos} nós, ${totalArestas} arestas (${((Date.now() - inicioCarga) / 1000).toFixed(1)}s)`);
+    return getStatusGrafoViario();
+  } catch (err) {
+    statusGrafo = { ...statusGrafo, estado: grafo ? 'carregado' : 'erro', erro: err.message };
+    console.error('❌ [Rotas] Erro ao carregar malha viária:', err.message);
+    throw err;
+  }
+}
+
+// ============================================
+// Cálculo de rotas
+// ============================================
+
+// Nó de via mais próximo do ponto com ao menos uma aresta no modo informado
+function noMaisProximo(latPonto, lonPonto, bitModo) {
+  const { lat, lon, inicio, modo, celulas } = grafo;
+  const linhaCentral = Math.floor((latPonto + 90) / TAMANHO_CELULA);
+  const colunaCentral = Math.floor((lonPonto + 180) / TAMANHO_CELULA);
+  const anelMaximo = Math.ceil(ROTA_MAX_DISTANCIA_VIA_METROS / (TAMANHO_CELULA * 111000)) + 1;
+
+  let melhor = -1;
+  let melhorDistancia = Infinity;
+
+  for (let dy = -anelMaximo; dy <= anelMaximo; dy++) {
+    for (let dx = -anelMaximo; dx <= anelMaximo; dx++) {
+      const lista = celulas.get((linhaCentral + dy) * CELULAS_POR_LINHA + colunaCentral + dx);
+      if (!lista) continue;
+
+      for (const n of lista) {
+        const distancia = distanciaLinear(latPonto, lonPonto, lat[n], lon[n]);
+        if (distancia >= melhorDistancia) continue;
+
+        let temModo = false;
+        for (let e = inicio[n]; e < inicio[n + 1] && !temModo; e++) {
+          temModo = (modo[e] & bitModo) !== 0;
+        }
+        if (temModo) {
+          melhor = n;
+          melhorDistancia = distancia;
+        }
+      }
+    }
+  }
+
+  return melhorDistancia <= ROTA_MAX_DISTANCIA_VIA_METROS ? { no: melhor, distancia: melhorDistancia } : null;
+}
+
+// Fila de prioridade (heap binário) para o A*
+class FilaPrioridade {
+  constructor() {
+    this.itens = [];
+    this.prioridades = [];
+  }
+
+  get tamanho() {
+    return this.itens.length;
+  }
+
+  inserir(item, prioridade) {
+    const { itens, prioridades } = this;
+    let i = itens.length;
+    itens.push(item);
+    prioridades.push(prioridade);
+
+    while (i > 0) {
+      const pai = (i - 1) >> 1;
+      if (prioridades[pai] <= prioridade) break;
+      itens[i] = itens[pai];
+      prioridades[i] = prioridades[pai];
+      i = pai;
+    }
+    itens[i] = item;
+    prioridades[i] = prioridade;
+  }
+
+  remover() {
+    const { itens, prioridades } = this;
+    const topo = itens[0];
+    const ultimoItem = itens.pop();
+    const ultimaPrioridade = prioridades.pop();
+
+    if (itens.length > 0) {
+      let i = 0;
+      const metade = itens.length >> 1;
+      while (i < metade) {
+        let filho = 2 * i + 1;
+        if (filho + 1 < itens.length && prioridades[filho + 1] < prioridades[filho]) filho++;
+        if (prioridades[filho] >= ultimaPrioridade) break;
+        itens[i] = itens[filho];
+        prioridades[i] = prioridades[filho];
+        i = filho;
+      }
+      itens[i] = ultimoItem;
+      prioridades[i] = ultimaPrioridade;
+    }
+
+    return topo;
+  }
+}
+
+// Menor caminho entre dois nós (A* com a distância linear como estimativa)
+// Retorna { distancia, nos }, { interrompida: true } se passar do limite de nós visitados
+// ou null se não houver caminho
+function menorCaminho(origem, destinoFinal, bitModo) {
+  const { lat, lon, inicio, destino, peso, modo } = grafo;
+  const latDestino = lat[destinoFinal];
+  const lonDestino = lon[destinoFinal];
+
+  const custo = new Map([[origem, 0]]);
+  const anterior = new Map();
+  const fechados = new Set();
+  const fila = new FilaPrioridade();
+  fila.inserir(origem, 0);
+
+  while (fila.tamanho > 0) {
+    const atual = fila.remover();
+    if (atual === destinoFinal) {
+      const nos = [atual];
+      while (anterior.has(nos[nos.length - 1])) {
+        nos.push(anterior.get(nos[nos.length - 1]));
+      }
+      return { distancia: custo.get(atual), nos: nos.reverse() };
+    }
+
+    if (fechados.has(atual)) continue;
+    fechados.add(atual);
+    if (fechados.size > ROTA_MAX_NOS_VISITADOS) {
+      console.warn(`⚠️ [Rotas] Busca interrompida após ${ROTA_MAX_NOS_VISITADOS} nós visitados`);
+      return { interrompida: true };
+    }
+
+    const custoAtual = custo.get(atual);
+    for (let e = inicio[atual]; e < inicio[atual + 1]; e++) {
+      if ((modo[e] & bitModo) === 0) continue;
+
+      const vizinho = destino[e];
+      const novoCusto = custoAtual + peso[e];
+      if (novoCusto < (custo.get(vizinho) ?? Infinity)) {
+        custo.set(vizinho, novoCusto);
+        anterior.set(vizinho, atual);
+        fila.inserir(vizinho, novoCusto + distanciaLinear(lat[vizinho], lon[vizinho], latDestino, lonDestino));
+      }
+    }
+  }
+
+  return null;
+}
+
+// Codificar pontos [[lat, lng], ...] no formato Encoded Polyline (Google, precisão 5)
+export function codificarPolyline(pontos) {
+  const codificarValor = (valor) => {
+    let v = valor < 0 ? ~(valor << 1) : valor << 1;
+    let saida = '';
+    while (v >= 0x20) {
+      saida += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return saida + String.fromCharCode(v + 63);
+  };
+
+  let latAnterior = 0;
+  let lngAnterior = 0;
+  let saida = '';
+  for (const [latPonto, lngPonto] of pontos) {
+    const latInt = Math.round(latPonto * 1e5);
+    const lngInt = Math.round(lngPonto * 1e5);
+    saida += codificarValor(latInt - latAnterior) + codificarValor(lngInt - lngAnterior);
+    latAnterior = latInt;
+    lngAnterior = lngInt;
+  }
+  return saida;
+}
+
+// Calcular rota pelas ruas entre dois pontos ({ lat, lng })
+// Retorna { encontrada: true, modo, distancia_metros, pontos, polyline }
+// ou { encontrada: false, motivo } se não houver via próxima ou caminho entre os pontos
+// (com limite_excedido: true quando a busca passou de ROTA_MAX_NOS_VISITADOS)
+export function calcularRota(origem, destinoRota, modoRota) {
+  if (!grafo) {
+    throw new Error('Malha viária não carregada');
+  }
+
+  const modoUsado = modoRota || modoPorDistancia(distanciaLinear(origem.lat, origem.lng, destinoRota.lat, destinoRota.lng));
+  const bitModo = MODOS[modoUsado];
+  if (!bitModo) {
+    throw new Error(`Modo de rota inválido: ${modoRota}`);
+  }
+
+  const inicioVia = noMaisProximo(origem.lat, origem.lng, bitModo);
+  const fimVia = noMaisProximo(destinoRota.lat, destinoRota.lng, bitModo);
+  if (!inicioVia || !fimVia) {
+    return {
+      encontrada: false,
+      motivo: `Nenhuma via a menos de ${ROTA_MAX_DISTANCIA_VIA_METROS}m do ${!inicioVia ? 'ponto de origem' : 'ponto de destino'}`
+    };
+  }
+
+  const caminho = menorCaminho(inicioVia.no, fimVia.no, bitModo);
+  if (!caminho) {
+    return { encontrada: false, motivo: 'Nenhum caminho pelas vias entre os pontos' };
+  }
+  if (caminho.interrompida) {
+    return {
+      encontrada: false,
+      limite_excedido: true,
+      motivo: `Rota muito longa: busca interrompida após ${ROTA_MAX_NOS_VISITADOS} nós visitados`
+    };
+  }
+
+  // Trajeto: ponto de origem, nós da via e ponto de destino (sem pontos repetidos em sequência)
+  const pontos = [
+    [origem.lat, origem.lng],
+    ...caminho.nos.map(n => [grafo.lat[n], grafo.lon[n]]),
+    [destinoRota.lat, destinoRota.lng]
+  ].filter((ponto, i, lista) => i === 0 || distanciaLinear(ponto[0], ponto[1], lista[i - 1][0], lista[i - 1][1]) > 0.01);
+
+  return {
+    encontrada: true,
+    modo: modoUsado,
+    distancia_metros: Math.round((inicioVia.distancia + caminho.distancia + fimVia.distancia) * 100) / 100,
+    pontos,
+    polyline: codificarPolyline(pontos)
+  };
+}
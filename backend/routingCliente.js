@@ -0,0 +1,107 @@
+// ============================================
+// Cliente das rotas pelas ruas (thread principal)
+// ============================================
+// O grafo viário e o A* rodam em uma worker thread (routingWorker.js); aqui
+// ficam as funções usadas pelo server.js, que enviam as requisições ao worker
+// e guardam uma cópia do status do grafo para consultas síncronas.
+// As buscas são atendidas em ordem pelo worker, sem bloquear o Express.
+// ============================================
+
+import { Worker } from 'worker_threads';
+
+export { isModoRotaValido } from './routing.js';
+
+let worker = null;
+let proximoId = 1;
+const pendentes = new Map(); // id → { resolve, reject }
+let statusGrafo = { estado: 'nao_carregado', arquivo: null, nos: 0, arestas: 0, carregadoEm: null, erro: null };
+let grafoCarregado = false; // Continua true durante uma recarga (o grafo antigo segue em uso)
+
+// Encerrar as requisições pendentes com erro (worker caiu ou foi encerrado)
+function rejeitarPendentes(mensagem) {
+  for (const { reject } of pendentes.values()) {
+    reject(new Error(mensagem));
+  }
+  pendentes.clear();
+}
+
+function obterWorker() {
+  if (worker) {
+    return worker;
+  }
+
+  worker = new Worker(new URL('./routingWorker.js', import.meta.url));
+  // Sem requisições pendentes o worker não mantém o processo vivo
+  worker.unref();
+
+  worker.on('message', ({ id, resultado, erro, status, carregado }) => {
+    if (status) {
+      statusGrafo = status;
+      grafoCarregado = carregado;
+    }
+    const pendente = pendentes.get(id);
+    if (!pendente) {
+      return;
+    }
+    pendentes.delete(id);
+    if (erro) {
+      pendente.reject(new Error(erro));
+    } else {
+      pendente.resolve(resultado);
+    }
+    if (pendentes.size === 0) {
+      worker.unref();
+    }
+  });
+
+  worker.on('error', (err) => {
+    console.error('❌ [Rotas] Erro na worker thread de rotas:', err.message);
+    statusGrafo = { ...statusGrafo, estado: 'erro', erro: err.message };
+  });
+
+  worker.on('exit', (codigo) => {
+    worker = null;
+    grafoCarregado = false;
+    if (statusGrafo.estado !== 'erro') {
+      statusGrafo = { ...statusGrafo, estado: 'erro', erro: `Worker de rotas encerrado (código ${codigo})` };
+    }
+    rejeitarPendentes('Worker de rotas encerrado');
+  });
+
+  return worker;
+}
+
+function enviar(mensagem) {
+  const alvo = obterWorker();
+  return new Promise((resolve, reject) => {
+    const id = proximoId++;
+    pendentes.set(id, { resolve, reject });
+    alvo.ref();
+    alvo.postMessage({ ...mensagem, id });
+  });
+}
+
+export function isGrafoViarioCarregado() {
+  return grafoCarregado;
+}
+
+export function getStatusGrafoViario() {
+  return { ...statusGrafo };
+}
+
+// Carregar o extrato OSM (.osm.pbf) no worker; resolve com o status do grafo
+export function carregarGrafoViario(caminho) {
+  return enviar({ tipo: 'carregar', caminho });
+}
+
+// Calcular rota pelas ruas no worker (mesmo retorno de calcularRota em routing.js)
+export function calcularRota(origem, destino, modo) {
+  return enviar({ tipo: 'rota', origem, destino, modo: modo || null });
+}
+
+// Encerrar o worker (o grafo é descartado)
+export async function encerrarRotas() {
+  if (worker) {
+    await worker.terminate();
+  }
+}
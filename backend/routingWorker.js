@@ -0,0 +1,32 @@
+// ============================================
+// Worker thread das rotas pelas ruas
+// ============================================
+// Mantém o grafo viário (routing.js) e executa carga e buscas fora da thread
+// principal. Mensagens recebidas: { id, tipo: 'carregar', caminho } e
+// { id, tipo: 'rota', origem, destino, modo }. Cada uma é respondida com
+// { id, resultado } ou { id, erro }, junto com o estado do grafo
+// ({ status, carregado }) para o cliente responder consultas síncronas.
+// ============================================
+
+import { parentPort } from 'worker_threads';
+import { carregarGrafoViario, calcularRota, getStatusGrafoViario, isGrafoViarioCarregado } from './routing.js';
+
+const estado = () => ({ status: getStatusGrafoViario(), carregado: isGrafoViarioCarregado() });
+
+parentPort.on('message', async ({ id, tipo, caminho, origem, destino, modo }) => {
+  try {
+    let resultado;
+    if (tipo === 'carregar') {
+      const carga = carregarGrafoViario(caminho);
+      parentPort.postMessage(estado());
+      resultado = await carga;
+    } else if (tipo === 'rota') {
+      resultado = calcularRota(origem, destino, modo);
+    } else {
+      throw new Error(`Mensagem desconhecida: ${tipo}`);
+    }
+    parentPort.postMessage({ id, resultado, ...estado() });
+  } catch (err) {
+    parentPort.postMessage({ id, erro: err.message, ...estado() });
+  }
+});
@@ -5,11 +5,26 @@ import ExcelJS from 'exceljs';
 import fs from 'fs';
 import fsPromises from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
 import * as turf from '@turf/turf';
 import { union as martinezUnion } from 'martinez-polygon-clipping';
 import supabase, { testSupabaseConnection, checkTables, isSupabaseAvailable } from './supabase.js';
+import { CAPACIDADES, PAPEIS_PADRAO, PAPEL_ADMIN, PAPEL_PADRAO, normalizarPapel, filtrarCapacidades } from './roles.js';
+import { createSessionToken, verifySessionToken, revokeSessionToken, revokeUserSessions, extractBearerToken, hashPassword, verifyPassword, isPasswordHash, checkLoginAllowed, registerLoginFailure, registerLoginSuccess, unlockLoginUser, listLockedUsers, LOGIN_LOCKOUT_MS } from './auth.js';
+import { geocodificarEndereco, getGeocoderAtivo } from './geocoder.js';
+import { VIABILIDADE_LIMITE_METROS, VIABILIDADE_STATUS_PORTA_LIVRE, distanciaConsiderada, classificarViabilidade } from './viabilidadeLote.js';
+import { carregarGrafoViario, calcularRota, isGrafoViarioCarregado, getStatusGrafoViario, isModoRotaValido } from './routingCliente.js';
+import { CAMPOS_REGRA_COBERTURA, RAIO_COBERTURA_PADRAO_METROS, RAIO_COBERTURA_MIN_METROS, RAIO_COBERTURA_MAX_METROS, validarRegrasCobertura, ordenarRegrasCobertura, resolverRegraCobertura, raioCoberturaCTO, raioMaximoCobertura, versaoRegrasCobertura } from './regrasCobertura.js';
+import { montarArvoreRede, LIMIAR_OCUPACAO_PADRAO } from './arvoreRede.js';
+import { PERFIL_PON_PADRAO, PERDA_SPLITTER_DB, MARGEM_SEGURANCA_DB, validarPerfisPon, resolverPerfilPon, orcamentoOptico, centrosDosPops, distanciaFibraEstimada, validarPons } from './capacidadePon.js';
+import { TIPOS_PROBLEMA_QUALIDADE, avaliarQualidadeBase } from './qualidadeBase.js';
+import { PREVISAO_HORIZONTE_PADRAO_DIAS, PREVISAO_HORIZONTE_MAXIMO_DIAS, PREVISAO_JANELA_DIAS, PREVISAO_MINIMO_PONTOS, preverEsgotamento, filtrarPorHorizonte } from './previsaoOcupacao.js';
+import { SUGESTOES_ALIVIO_PADRAO, chaveCaminhoRede, sugerirAlivio } from './alivioRede.js';
+import { NOVAS_CTOS_PADRAO, NOVAS_CTOS_MAXIMO, NOVAS_CTOS_MINIMO_PONTOS_PADRAO, pontosSemCobertura, sugerirLocaisCTO, geojsonNovasCTOs } from './planejamentoCTO.js';
+import { HEX_TAMANHO_PADRAO_METROS, HEX_TAMANHO_MIN_METROS, HEX_TAMANHO_MAX_METROS, agruparEmHexagonos, geojsonHexagonos } from './mapaCalorVIALA.js';
+import { CAMPOS_BASE, converterParaExcel, formatoAceito, formatosBase, leitorDoArquivo, chaveCabecalho, validarMapeamentosColunas } from './leitoresBase.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +32,12 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Proxy reverso (ex.: Railway): TRUST_PROXY_HOPS = número de proxies na frente do servidor
+// Sem a variável, X-Forwarded-For é ignorado (senão qualquer cliente forjaria o IP e
+// escaparia do bloqueio de tentativas de login por IP)
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || '', 10);
+app.set('trust proxy', Number.isInteger(TRUST_PROXY_HOPS) && TRUST_PROXY_HOPS > 0 ? TRUST_PROXY_HOPS : false);
+
 // Log de configuração para debug
 console.log('🔧 [Config] PORT:', PORT);
 console.log('🔧 [Config] FRONTEND_URL:', process.env.FRONTEND_URL || 'Não configurado (permitindo todas as origens)');
@@ -84,6 +105,39 @@ app.use((req, res, next) => {
   next();
 });
 
+// Permissões de ferramentas aplicadas no servidor
+// Cada grupo de rotas pertence a uma ou mais ferramentas (ids do toolsRegistry do frontend)
+// A primeira regra cujo prefixo casar com a rota é aplicada (mais específicas primeiro)
+// capacidade: quem tem essa capacidade também acessa (rotas usadas pelas Configurações)
+const FERRAMENTAS_CTOS = ['viabilidade-alares', 'analise-cobertura', 'mapa-consulta'];
+const FERRAMENTAS_VI_ALA = ['dashboard-censup'];
+
+const FERRAMENTAS_POR_ROTA = [
+  { prefixo: '/api/coverage/calculate', ferramentas: FERRAMENTAS_CTOS, capacidade: 'recalcular_cobertura' },
+  { prefixo: '/api/coverage/calculate-status', ferramentas: FERRAMENTAS_CTOS, capacidade: 'recalcular_cobertura' },
+  { prefixo: '/api/coverage/rules', ferramentas: FERRAMENTAS_CTOS, capacidade: 'gerenciar_regras_cobertura' },
+  { prefixo: '/api/coverage/versions', ferramentas: FERRAMENTAS_CTOS, capacidade: 'recalcular_cobertura' },
+  { prefixo: '/api/pon/profiles', ferramentas: FERRAMENTAS_CTOS, capacidade: 'gerenciar_perfis_pon' },
+  // A Viabilidade Alares gera e salva VI ALAs durante a consulta
+  { prefixo: '/api/vi-ala/ensure-base', ferramentas: [...FERRAMENTAS_VI_ALA, 'viabilidade-alares'] },
+  { prefixo: '/api/vi-ala/next', ferramentas: [...FERRAMENTAS_VI_ALA, 'viabilidade-alares'] },
+  { prefixo: '/api/vi-ala/save', ferramentas: [...FERRAMENTAS_VI_ALA, 'viabilidade-alares'] },
+  { prefixo: '/api/vi-ala/list', ferramentas: FERRAMENTAS_VI_ALA, capacidade: 'exportar_vi_ala' },
+  // O mapa de calor também é sobreposto no Mapa de Consulta
+  { prefixo: '/api/vi-ala/heatmap', ferramentas: [...FERRAMENTAS_VI_ALA, 'mapa-consulta'] },
+  { prefixo: '/api/ctos', ferramentas: FERRAMENTAS_CTOS },
+  // Prédios das CTOs (consultados pela Viabilidade Alares) e a base inteira em XLSX
+  { prefixo: '/api/condominios', ferramentas: FERRAMENTAS_CTOS },
+  { prefixo: '/api/base.xlsx', ferramentas: FERRAMENTAS_CTOS, capacidade: 'upload_base' },
+  { prefixo: '/api/viabilidade', ferramentas: ['viabilidade-alares'] },
+  { prefixo: '/api/route', ferramentas: FERRAMENTAS_CTOS },
+  { prefixo: '/api/tiles', ferramentas: FERRAMENTAS_CTOS },
+  { prefixo: '/api/coverage', ferramentas: FERRAMENTAS_CTOS },
+  { prefixo: '/api/vi-ala', ferramentas: FERRAMENTAS_VI_ALA }
+];
+
+app.use(requireFerramentaDaRota);
+
 // Função auxiliar para deletar todos os polígonos de cobertura
 async function deleteAllCoveragePolygons() {
   try {
@@ -137,6 +191,37 @@ async function deleteAllCoveragePolygons() {
   }
 }
 
+// Obter data (YYYY-MM-DD) e hora (HH:MM:SS) no timezone do Brasil (America/Sao_Paulo)
+function obterDataHoraBrasil(dataAtual = new Date()) {
+  const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Sao_Paulo',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  const timeFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Sao_Paulo',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+  
+  // Formatar data: YYYY-MM-DD
+  const dataParts = dateFormatter.formatToParts(dataAtual);
+  const ano = dataParts.find(p => p.type === 'year').value;
+  const mes = dataParts.find(p => p.type === 'month').value;
+  const dia = dataParts.find(p => p.type === 'day').value;
+  
+  // Formatar hora: HH:MM:SS
+  const timeParts = timeFormatter.formatToParts(dataAtual);
+  const horas = timeParts.find(p => p.type === 'hour').value;
+  const minutos = timeParts.find(p => p.type === 'minute').value;
+  const segundos = timeParts.find(p => p.type === 'second').value;
+  
+  return { data: `${ano}-${mes}-${dia}`, hora: `${horas}:${minutos}:${segundos}` };
+}
+
 // Função auxiliar para inserir entrada/saída no Supabase
 // Lida com nomes de tabelas que têm caracteres especiais
 async function inserirEntradaSaida(nomeProjetista, tipo = 'entrada') {
@@ -157,35 +242,7 @@ async function inserirEntradaSaida(nomeProjetista, tipo = 'entrada') {
   try {
     // Usar timezone do Brasil (America/Sao_Paulo) para garantir hora correta
     const dataAtual = new Date();
-    
-    // Obter componentes da data no timezone do Brasil
-    const dateFormatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: 'America/Sao_Paulo',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    });
-    const timeFormatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'America/Sao_Paulo',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
-    });
-    
-    // Formatar data: YYYY-MM-DD
-    const dataParts = dateFormatter.formatToParts(dataAtual);
-    const ano = dataParts.find(p => p.type === 'year').value;
-    const mes = dataParts.find(p => p.type === 'month').value;
-    const dia = dataParts.find(p => p.type === 'day').value;
-    const data = `${ano}-${mes}-${dia}`;
-    
-    // Formatar hora: HH:MM:SS
-    const timeParts = timeFormatter.formatToParts(dataAtual);
-    const horas = timeParts.find(p => p.type === 'hour').value;
-    const minutos = timeParts.find(p => p.type === 'minute').value;
-    const segundos = timeParts.find(p => p.type === 'second').value;
-    const hora = `${horas}:${minutos}:${segundos}`;
+    const { data, hora } = obterDataHoraBrasil(dataAtual);
     
     console.log(`🔍 [Supabase] inserirEntradaSaida chamada: ${nomeLimpo}, tipo: ${tipo}`);
     console.log(`🔍 [Supabase] Data: ${data}, Hora: ${hora}`);
@@ -296,6 +353,41 @@ async function inserirEntradaSaida(nomeProjetista, tipo = 'entrada') {
   }
 }
 
+// Registrar tentativa de login (sucesso ou falha) para auditoria
+// Fica ao lado dos registros de entrada/saída, na tabela login_tentativas
+// Falhas ao registrar não bloqueiam o login
+async function registrarTentativaLogin(nomeProjetista, ip, sucesso, motivo) {
+  if (!supabase || !isSupabaseAvailable()) {
+    return { success: false, error: 'Supabase não disponível' };
+  }
+  
+  try {
+    const { data, hora } = obterDataHoraBrasil();
+    const { error } = await supabase
+      .from('login_tentativas')
+      .insert({
+        nome_projetista: String(nomeProjetista || '').trim(),
+        ip: ip || null,
+        sucesso: sucesso,
+        motivo: motivo || null,
+        data: data,
+        hora: hora
+      });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return { success: true };
+  } catch (err) {
+    console.error('❌ [Supabase] Erro ao registrar tentativa de login:', err.message || err);
+    if (err.code === '42P01' || err.message?.includes('does not exist')) {
+      console.error('❌ [Supabase] Execute o SQL em backend/sql/create_login_tentativas.sql');
+    }
+    return { success: false, error: err };
+  }
+}
+
 // Criar pasta data se não existir
 // Permite configurar via variável de ambiente (útil para Railway volumes)
 // IMPORTANTE: Definir DATA_DIR ANTES de usar no multer
@@ -344,6 +436,11 @@ const PROJETISTAS_FILE = path.join(DATA_DIR, 'projetistas.xlsx');
 const BASE_CTOS_FILE = path.join(DATA_DIR, 'base.xlsx'); // Mantido para compatibilidade, mas não será mais usado
 const TABULACOES_FILE = path.join(DATA_DIR, 'tabulacoes.xlsx');
 const BASE_VI_ALA_FILE = path.join(DATA_DIR, 'base_VI ALA.xlsx');
+const AUDITORIA_FILE = path.join(DATA_DIR, 'auditoria.xlsx');
+const PAPEIS_FILE = path.join(DATA_DIR, 'papeis.xlsx');
+const REGRAS_COBERTURA_FILE = path.join(DATA_DIR, 'regras_cobertura.xlsx');
+const PERFIS_PON_FILE = path.join(DATA_DIR, 'perfis_pon.xlsx');
+const MAPEAMENTOS_COLUNAS_FILE = path.join(DATA_DIR, 'mapeamentos_colunas.xlsx');
 
 // Função para formatar data no formato DD/MM/YYYY
 function formatDateForFilename(date) {
@@ -512,7 +609,12 @@ let uploadProgress = {
 const fileLocks = {
   projetistas: null,
   tabulacoes: null,
-  vi_ala: null
+  vi_ala: null,
+  auditoria: null,
+  papeis: null,
+  regras_cobertura: null,
+  perfis_pon: null,
+  mapeamentos_colunas: null
 };
 
 // Função para executar operação com lock (garante execução sequencial)
@@ -840,6 +942,32 @@ async function readCTOsFromSupabase() {
   }
 }
 
+// Converter linha da tabela ctos (retornada pelas funções find_ctos_*) para o formato das rotas /api/ctos/nearby e /nearest
+function formatarCTOProxima(row, distanciaMetros) {
+  const dataCadastro = row.data_cadastro || row.data_criacao || row.created_at || '';
+  return {
+    nome: row.cto || row.id_cto || '',
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    vagas_total: row.portas || 0,
+    clientes_conectados: row.ocupado || 0,
+    pct_ocup: row.pct_ocup || 0,
+    cidade: row.cid_rede || '',
+    pop: row.pop || '',
+    id: row.id_cto || row.id?.toString() || '',
+    id_cto: row.id_cto || row.id?.toString() || '',
+    olt: row.olt || '',
+    slot: row.slot || '',
+    pon: row.pon || '',
+    distancia_metros: Math.round(distanciaMetros * 100) / 100,
+    is_condominio: false, // Garantir que não é prédio
+    condominio_data: null,
+    status_cto_condominio: null,
+    status_cto: row.status_cto || '', // Incluir status da CTO
+    data_criacao: dataCadastro
+  };
+}
+
 // Nova rota OTIMIZADA: Buscar CTOs próximas por coordenadas (não carrega todas)
 // Esta é a solução para resolver o problema de memória - busca apenas CTOs próximas
 app.get('/api/ctos/nearby', async (req, res) => {
@@ -861,206 +989,51 @@ app.get('/api/ctos/nearby', async (req, res) => {
       return res.status(400).json({ error: 'Latitude e longitude são obrigatórios' });
     }
     
+    if (isNaN(radiusMeters) || radiusMeters <= 0) {
+      return res.status(400).json({ error: 'Raio inválido' });
+    }
+    
     console.log(`🔍 [API] Buscando CTOs próximas de (${lat}, ${lng}) em raio de ${radiusMeters}m`);
     
     if (supabase && isSupabaseAvailable()) {
       try {
-        // Calcular bounding box (caixa delimitadora) para filtrar eficientemente
-        // Aproximação: 1 grau ≈ 111km, então radiusMeters/111000 graus
-        const radiusDegrees = radiusMeters / 111000;
-        const latMin = lat - radiusDegrees;
-        const latMax = lat + radiusDegrees;
-        const lngMin = lng - radiusDegrees;
-        const lngMax = lng + radiusDegrees;
-        
-        // Buscar TODAS as CTOs dentro da bounding box (incluindo não ativas)
-        const { data, error } = await supabase
-          .from('ctos')
-          .select('*')
-          .gte('latitude', latMin)
-          .lte('latitude', latMax)
-          .gte('longitude', lngMin)
-          .lte('longitude', lngMax);
-          // Removido filtro de status - agora retorna CTOs ativas e não ativas
+        // Busca espacial no banco (função find_ctos_nearby em backend/sql/create_ctos_nearby.sql)
+        // ST_DWithin usa o índice geography, a distância já vem calculada e ordenada
+        // e cada CTO já vem marcada se pertence a um prédio (tabela condominios)
+        const { data, error } = await supabase.rpc('find_ctos_nearby', {
+          p_latitude: lat,
+          p_longitude: lng,
+          p_radius_meters: radiusMeters
+        });
         
         if (error) {
-          console.error('❌ [API] Erro ao buscar CTOs:', error);
+          console.error('❌ [API] Erro ao buscar CTOs (find_ctos_nearby):', error);
           throw error;
         }
         
-        // Função de cálculo de distância geodésica (Haversine)
-        const calculateDistance = (lat1, lng1, lat2, lng2) => {
-          const R = 6371000; // Raio da Terra em metros
-          const dLat = (lat2 - lat1) * Math.PI / 180;
-          const dLng = (lng2 - lng1) * Math.PI / 180;
-          const a = 
-            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-            Math.sin(dLng / 2) * Math.sin(dLng / 2);
-          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-          return R * c;
-        };
-        
-        // SOLUÇÃO 5: Filtrar CTOs por ID (evitar duplicatas)
-        // 1. Buscar TODOS os prédios dentro de um raio maior (500m) para pegar todos os IDs
-        let condominiosTableExists = false;
-        let prédiosIds = new Set(); // Set para verificação rápida O(1)
-        let prédiosMap = new Map(); // Map para armazenar dados dos prédios por ID
-        
-        try {
-          const { error: tableError } = await supabase
-            .from('condominios')
-            .select('id')
-            .limit(1);
-          
-          if (!tableError || (tableError.code !== 'PGRST116' && !tableError.message.includes('does not exist'))) {
-            condominiosTableExists = true;
-            
-            // Buscar TODOS os prédios dentro de um raio maior (500m) para pegar todos os IDs
-            // Isso garante que pegamos todos os IDs, mesmo que o prédio esteja um pouco mais longe
-            const radiusDegreesPrédios = 500 / 111000; // 500 metros em graus
-            const latMinPrédios = lat - radiusDegreesPrédios;
-            const latMaxPrédios = lat + radiusDegreesPrédios;
-            const lngMinPrédios = lng - radiusDegreesPrédios;
-            const lngMaxPrédios = lng + radiusDegreesPrédios;
-            
-            const { data: condominiosData, error: condominiosError } = await supabase
-              .from('condominios')
-              .select('*')
-              .gte('latitude', latMinPrédios)
-              .lte('latitude', latMaxPrédios)
-              .gte('longitude', lngMinPrédios)
-              .lte('longitude', lngMaxPrédios);
-            
-            if (!condominiosError && condominiosData) {
-              // Criar Set com IDs dos prédios (para verificação rápida)
-              // Adicionar como número, string e número convertido para garantir matching
-              condominiosData.forEach(prédio => {
-                if (prédio.id_equipamento) {
-                  const id = prédio.id_equipamento;
-                  const idNum = typeof id === 'number' ? id : parseInt(id);
-                  const idStr = String(id);
-                  
-                  if (!isNaN(idNum)) {
-                    // Adicionar em múltiplos formatos para garantir matching
-                    prédiosIds.add(idNum);
-                    prédiosIds.add(idStr);
-                    prédiosIds.add(Number(idStr));
-                    
-                    // Armazenar dados do prédio no Map (para usar depois)
-                    if (!prédiosMap.has(idNum)) {
-                      prédiosMap.set(idNum, prédio);
-                    }
-                  }
-                }
-              });
-              
-              console.log(`🏢 [API] ${condominiosData.length} prédios encontrados, ${prédiosIds.size} IDs únicos para filtrar CTOs`);
-            }
-          }
-        } catch (checkError) {
-          console.warn('⚠️ [API] Erro ao verificar tabela condominios:', checkError.message);
-        }
-        
-        // Filtrar por distância exata e calcular distâncias
-        // SOLUÇÃO 5: Filtrar CTOs que têm ID igual aos prédios (evitar duplicatas)
+        // CTOs de prédios ficam de fora (são exibidas pela rota /api/condominios/nearby)
         const nearbyCTOs = [];
-        const ctosInternasPorPrédio = new Map(); // Agrupar CTOs internas por prédio
+        let condominiosCount = 0;
         
-        for (const row of (data || [])) {
-          // Validar coordenadas antes de calcular distância
-          const rowLat = parseFloat(row.latitude);
-          const rowLng = parseFloat(row.longitude);
-          
-          // Pular CTOs com coordenadas inválidas
-          if (isNaN(rowLat) || isNaN(rowLng) || 
-              rowLat < -90 || rowLat > 90 || 
-              rowLng < -180 || rowLng > 180) {
-            console.warn(`⚠️ [API] CTO ${row.id_cto || row.cto || 'sem nome'} tem coordenadas inválidas: (${row.latitude}, ${row.longitude})`);
+        for (const { cto: row, distancia_metros, is_condominio } of (data || [])) {
+          if (is_condominio) {
+            condominiosCount++;
             continue;
           }
           
-          const distance = calculateDistance(lat, lng, rowLat, rowLng);
-          
-          if (distance > radiusMeters) continue;
-          
-          const ctoId = row.id_cto;
-          const ctoIdNum = ctoId ? (typeof ctoId === 'number' ? ctoId : parseInt(ctoId)) : null;
-          const ctoIdStr = ctoId ? String(ctoId) : null;
-          
-          // SOLUÇÃO 5: Verificar se esta CTO está na base de prédios (matching por ID)
-          let is_condominio = false;
-          let condominio_data = null;
-          
-          if (condominiosTableExists && prédiosIds.size > 0 && ctoIdNum && !isNaN(ctoIdNum)) {
-            // Verificar se o ID da CTO está no Set de IDs dos prédios
-            if (prédiosIds.has(ctoIdNum) || prédiosIds.has(ctoIdStr) || prédiosIds.has(Number(ctoIdStr))) {
-              is_condominio = true;
-              // Buscar dados do prédio do Map
-              condominio_data = prédiosMap.get(ctoIdNum) || prédiosMap.get(Number(ctoIdStr));
-              
-              // Agrupar CTO interna por prédio (para adicionar depois aos prédios)
-              if (!ctosInternasPorPrédio.has(ctoIdNum)) {
-                ctosInternasPorPrédio.set(ctoIdNum, []);
-              }
-              
-              ctosInternasPorPrédio.get(ctoIdNum).push({
-                nome: row.cto || row.id_cto || '',
-                id: row.id_cto || row.id?.toString() || '',
-                vagas_total: row.portas || 0,
-                clientes_conectados: row.ocupado || 0,
-                portas_disponiveis: (row.portas || 0) - (row.ocupado || 0),
-                status_cto: row.status_cto || '',
-                cidade: row.cid_rede || '',
-                pop: row.pop || ''
-              });
-              
-              // NÃO adicionar esta CTO à lista de CTOs normais (é prédio, será filtrada)
-              console.log(`🏢 [API] CTO ${ctoId} está na base de prédios (ID: ${ctoIdNum}), filtrando...`);
-              continue; // PULAR esta CTO (não adicionar à lista)
-            }
-          }
-          
-          // Se chegou aqui, é CTO de rua (não está na base de prédios)
-          const dataCadastro = row.data_cadastro || row.data_criacao || row.created_at || '';
-          nearbyCTOs.push({
-            nome: row.cto || row.id_cto || '',
-            latitude: rowLat, // Já validado acima
-            longitude: rowLng, // Já validado acima
-            vagas_total: row.portas || 0,
-            clientes_conectados: row.ocupado || 0,
-            pct_ocup: row.pct_ocup || 0,
-            cidade: row.cid_rede || '',
-            pop: row.pop || '',
-            id: row.id_cto || row.id?.toString() || '',
-            id_cto: row.id_cto || row.id?.toString() || '',
-            olt: row.olt || '',
-            slot: row.slot || '',
-            pon: row.pon || '',
-            distancia_metros: Math.round(distance * 100) / 100,
-            is_condominio: false, // Garantir que não é prédio
-            condominio_data: null,
-            status_cto_condominio: null,
-            status_cto: row.status_cto || '', // Incluir status da CTO
-            data_criacao: dataCadastro
-          });
+          nearbyCTOs.push(formatarCTOProxima(row, distancia_metros));
         }
         
-        // Ordenar por distância (sem limite - retornar todas dentro do raio)
-        nearbyCTOs.sort((a, b) => a.distancia_metros - b.distancia_metros);
-        const finalCTOs = nearbyCTOs; // Retornar todas as CTOs dentro do raio
-        
-        const condominiosCount = finalCTOs.filter(cto => cto.is_condominio).length;
-        console.log(`✅ [API] ${finalCTOs.length} CTOs encontradas próximas (de ${data?.length || 0} na bounding box)`);
+        console.log(`✅ [API] ${nearbyCTOs.length} CTOs encontradas próximas`);
         if (condominiosCount > 0) {
-          console.log(`🏢 [API] ${condominiosCount} CTOs são de condomínios/prédios`);
+          console.log(`🏢 [API] ${condominiosCount} CTOs de condomínios/prédios filtradas`);
         }
         
         // Sempre retornar resposta válida, mesmo quando não há CTOs
         return res.json({
           success: true,
-          ctos: finalCTOs || [],
-          count: finalCTOs?.length || 0
+          ctos: nearbyCTOs,
+          count: nearbyCTOs.length
         });
       } catch (supabaseErr) {
         console.error('❌ [API] Erro ao buscar CTOs do Supabase:', supabaseErr);
@@ -1075,13 +1048,13 @@ app.get('/api/ctos/nearby', async (req, res) => {
   }
 });
 
-// ============================================
-// ROTAS DE COBERTURA (Coverage Polygons)
-// ============================================
+// Limite de CTOs retornadas por /api/ctos/nearest
+const CTOS_NEAREST_MAX_K = 50;
 
-// Rota para calcular polígonos de cobertura (processamento assíncrono)
-// Rota para calcular polígonos de cobertura (INCREMENTAL - manual)
-app.post('/api/coverage/calculate', async (req, res) => {
+// Rota para buscar as K CTOs mais próximas, sem limite de raio
+// Filtros opcionais: min_livre (portas livres mínimas) e status (lista separada por vírgula, ex: ATIVADO)
+// CTOs de prédios ficam de fora (são exibidas pela rota /api/condominios/nearby)
+app.get('/api/ctos/nearest', async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -1091,670 +1064,3077 @@ app.post('/api/coverage/calculate', async (req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    console.log('🗺️ [API] Iniciando cálculo de polígonos de cobertura (INCREMENTAL)...');
-    
-    if (!supabase || !isSupabaseAvailable()) {
-      return res.status(503).json({ 
-        success: false, 
-        error: 'Supabase não disponível' 
-      });
+
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const k = parseInt(req.query.k || 10, 10);
+    const minLivre = parseInt(req.query.min_livre || 0, 10);
+    const status = String(req.query.status || '')
+      .split(',')
+      .map(s => s.trim().toUpperCase())
+      .filter(Boolean);
+
+    if (isNaN(lat) || isNaN(lng)) {
+      return res.status(400).json({ error: 'Latitude e longitude são obrigatórios' });
     }
-    
-    // Deletar polígonos antigos primeiro
-    console.log('🗑️ [API] Deletando polígonos de cobertura antigos...');
-    const polygonDeleteResult = await deleteAllCoveragePolygons();
-    if (polygonDeleteResult.success) {
-      console.log(`✅ [API] Polígonos deletados: ${polygonDeleteResult.deletedCount || 0} polígono(s)`);
+
+    if (isNaN(k) || k < 1 || k > CTOS_NEAREST_MAX_K) {
+      return res.status(400).json({ error: `k deve estar entre 1 e ${CTOS_NEAREST_MAX_K}` });
     }
-    
-    // Limpar registros de cálculo em progresso
-    try {
-      const { error: clearProgressError } = await supabase
-        .from('coverage_calculation_progress')
-        .delete()
-        .neq('calculation_id', '');
-      
-      if (clearProgressError) {
-        console.warn(`⚠️ [API] Aviso ao limpar progresso: ${clearProgressError.message}`);
-      }
-    } catch (clearErr) {
-      console.warn(`⚠️ [API] Erro ao limpar progresso (não crítico):`, clearErr.message);
+
+    if (isNaN(minLivre) || minLivre < 0) {
+      return res.status(400).json({ error: 'min_livre deve ser um número maior ou igual a 0' });
     }
-    
-    // Gerar ID único para este cálculo
-    const calculationId = `calc_inc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Contar total de CTOs válidas (com latitude/longitude válidas)
-    // IMPORTANTE: Usar os mesmos filtros da busca para garantir contagem precisa
-    const { count: totalCTOs, error: countError } = await supabase
-      .from('ctos')
-      .select('id', { count: 'exact', head: true })
-      .not('latitude', 'is', null)
-      .not('longitude', 'is', null)
-      .gte('latitude', -90)
-      .lte('latitude', 90)
-      .gte('longitude', -180)
-      .lte('longitude', 180);
-    
-    if (countError) {
-      console.error('❌ [API] Erro ao contar CTOs válidas:', countError);
-      // Tentar contar sem filtros como fallback
-      const { count: totalAll } = await supabase
-        .from('ctos')
-        .select('id', { count: 'exact', head: true });
-      console.warn(`⚠️ [API] Usando contagem total sem filtros: ${totalAll || 0}`);
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ error: 'Supabase não disponível' });
     }
-    
-    console.log(`📊 [API] Total de CTOs válidas encontradas: ${totalCTOs || 0}`);
-    
-    // Verificar se há CTOs para processar
-    if (!totalCTOs || totalCTOs === 0) {
-      uploadProgress.stage = 'error';
-      uploadProgress.message = 'Nenhuma CTO válida encontrada para processar';
-      throw new Error('Nenhuma CTO válida encontrada');
+
+    console.log(`🔍 [API] Buscando ${k} CTO(s) mais próximas de (${lat}, ${lng}) - min_livre: ${minLivre}, status: ${status.join(', ') || 'qualquer'}`);
+
+    // Função find_ctos_nearest em backend/sql/create_ctos_nearest.sql
+    const { data, error } = await supabase.rpc('find_ctos_nearest', {
+      p_latitude: lat,
+      p_longitude: lng,
+      p_k: k,
+      p_min_livre: minLivre,
+      p_status: status.length > 0 ? status : null
+    });
+
+    if (error) {
+      console.error('❌ [API] Erro ao buscar CTOs (find_ctos_nearest):', error);
+      return res.status(500).json({ error: 'Erro ao buscar CTOs', details: error.message });
     }
-    
-    // Inicializar progresso global
-    uploadProgress = {
-      stage: 'calculating',
-      uploadPercent: 100, // Upload já está completo
-      calculationPercent: 0,
-      message: 'Iniciando cálculo da mancha de cobertura...',
-      totalRows: 0,
-      processedRows: 0,
-      importedRows: 0,
-      calculationId: calculationId,
-      totalCTOs: totalCTOs || 0,
-      processedCTOs: 0
-    };
-    
-    // Retornar resposta imediata e processar em background
-    res.json({
+
+    const ctos = (data || []).map(({ cto: row, distancia_metros }) => formatarCTOProxima(row, distancia_metros));
+
+    console.log(`✅ [API] ${ctos.length} CTO(s) mais próximas encontradas`);
+
+    return res.json({
       success: true,
-      message: 'Cálculo iniciado em background (INCREMENTAL). Use GET /api/upload-progress para verificar progresso.',
-      status: 'processing',
-      calculation_id: calculationId
+      ctos: ctos,
+      count: ctos.length
     });
-    
-    // ============================================
-    // FUNÇÕES ANTIGAS (TURF.JS) - NÃO MAIS USADAS
-    // Mantidas apenas como referência
-    // Agora usamos PostGIS para todos os cálculos
-    // ============================================
-    
-    /*
-    // Função auxiliar para converter GeoJSON para formato Martinez (array de coordenadas)
-    const geojsonToMartinez = (geojson) => {
-      if (!geojson || !geojson.geometry) return null;
-      
-      const coords = geojson.geometry.coordinates;
-      if (!coords || coords.length === 0) return null;
-      
-      // Martinez espera: [[x, y], [x, y], ...] para cada ring
-      // GeoJSON Polygon tem: [[[x, y], ...], ...] (array of rings)
-      // Pegar apenas o ring externo (primeiro array)
-      const ring = coords[0] || null;
-      
-      // VALIDAÇÃO CRÍTICA: Martinez requer pelo menos 4 pontos (LinearRing fechado)
-      // Um polígono válido precisa de: ponto inicial, 2+ pontos intermediários, ponto final (igual ao inicial)
-      if (!ring || ring.length < 4) {
-        return null; // Polígono inválido para Martinez
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/nearest:', err);
+    return res.status(500).json({ error: 'Erro interno', details: err.message });
+  }
+});
+
+// ============================================
+// CONSULTA DE VIABILIDADE EM LOTE
+// ============================================
+// Recebe uma planilha (CSV/XLSX) com coordenadas ou endereços e aplica em cada linha
+// os mesmos critérios da Viabilidade Alares: área de cobertura (verificarCoberturaPonto, com as regras de raio),
+// CTOs de rua mais próximas (find_ctos_nearest, sem CTOs de prédios), portas livres em CTOs ATIVADO e distância
+// (classificação em backend/viabilidadeLote.js).
+// O processamento roda em background, com até VIABILIDADE_LOTE_CONCORRENCIA linhas consultadas ao mesmo
+// tempo (RPCs no Supabase, geocodificação e rotas na worker thread); o progresso é consultado em GET /api/viabilidade/batch/:id
+// e o resultado (uma linha por linha de entrada) é baixado em GET /api/viabilidade/batch/:id/download.
+// Com a malha viária carregada (routing.js, na worker thread de rotas), o limite de 250m usa a
+// distância real pelas ruas; sem ela, usa a distância linear.
+
+const VIABILIDADE_LOTE_MAX_LINHAS = parseInt(process.env.VIABILIDADE_LOTE_MAX_LINHAS, 10) || 2000;
+const VIABILIDADE_LOTE_CTOS = 5; // CTOs de rua avaliadas por linha
+const VIABILIDADE_LOTE_CONCORRENCIA = parseInt(process.env.VIABILIDADE_LOTE_CONCORRENCIA, 10) || 4; // Linhas consultadas ao mesmo tempo
+const VIABILIDADE_LOTE_TTL_MS = 60 * 60 * 1000; // Resultado fica disponível por 1 hora
+
+// Lotes em memória
+// Formato: { id: { id, usuario, arquivo, stage, percent, message, totalRows, processedRows, resultadoPath, criadoEm, finalizadoEm } }
+// stage: 'processing', 'completed', 'error'
+const viabilidadeLotes = new Map();
+
+// Nomes de coluna aceitos (comparados sem acento, em minúsculas)
+const COLUNAS_LATITUDE = ['latitude', 'lat'];
+const COLUNAS_LONGITUDE = ['longitude', 'lng', 'lon', 'long'];
+const COLUNAS_ENDERECO = ['endereco', 'endereco_completo', 'address', 'logradouro'];
+const COLUNAS_CIDADE = ['cidade', 'municipio'];
+const COLUNAS_UF = ['uf', 'estado'];
+
+function normalizarCabecalho(cabecalho) {
+  return String(cabecalho || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+// Encontrar a coluna original da planilha que corresponde a um dos nomes aceitos
+function encontrarColuna(cabecalhos, aceitos) {
+  return cabecalhos.find(cabecalho => aceitos.includes(normalizarCabecalho(cabecalho))) || null;
+}
+
+// Converter coordenada da planilha (aceita vírgula decimal)
+function parseCoordenada(valor) {
+  if (typeof valor === 'number') {
+    return valor;
+  }
+  const numero = parseFloat(String(valor || '').trim().replace(',', '.'));
+  return isNaN(numero) ? null : numero;
+}
+
+// Ler linhas da planilha enviada (CSV em UTF-8, separado por vírgula ou ponto e vírgula, ou Excel)
+function lerPlanilhaLote(buffer, nomeArquivo) {
+  let workbook;
+  if (/\.csv$/i.test(nomeArquivo)) {
+    const texto = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const primeiraLinha = texto.split(/\r?\n/, 1)[0];
+    const separador = (primeiraLinha.match(/;/g) || []).length > (primeiraLinha.match(/,/g) || []).length ? ';' : ',';
+    workbook = XLSX.read(texto, { type: 'string', FS: separador, raw: true });
+  } else {
+    workbook = XLSX.read(buffer, { type: 'buffer' });
+  }
+
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return worksheet ? XLSX.utils.sheet_to_json(worksheet, { defval: '' }) : [];
+}
+
+// Distância real pelas ruas da CTO até o ponto (null se a malha viária não estiver carregada ou não houver rota)
+async function calcularDistanciaReal(cto, lat, lng) {
+  if (!isGrafoViarioCarregado()) {
+    return null;
+  }
+  const rota = await calcularRota({ lat: cto.latitude, lng: cto.longitude }, { lat, lng });
+  return rota.encontrada ? rota.distancia_metros : null;
+}
+
+// Aplicar os critérios de viabilidade em um ponto
+async function avaliarViabilidadePonto(lat, lng) {
+  const [pontoCobertura, proximas, comPortaLivre] = await Promise.all([
+    verificarCoberturaPonto(lat, lng),
+    supabase.rpc('find_ctos_nearest', { p_latitude: lat, p_longitude: lng, p_k: VIABILIDADE_LOTE_CTOS, p_min_livre: 0, p_status: null }),
+    supabase.rpc('find_ctos_nearest', { p_latitude: lat, p_longitude: lng, p_k: 1, p_min_livre: 1, p_status: VIABILIDADE_STATUS_PORTA_LIVRE })
+  ]);
+
+  for (const { error } of [proximas, comPortaLivre]) {
+    if (error) {
+      throw new Error(error.message);
+    }
+  }
+
+  const coberto = pontoCobertura?.is_covered === true;
+  const ctos = (proximas.data || []).map(({ cto, distancia_metros }) => formatarCTOProxima(cto, distancia_metros));
+  const ctoLivre = (comPortaLivre.data || []).map(({ cto, distancia_metros }) => formatarCTOProxima(cto, distancia_metros))[0] || null;
+
+  // Com a malha viária carregada, usar a distância real pelas ruas (da CTO até o cliente)
+  await Promise.all([...ctos, ctoLivre].filter(Boolean).map(async (cto) => {
+    cto.distancia_real = await calcularDistanciaReal(cto, lat, lng);
+  }));
+  ctos.sort((a, b) => distanciaConsiderada(a) - distanciaConsiderada(b));
+  const { resultado, dentroDoLimite } = classificarViabilidade({ coberto, ctos });
+
+  return {
+    coberto,
+    distanciaCobertura: coberto ? 0 : (pontoCobertura?.distance_to_coverage_meters ?? null),
+    ctosDentroDoLimite: dentroDoLimite.length,
+    maisProxima: ctos[0] || null,
+    maisProximaLivre: ctoLivre,
+    resultado
+  };
+}
+
+// Consultar uma linha do lote e montar a linha de saída (erros viram Resultado = 'Erro')
+async function avaliarLinhaLote(lote, linha, i, colunas) {
+  const saida = { ...linha };
+
+  try {
+    let lat = colunas.latitude ? parseCoordenada(linha[colunas.latitude]) : null;
+    let lng = colunas.longitude ? parseCoordenada(linha[colunas.longitude]) : null;
+    let enderecoGeocodificado = '';
+
+    const coordenadasValidas = lat !== null && lng !== null && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+    if (!coordenadasValidas) {
+      lat = null;
+      lng = null;
+
+      if (colunas.endereco && String(linha[colunas.endereco] || '').trim()) {
+        const partes = [linha[colunas.endereco], colunas.cidade ? linha[colunas.cidade] : '', colunas.uf ? linha[colunas.uf] : '']
+          .map(parte => String(parte || '').trim())
+          .filter(Boolean);
+        const geocodificado = await geocodificarEndereco(partes.join(', '));
+        if (geocodificado) {
+          lat = geocodificado.latitude;
+          lng = geocodificado.longitude;
+          enderecoGeocodificado = geocodificado.endereco_formatado;
+        }
       }
-      
-      return ring;
-    };
-    
-    // Função auxiliar para converter resultado Martinez de volta para GeoJSON
-    const martinezToGeojson = (martinezResult) => {
-      if (!martinezResult || martinezResult.length === 0) return null;
-      
-      // Martinez retorna array de polígonos: [[[x, y], ...], ...]
-      // Se tiver múltiplos polígonos, criar MultiPolygon
-      // Se tiver apenas um, criar Polygon
-      
-      if (martinezResult.length === 1) {
-        // Polygon único
-        return turf.polygon([martinezResult[0]]);
-      } else {
-        // MultiPolygon
-        return turf.multiPolygon(martinezResult.map(poly => [poly]));
+    }
+
+    if (lat === null || lng === null) {
+      saida['Resultado'] = 'Endereço não Localizado';
+      saida['Observação'] = colunas.endereco ? 'Endereço não encontrado pelo geocodificador' : 'Linha sem coordenadas válidas';
+    } else {
+      const avaliacao = await avaliarViabilidadePonto(lat, lng);
+      const { maisProxima, maisProximaLivre } = avaliacao;
+
+      saida['Latitude Consultada'] = lat;
+      saida['Longitude Consultada'] = lng;
+      saida['Endereço Geocodificado'] = enderecoGeocodificado;
+      saida['Na Área de Cobertura'] = avaliacao.coberto ? 'Sim' : 'Não';
+      saida['Distância até a Cobertura (m)'] = avaliacao.distanciaCobertura !== null ? Math.round(avaliacao.distanciaCobertura) : '';
+      saida[`CTOs até ${VIABILIDADE_LIMITE_METROS}m`] = avaliacao.ctosDentroDoLimite;
+      saida['CTO Mais Próxima'] = maisProxima?.nome || '';
+      saida['Distância CTO Mais Próxima (m)'] = maisProxima ? maisProxima.distancia_metros : '';
+      saida['Distância Real CTO Mais Próxima (m)'] = maisProxima?.distancia_real ?? '';
+      saida['Portas Livres CTO Mais Próxima'] = maisProxima ? maisProxima.vagas_total - maisProxima.clientes_conectados : '';
+      saida['Status CTO Mais Próxima'] = maisProxima?.status_cto || '';
+      saida['CTO com Porta Livre Mais Próxima'] = maisProximaLivre?.nome || '';
+      saida['Distância CTO com Porta Livre (m)'] = maisProximaLivre ? maisProximaLivre.distancia_metros : '';
+      saida['Distância Real CTO com Porta Livre (m)'] = maisProximaLivre?.distancia_real ?? '';
+      saida['Portas Livres'] = maisProximaLivre ? maisProximaLivre.vagas_total - maisProximaLivre.clientes_conectados : '';
+      saida['Resultado'] = avaliacao.resultado;
+      saida['Observação'] = '';
+    }
+  } catch (err) {
+    console.error(`❌ [Viabilidade Lote] Erro na linha ${i + 2} do lote ${lote.id}:`, err.message);
+    saida['Resultado'] = 'Erro';
+    saida['Observação'] = err.message;
+  }
+
+  return saida;
+}
+
+// Processar as linhas de um lote e gravar o XLSX de resultado
+// As linhas são distribuídas entre VIABILIDADE_LOTE_CONCORRENCIA consultas simultâneas;
+// o resultado mantém a ordem da planilha
+async function processarLoteViabilidade(lote, linhas, colunas) {
+  const resultados = new Array(linhas.length);
+  let proxima = 0;
+  let processadas = 0;
+
+  const consultarLinhas = async () => {
+    while (proxima < linhas.length) {
+      const i = proxima++;
+      resultados[i] = await avaliarLinhaLote(lote, linhas[i], i, colunas);
+      processadas++;
+      lote.processedRows = processadas;
+      lote.percent = Math.round((processadas / linhas.length) * 100);
+      lote.message = `Consultando viabilidade... ${lote.percent}% (${processadas}/${linhas.length} linhas)`;
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(VIABILIDADE_LOTE_CONCORRENCIA, linhas.length) }, consultarLinhas));
+
+  const nomeBase = path.basename(lote.arquivo, path.extname(lote.arquivo));
+  lote.resultadoPath = path.join(DATA_DIR, 'temp', `viabilidade-lote-${lote.id}.xlsx`);
+  lote.nomeResultado = `viabilidade_${nomeBase}.xlsx`;
+
+  const worksheet = XLSX.utils.json_to_sheet(resultados);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Viabilidade');
+  XLSX.writeFile(workbook, lote.resultadoPath);
+}
+
+// Dados do lote expostos pela API (sem caminhos internos)
+function loteViabilidadePublico(lote) {
+  return {
+    id: lote.id,
+    usuario: lote.usuario,
+    arquivo: lote.arquivo,
+    stage: lote.stage,
+    percent: lote.percent,
+    message: lote.message,
+    totalRows: lote.totalRows,
+    processedRows: lote.processedRows,
+    criadoEm: lote.criadoEm,
+    finalizadoEm: lote.finalizadoEm
+  };
+}
+
+// Buscar lote do usuário (admin acessa lotes de todos)
+function getLoteViabilidade(req) {
+  const lote = viabilidadeLotes.get(req.params.id);
+  if (!lote) {
+    return null;
+  }
+  if (lote.usuario.toLowerCase() !== req.usuario.toLowerCase() && req.userTipo !== PAPEL_ADMIN) {
+    return null;
+  }
+  return lote;
+}
+
+// Remover lotes expirados (e seus arquivos de resultado)
+setInterval(() => {
+  const agora = Date.now();
+  for (const [id, lote] of viabilidadeLotes) {
+    if (lote.finalizadoEm && agora - lote.finalizadoEm > VIABILIDADE_LOTE_TTL_MS) {
+      if (lote.resultadoPath && fs.existsSync(lote.resultadoPath)) {
+        fs.unlinkSync(lote.resultadoPath);
       }
+      viabilidadeLotes.delete(id);
+    }
+  }
+}, 10 * 60 * 1000); // Verificar a cada 10 minutos
+
+// Rota para iniciar consulta de viabilidade em lote (processamento em background)
+// Campo do arquivo: "file" (.csv, .xlsx ou .xls)
+// Colunas: latitude/longitude, ou endereco (+ cidade/uf opcionais) para geocodificação
+app.post('/api/viabilidade/batch', upload.single('file'), async (req, res) => {
+  // Garantir headers CORS
+  const origin = req.headers.origin;
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  } else {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+  // Limpar arquivo temporário
+  const removerArquivo = () => {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  };
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Nenhum arquivo foi enviado' });
+    }
+
+    if (!req.file.originalname.match(/\.(csv|xlsx|xls)$/i)) {
+      removerArquivo();
+      return res.status(400).json({
+        success: false,
+        error: 'Formato de arquivo inválido. Envie um arquivo CSV ou Excel (.xlsx ou .xls).'
+      });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      removerArquivo();
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    const loteEmAndamento = [...viabilidadeLotes.values()].find(lote =>
+      lote.stage === 'processing' && lote.usuario.toLowerCase() === req.usuario.toLowerCase()
+    );
+    if (loteEmAndamento) {
+      removerArquivo();
+      return res.status(409).json({
+        success: false,
+        error: 'Já existe uma consulta em lote em andamento para este usuário',
+        id: loteEmAndamento.id
+      });
+    }
+
+    const fileBuffer = await fsPromises.readFile(req.file.path);
+    removerArquivo();
+
+    const linhas = lerPlanilhaLote(fileBuffer, req.file.originalname);
+
+    if (linhas.length === 0) {
+      return res.status(400).json({ success: false, error: 'O arquivo está vazio ou não contém dados válidos.' });
+    }
+
+    if (linhas.length > VIABILIDADE_LOTE_MAX_LINHAS) {
+      return res.status(400).json({
+        success: false,
+        error: `O arquivo tem ${linhas.length} linhas. O máximo por consulta é ${VIABILIDADE_LOTE_MAX_LINHAS}.`
+      });
+    }
+
+    const cabecalhos = Object.keys(linhas[0]);
+    const colunas = {
+      latitude: encontrarColuna(cabecalhos, COLUNAS_LATITUDE),
+      longitude: encontrarColuna(cabecalhos, COLUNAS_LONGITUDE),
+      endereco: encontrarColuna(cabecalhos, COLUNAS_ENDERECO),
+      cidade: encontrarColuna(cabecalhos, COLUNAS_CIDADE),
+      uf: encontrarColuna(cabecalhos, COLUNAS_UF)
     };
-    
-    // DESABILITADO: Martinez está falhando muito devido à simplificação agressiva
-    // Usando apenas Turf.js que funciona melhor com geometrias simplificadas
-    const robustUnion = (poly1, poly2) => {
-      try {
-        return turf.union(poly1, poly2);
-      } catch (err) {
-        // Se Turf.js falhar, tentar simplificar antes de unir
-        try {
-          const simplified1 = turf.simplify(poly1, { tolerance: 0.0001, highQuality: true });
-          const simplified2 = turf.simplify(poly2, { tolerance: 0.0001, highQuality: true });
-          return turf.union(simplified1, simplified2);
-        } catch (retryErr) {
-          // Se ainda falhar, retornar null (será pulado)
-          return null;
-        }
-      }
+
+    const temCoordenadas = colunas.latitude && colunas.longitude;
+    if (!temCoordenadas && !colunas.endereco) {
+      return res.status(400).json({
+        success: false,
+        error: 'Colunas não encontradas. Use latitude e longitude, ou endereco (com cidade e uf opcionais).',
+        details: { colunasEncontradas: cabecalhos }
+      });
+    }
+
+    if (!temCoordenadas && getGeocoderAtivo() === 'nenhum') {
+      return res.status(400).json({
+        success: false,
+        error: 'O arquivo não tem latitude/longitude e nenhum geocodificador está configurado (GEOCODER_PROVIDER).'
+      });
+    }
+
+    const lote = {
+      id: crypto.randomUUID(),
+      usuario: req.usuario,
+      arquivo: req.file.originalname,
+      stage: 'processing',
+      percent: 0,
+      message: 'Consulta em lote iniciada...',
+      totalRows: linhas.length,
+      processedRows: 0,
+      resultadoPath: null,
+      nomeResultado: null,
+      criadoEm: Date.now(),
+      finalizadoEm: null
     };
-    
-    // Função auxiliar para validar e corrigir geometria
-    const validateAndFixGeometry = (geometry) => {
-      if (!geometry || !geometry.geometry) {
-        return null;
+    viabilidadeLotes.set(lote.id, lote);
+
+    console.log(`📤 [Viabilidade Lote] ${req.usuario} enviou ${req.file.originalname} (${linhas.length} linhas) - lote ${lote.id}`);
+
+    processarLoteViabilidade(lote, linhas, colunas)
+      .then(() => {
+        lote.stage = 'completed';
+        lote.percent = 100;
+        lote.message = 'Consulta em lote concluída!';
+        console.log(`✅ [Viabilidade Lote] Lote ${lote.id} concluído (${lote.totalRows} linhas)`);
+      })
+      .catch(err => {
+        console.error(`❌ [Viabilidade Lote] Erro ao processar lote ${lote.id}:`, err);
+        lote.stage = 'error';
+        lote.message = `Erro: ${err.message}`;
+      })
+      .finally(() => {
+        lote.finalizadoEm = Date.now();
+      });
+
+    res.status(202).json({
+      success: true,
+      message: 'Consulta em lote iniciada. Use GET /api/viabilidade/batch/:id para verificar o progresso.',
+      ...loteViabilidadePublico(lote)
+    });
+  } catch (err) {
+    removerArquivo();
+    console.error('❌ [Viabilidade Lote] Erro ao iniciar consulta em lote:', err);
+    res.status(500).json({ success: false, error: 'Erro ao iniciar consulta em lote', details: err.message });
+  }
+});
+
+// Rota para consultar o progresso de um lote
+app.get('/api/viabilidade/batch/:id', (req, res) => {
+  const lote = getLoteViabilidade(req);
+  if (!lote) {
+    return res.status(404).json({ success: false, error: 'Consulta em lote não encontrada' });
+  }
+
+  res.json({
+    success: true,
+    ...loteViabilidadePublico(lote)
+  });
+});
+
+// Rota para baixar o XLSX de resultado de um lote concluído
+app.get('/api/viabilidade/batch/:id/download', (req, res) => {
+  const lote = getLoteViabilidade(req);
+  if (!lote) {
+    return res.status(404).json({ success: false, error: 'Consulta em lote não encontrada' });
+  }
+
+  if (lote.stage !== 'completed' || !lote.resultadoPath || !fs.existsSync(lote.resultadoPath)) {
+    return res.status(409).json({ success: false, error: 'O resultado ainda não está disponível', stage: lote.stage });
+  }
+
+  res.download(lote.resultadoPath, lote.nomeResultado);
+});
+
+// ============================================
+// ROTAS PELAS RUAS (malha viária local - routing.js)
+// ============================================
+
+// Extrato OSM com a malha viária (ex: recorte do estado baixado do Geofabrik)
+const OSM_PBF_FILE = process.env.OSM_PBF_PATH || path.join(DATA_DIR, 'osm', 'malha-viaria.osm.pbf');
+
+// Converter parâmetro "lat,lng" em { lat, lng } (ou null se inválido)
+function parsePontoRota(valor) {
+  const [lat, lng] = String(valor || '').split(',').map(parte => parseFloat(parte));
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+  return { lat, lng };
+}
+
+// Rota para calcular distância e trajeto pelas ruas entre dois pontos
+// Parâmetros: from=lat,lng & to=lat,lng & mode=walking|driving
+// Sem mode, usa a regra da Viabilidade Alares (caminhada até 5 km lineares, carro acima)
+// A busca roda na worker thread de rotas; rota longa demais (limite de nós visitados) responde 422
+app.get('/api/route', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const de = parsePontoRota(req.query.from);
+    const para = parsePontoRota(req.query.to);
+    const modo = req.query.mode ? String(req.query.mode).toLowerCase() : null;
+
+    if (!de || !para) {
+      return res.status(400).json({ success: false, error: 'Parâmetros from e to são obrigatórios (formato: lat,lng)' });
+    }
+
+    if (modo && !isModoRotaValido(modo)) {
+      return res.status(400).json({ success: false, error: 'Modo inválido. Use walking ou driving.' });
+    }
+
+    if (!isGrafoViarioCarregado()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Malha viária não carregada',
+        details: getStatusGrafoViario()
+      });
+    }
+
+    const rota = await calcularRota(de, para, modo);
+
+    if (!rota.encontrada) {
+      return res.status(rota.limite_excedido ? 422 : 404).json({ success: false, error: rota.motivo });
+    }
+
+    res.json({
+      success: true,
+      mode: rota.modo,
+      distancia_metros: rota.distancia_metros,
+      polyline: rota.polyline
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/route:', err);
+    res.status(500).json({ success: false, error: 'Erro ao calcular rota', details: err.message });
+  }
+});
+
+// ============================================
+// VECTOR TILES (MVT) DAS CTOs, CONDOMÍNIOS E COBERTURA
+// ============================================
+// Os tiles são gerados no PostGIS (get_vector_tile, backend/sql/create_vector_tiles.sql)
+// e guardados em memória por versão: a base (último upload) para ctos/condominios e a
+// mancha ativa para cobertura. Uploads, deleção da base e novas versões da mancha
+// invalidam o cache na hora; a versão também é relida a cada VERSAO_TILES_TTL.
+
+// Camada → origem da versão usada no cache
+const CAMADAS_TILES = {
+  ctos: 'base',
+  condominios: 'base',
+  cobertura: 'cobertura'
+};
+const TILES_ZOOM_MAX = 22;
+const TILES_CACHE_MAX = 5000; // Tiles em memória (os mais antigos saem primeiro)
+const VERSAO_TILES_TTL = 30 * 1000; // 30 segundos
+
+const cacheTiles = new Map(); // 'camada/versao/z/x/y' → Buffer (vazio = tile sem dados)
+const versoesTiles = {}; // origem → { valor, lidaEm }
+
+// Versão atual de uma origem ('base' ou 'cobertura')
+async function getVersaoTiles(origem) {
+  const atual = versoesTiles[origem];
+  if (atual && Date.now() - atual.lidaEm < VERSAO_TILES_TTL) {
+    return atual.valor;
+  }
+
+  let valor;
+  if (origem === 'base') {
+    valor = (await getUltimoUploadBaseId()) || 'sem-upload';
+  } else {
+    const { data, error } = await supabase
+      .from('coverage_polygons')
+      .select('id, version')
+      .eq('is_active', true)
+      .limit(1);
+    if (error) {
+      throw new Error(`Erro ao ler versão da mancha: ${error.message}`);
+    }
+    valor = data?.[0] ? `v${data[0].version}-${data[0].id}` : 'sem-mancha';
+  }
+
+  versoesTiles[origem] = { valor, lidaEm: Date.now() };
+  return valor;
+}
+
+// Descartar os tiles de uma origem (sem origem: todos)
+function invalidarCacheTiles(origem = null) {
+  const origens = origem ? [origem] : Object.keys(versoesTiles);
+  for (const atual of origens) {
+    delete versoesTiles[atual];
+  }
+
+  for (const chave of cacheTiles.keys()) {
+    if (!origem || CAMADAS_TILES[chave.split('/')[0]] === origem) {
+      cacheTiles.delete(chave);
+    }
+  }
+}
+
+// Rota para servir vector tiles: GET /api/tiles/{camada}/{z}/{x}/{y}.mvt
+// Camadas: ctos (com ocupação e status), condominios, cobertura (mancha ativa)
+// Resposta 204 quando o tile não tem dados
+app.get('/api/tiles/:camada/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const camada = req.params.camada;
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+
+    if (!Object.prototype.hasOwnProperty.call(CAMADAS_TILES, camada)) {
+      return res.status(404).json({ success: false, error: `Camada inválida. Use ${Object.keys(CAMADAS_TILES).join(', ')}.` });
+    }
+    if (!Number.isInteger(z) || z < 0 || z > TILES_ZOOM_MAX ||
+        !Number.isInteger(x) || !Number.isInteger(y) ||
+        x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ success: false, error: 'Coordenadas de tile inválidas' });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    const versao = await getVersaoTiles(CAMADAS_TILES[camada]);
+    const chave = `${camada}/${versao}/${z}/${x}/${y}`;
+    const etag = `"${chave.replace(/\//g, '-')}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    let tile = cacheTiles.get(chave);
+    if (!tile) {
+      const { data, error } = await supabase.rpc('get_vector_tile', {
+        p_layer: camada,
+        p_z: z,
+        p_x: x,
+        p_y: y
+      });
+
+      if (error) {
+        console.error(`❌ [Tiles] Erro ao gerar tile ${chave}:`, error);
+        return res.status(500).json({
+          success: false,
+          error: 'Erro ao gerar tile',
+          details: `${error.message}. Execute backend/sql/create_vector_tiles.sql no Supabase.`
+        });
       }
-      
-      try {
-        // 1. Limpar coordenadas duplicadas (remove pontos muito próximos)
-        let cleaned = turf.cleanCoords(geometry);
-        
-        // 2. Simplificar AGressivamente primeiro para reduzir problemas de precisão
-        // Tolerância maior remove pontos muito próximos que causam erros de topologia
-        // IMPORTANTE: Garantir que após simplificação ainda temos pelo menos 4 pontos
-        cleaned = turf.simplify(cleaned, { tolerance: 0.0001, highQuality: true });
-        
-        // Verificar se ainda tem pelo menos 4 pontos após simplificação
-        const coords = cleaned.geometry?.coordinates?.[0];
-        if (coords && coords.length < 4) {
-          // Se simplificação removeu muitos pontos, usar geometria original
-          cleaned = geometry;
-        }
-        
-        // 3. Tentar corrigir geometria inválida com buffer(0)
-        try {
-          // Verificar se é válido tentando calcular área
-          const area = turf.area(cleaned);
-          if (area <= 0 || !isFinite(area)) {
-            throw new Error('Área inválida');
-          }
-        } catch (areaErr) {
-          // Se calcular área falhar, tentar corrigir com buffer(0)
-          try {
-            cleaned = turf.buffer(cleaned, 0, { units: 'kilometers' });
-            // Simplificar novamente após buffer
-            cleaned = turf.simplify(cleaned, { tolerance: 0.0001, highQuality: true });
-          } catch (bufferErr) {
-            // Se buffer falhar, simplificar ainda mais agressivamente
+
+      tile = data ? Buffer.from(data, 'base64') : Buffer.alloc(0);
+
+      if (cacheTiles.size >= TILES_CACHE_MAX) {
+        cacheTiles.delete(cacheTiles.keys().next().value);
+      }
+      cacheTiles.set(chave, tile);
+    }
+
+    if (tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.send(tile);
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/tiles:', err);
+    res.status(500).json({ success: false, error: 'Erro interno', details: err.message });
+  }
+});
+
+// ============================================
+// ROTAS DE COBERTURA (Coverage Polygons)
+// ============================================
+
+const COVERAGE_VERSOES_LIMITE = 100; // Versões listadas em GET /api/coverage/versions
+
+// Regras de raio da cobertura (ver backend/regrasCobertura.js)
+const REGRAS_COBERTURA_CACHE_TTL = 60 * 1000; // 1 minuto
+let regrasCoberturaCache = null;
+let regrasCoberturaCacheTime = 0;
+
+// Ler regras de raio da cobertura, já ordenadas pela ordem de aplicação (Supabase primeiro, fallback Excel)
+async function readRegrasCobertura() {
+  if (regrasCoberturaCache && Date.now() - regrasCoberturaCacheTime < REGRAS_COBERTURA_CACHE_TTL) {
+    return regrasCoberturaCache;
+  }
+
+  let registros = null;
+
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { data, error } = await supabase
+        .from('regras_cobertura')
+        .select('campo, valor, raio_metros, prioridade');
+
+      if (error) {
+        throw error;
+      }
+
+      registros = data || [];
+    } catch (supabaseErr) {
+      console.error('❌ [Cobertura] Erro ao ler regras de raio do Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+      if (supabaseErr.code === '42P01' || supabaseErr.message?.includes('does not exist')) {
+        console.error('❌ [Cobertura] Execute o SQL em backend/sql/create_regras_cobertura.sql');
+      }
+    }
+  }
+
+  if (registros === null) {
+    try {
+      if (fs.existsSync(REGRAS_COBERTURA_FILE)) {
+        const workbook = XLSX.readFile(REGRAS_COBERTURA_FILE);
+        registros = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+      } else {
+        registros = [];
+      }
+    } catch (excelErr) {
+      console.error('❌ [Cobertura] Erro ao ler regras de raio do Excel (usando raio padrão):', excelErr);
+      registros = [];
+    }
+  }
+
+  // Registros gravados passam pela mesma validação do editor (regras inválidas são ignoradas)
+  const { regras, erros } = validarRegrasCobertura(registros);
+  if (erros.length > 0) {
+    console.warn(`⚠️ [Cobertura] Regras de raio ignoradas: ${erros.join('; ')}`);
+  }
+
+  regrasCoberturaCache = ordenarRegrasCobertura(regras);
+  regrasCoberturaCacheTime = Date.now();
+  return regrasCoberturaCache;
+}
+
+// Substituir todas as regras de raio da cobertura (Supabase primeiro, fallback Excel)
+async function saveRegrasCobertura(regras) {
+  regrasCoberturaCache = null;
+
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { error: deleteError } = await supabase
+        .from('regras_cobertura')
+        .delete()
+        .neq('id', 0);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      if (regras.length > 0) {
+        const agora = new Date().toISOString();
+        const { error: insertError } = await supabase
+          .from('regras_cobertura')
+          .insert(regras.map(regra => ({ ...regra, updated_at: agora })));
+
+        if (insertError) {
+          throw insertError;
+        }
+      }
+
+      console.log(`✅ [Supabase] ${regras.length} regra(s) de raio da cobertura salvas`);
+      return;
+    } catch (supabaseErr) {
+      console.error('❌ [Cobertura] Erro ao salvar regras de raio no Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+    }
+  }
+
+  await withLock('regras_cobertura', async () => {
+    const worksheet = XLSX.utils.json_to_sheet(regras, { header: ['campo', 'valor', 'raio_metros', 'prioridade'] });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Regras Cobertura');
+    XLSX.writeFile(workbook, REGRAS_COBERTURA_FILE);
+    regrasCoberturaCache = null;
+    console.log(`✅ [Excel] ${regras.length} regra(s) de raio da cobertura salvas em ${REGRAS_COBERTURA_FILE}`);
+  });
+}
+
+// Versão das regras com que um polígono de cobertura foi gerado
+// Polígonos anteriores às regras (sem versão gravada) usaram apenas o raio padrão
+// Retorna undefined se não foi possível consultar
+async function getVersaoRegrasPoligono(polygonId) {
+  const { data, error } = await supabase
+    .from('coverage_polygons')
+    .select('regras_cobertura_versao')
+    .eq('id', polygonId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`⚠️ [Cobertura] Não foi possível ler a versão das regras do polígono ${polygonId}: ${error.message}`);
+    return undefined;
+  }
+
+  return data?.regras_cobertura_versao || versaoRegrasCobertura([]);
+}
+
+// Verificar se um ponto está na área de cobertura aplicando as regras de raio
+// O polígono ativo (check_point_in_coverage) responde quando foi gerado com as regras atuais.
+// Se as regras mudaram depois do último cálculo, a cobertura é verificada direto pelas CTOs
+// ao redor do ponto, cada uma com o raio da sua regra, até a mancha ser recalculada.
+// Retorna null se não houver polígono de cobertura
+async function verificarCoberturaPonto(lat, lng) {
+  const regras = await readRegrasCobertura();
+  const versaoRegras = versaoRegrasCobertura(regras);
+
+  const [cobertura, proximas] = await Promise.all([
+    supabase.rpc('check_point_in_coverage', { p_latitude: lat, p_longitude: lng }),
+    supabase.rpc('find_ctos_nearby', { p_latitude: lat, p_longitude: lng, p_radius_meters: raioMaximoCobertura(regras) })
+  ]);
+
+  if (cobertura.error) {
+    throw new Error(cobertura.error.message);
+  }
+
+  const pontoCobertura = cobertura.data?.[0] || null;
+  if (!pontoCobertura) {
+    return null;
+  }
+
+  // CTO que atende o ponto: a mais próxima que alcança o ponto com o raio da sua regra
+  let ctoAtendimento = null;
+  if (proximas.error) {
+    console.warn(`⚠️ [Cobertura] Erro ao buscar CTOs próximas para aplicar regras de raio: ${proximas.error.message}`);
+  } else {
+    for (const { cto, distancia_metros } of proximas.data || []) {
+      const regra = resolverRegraCobertura(cto, regras);
+      const raio = regra?.raio_metros ?? RAIO_COBERTURA_PADRAO_METROS;
+      if (distancia_metros <= raio) {
+        ctoAtendimento = { cto, distancia_metros, regra, raio };
+        break;
+      }
+    }
+  }
+
+  const versaoPoligono = pontoCobertura.polygon_id ? await getVersaoRegrasPoligono(pontoCobertura.polygon_id) : undefined;
+  const poligonoDesatualizado = versaoPoligono !== undefined && versaoPoligono !== versaoRegras && !proximas.error;
+  const coberto = poligonoDesatualizado ? ctoAtendimento !== null : pontoCobertura.is_covered === true;
+
+  return {
+    is_covered: coberto,
+    polygon_id: pontoCobertura.polygon_id,
+    // Com o polígono desatualizado, a distância do polígono só é informada quando o ponto ficou de fora
+    distance_to_coverage_meters: poligonoDesatualizado && coberto ? 0 : (pontoCobertura.distance_to_coverage_meters || (coberto ? 0 : null)),
+    raio_metros: ctoAtendimento?.raio ?? null,
+    regra_cobertura: ctoAtendimento?.regra ?? null,
+    cto_atendimento: ctoAtendimento
+      ? { nome: ctoAtendimento.cto.cto || ctoAtendimento.cto.id_cto || '', id: ctoAtendimento.cto.id, distancia_metros: Math.round(ctoAtendimento.distancia_metros * 100) / 100 }
+      : null,
+    regras_versao: versaoRegras,
+    poligono_regras_versao: versaoPoligono ?? null,
+    poligono_desatualizado: poligonoDesatualizado
+  };
+}
+
+// Id do upload de base mais recente (upload_history), registrado em cada versão da mancha
+async function getUltimoUploadBaseId() {
+  const { data, error } = await supabase
+    .from('upload_history')
+    .select('id')
+    .order('uploaded_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.warn(`⚠️ [Cobertura] Não foi possível obter o último upload da base: ${error.message}`);
+    return null;
+  }
+
+  return data?.[0]?.id != null ? String(data[0].id) : null;
+}
+
+// ============================================
+// RECÁLCULO INCREMENTAL DA COBERTURA
+// ============================================
+// O upload da base já classifica as CTOs em novas, atualizadas e removidas (chave_unica).
+// Essas alterações ficam registradas aqui até o próximo cálculo da mancha, que então
+// corrige só o necessário no polígono ativo em vez de recalcular tudo:
+//   - CTOs removidas ou movidas (posição ou raio diferente): os tiles tocados pelo buffer
+//     antigo são recortados do polígono e reconstruídos com as CTOs que estão ao redor deles;
+//   - CTOs novas ou movidas: o buffer na posição atual é unido ao polígono.
+// O resultado é gravado como uma nova versão (calculo_tipo = 'incremental').
+// As alterações ficam só em memória: se o servidor reiniciar, ou se a versão ativa ou as
+// regras de raio mudarem, o próximo cálculo volta a ser completo.
+
+const COBERTURA_TILE_GRAUS = 0.01; // Tamanho do tile reconstruído (~1,1 km)
+const COBERTURA_INCREMENTAL_MAX_TILES = 2000; // Acima disso o recálculo completo compensa
+const METROS_POR_GRAU_LATITUDE = 111320;
+
+// Alterações da base ainda não aplicadas à mancha
+// { versaoPoligono, idsAdicionados: Set<id_cto>, tilesAfetados: Set<'linha:coluna'> }
+// versaoPoligono: versão da mancha à qual as alterações se referem (null enquanto um cálculo está em andamento)
+// null = alterações desconhecidas (próximo cálculo é completo)
+let alteracoesCobertura = null;
+
+function novasAlteracoesCobertura(versaoPoligono = null) {
+  return { versaoPoligono, idsAdicionados: new Set(), tilesAfetados: new Set() };
+}
+
+// Tiles tocados pelo buffer de uma CTO
+function tilesDoBuffer(latitude, longitude, raioMetros) {
+  const dLat = raioMetros / METROS_POR_GRAU_LATITUDE;
+  const dLng = raioMetros / (METROS_POR_GRAU_LATITUDE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  const tiles = [];
+  for (let linha = Math.floor((latitude - dLat) / COBERTURA_TILE_GRAUS); linha <= Math.floor((latitude + dLat) / COBERTURA_TILE_GRAUS); linha++) {
+    for (let coluna = Math.floor((longitude - dLng) / COBERTURA_TILE_GRAUS); coluna <= Math.floor((longitude + dLng) / COBERTURA_TILE_GRAUS); coluna++) {
+      tiles.push(`${linha}:${coluna}`);
+    }
+  }
+  return tiles;
+}
+
+function limitesDoTile(chave) {
+  const [linha, coluna] = chave.split(':').map(Number);
+  return {
+    minLat: linha * COBERTURA_TILE_GRAUS,
+    maxLat: (linha + 1) * COBERTURA_TILE_GRAUS,
+    minLng: coluna * COBERTURA_TILE_GRAUS,
+    maxLng: (coluna + 1) * COBERTURA_TILE_GRAUS
+  };
+}
+
+// MultiPolygon GeoJSON (string) com os retângulos dos tiles
+function tilesParaGeoJSON(chaves) {
+  return JSON.stringify({
+    type: 'MultiPolygon',
+    coordinates: chaves.map(chave => {
+      const { minLat, maxLat, minLng, maxLng } = limitesDoTile(chave);
+      return [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]];
+    })
+  });
+}
+
+// A alteração muda a mancha? (posição ou raio diferente)
+function ctoMudouCobertura(antiga, nova, regras) {
+  return parseFloat(antiga.latitude) !== parseFloat(nova.latitude) ||
+    parseFloat(antiga.longitude) !== parseFloat(nova.longitude) ||
+    raioCoberturaCTO(antiga, regras) !== raioCoberturaCTO(nova, regras);
+}
+
+// Registrar as alterações de um upload da base (chamar ANTES de aplicar deleções e atualizações,
+// pois a posição antiga das CTOs removidas/atualizadas é lida do banco)
+async function registrarAlteracoesCobertura(idsRemovidos, ctosAtualizadas, ctosInseridas) {
+  if (!alteracoesCobertura) {
+    return;
+  }
+
+  try {
+    const regras = await readRegrasCobertura();
+    const alteracoes = alteracoesCobertura;
+
+    // Estado anterior das CTOs removidas e atualizadas
+    const idsAntigos = [...idsRemovidos, ...ctosAtualizadas.map(cto => String(cto.id_cto))];
+    const antigas = new Map();
+    for (let i = 0; i < idsAntigos.length; i += 500) {
+      const { data, error } = await supabase
+        .from('ctos')
+        .select('id_cto, latitude, longitude, cid_rede, pop, status_cto')
+        .in('id_cto', idsAntigos.slice(i, i + 500));
+
+      if (error) {
+        throw error;
+      }
+      for (const row of data || []) {
+        antigas.set(String(row.id_cto), row);
+      }
+    }
+
+    const marcarTiles = (cto) => {
+      const latitude = parseFloat(cto.latitude);
+      const longitude = parseFloat(cto.longitude);
+      if (!isNaN(latitude) && !isNaN(longitude)) {
+        tilesDoBuffer(latitude, longitude, raioCoberturaCTO(cto, regras)).forEach(tile => alteracoes.tilesAfetados.add(tile));
+      }
+    };
+
+    for (const idCto of idsRemovidos) {
+      const antiga = antigas.get(String(idCto));
+      if (antiga) {
+        marcarTiles(antiga);
+      }
+      alteracoes.idsAdicionados.delete(String(idCto));
+    }
+
+    for (const cto of ctosAtualizadas) {
+      const antiga = antigas.get(String(cto.id_cto));
+      if (!antiga || ctoMudouCobertura(antiga, cto, regras)) {
+        if (antiga) {
+          marcarTiles(antiga);
+        }
+        alteracoes.idsAdicionados.add(String(cto.id_cto));
+      }
+    }
+
+    for (const cto of ctosInseridas) {
+      alteracoes.idsAdicionados.add(String(cto.id_cto));
+    }
+
+    console.log(`📝 [Cobertura] Alterações pendentes para a mancha: ${alteracoes.idsAdicionados.size} CTO(s) a adicionar, ${alteracoes.tilesAfetados.size} tile(s) a reconstruir`);
+  } catch (err) {
+    console.warn(`⚠️ [Cobertura] Não foi possível registrar as alterações da base (próximo cálculo será completo): ${err.message || err}`);
+    alteracoesCobertura = null;
+  }
+}
+
+// Verificar se o próximo cálculo pode ser incremental
+// Retorna { possivel, motivo, poligono }
+async function avaliarRecalculoIncremental(versaoRegras) {
+  if (!alteracoesCobertura || alteracoesCobertura.versaoPoligono === null) {
+    return { possivel: false, motivo: 'Alterações da base desde a última mancha não são conhecidas' };
+  }
+  if (alteracoesCobertura.tilesAfetados.size > COBERTURA_INCREMENTAL_MAX_TILES) {
+    return { possivel: false, motivo: `Alterações afetam mais de ${COBERTURA_INCREMENTAL_MAX_TILES} tiles` };
+  }
+
+  const { data, error } = await supabase.rpc('get_active_coverage_polygon');
+  if (error || !data || data.length === 0) {
+    return { possivel: false, motivo: 'Nenhuma mancha de cobertura ativa' };
+  }
+
+  const poligono = data[0];
+  if (poligono.version !== alteracoesCobertura.versaoPoligono) {
+    return { possivel: false, motivo: `A versão ativa (v${poligono.version}) não é a que recebeu as últimas alterações (v${alteracoesCobertura.versaoPoligono})` };
+  }
+  if (await getVersaoRegrasPoligono(poligono.id) !== versaoRegras) {
+    return { possivel: false, motivo: 'As regras de raio mudaram desde o último cálculo' };
+  }
+
+  return { possivel: true, motivo: null, poligono };
+}
+
+// Calcular o polígono corrigido a partir do polígono ativo
+// Retorna { geoJsonString, ctosRecalculadas }
+async function calcularPoligonoIncremental(poligono, alteracoes, regras) {
+  const tiles = [...alteracoes.tilesAfetados];
+  const idsPorRaio = new Map(); // raio → Set<ctos.id>
+  const adicionarCTO = (cto) => {
+    const raio = raioCoberturaCTO(cto, regras);
+    if (!idsPorRaio.has(raio)) {
+      idsPorRaio.set(raio, new Set());
+    }
+    idsPorRaio.get(raio).add(cto.id);
+  };
+
+  // 1. Polígono ativo completo (sem simplificação)
+  const { data: geoJsonData, error: geoJsonError } = await supabase.rpc('get_polygon_geojson', {
+    p_polygon_id: poligono.id,
+    p_use_simplified: false
+  });
+  if (geoJsonError || !geoJsonData?.[0]?.geojson) {
+    throw new Error(`Erro ao ler o polígono ativo: ${geoJsonError?.message || 'GeoJSON vazio'}`);
+  }
+  let geoJsonString = geoJsonData[0].geojson;
+
+  // 2. Recortar os tiles afetados por CTOs removidas/movidas
+  if (tiles.length > 0) {
+    uploadProgress.message = `Recortando ${tiles.length} tile(s) afetado(s)...`;
+    const { data: diffResult, error: diffError } = await supabase.rpc('difference_polygons_geojson', {
+      p_geojson1: geoJsonString,
+      p_geojson2: tilesParaGeoJSON(tiles)
+    });
+    if (diffError || !diffResult?.[0]?.success) {
+      throw new Error(`Erro ao recortar tiles: ${diffResult?.[0]?.error_message || diffError?.message || 'erro desconhecido'}`);
+    }
+    geoJsonString = diffResult[0].geometry_geojson;
+  }
+
+  // 3. CTOs cujo buffer alcança os tiles recortados (reconstroem o trecho)
+  const raioMaximo = raioMaximoCobertura(regras);
+  for (let i = 0; i < tiles.length; i++) {
+    const { minLat, maxLat, minLng, maxLng } = limitesDoTile(tiles[i]);
+    const dLat = raioMaximo / METROS_POR_GRAU_LATITUDE;
+    const dLng = raioMaximo / (METROS_POR_GRAU_LATITUDE * Math.max(Math.cos(maxLat * Math.PI / 180), 0.01));
+
+    let lastId = 0;
+    while (true) {
+      const { data, error } = await supabase
+        .from('ctos')
+        .select('id, latitude, longitude, cid_rede, pop, status_cto')
+        .gte('latitude', minLat - dLat)
+        .lte('latitude', maxLat + dLat)
+        .gte('longitude', minLng - dLng)
+        .lte('longitude', maxLng + dLng)
+        .gt('id', lastId)
+        .order('id', { ascending: true })
+        .limit(1000);
+
+      if (error) {
+        throw new Error(`Erro ao buscar CTOs do tile ${tiles[i]}: ${error.message}`);
+      }
+      (data || []).forEach(adicionarCTO);
+      if (!data || data.length < 1000) {
+        break;
+      }
+      lastId = data[data.length - 1].id;
+    }
+
+    uploadProgress.calculationPercent = Math.round(((i + 1) / tiles.length) * 40);
+    uploadProgress.message = `Reconstruindo tiles afetados... ${i + 1}/${tiles.length}`;
+  }
+
+  // 4. CTOs novas ou movidas (posição atual)
+  const idsAdicionados = [...alteracoes.idsAdicionados];
+  for (let i = 0; i < idsAdicionados.length; i += 500) {
+    const { data, error } = await supabase
+      .from('ctos')
+      .select('id, latitude, longitude, cid_rede, pop, status_cto')
+      .in('id_cto', idsAdicionados.slice(i, i + 500))
+      .not('latitude', 'is', null)
+      .not('longitude', 'is', null);
+
+    if (error) {
+      throw new Error(`Erro ao buscar CTOs novas/movidas: ${error.message}`);
+    }
+    (data || []).forEach(adicionarCTO);
+  }
+
+  // 5. Buffers (uma query por raio, em lotes de 1000) unidos ao polígono
+  const lotes = [];
+  for (const [raio, ids] of idsPorRaio) {
+    const lista = [...ids];
+    for (let i = 0; i < lista.length; i += 1000) {
+      lotes.push({ raio, ids: lista.slice(i, i + 1000) });
+    }
+  }
+
+  let ctosRecalculadas = 0;
+  for (let i = 0; i < lotes.length; i++) {
+    const { raio, ids } = lotes[i];
+    const { data: batchResult, error: batchError } = await supabase.rpc('calculate_coverage_polygon_batch', {
+      p_cto_ids: ids,
+      p_buffer_radius_meters: raio
+    });
+    if (batchError || !batchResult?.[0]?.success) {
+      throw new Error(`Erro ao calcular buffers (raio ${raio}m): ${batchResult?.[0]?.error_message || batchError?.message || 'erro desconhecido'}`);
+    }
+
+    if (batchResult[0].geometry_geojson) {
+      const { data: unionResult, error: unionError } = await supabase.rpc('union_polygons_geojson', {
+        p_geojson1: geoJsonString,
+        p_geojson2: batchResult[0].geometry_geojson
+      });
+      if (unionError || !unionResult?.[0]?.success) {
+        throw new Error(`Erro ao unir buffers: ${unionResult?.[0]?.error_message || unionError?.message || 'erro desconhecido'}`);
+      }
+      geoJsonString = unionResult[0].geometry_geojson;
+    }
+
+    ctosRecalculadas += ids.length;
+    uploadProgress.processedCTOs = ctosRecalculadas;
+    uploadProgress.calculationPercent = 40 + Math.round(((i + 1) / lotes.length) * 50);
+    uploadProgress.message = `Aplicando buffers das CTOs alteradas... ${ctosRecalculadas} CTO(s)`;
+  }
+
+  return { geoJsonString, ctosRecalculadas };
+}
+
+// Gravar o polígono corrigido como nova versão ativa
+// Usa a função save_coverage_polygon_from_geojson (a mesma do cálculo completo)
+async function salvarVersaoCoberturaIncremental(geoJsonString, poligonoOrigem, simplificationTolerance, extras) {
+  const { count: totalCTOs } = await supabase
+    .from('ctos')
+    .select('id', { count: 'exact', head: true })
+    .not('latitude', 'is', null)
+    .not('longitude', 'is', null);
+
+  let areaKm2 = 0;
+  const { data: areaResult, error: areaError } = await supabase.rpc('calculate_polygon_area_km2', { p_geojson: geoJsonString });
+  if (!areaError && areaResult?.[0]?.success) {
+    areaKm2 = parseFloat(areaResult[0].area_km2) || 0;
+  } else {
+    areaKm2 = turf.area(turf.feature(JSON.parse(geoJsonString))) / 1000000;
+  }
+
+  const { data: maxVersionData } = await supabase
+    .from('coverage_polygons')
+    .select('version')
+    .order('version', { ascending: false })
+    .limit(1);
+  const version = (maxVersionData?.[0]?.version || 0) + 1;
+
+  await supabase
+    .from('coverage_polygons')
+    .update({ is_active: false })
+    .eq('is_active', true);
+
+  const { data: rpcData, error: saveError } = await supabase.rpc('save_coverage_polygon_from_geojson', {
+    p_geometry_geojson: geoJsonString,
+    p_total_ctos: totalCTOs || 0,
+    p_area_km2: areaKm2,
+    p_simplification_tolerance: simplificationTolerance,
+    p_version: version
+  });
+  const polygonId = rpcData?.[0]?.polygon_id || null;
+  if (saveError || !polygonId || rpcData[0].success === false) {
+    // Manter a versão de origem ativa se a nova não foi gravada
+    await supabase.from('coverage_polygons').update({ is_active: true }).eq('id', poligonoOrigem.id);
+    throw new Error(`Falha ao salvar polígono: ${saveError?.message || rpcData?.[0]?.message || 'resposta inválida'}`);
+  }
+
+  const { error: extrasError } = await supabase
+    .from('coverage_polygons')
+    .update({ ...extras, calculo_tipo: 'incremental', versao_origem: poligonoOrigem.version })
+    .eq('id', polygonId);
+  if (extrasError) {
+    console.warn(`⚠️ [Cobertura] Não foi possível registrar origem da versão incremental (execute backend/sql/create_coverage_incremental.sql): ${extrasError.message}`);
+  }
+
+  return { polygonId, version, areaKm2, totalCTOs: totalCTOs || 0 };
+}
+
+// Iniciar o recálculo incremental em background (responde a requisição imediatamente)
+// Progresso em uploadProgress, como no cálculo completo
+function iniciarRecalculoIncremental(res, poligono, regras, baseUploadId) {
+  const calculationId = `calc_patch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const alteracoes = alteracoesCobertura;
+  const totalAlteradas = alteracoes.idsAdicionados.size;
+  const totalTiles = alteracoes.tilesAfetados.size;
+
+  uploadProgress = {
+    stage: 'calculating',
+    uploadPercent: 100,
+    calculationPercent: 0,
+    message: 'Iniciando recálculo incremental da mancha de cobertura...',
+    totalRows: 0,
+    processedRows: 0,
+    importedRows: 0,
+    calculationId: calculationId,
+    totalCTOs: totalAlteradas,
+    processedCTOs: 0
+  };
+
+  if (totalAlteradas === 0 && totalTiles === 0) {
+    uploadProgress.stage = 'completed';
+    uploadProgress.calculationPercent = 100;
+    uploadProgress.message = `Mancha de cobertura já está atualizada (v${poligono.version})`;
+    console.log(`✅ [Cobertura] Nenhuma alteração da base desde a versão ${poligono.version}`);
+    return res.json({
+      success: true,
+      message: uploadProgress.message,
+      status: 'up_to_date',
+      modo: 'incremental',
+      calculation_id: calculationId
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Recálculo incremental iniciado em background (${totalAlteradas} CTO(s) alterada(s), ${totalTiles} tile(s) afetado(s)). Use GET /api/upload-progress para verificar progresso.`,
+    status: 'processing',
+    modo: 'incremental',
+    calculation_id: calculationId
+  });
+
+  // Alterações registradas durante o cálculo ficam para o próximo
+  alteracoesCobertura = novasAlteracoesCobertura(null);
+
+  (async () => {
+    const startTime = Date.now();
+    const versaoRegras = versaoRegrasCobertura(regras);
+    const simplificationTolerance = 0.0001;
+
+    try {
+      console.log(`🔄 [Cobertura] Recálculo incremental a partir da versão ${poligono.version}: ${totalAlteradas} CTO(s) alterada(s), ${totalTiles} tile(s) afetado(s)`);
+
+      let { geoJsonString, ctosRecalculadas } = await calcularPoligonoIncremental(poligono, alteracoes, regras);
+
+      uploadProgress.message = 'Salvando nova versão da mancha...';
+      const { data: simplifyResult, error: simplifyError } = await supabase.rpc('simplify_polygon_geojson', {
+        p_geojson: geoJsonString,
+        p_tolerance: simplificationTolerance
+      });
+      if (!simplifyError && simplifyResult?.[0]?.success) {
+        geoJsonString = simplifyResult[0].geometry_geojson;
+      } else if (simplifyError) {
+        console.warn(`⚠️ [Cobertura] Erro ao simplificar polígono (não crítico): ${simplifyError.message}`);
+      }
+
+      const { polygonId, version, areaKm2 } = await salvarVersaoCoberturaIncremental(geoJsonString, poligono, simplificationTolerance, {
+        base_upload_id: baseUploadId,
+        regras_cobertura: { versao: versaoRegras, raio_padrao_metros: RAIO_COBERTURA_PADRAO_METROS, regras },
+        regras_cobertura_versao: versaoRegras
+      });
+
+      if (alteracoesCobertura) {
+        alteracoesCobertura.versaoPoligono = version;
+      }
+      invalidarCacheTiles('cobertura');
+
+      uploadProgress.stage = 'completed';
+      uploadProgress.calculationPercent = 100;
+      uploadProgress.message = `Mancha de cobertura atualizada (v${version}, incremental)`;
+
+      console.log(`✅ [Cobertura] Recálculo incremental concluído:`);
+      console.log(`   - Polygon ID: ${polygonId}`);
+      console.log(`   - Versão: ${version} (origem: ${poligono.version})`);
+      console.log(`   - CTOs recalculadas: ${ctosRecalculadas}`);
+      console.log(`   - Área: ${areaKm2.toFixed(2)} km²`);
+      console.log(`   - Tempo: ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+    } catch (err) {
+      console.error('❌ [Cobertura] Erro no recálculo incremental:', err);
+      alteracoesCobertura = null;
+      uploadProgress.stage = 'error';
+      uploadProgress.message = `Erro: ${err.message}`;
+    }
+  })();
+}
+
+// Endpoint para listar as regras de raio da cobertura
+app.get('/api/coverage/rules', requireAuth, async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const regras = await readRegrasCobertura();
+
+    res.json({
+      success: true,
+      regras,
+      versao: versaoRegrasCobertura(regras),
+      raio_padrao_metros: RAIO_COBERTURA_PADRAO_METROS,
+      campos: CAMPOS_REGRA_COBERTURA
+    });
+  } catch (err) {
+    console.error('❌ [Cobertura] Erro ao listar regras de raio:', err);
+    res.status(500).json({ success: false, error: 'Erro ao listar regras de raio da cobertura', details: err.message });
+  }
+});
+
+// Endpoint para substituir as regras de raio da cobertura
+// As novas regras valem para o próximo cálculo da mancha; até lá, check-point aplica as regras direto nas CTOs
+app.put('/api/coverage/rules', requireCapacidade('gerenciar_regras_cobertura'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const { regras: novasRegras, erros } = validarRegrasCobertura(req.body?.regras);
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, error: 'Regras inválidas', details: erros });
+    }
+
+    const regrasAnteriores = await readRegrasCobertura();
+    const regrasOrdenadas = ordenarRegrasCobertura(novasRegras);
+
+    await saveRegrasCobertura(regrasOrdenadas);
+    await registrarAuditoria(req, 'cobertura.alterar_regras', 'regras_cobertura',
+      { versao: versaoRegrasCobertura(regrasAnteriores), regras: regrasAnteriores },
+      { versao: versaoRegrasCobertura(regrasOrdenadas), regras: regrasOrdenadas });
+
+    console.log(`✅ [Cobertura] Regras de raio atualizadas por '${req.usuario}': ${regrasOrdenadas.length} regra(s)`);
+
+    res.json({
+      success: true,
+      message: 'Regras de raio salvas. Recalcule a mancha de cobertura para aplicá-las ao polígono.',
+      regras: regrasOrdenadas,
+      versao: versaoRegrasCobertura(regrasOrdenadas),
+      raio_padrao_metros: RAIO_COBERTURA_PADRAO_METROS
+    });
+  } catch (err) {
+    console.error('❌ [Cobertura] Erro ao salvar regras de raio:', err);
+    res.status(500).json({ success: false, error: 'Erro ao salvar regras de raio da cobertura', details: err.message });
+  }
+});
+
+// Rota para calcular polígonos de cobertura (processamento assíncrono)
+// Rota para calcular polígonos de cobertura (INCREMENTAL - manual)
+app.post('/api/coverage/calculate', requireCapacidade('recalcular_cobertura'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    console.log('🗺️ [API] Iniciando cálculo de polígonos de cobertura (INCREMENTAL)...');
+    
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Supabase não disponível' 
+      });
+    }
+    
+    // Polígonos anteriores são mantidos como versões (histórico); o novo vira a versão ativa ao final
+    // Upload da base que originou este cálculo (registrado junto com a nova versão)
+    const baseUploadId = await getUltimoUploadBaseId();
+
+    // Modo: 'auto' (incremental quando possível), 'completo' ou 'incremental'
+    const modo = ['completo', 'incremental'].includes(req.body?.modo) ? req.body.modo : 'auto';
+    if (modo !== 'completo') {
+      const regrasAtuais = await readRegrasCobertura();
+      const avaliacao = await avaliarRecalculoIncremental(versaoRegrasCobertura(regrasAtuais));
+      if (avaliacao.possivel) {
+        return iniciarRecalculoIncremental(res, avaliacao.poligono, regrasAtuais, baseUploadId);
+      }
+      if (modo === 'incremental') {
+        return res.status(409).json({
+          success: false,
+          error: 'Recálculo incremental indisponível',
+          details: avaliacao.motivo
+        });
+      }
+      console.log(`ℹ️ [API] Recálculo completo: ${avaliacao.motivo}`);
+    }
+
+    // Limpar registros de cálculo em progresso
+    try {
+      const { error: clearProgressError } = await supabase
+        .from('coverage_calculation_progress')
+        .delete()
+        .neq('calculation_id', '');
+      
+      if (clearProgressError) {
+        console.warn(`⚠️ [API] Aviso ao limpar progresso: ${clearProgressError.message}`);
+      }
+    } catch (clearErr) {
+      console.warn(`⚠️ [API] Erro ao limpar progresso (não crítico):`, clearErr.message);
+    }
+    
+    // Gerar ID único para este cálculo
+    const calculationId = `calc_inc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Contar total de CTOs válidas (com latitude/longitude válidas)
+    // IMPORTANTE: Usar os mesmos filtros da busca para garantir contagem precisa
+    const { count: totalCTOs, error: countError } = await supabase
+      .from('ctos')
+      .select('id', { count: 'exact', head: true })
+      .not('latitude', 'is', null)
+      .not('longitude', 'is', null)
+      .gte('latitude', -90)
+      .lte('latitude', 90)
+      .gte('longitude', -180)
+      .lte('longitude', 180);
+    
+    if (countError) {
+      console.error('❌ [API] Erro ao contar CTOs válidas:', countError);
+      // Tentar contar sem filtros como fallback
+      const { count: totalAll } = await supabase
+        .from('ctos')
+        .select('id', { count: 'exact', head: true });
+      console.warn(`⚠️ [API] Usando contagem total sem filtros: ${totalAll || 0}`);
+    }
+    
+    console.log(`📊 [API] Total de CTOs válidas encontradas: ${totalCTOs || 0}`);
+    
+    // Verificar se há CTOs para processar
+    if (!totalCTOs || totalCTOs === 0) {
+      uploadProgress.stage = 'error';
+      uploadProgress.message = 'Nenhuma CTO válida encontrada para processar';
+      throw new Error('Nenhuma CTO válida encontrada');
+    }
+    
+    // Inicializar progresso global
+    uploadProgress = {
+      stage: 'calculating',
+      uploadPercent: 100, // Upload já está completo
+      calculationPercent: 0,
+      message: 'Iniciando cálculo da mancha de cobertura...',
+      totalRows: 0,
+      processedRows: 0,
+      importedRows: 0,
+      calculationId: calculationId,
+      totalCTOs: totalCTOs || 0,
+      processedCTOs: 0
+    };
+    
+    // Retornar resposta imediata e processar em background
+    res.json({
+      success: true,
+      message: 'Cálculo iniciado em background (INCREMENTAL). Use GET /api/upload-progress para verificar progresso.',
+      status: 'processing',
+      modo: 'completo',
+      calculation_id: calculationId
+    });
+    
+    // Alterações da base a partir daqui se referem à versão que está sendo calculada
+    alteracoesCobertura = novasAlteracoesCobertura(null);
+    
+    // ============================================
+    // FUNÇÕES ANTIGAS (TURF.JS) - NÃO MAIS USADAS
+    // Mantidas apenas como referência
+    // Agora usamos PostGIS para todos os cálculos
+    // ============================================
+    
+    /*
+    // Função auxiliar para converter GeoJSON para formato Martinez (array de coordenadas)
+    const geojsonToMartinez = (geojson) => {
+      if (!geojson || !geojson.geometry) return null;
+      
+      const coords = geojson.geometry.coordinates;
+      if (!coords || coords.length === 0) return null;
+      
+      // Martinez espera: [[x, y], [x, y], ...] para cada ring
+      // GeoJSON Polygon tem: [[[x, y], ...], ...] (array of rings)
+      // Pegar apenas o ring externo (primeiro array)
+      const ring = coords[0] || null;
+      
+      // VALIDAÇÃO CRÍTICA: Martinez requer pelo menos 4 pontos (LinearRing fechado)
+      // Um polígono válido precisa de: ponto inicial, 2+ pontos intermediários, ponto final (igual ao inicial)
+      if (!ring || ring.length < 4) {
+        return null; // Polígono inválido para Martinez
+      }
+      
+      return ring;
+    };
+    
+    // Função auxiliar para converter resultado Martinez de volta para GeoJSON
+    const martinezToGeojson = (martinezResult) => {
+      if (!martinezResult || martinezResult.length === 0) return null;
+      
+      // Martinez retorna array de polígonos: [[[x, y], ...], ...]
+      // Se tiver múltiplos polígonos, criar MultiPolygon
+      // Se tiver apenas um, criar Polygon
+      
+      if (martinezResult.length === 1) {
+        // Polygon único
+        return turf.polygon([martinezResult[0]]);
+      } else {
+        // MultiPolygon
+        return turf.multiPolygon(martinezResult.map(poly => [poly]));
+      }
+    };
+    
+    // DESABILITADO: Martinez está falhando muito devido à simplificação agressiva
+    // Usando apenas Turf.js que funciona melhor com geometrias simplificadas
+    const robustUnion = (poly1, poly2) => {
+      try {
+        return turf.union(poly1, poly2);
+      } catch (err) {
+        // Se Turf.js falhar, tentar simplificar antes de unir
+        try {
+          const simplified1 = turf.simplify(poly1, { tolerance: 0.0001, highQuality: true });
+          const simplified2 = turf.simplify(poly2, { tolerance: 0.0001, highQuality: true });
+          return turf.union(simplified1, simplified2);
+        } catch (retryErr) {
+          // Se ainda falhar, retornar null (será pulado)
+          return null;
+        }
+      }
+    };
+    
+    // Função auxiliar para validar e corrigir geometria
+    const validateAndFixGeometry = (geometry) => {
+      if (!geometry || !geometry.geometry) {
+        return null;
+      }
+      
+      try {
+        // 1. Limpar coordenadas duplicadas (remove pontos muito próximos)
+        let cleaned = turf.cleanCoords(geometry);
+        
+        // 2. Simplificar AGressivamente primeiro para reduzir problemas de precisão
+        // Tolerância maior remove pontos muito próximos que causam erros de topologia
+        // IMPORTANTE: Garantir que após simplificação ainda temos pelo menos 4 pontos
+        cleaned = turf.simplify(cleaned, { tolerance: 0.0001, highQuality: true });
+        
+        // Verificar se ainda tem pelo menos 4 pontos após simplificação
+        const coords = cleaned.geometry?.coordinates?.[0];
+        if (coords && coords.length < 4) {
+          // Se simplificação removeu muitos pontos, usar geometria original
+          cleaned = geometry;
+        }
+        
+        // 3. Tentar corrigir geometria inválida com buffer(0)
+        try {
+          // Verificar se é válido tentando calcular área
+          const area = turf.area(cleaned);
+          if (area <= 0 || !isFinite(area)) {
+            throw new Error('Área inválida');
+          }
+        } catch (areaErr) {
+          // Se calcular área falhar, tentar corrigir com buffer(0)
+          try {
+            cleaned = turf.buffer(cleaned, 0, { units: 'kilometers' });
+            // Simplificar novamente após buffer
+            cleaned = turf.simplify(cleaned, { tolerance: 0.0001, highQuality: true });
+          } catch (bufferErr) {
+            // Se buffer falhar, simplificar ainda mais agressivamente
             cleaned = turf.simplify(cleaned, { tolerance: 0.001, highQuality: true });
           }
         }
-        
-        // 4. Limpar coordenadas novamente após simplificação
-        cleaned = turf.cleanCoords(cleaned);
-        
-        // 5. Verificação final: tentar calcular área novamente
-        try {
-          const finalArea = turf.area(cleaned);
-          if (finalArea <= 0 || !isFinite(finalArea)) {
-            return null; // Geometria ainda inválida
-          }
-        } catch (finalErr) {
-          return null; // Não conseguiu corrigir
+        
+        // 4. Limpar coordenadas novamente após simplificação
+        cleaned = turf.cleanCoords(cleaned);
+        
+        // 5. Verificação final: tentar calcular área novamente
+        try {
+          const finalArea = turf.area(cleaned);
+          if (finalArea <= 0 || !isFinite(finalArea)) {
+            return null; // Geometria ainda inválida
+          }
+        } catch (finalErr) {
+          return null; // Não conseguiu corrigir
+        }
+        
+        return cleaned;
+      } catch (err) {
+        // Não logar erros de validação para evitar rate limit
+        return null;
+      }
+    };
+    */
+    
+    // Processar em background - CÁLCULOS USANDO POSTGIS
+    (async () => {
+      const startTime = Date.now();
+      let accumulatedPolygonGeoJSON = null; // Polígono acumulado (GeoJSON string)
+      let processedCTOs = 0;
+      // Lotes de 1000: Supabase tem limite padrão de 1000 registros por query
+      // Cada query PostGIS processa 1000 CTOs diretamente
+      // Query abre → processa 1000 CTOs → fecha → próxima query
+      const batchSize = 1000; // Processar 1000 CTOs por query PostGIS (limite do Supabase)
+      // Raio do buffer de cada CTO vem das regras de raio da cobertura (padrão: 250m)
+      const regrasCobertura = await readRegrasCobertura();
+      const versaoRegras = versaoRegrasCobertura(regrasCobertura);
+      const simplificationTolerance = 0.0001; // Tolerância de simplificação
+      
+      try {
+        console.log(`🔄 [API] Processando polígonos em background (ID: ${calculationId})...`);
+        console.log(`🗺️ [API] Cálculos sendo feitos usando POSTGIS (via Supabase)`);
+        console.log(`📊 [API] Total de CTOs: ${totalCTOs || 0}`);
+        console.log(`📏 [API] Regras de raio: ${regrasCobertura.length} regra(s), raio padrão ${RAIO_COBERTURA_PADRAO_METROS}m (versão ${versaoRegras})`);
+        
+        let lastId = 0; // Último ID processado (cursor-based pagination)
+        let batchNumber = 0;
+        let hasMore = true;
+        
+        // Loop: buscar e processar lotes até completar usando PostGIS
+        // Usar paginação baseada em ID (cursor) ao invés de offset para evitar problemas
+        while (hasMore) {
+          batchNumber++;
+          const batchStartTime = Date.now();
+          
+          // 1. Buscar lote de CTOs do Supabase (apenas IDs)
+          // Paginação baseada em ID (cursor) - mais confiável que offset
+          let query = supabase
+            .from('ctos')
+            .select('id, cid_rede, pop, status_cto', { count: 'exact' })
+            .not('latitude', 'is', null)
+            .not('longitude', 'is', null)
+            .gte('latitude', -90)
+            .lte('latitude', 90)
+            .gte('longitude', -180)
+            .lte('longitude', 180)
+            .order('id', { ascending: true })
+            .limit(batchSize);
+          
+          // Se não é o primeiro lote, buscar apenas IDs maiores que o último processado
+          if (lastId > 0) {
+            query = query.gt('id', lastId);
+          }
+          
+          const { data: ctosBatch, error: fetchError } = await query;
+          
+          if (fetchError) {
+            // Tratar timeout especificamente - continuar com próximo lote
+            if (fetchError.code === '57014' || fetchError.message?.includes('timeout')) {
+              console.warn(`⚠️ [API] Timeout ao buscar CTOs (lote ${batchNumber}). Tentando buscar próximo lote...`);
+              // Não atualizar lastId - tentar novamente (pode ser problema temporário)
+              // Mas se lastId não mudar, pode entrar em loop - adicionar segurança
+              if (lastId > 0) {
+                // Avançar um pouco o ID para não ficar preso
+                lastId = lastId + 1000; // Pular alguns IDs para evitar loop
+                console.warn(`⚠️ [API] Avançando lastId para ${lastId} para evitar loop`);
+              }
+              continue; // Continuar com próximo lote
+            }
+            console.error(`❌ [API] Erro ao buscar CTOs (lote ${batchNumber}):`, fetchError);
+            uploadProgress.stage = 'error';
+            uploadProgress.message = `Erro ao buscar CTOs: ${fetchError.message}`;
+            throw fetchError;
+          }
+          
+          if (!ctosBatch || ctosBatch.length === 0) {
+            console.log(`✅ [API] Não há mais CTOs para processar (último ID: ${lastId}, total esperado: ${totalCTOs || 0}, processadas: ${processedCTOs})`);
+            hasMore = false;
+            break;
+          }
+          
+          // Atualizar último ID processado (para próxima iteração)
+          lastId = ctosBatch[ctosBatch.length - 1].id;
+          
+          // Log detalhado para debug
+          if (batchNumber === 1 || batchNumber % 5 === 0) {
+            console.log(`📦 [API] Lote ${batchNumber}: Processando ${ctosBatch.length} CTOs (ID: ${ctosBatch[0]?.id} a ${lastId}, total esperado: ${totalCTOs || 0}, processadas: ${processedCTOs})`);
+          }
+          
+          // 2. Agrupar IDs das CTOs pelo raio da regra aplicada a cada uma
+          const idsPorRaio = new Map();
+          for (const cto of ctosBatch) {
+            const raio = raioCoberturaCTO(cto, regrasCobertura);
+            if (!idsPorRaio.has(raio)) {
+              idsPorRaio.set(raio, []);
+            }
+            idsPorRaio.get(raio).push(cto.id);
+          }
+          
+          // Verificar se retornou menos que o esperado (pode indicar fim dos dados)
+          // IMPORTANTE: Supabase limita a 1000 registros por query, então 1000 é o máximo esperado
+          if (ctosBatch.length < batchSize) {
+            console.log(`📊 [API] Lote ${batchNumber} retornou ${ctosBatch.length} CTOs (menos que ${batchSize}). Verificando se há mais dados...`);
+          }
+          
+          // 3. Chamar função PostGIS - uma query por raio (sem regras, uma única query com as 1000 CTOs)
+          // Query abre → processa as CTOs do raio → fecha → próximo raio / próximo lote
+          let batchPolygonGeoJSON = null;
+          let batchErrorMsg = null;
+          
+          for (const [raio, ctoIds] of idsPorRaio) {
+            const { data: batchResult, error: batchError } = await supabase.rpc('calculate_coverage_polygon_batch', {
+              p_cto_ids: ctoIds,
+              p_buffer_radius_meters: raio
+            });
+            
+            if (batchError) {
+              console.error(`❌ [API] Erro ao calcular polígono do lote ${batchNumber} (raio ${raio}m):`, batchError);
+              batchErrorMsg = batchError.message;
+              break;
+            }
+            
+            if (!batchResult || batchResult.length === 0 || !batchResult[0].success) {
+              batchErrorMsg = batchResult?.[0]?.error_message || 'Erro desconhecido ao calcular polígono do lote';
+              break;
+            }
+            
+            const raioPolygonGeoJSON = batchResult[0].geometry_geojson;
+            if (!raioPolygonGeoJSON) {
+              continue;
+            }
+            
+            if (batchPolygonGeoJSON === null) {
+              batchPolygonGeoJSON = raioPolygonGeoJSON;
+              continue;
+            }
+            
+            // Unir polígonos dos raios do mesmo lote
+            const { data: unionRaioResult, error: unionRaioError } = await supabase.rpc('union_polygons_geojson', {
+              p_geojson1: batchPolygonGeoJSON,
+              p_geojson2: raioPolygonGeoJSON
+            });
+            
+            if (unionRaioError || !unionRaioResult || unionRaioResult.length === 0 || !unionRaioResult[0].success) {
+              batchErrorMsg = unionRaioResult?.[0]?.error_message || unionRaioError?.message || 'Erro ao unir polígonos dos raios do lote';
+              break;
+            }
+            
+            batchPolygonGeoJSON = unionRaioResult[0].geometry_geojson;
+          }
+          
+          if (batchErrorMsg) {
+            console.warn(`⚠️ [API] Lote ${batchNumber} falhou: ${batchErrorMsg}`);
+            // Continuar com próximo lote ao invés de quebrar
+            processedCTOs += ctosBatch.length;
+            continue;
+          }
+          
+          if (!batchPolygonGeoJSON) {
+            console.warn(`⚠️ [API] Lote ${batchNumber} não retornou polígono válido`);
+            processedCTOs += ctosBatch.length;
+            continue;
+          }
+          
+          // 4. Unir com polígono acumulado usando PostGIS
+          if (accumulatedPolygonGeoJSON === null) {
+            accumulatedPolygonGeoJSON = batchPolygonGeoJSON;
+          } else {
+            // Chamar função PostGIS para unir polígonos
+            const { data: unionResult, error: unionError } = await supabase.rpc('union_polygons_geojson', {
+              p_geojson1: accumulatedPolygonGeoJSON,
+              p_geojson2: batchPolygonGeoJSON
+            });
+            
+            if (unionError || !unionResult || unionResult.length === 0 || !unionResult[0].success) {
+              const errorMsg = unionResult?.[0]?.error_message || unionError?.message || 'Erro ao unir polígonos';
+              console.warn(`⚠️ [API] Erro ao unir polígono do lote ${batchNumber} com acumulado: ${errorMsg}`);
+              // Continuar com próximo lote
+              processedCTOs += ctosBatch.length;
+              continue;
+            }
+            
+            accumulatedPolygonGeoJSON = unionResult[0].geometry_geojson;
+          }
+          
+          // 5. Simplificar polígono acumulado periodicamente
+          if (batchNumber % 5 === 0 && accumulatedPolygonGeoJSON) {
+            const { data: simplifyResult, error: simplifyError } = await supabase.rpc('simplify_polygon_geojson', {
+              p_geojson: accumulatedPolygonGeoJSON,
+              p_tolerance: simplificationTolerance
+            });
+            
+            if (!simplifyError && simplifyResult && simplifyResult.length > 0 && simplifyResult[0].success) {
+              accumulatedPolygonGeoJSON = simplifyResult[0].geometry_geojson;
+            }
+          }
+          
+          processedCTOs += ctosBatch.length;
+          
+          // Atualizar progresso
+          const progressPercent = Math.round((processedCTOs / (totalCTOs || 1)) * 100);
+          uploadProgress.processedCTOs = processedCTOs;
+          uploadProgress.totalCTOs = totalCTOs || 0;
+          uploadProgress.calculationPercent = progressPercent;
+          uploadProgress.message = `Calculando área de cobertura (PostGIS)... ${progressPercent}% (${processedCTOs}/${totalCTOs || 0} CTOs)`;
+          
+          const batchTime = ((Date.now() - batchStartTime) / 1000).toFixed(2);
+          
+          // Log detalhado para debug
+          if (batchNumber === 1 || batchNumber % 5 === 0 || progressPercent >= 95) {
+            console.log(`📦 [API] Lote ${batchNumber}: ${processedCTOs}/${totalCTOs || 0} CTOs (${progressPercent}%) - ${batchTime}s [PostGIS]`);
+            console.log(`   └─ Último ID processado: ${lastId}, Próximo ID: > ${lastId}, Total esperado: ${totalCTOs || 0}`);
+          }
+          
+          // Verificar se há mais dados
+          // IMPORTANTE: Supabase limita a 1000 registros, então se retornou 1000, pode haver mais
+          // Só parar se retornou 0 ou muito pouco (menos de 100 CTOs)
+          if (ctosBatch.length === 0) {
+            hasMore = false; // Não há mais dados
+            console.log(`📊 [API] Lote ${batchNumber} retornou 0 CTOs - fim dos dados`);
+          } else if (ctosBatch.length < 100) {
+            // Se retornou menos de 100, provavelmente é o último lote
+            hasMore = false;
+            console.log(`📊 [API] Lote ${batchNumber} foi o último (retornou ${ctosBatch.length} < 100 CTOs)`);
+          } else {
+            // Se retornou 100 ou mais, continuar (pode haver mais dados)
+            // Mesmo que retorne exatamente batchSize (1000), continuar até retornar menos
+            hasMore = true;
+          }
+          
+          // Delay maior para evitar sobrecarga e timeout
+          // Delay aumenta com o número de lotes processados
+          const delay = Math.min(200, 50 + (batchNumber * 5));
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        console.log(`✅ [API] Todos os lotes processados: ${batchNumber} lotes`);
+        console.log(`📊 [API] Total processado: ${processedCTOs} CTOs de ${totalCTOs || 0} esperadas`);
+        
+        if (processedCTOs < (totalCTOs || 0)) {
+          console.warn(`⚠️ [API] ATENÇÃO: Processou apenas ${processedCTOs} de ${totalCTOs || 0} CTOs!`);
+          console.warn(`⚠️ [API] Diferença: ${(totalCTOs || 0) - processedCTOs} CTOs não foram processadas`);
+          console.warn(`⚠️ [API] Isso pode indicar problema de paginação ou limite do Supabase`);
+        }
+        
+        console.log(`🎉 [API] Finalizando cálculo...`);
+        
+        // 6. Simplificar polígono final usando PostGIS
+        if (accumulatedPolygonGeoJSON) {
+          const { data: simplifyResult, error: simplifyError } = await supabase.rpc('simplify_polygon_geojson', {
+            p_geojson: accumulatedPolygonGeoJSON,
+            p_tolerance: simplificationTolerance
+          });
+          
+          if (!simplifyError && simplifyResult && simplifyResult.length > 0 && simplifyResult[0].success) {
+            accumulatedPolygonGeoJSON = simplifyResult[0].geometry_geojson;
+          } else if (simplifyError) {
+            console.warn(`⚠️ [API] Erro ao simplificar polígono final (não crítico):`, simplifyError.message);
+          }
+        }
+        
+        // 7. Validar e salvar polígono no Supabase
+        if (!accumulatedPolygonGeoJSON) {
+          throw new Error('Nenhum polígono foi gerado');
+        }
+        
+        // GeoJSON já está como string
+        const geoJsonString = accumulatedPolygonGeoJSON;
+        
+        // Calcular área em km² usando PostGIS
+        const { data: areaResult, error: areaError } = await supabase.rpc('calculate_polygon_area_km2', {
+          p_geojson: geoJsonString
+        });
+        
+        let areaKm2 = 0;
+        if (!areaError && areaResult && areaResult.length > 0 && areaResult[0].success) {
+          areaKm2 = parseFloat(areaResult[0].area_km2) || 0;
+        } else {
+          // Fallback: tentar calcular usando Turf.js se PostGIS falhar
+          const errorMsg = areaResult?.[0]?.error_message || areaError?.message || 'Erro desconhecido';
+          console.warn(`⚠️ [API] Erro ao calcular área com PostGIS, usando Turf.js como fallback: ${errorMsg}`);
+          try {
+            const geoJsonObj = JSON.parse(geoJsonString);
+            const turfPolygon = turf.feature(geoJsonObj);
+            areaKm2 = turf.area(turfPolygon) / 1000000;
+            console.log(`✅ [API] Área calculada com Turf.js: ${areaKm2.toFixed(2)} km²`);
+          } catch (turfErr) {
+            console.warn(`⚠️ [API] Erro ao calcular área (PostGIS e Turf.js falharam):`, turfErr.message);
+            areaKm2 = 0;
+          }
+        }
+        
+        // Obter próxima versão
+        const { data: maxVersionData } = await supabase
+          .from('coverage_polygons')
+          .select('version')
+          .order('version', { ascending: false })
+          .limit(1);
+        
+        const nextVersion = (maxVersionData && maxVersionData[0]?.version) ? maxVersionData[0].version + 1 : 1;
+        
+        // Desativar versões antigas
+        await supabase
+          .from('coverage_polygons')
+          .update({ is_active: false })
+          .eq('is_active', true);
+        
+        // Salvar polígono final no Supabase usando função RPC que converte GeoJSON para PostGIS
+        console.log(`💾 [API] Salvando polígono no Supabase...`);
+        console.log(`   - GeoJSON tamanho: ${geoJsonString.length} caracteres`);
+        console.log(`   - Total CTOs: ${processedCTOs}`);
+        console.log(`   - Área: ${areaKm2.toFixed(2)} km²`);
+        console.log(`   - Versão: ${nextVersion}`);
+        
+        let insertData = null;
+        let polygonId = null;
+        
+        // Tentar usar função RPC primeiro
+        const { data: rpcData, error: insertError } = await supabase.rpc('save_coverage_polygon_from_geojson', {
+          p_geometry_geojson: geoJsonString,
+          p_total_ctos: processedCTOs,
+          p_area_km2: areaKm2,
+          p_simplification_tolerance: simplificationTolerance,
+          p_version: nextVersion
+        });
+        
+        if (insertError) {
+          console.error('❌ [API] Erro ao salvar polígono via RPC:', insertError);
+          console.error('❌ [API] Código do erro:', insertError.code);
+          console.error('❌ [API] Mensagem:', insertError.message);
+          console.error('❌ [API] Detalhes:', insertError.details);
+          console.error('❌ [API] Hint:', insertError.hint);
+          
+          // Se a função não existir, tentar inserir diretamente usando SQL
+          if (insertError.code === 'PGRST116' || insertError.message?.includes('does not exist') || insertError.message?.includes('function')) {
+            console.warn('⚠️ [API] Função save_coverage_polygon_from_geojson não encontrada. Tentando inserir via SQL direto...');
+            
+            // Usar SQL direto para inserir
+            const sqlInsert = `
+              INSERT INTO coverage_polygons (
+                geometry,
+                simplified_geometry,
+                total_ctos,
+                area_km2,
+                simplification_tolerance,
+                is_active,
+                version
+              ) VALUES (
+                ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326),
+                ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326),
+                $2,
+                $3,
+                $4,
+                true,
+                $5
+              )
+              RETURNING id;
+            `;
+            
+            const { data: sqlData, error: sqlError } = await supabase.rpc('exec_sql', {
+              sql: sqlInsert,
+              params: [geoJsonString, processedCTOs, areaKm2, simplificationTolerance, nextVersion]
+            });
+            
+            if (sqlError) {
+              // Última tentativa: inserir via .from() com GeoJSON (pode funcionar se Supabase aceitar)
+              console.warn('⚠️ [API] SQL direto falhou. Tentando inserir via .from()...');
+              
+              const { data: directInsert, error: directError } = await supabase
+                .from('coverage_polygons')
+                .insert({
+                  geometry: geoJsonString,
+                  simplified_geometry: geoJsonString,
+                  total_ctos: processedCTOs,
+                  area_km2: areaKm2,
+                  simplification_tolerance: simplificationTolerance,
+                  is_active: true,
+                  version: nextVersion
+                })
+                .select();
+              
+              if (directError) {
+                console.error('❌ [API] Erro ao inserir diretamente:', directError);
+                throw new Error(`Falha ao salvar polígono: ${directError.message}. Execute o SQL save_coverage_polygon_from_geojson.sql no Supabase.`);
+              }
+              
+              console.log(`✅ [API] Polígono inserido diretamente! ID: ${directInsert?.[0]?.id || 'N/A'}`);
+              polygonId = directInsert?.[0]?.id || null;
+              insertData = [{ polygon_id: polygonId, success: true, message: 'Polígono salvo diretamente' }];
+            } else {
+              polygonId = sqlData?.[0]?.id || null;
+              insertData = [{ polygon_id: polygonId, success: true, message: 'Polígono salvo via SQL' }];
+            }
+          } else {
+            throw insertError;
+          }
+        } else {
+          // Sucesso via RPC
+          insertData = rpcData;
+          polygonId = rpcData?.[0]?.polygon_id || null;
+          
+          // Verificar resposta da função RPC
+          if (!insertData || insertData.length === 0) {
+            console.error('❌ [API] Função RPC retornou resposta vazia:', insertData);
+            throw new Error('Falha ao salvar polígono - função RPC retornou resposta vazia');
+          }
+          
+          // Verificar se a função retornou sucesso
+          if (insertData[0]?.success === false) {
+            console.error('❌ [API] Função RPC retornou erro:', insertData[0]?.message);
+            throw new Error(`Falha ao salvar polígono: ${insertData[0]?.message || 'Erro desconhecido'}`);
+          }
+          
+          if (!polygonId && insertData[0]?.polygon_id) {
+            polygonId = insertData[0].polygon_id;
+          }
+        }
+        
+        // Verificar se realmente foi salvo
+        if (!insertData || insertData.length === 0 || (!insertData[0]?.success && !polygonId)) {
+          console.error('❌ [API] Resposta inválida ao salvar polígono:', JSON.stringify(insertData, null, 2));
+          throw new Error('Falha ao salvar polígono - resposta inválida');
+        }
+        
+        // Verificar se foi realmente salvo no banco (aguardar um pouco para garantir commit)
+        await new Promise(resolve => setTimeout(resolve, 500));
+        
+        if (polygonId) {
+          const { data: verifyData, error: verifyError } = await supabase
+            .from('coverage_polygons')
+            .select('id, version, total_ctos, is_active, area_km2')
+            .eq('id', polygonId)
+            .single();
+          
+          if (verifyError) {
+            console.error(`❌ [API] ERRO CRÍTICO: Polígono não encontrado no banco após salvar!`, verifyError);
+            console.error(`   - Polygon ID retornado: ${polygonId}`);
+            console.error(`   - Isso indica que o INSERT falhou silenciosamente`);
+            throw new Error(`Polígono não foi salvo no banco. ID: ${polygonId}, Erro: ${verifyError.message}`);
+          } else {
+            console.log(`✅ [API] Polígono VERIFICADO no banco:`);
+            console.log(`   - ID: ${verifyData.id}`);
+            console.log(`   - Versão: ${verifyData.version}`);
+            console.log(`   - Total CTOs: ${verifyData.total_ctos}`);
+            console.log(`   - Área: ${verifyData.area_km2} km²`);
+            console.log(`   - Ativo: ${verifyData.is_active}`);
+          }
+        } else {
+          console.warn(`⚠️ [API] Polygon ID não foi retornado. Verificando último polígono inserido...`);
+          
+          // Buscar último polígono inserido
+          const { data: lastPolygon, error: lastError } = await supabase
+            .from('coverage_polygons')
+            .select('id, version, total_ctos, is_active, area_km2')
+            .eq('version', nextVersion)
+            .eq('is_active', true)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .single();
+          
+          if (lastError || !lastPolygon) {
+            console.error(`❌ [API] ERRO CRÍTICO: Nenhum polígono encontrado após salvar!`, lastError);
+            throw new Error(`Polígono não foi salvo no banco. Verifique os logs do Supabase.`);
+          } else {
+            polygonId = lastPolygon.id;
+            console.log(`✅ [API] Polígono encontrado no banco (busca alternativa):`);
+            console.log(`   - ID: ${lastPolygon.id}`);
+            console.log(`   - Versão: ${lastPolygon.version}`);
+            console.log(`   - Total CTOs: ${lastPolygon.total_ctos}`);
+            console.log(`   - Área: ${lastPolygon.area_km2} km²`);
+          }
+        }
+
+        // 8. Registrar no polígono o upload da base de origem e o conjunto de regras de raio usado no cálculo
+        const { error: regrasPolygonError } = await supabase
+          .from('coverage_polygons')
+          .update({
+            base_upload_id: baseUploadId,
+            regras_cobertura: { versao: versaoRegras, raio_padrao_metros: RAIO_COBERTURA_PADRAO_METROS, regras: regrasCobertura },
+            regras_cobertura_versao: versaoRegras,
+            calculo_tipo: 'completo'
+          })
+          .eq('id', polygonId);
+
+        if (regrasPolygonError) {
+          console.warn(`⚠️ [API] Não foi possível registrar upload de origem e regras de raio no polígono (execute backend/sql/create_regras_cobertura.sql, backend/sql/create_coverage_versions.sql e backend/sql/create_coverage_incremental.sql): ${regrasPolygonError.message}`);
+        } else {
+          console.log(`   - Upload da base: ${baseUploadId ?? 'N/A'}`);
+          console.log(`   - Regras de raio: versão ${versaoRegras}`);
+        }
+
+        // Próximos uploads passam a ser aplicados sobre esta versão (recálculo incremental)
+        if (alteracoesCobertura) {
+          alteracoesCobertura.versaoPoligono = nextVersion;
+        }
+        invalidarCacheTiles('cobertura');
+
+        const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        uploadProgress.stage = 'completed';
+        uploadProgress.calculationPercent = 100;
+        uploadProgress.message = 'Área de cobertura criada com sucesso!';
+        
+        console.log(`✅ [API] ===== POLÍGONOS CALCULADOS COM SUCESSO (POSTGIS)! =====`);
+        console.log(`   - Polygon ID: ${polygonId || 'N/A'}`);
+        console.log(`   - Total CTOs: ${processedCTOs}`);
+        console.log(`   - Área: ${areaKm2.toFixed(2)} km²`);
+        console.log(`   - Versão: ${nextVersion}`);
+        console.log(`   - Tempo: ${processingTime}s`);
+        console.log(`   - Lotes processados: ${batchNumber}`);
+        console.log(`   - Método: PostGIS (via Supabase)`);
+        console.log(`✅ [API] ==========================================`);
+      } catch (err) {
+        console.error('❌ [API] Erro no processamento em background:', err);
+        alteracoesCobertura = null;
+        uploadProgress.stage = 'error';
+        uploadProgress.message = `Erro: ${err.message}`;
+      }
+    })();
+    
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/calculate:', err);
+    
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro interno', 
+      details: err.message 
+    });
+  }
+});
+
+// Rota para verificar status do cálculo
+app.get('/api/coverage/calculate-status', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Supabase não disponível' 
+      });
+    }
+    
+    const calculationId = req.query.calculation_id;
+    
+    // Se há calculation_id, verificar status do cálculo incremental
+    if (calculationId) {
+      try {
+        const { data: statusData, error: statusError } = await supabase.rpc('get_coverage_calculation_status', {
+          p_calculation_id: calculationId
+        });
+        
+        if (!statusError && statusData && statusData.length > 0) {
+          const status = statusData[0];
+          return res.json({
+            success: true,
+            status: status.status === 'completed' ? 'completed' : 'processing',
+            calculation_id: calculationId,
+            processed_ctos: status.processed_ctos,
+            total_ctos: status.total_ctos,
+            progress_percent: status.progress_percent,
+            error_message: status.error_message
+          });
+        }
+      } catch (statusErr) {
+        console.warn('⚠️ [API] Erro ao buscar status incremental:', statusErr);
+        // Continuar para verificar polígono final
+      }
+    }
+    
+    // Buscar polígono ativo mais recente (cálculo já finalizado)
+    const { data, error } = await supabase
+      .from('coverage_polygons')
+      .select('id, version, total_ctos, area_km2, created_at, is_active')
+      .eq('is_active', true)
+      .order('version', { ascending: false })
+      .limit(1)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('❌ [API] Erro ao buscar status:', error);
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Erro ao buscar status' 
+      });
+    }
+    
+    if (!data) {
+      return res.json({
+        success: false,
+        status: 'not_calculated',
+        message: 'Nenhum polígono de cobertura encontrado. Execute POST /api/coverage/calculate primeiro.'
+      });
+    }
+    
+    res.json({
+      success: true,
+      status: 'completed',
+      polygon_id: data.id,
+      version: data.version,
+      total_ctos: data.total_ctos,
+      area_km2: data.area_km2,
+      created_at: data.created_at
+    });
+    
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/calculate-status:', err);
+    
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro interno', 
+      details: err.message 
+    });
+  }
+});
+
+// Rota para obter polígono de cobertura ativo
+app.get('/api/coverage/polygon', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    const useSimplified = req.query.simplified !== 'false'; // Default: usar simplificado
+    
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Supabase não disponível' 
+      });
+    }
+    
+    // Buscar polígono ativo
+    const { data, error } = await supabase.rpc('get_active_coverage_polygon');
+    
+    if (error) {
+      console.error('❌ [API] Erro ao buscar polígono:', error);
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Erro ao buscar polígono de cobertura', 
+        details: error.message 
+      });
+    }
+    
+    if (!data || data.length === 0) {
+      return res.json({ 
+        success: false, 
+        message: 'Nenhum polígono de cobertura encontrado. Execute o cálculo primeiro.' 
+      });
+    }
+    
+    const polygon = data[0];
+    
+    // Converter geometria para GeoJSON usando função SQL
+    const { data: geoJsonData, error: geoJsonError } = await supabase.rpc('get_polygon_geojson', {
+      p_polygon_id: polygon.id,
+      p_use_simplified: useSimplified
+    });
+    
+    let geometry = null;
+    if (!geoJsonError && geoJsonData && geoJsonData.length > 0 && geoJsonData[0].geojson) {
+      try {
+        geometry = JSON.parse(geoJsonData[0].geojson);
+      } catch (parseError) {
+        console.warn('⚠️ [API] Erro ao fazer parse do GeoJSON:', parseError);
+      }
+    } else if (geoJsonError) {
+      console.warn('⚠️ [API] Erro ao buscar GeoJSON:', geoJsonError);
+    }
+    
+    res.json({
+      success: true,
+      id: polygon.id,
+      geometry: geometry,
+      total_ctos: polygon.total_ctos,
+      area_km2: polygon.area_km2,
+      version: polygon.version,
+      created_at: polygon.created_at,
+      is_simplified: useSimplified,
+      regras_cobertura_versao: await getVersaoRegrasPoligono(polygon.id) ?? null
+    });
+    
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/polygon:', err);
+    
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro interno', 
+      details: err.message 
+    });
+  }
+});
+
+// Rota para listar as versões da mancha de cobertura (mais recente primeiro)
+app.get('/api/coverage/versions', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Supabase não disponível'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('coverage_polygons')
+      .select('id, version, is_active, total_ctos, area_km2, created_at, base_upload_id, regras_cobertura_versao, calculo_tipo, versao_origem')
+      .order('version', { ascending: false })
+      .limit(COVERAGE_VERSOES_LIMITE);
+
+    if (error) {
+      console.error('❌ [API] Erro ao listar versões da cobertura:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao listar versões da mancha de cobertura',
+        details: `${error.message}. Execute backend/sql/create_coverage_versions.sql e backend/sql/create_coverage_incremental.sql no Supabase.`
+      });
+    }
+
+    res.json({
+      success: true,
+      versions: data || []
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/versions:', err);
+    res.status(500).json({ success: false, error: 'Erro interno', details: err.message });
+  }
+});
+
+// Rota para ativar uma versão da mancha de cobertura
+// A versão ativa é a usada por /api/coverage/polygon e /api/coverage/check-point
+app.post('/api/coverage/versions/:version/activate', requireCapacidade('recalcular_cobertura'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const version = parseInt(req.params.version, 10);
+    if (isNaN(version) || version < 1) {
+      return res.status(400).json({ success: false, error: 'Versão inválida' });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Supabase não disponível'
+      });
+    }
+
+    if (uploadProgress.stage === 'calculating') {
+      return res.status(409).json({ success: false, error: 'Aguarde o cálculo da mancha de cobertura em andamento terminar' });
+    }
+
+    const { data: alvo, error: alvoError } = await supabase
+      .from('coverage_polygons')
+      .select('id, version, is_active')
+      .eq('version', version)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (alvoError) {
+      throw alvoError;
+    }
+    if (!alvo) {
+      return res.status(404).json({ success: false, error: `Versão ${version} não encontrada` });
+    }
+
+    const { data: anterior } = await supabase
+      .from('coverage_polygons')
+      .select('version')
+      .eq('is_active', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (!alvo.is_active) {
+      const { error: desativarError } = await supabase
+        .from('coverage_polygons')
+        .update({ is_active: false })
+        .eq('is_active', true);
+
+      if (desativarError) {
+        throw desativarError;
+      }
+
+      const { error: ativarError } = await supabase
+        .from('coverage_polygons')
+        .update({ is_active: true })
+        .eq('id', alvo.id);
+
+      if (ativarError) {
+        throw ativarError;
+      }
+
+      invalidarCacheTiles('cobertura');
+      await registrarAuditoria(req, 'cobertura.ativar_versao', `v${version}`, { versao_ativa: anterior?.version ?? null }, { versao_ativa: version });
+      console.log(`✅ [API] Versão ${version} da mancha de cobertura ativada por '${req.usuario}' (anterior: ${anterior?.version ?? 'nenhuma'})`);
+    }
+
+    res.json({
+      success: true,
+      message: `Versão ${version} da mancha de cobertura ativa`,
+      version
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro ao ativar versão da cobertura:', err);
+    res.status(500).json({ success: false, error: 'Erro ao ativar versão da mancha de cobertura', details: err.message });
+  }
+});
+
+// Rota para comparar duas versões da mancha de cobertura
+// Retorna a área ganha (coberta em "to" e não em "from") e a perdida (coberta em "from" e não em "to")
+app.get('/api/coverage/diff', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'Parâmetros from e to (números de versão) são obrigatórios' });
+    }
+    if (from === to) {
+      return res.status(400).json({ success: false, error: 'Escolha duas versões diferentes' });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Supabase não disponível'
+      });
+    }
+
+    const { data, error } = await supabase.rpc('coverage_polygon_diff', {
+      p_from_version: from,
+      p_to_version: to
+    });
+
+    if (error) {
+      console.error('❌ [API] Erro ao comparar versões da cobertura:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao comparar versões da mancha de cobertura',
+        details: error.message
+      });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: `Versão ${from} ou ${to} não encontrada` });
+    }
+
+    const diff = data[0];
+    const comoFeature = (geojson, areaKm2) => ({
+      type: 'Feature',
+      geometry: geojson ? JSON.parse(geojson) : null,
+      properties: { area_km2: Math.round((areaKm2 || 0) * 100) / 100 }
+    });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      gained: comoFeature(diff.gained_geojson, diff.gained_area_km2),
+      lost: comoFeature(diff.lost_geojson, diff.lost_area_km2)
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/diff:', err);
+    res.status(500).json({ success: false, error: 'Erro interno', details: err.message });
+  }
+});
+
+// ============================================
+// PLANEJAMENTO DE NOVAS CTOs (DEMANDA SEM COBERTURA)
+// ============================================
+// Agrupamento dos pontos "Fora da Área de Cobertura" da base de VI ALA em
+// backend/planejamentoCTO.js. O raio de cada cidade vem das regras de cobertura
+// (campo cid_rede) e a PON de cada local é a mais próxima com folga de ONTs.
+
+const NOVAS_CTOS_RAIO_BUSCA_PON_METROS = 2000; // Até onde procurar CTOs existentes para alimentar o local
+const NOVAS_CTOS_PONS_AVALIADAS = 5; // PONs mais próximas avaliadas por local
+
+// Escolher a PON mais próxima com folga para alimentar um local candidato
+// cachePons: chave → PON de validarPons (compartilhado entre os locais da mesma consulta)
+async function ponParaNovaCTO(sugestao, cachePons, perfis) {
+  const { data: proximas, error } = await supabase.rpc('find_ctos_nearby', {
+    p_latitude: sugestao.latitude,
+    p_longitude: sugestao.longitude,
+    p_radius_meters: NOVAS_CTOS_RAIO_BUSCA_PON_METROS
+  });
+  if (error) {
+    throw error;
+  }
+
+  // CTO mais próxima de cada PON (CTOs de prédio não alimentam rua)
+  const maisProximaPorPon = new Map();
+  for (const { cto, distancia_metros, is_condominio } of (proximas || []).sort((a, b) => a.distancia_metros - b.distancia_metros)) {
+    const chave = chaveCaminhoRede(cto);
+    if (!is_condominio && !maisProximaPorPon.has(chave)) {
+      maisProximaPorPon.set(chave, { cto, distancia_metros });
+    }
+  }
+
+  for (const [chave, { cto, distancia_metros }] of [...maisProximaPorPon].slice(0, NOVAS_CTOS_PONS_AVALIADAS)) {
+    if (!cachePons.has(chave)) {
+      const [cid_rede, pop, olt, slot, pon] = chave.split('|');
+      const ctosDaPon = await buscarCTOsRede({ cid_rede, pop, olt, slot, pon }, 'id_cto, cto, cid_rede, pop, olt, slot, pon, portas, ocupado, latitude, longitude');
+      cachePons.set(chave, validarPons(ctosDaPon, perfis, await centrosDosPopsDasCTOs(ctosDaPon))[0] || null);
+    }
+    const pon = cachePons.get(chave);
+    const folga = pon ? Math.max(pon.max_onts - pon.ocupado, 0) : 0;
+    if (folga > 0) {
+      return {
+        chave,
+        cidade: pon.cidade,
+        pop: pon.pop,
+        olt: pon.olt,
+        slot: pon.slot,
+        pon: pon.pon,
+        modelo: pon.modelo,
+        clientes: pon.ocupado,
+        max_onts: pon.max_onts,
+        folga_onts: folga,
+        atende_demanda: folga >= sugestao.pontos.length,
+        status: pon.status,
+        distancia_metros: Math.round(distancia_metros),
+        cto_referencia: {
+          id_cto: String(cto.id_cto ?? '').trim(),
+          nome: cto.cto || '',
+          latitude: parseFloat(cto.latitude),
+          longitude: parseFloat(cto.longitude)
         }
-        
-        return cleaned;
-      } catch (err) {
-        // Não logar erros de validação para evitar rate limit
-        return null;
+      };
+    }
+  }
+  return null;
+}
+
+// Rota para sugerir locais de novas CTOs para a demanda sem cobertura (GeoJSON para o MapaConsulta)
+// Query: raio_metros (opcional, sobrepõe as regras), max_sugestoes, minimo_pontos, cidade, startDate, endDate (YYYY-MM-DD)
+app.get('/api/coverage/new-cto-suggestions', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const informado = (valor) => valor !== undefined && valor !== '';
+    const raioFixo = informado(req.query.raio_metros) ? Number(req.query.raio_metros) : null;
+    if (raioFixo !== null && (!Number.isFinite(raioFixo) || raioFixo < RAIO_COBERTURA_MIN_METROS || raioFixo > RAIO_COBERTURA_MAX_METROS)) {
+      return res.status(400).json({ success: false, error: `raio_metros deve estar entre ${RAIO_COBERTURA_MIN_METROS} e ${RAIO_COBERTURA_MAX_METROS}` });
+    }
+    const maxSugestoes = informado(req.query.max_sugestoes) ? Number(req.query.max_sugestoes) : NOVAS_CTOS_PADRAO;
+    if (!Number.isInteger(maxSugestoes) || maxSugestoes < 1 || maxSugestoes > NOVAS_CTOS_MAXIMO) {
+      return res.status(400).json({ success: false, error: `max_sugestoes deve ser um inteiro entre 1 e ${NOVAS_CTOS_MAXIMO}` });
+    }
+    const minimoPontos = informado(req.query.minimo_pontos) ? Number(req.query.minimo_pontos) : NOVAS_CTOS_MINIMO_PONTOS_PADRAO;
+    if (!Number.isInteger(minimoPontos) || minimoPontos < 1) {
+      return res.status(400).json({ success: false, error: 'minimo_pontos deve ser um inteiro maior que zero' });
+    }
+    const { startDate, endDate } = req.query;
+    for (const data of [startDate, endDate]) {
+      if (informado(data) && !/^\d{4}-\d{2}-\d{2}$/.test(String(data))) {
+        return res.status(400).json({ success: false, error: 'startDate e endDate devem estar no formato YYYY-MM-DD' });
+      }
+    }
+    const cidade = String(req.query.cidade ?? '').trim().toUpperCase();
+
+    await _ensureVIALABaseInternal();
+    const registros = (await _readVIALABaseInternal())
+      .filter(row => !cidade || String(row['CIDADE'] || '').trim().toUpperCase() === cidade)
+      .filter(row => registroVIALANoPeriodo(row, startDate, endDate));
+    const { pontos, sem_coordenadas } = pontosSemCobertura(registros);
+
+    // Agrupar por cidade: cada cidade usa o raio da sua regra de cobertura
+    const regras = await readRegrasCobertura();
+    const pontosPorCidade = new Map();
+    for (const ponto of pontos) {
+      if (!pontosPorCidade.has(ponto.cidade)) {
+        pontosPorCidade.set(ponto.cidade, []);
+      }
+      pontosPorCidade.get(ponto.cidade).push(ponto);
+    }
+    const sugestoes = [...pontosPorCidade]
+      .flatMap(([cidadePontos, lista]) => sugerirLocaisCTO(lista, {
+        raioMetros: raioFixo ?? raioCoberturaCTO({ cid_rede: cidadePontos }, regras),
+        maxSugestoes,
+        minimoPontos
+      }))
+      .sort((a, b) => b.pontos.length - a.pontos.length)
+      .slice(0, maxSugestoes)
+      .map((sugestao, indice) => ({ id: indice + 1, cidade: sugestao.pontos[0].cidade, ...sugestao, pon_alimentacao: null }));
+
+    // PON de alimentação (sem Supabase as sugestões saem sem PON)
+    const ponsDisponiveis = !!supabase && isSupabaseAvailable();
+    if (ponsDisponiveis) {
+      const perfis = await readPerfisPon();
+      const cachePons = new Map();
+      for (const sugestao of sugestoes) {
+        sugestao.pon_alimentacao = await ponParaNovaCTO(sugestao, cachePons, perfis);
       }
+    } else {
+      console.warn('⚠️ [Planejamento] Supabase não disponível - sugestões sem PON de alimentação');
+    }
+
+    const pontosCobertos = sugestoes.reduce((soma, sugestao) => soma + sugestao.pontos.length, 0);
+    const resumo = {
+      total_pontos: pontos.length,
+      pontos_cobertos: pontosCobertos,
+      pontos_sem_sugestao: pontos.length - pontosCobertos,
+      sem_coordenadas,
+      total_sugestoes: sugestoes.length,
+      raio_metros: raioFixo, // null = raio da regra de cobertura de cada cidade
+      minimo_pontos: minimoPontos,
+      pons_disponiveis: ponsDisponiveis,
+      gerado_em: new Date().toISOString()
     };
-    */
+    console.log(`✅ [Planejamento] ${sugestoes.length} local(is) para novas CTOs cobrindo ${pontosCobertos} de ${pontos.length} ponto(s) sem cobertura`);
+
+    res.json({
+      success: true,
+      ...resumo,
+      geojson: geojsonNovasCTOs(sugestoes, resumo)
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/new-cto-suggestions:', err);
+    res.status(500).json({ success: false, error: 'Erro ao sugerir novas CTOs', details: err.message });
+  }
+});
+
+// Rota para calcular polígono de cobertura para CTOs específicas (usado pelo AnaliseCobertura.svelte)
+// Usa função SQL no Supabase (calculate_polygon_for_specific_ctos) - igual ao padrão do MapaConsulta.svelte
+app.post('/api/coverage/calculate-polygon-for-ctos', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Supabase não disponível'
+      });
+    }
+    
+    const { ctos } = req.body;
+    
+    if (!ctos || !Array.isArray(ctos) || ctos.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Array de CTOs é obrigatório e não pode estar vazio'
+      });
+    }
+    
+    // Preparar array de CTOs para o Supabase (apenas latitude e longitude)
+    const ctosForSupabase = ctos.map(cto => ({
+      latitude: parseFloat(cto.latitude),
+      longitude: parseFloat(cto.longitude)
+    })).filter(cto => 
+      !isNaN(cto.latitude) && !isNaN(cto.longitude) &&
+      cto.latitude >= -90 && cto.latitude <= 90 &&
+      cto.longitude >= -180 && cto.longitude <= 180
+    );
+    
+    if (ctosForSupabase.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nenhuma CTO com coordenadas válidas encontrada'
+      });
+    }
+    
+    console.log(`🗺️ [API] Calculando polígono para ${ctosForSupabase.length} CTO(s) usando função SQL do Supabase...`);
+    
+    // Chamar função SQL do Supabase (igual ao padrão do MapaConsulta.svelte)
+    const { data, error } = await supabase.rpc('calculate_polygon_for_specific_ctos', {
+      p_ctos: ctosForSupabase
+    });
+    
+    if (error) {
+      console.error('❌ [API] Erro ao chamar função SQL do Supabase:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao calcular polígono no Supabase',
+        details: error.message
+      });
+    }
+    
+    if (!data || !data.success) {
+      console.error('❌ [API] Função SQL retornou erro:', data);
+      return res.status(500).json({
+        success: false,
+        error: data?.error || 'Erro desconhecido ao calcular polígono',
+        details: data
+      });
+    }
+    
+    // A função SQL retorna geometry como JSONB (já é um objeto JSON)
+    // Se for string, fazer parse
+    let geometry = data.geometry;
+    if (typeof geometry === 'string') {
+      try {
+        geometry = JSON.parse(geometry);
+      } catch (parseErr) {
+        console.error('❌ [API] Erro ao fazer parse do GeoJSON:', parseErr);
+        return res.status(500).json({
+          success: false,
+          error: 'Erro ao processar GeoJSON retornado pelo Supabase'
+        });
+      }
+    }
+    
+    console.log(`✅ [API] Polígono calculado com sucesso: ${data.total_ctos} CTO(s)`);
+    
+    // Retornar resposta no mesmo formato esperado pelo frontend
+    res.json({
+      success: true,
+      geometry: geometry,
+      total_ctos: data.total_ctos || ctosForSupabase.length,
+      is_single_circle: data.is_single_circle || false
+    });
+    
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/calculate-polygon-for-ctos:', err);
+    
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    res.status(500).json({
+      success: false,
+      error: 'Erro interno',
+      details: err.message
+    });
+  }
+});
+
+// Rota para verificar se um ponto está dentro da cobertura
+app.get('/api/coverage/check-point', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    
+    if (isNaN(lat) || isNaN(lng)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Latitude e longitude são obrigatórios' 
+      });
+    }
+    
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ 
+        success: false, 
+        error: 'Supabase não disponível' 
+      });
+    }
+    
+    // Verificar se ponto está coberto (aplicando as regras de raio da cobertura)
+    let result;
+    try {
+      result = await verificarCoberturaPonto(lat, lng);
+    } catch (error) {
+      console.error('❌ [API] Erro ao verificar ponto:', error);
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Erro ao verificar ponto', 
+        details: error.message 
+      });
+    }
+    
+    if (!result) {
+      return res.json({ 
+        success: false, 
+        is_covered: false, 
+        message: 'Nenhum polígono de cobertura encontrado' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+    
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/coverage/check-point:', err);
+    
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro interno', 
+      details: err.message 
+    });
+  }
+});
+
+// Rota para buscar CTOs por nome
+// Função auxiliar para escapar caracteres especiais do padrão LIKE do PostgreSQL
+// Escapa: %, _, \ (caracteres especiais do LIKE)
+function escapeLikePattern(pattern) {
+  if (!pattern) return pattern;
+  // Escapar backslash primeiro (para não escapar os escapes subsequentes)
+  return pattern
+    .replace(/\\/g, '\\\\')  // Escapar \ como \\
+    .replace(/%/g, '\\%')    // Escapar % como \%
+    .replace(/_/g, '\\_');   // Escapar _ como \_
+}
+
+app.get('/api/ctos/search', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
     
-    // Processar em background - CÁLCULOS USANDO POSTGIS
-    (async () => {
-      const startTime = Date.now();
-      let accumulatedPolygonGeoJSON = null; // Polígono acumulado (GeoJSON string)
-      let processedCTOs = 0;
-      // Lotes de 1000: Supabase tem limite padrão de 1000 registros por query
-      // Cada query PostGIS processa 1000 CTOs diretamente
-      // Query abre → processa 1000 CTOs → fecha → próxima query
-      const batchSize = 1000; // Processar 1000 CTOs por query PostGIS (limite do Supabase)
-      const bufferRadiusMeters = 250; // Raio do buffer em metros
-      const simplificationTolerance = 0.0001; // Tolerância de simplificação
-      
+    const nome = req.query.nome;
+    
+    if (!nome || !nome.trim()) {
+      return res.status(400).json({ error: 'Nome da CTO é obrigatório' });
+    }
+    
+    // Limpar e escapar o nome para busca segura no LIKE
+    const nomeLimpo = nome.trim();
+    const nomeEscapado = escapeLikePattern(nomeLimpo);
+    
+    console.log(`🔍 [API] Buscando CTOs com nome: "${nomeLimpo}" (escaped: "${nomeEscapado}")`);
+    
+    if (supabase && isSupabaseAvailable()) {
       try {
-        console.log(`🔄 [API] Processando polígonos em background (ID: ${calculationId})...`);
-        console.log(`🗺️ [API] Cálculos sendo feitos usando POSTGIS (via Supabase)`);
-        console.log(`📊 [API] Total de CTOs: ${totalCTOs || 0}`);
-        
-        let lastId = 0; // Último ID processado (cursor-based pagination)
-        let batchNumber = 0;
-        let hasMore = true;
-        
-        // Loop: buscar e processar lotes até completar usando PostGIS
-        // Usar paginação baseada em ID (cursor) ao invés de offset para evitar problemas
-        while (hasMore) {
-          batchNumber++;
-          const batchStartTime = Date.now();
-          
-          // 1. Buscar lote de CTOs do Supabase (apenas IDs)
-          // Paginação baseada em ID (cursor) - mais confiável que offset
-          let query = supabase
-            .from('ctos')
-            .select('id', { count: 'exact' })
-            .not('latitude', 'is', null)
-            .not('longitude', 'is', null)
-            .gte('latitude', -90)
-            .lte('latitude', 90)
-            .gte('longitude', -180)
-            .lte('longitude', 180)
-            .order('id', { ascending: true })
-            .limit(batchSize);
-          
-          // Se não é o primeiro lote, buscar apenas IDs maiores que o último processado
-          if (lastId > 0) {
-            query = query.gt('id', lastId);
-          }
-          
-          const { data: ctosBatch, error: fetchError } = await query;
-          
-          if (fetchError) {
-            // Tratar timeout especificamente - continuar com próximo lote
-            if (fetchError.code === '57014' || fetchError.message?.includes('timeout')) {
-              console.warn(`⚠️ [API] Timeout ao buscar CTOs (lote ${batchNumber}). Tentando buscar próximo lote...`);
-              // Não atualizar lastId - tentar novamente (pode ser problema temporário)
-              // Mas se lastId não mudar, pode entrar em loop - adicionar segurança
-              if (lastId > 0) {
-                // Avançar um pouco o ID para não ficar preso
-                lastId = lastId + 1000; // Pular alguns IDs para evitar loop
-                console.warn(`⚠️ [API] Avançando lastId para ${lastId} para evitar loop`);
-              }
-              continue; // Continuar com próximo lote
-            }
-            console.error(`❌ [API] Erro ao buscar CTOs (lote ${batchNumber}):`, fetchError);
-            uploadProgress.stage = 'error';
-            uploadProgress.message = `Erro ao buscar CTOs: ${fetchError.message}`;
-            throw fetchError;
-          }
-          
-          if (!ctosBatch || ctosBatch.length === 0) {
-            console.log(`✅ [API] Não há mais CTOs para processar (último ID: ${lastId}, total esperado: ${totalCTOs || 0}, processadas: ${processedCTOs})`);
-            hasMore = false;
-            break;
-          }
-          
-          // Atualizar último ID processado (para próxima iteração)
-          lastId = ctosBatch[ctosBatch.length - 1].id;
-          
-          // Log detalhado para debug
-          if (batchNumber === 1 || batchNumber % 5 === 0) {
-            console.log(`📦 [API] Lote ${batchNumber}: Processando ${ctosBatch.length} CTOs (ID: ${ctosBatch[0]?.id} a ${lastId}, total esperado: ${totalCTOs || 0}, processadas: ${processedCTOs})`);
-          }
-          
-          // 2. Extrair IDs das CTOs
-          const ctoIds = ctosBatch.map(cto => cto.id);
-          
-          // Verificar se retornou menos que o esperado (pode indicar fim dos dados)
-          // IMPORTANTE: Supabase limita a 1000 registros por query, então 1000 é o máximo esperado
-          if (ctosBatch.length < batchSize) {
-            console.log(`📊 [API] Lote ${batchNumber} retornou ${ctosBatch.length} CTOs (menos que ${batchSize}). Verificando se há mais dados...`);
-          }
-          
-          // 3. Chamar função PostGIS - processa 1000 CTOs diretamente
-          // Query abre → processa 1000 CTOs → fecha → próxima query
-          const { data: batchResult, error: batchError } = await supabase.rpc('calculate_coverage_polygon_batch', {
-            p_cto_ids: ctoIds,
-            p_buffer_radius_meters: bufferRadiusMeters
-          });
-          
-          if (batchError) {
-            console.error(`❌ [API] Erro ao calcular polígono do lote ${batchNumber}:`, batchError);
-            // Continuar com próximo lote ao invés de quebrar
-            processedCTOs += ctosBatch.length;
-            // Não atualizar lastId - tentar novamente no próximo loop (pode ser problema temporário)
-            continue;
-          }
-          
-          if (!batchResult || batchResult.length === 0 || !batchResult[0].success) {
-            const errorMsg = batchResult?.[0]?.error_message || 'Erro desconhecido ao calcular polígono do lote';
-            console.warn(`⚠️ [API] Lote ${batchNumber} falhou: ${errorMsg}`);
-            processedCTOs += ctosBatch.length;
-            continue;
-          }
-          
-          const batchPolygonGeoJSON = batchResult[0].geometry_geojson;
-          
-          if (!batchPolygonGeoJSON) {
-            console.warn(`⚠️ [API] Lote ${batchNumber} não retornou polígono válido`);
-            processedCTOs += ctosBatch.length;
-            continue;
-          }
-          
-          // 4. Unir com polígono acumulado usando PostGIS
-          if (accumulatedPolygonGeoJSON === null) {
-            accumulatedPolygonGeoJSON = batchPolygonGeoJSON;
-          } else {
-            // Chamar função PostGIS para unir polígonos
-            const { data: unionResult, error: unionError } = await supabase.rpc('union_polygons_geojson', {
-              p_geojson1: accumulatedPolygonGeoJSON,
-              p_geojson2: batchPolygonGeoJSON
-            });
-            
-            if (unionError || !unionResult || unionResult.length === 0 || !unionResult[0].success) {
-              const errorMsg = unionResult?.[0]?.error_message || unionError?.message || 'Erro ao unir polígonos';
-              console.warn(`⚠️ [API] Erro ao unir polígono do lote ${batchNumber} com acumulado: ${errorMsg}`);
-              // Continuar com próximo lote
-              processedCTOs += ctosBatch.length;
-              continue;
-            }
-            
-            accumulatedPolygonGeoJSON = unionResult[0].geometry_geojson;
-          }
-          
-          // 5. Simplificar polígono acumulado periodicamente
-          if (batchNumber % 5 === 0 && accumulatedPolygonGeoJSON) {
-            const { data: simplifyResult, error: simplifyError } = await supabase.rpc('simplify_polygon_geojson', {
-              p_geojson: accumulatedPolygonGeoJSON,
-              p_tolerance: simplificationTolerance
-            });
-            
-            if (!simplifyError && simplifyResult && simplifyResult.length > 0 && simplifyResult[0].success) {
-              accumulatedPolygonGeoJSON = simplifyResult[0].geometry_geojson;
-            }
-          }
-          
-          processedCTOs += ctosBatch.length;
-          
-          // Atualizar progresso
-          const progressPercent = Math.round((processedCTOs / (totalCTOs || 1)) * 100);
-          uploadProgress.processedCTOs = processedCTOs;
-          uploadProgress.totalCTOs = totalCTOs || 0;
-          uploadProgress.calculationPercent = progressPercent;
-          uploadProgress.message = `Calculando área de cobertura (PostGIS)... ${progressPercent}% (${processedCTOs}/${totalCTOs || 0} CTOs)`;
-          
-          const batchTime = ((Date.now() - batchStartTime) / 1000).toFixed(2);
-          
-          // Log detalhado para debug
-          if (batchNumber === 1 || batchNumber % 5 === 0 || progressPercent >= 95) {
-            console.log(`📦 [API] Lote ${batchNumber}: ${processedCTOs}/${totalCTOs || 0} CTOs (${progressPercent}%) - ${batchTime}s [PostGIS]`);
-            console.log(`   └─ Último ID processado: ${lastId}, Próximo ID: > ${lastId}, Total esperado: ${totalCTOs || 0}`);
-          }
-          
-          // Verificar se há mais dados
-          // IMPORTANTE: Supabase limita a 1000 registros, então se retornou 1000, pode haver mais
-          // Só parar se retornou 0 ou muito pouco (menos de 100 CTOs)
-          if (ctosBatch.length === 0) {
-            hasMore = false; // Não há mais dados
-            console.log(`📊 [API] Lote ${batchNumber} retornou 0 CTOs - fim dos dados`);
-          } else if (ctosBatch.length < 100) {
-            // Se retornou menos de 100, provavelmente é o último lote
-            hasMore = false;
-            console.log(`📊 [API] Lote ${batchNumber} foi o último (retornou ${ctosBatch.length} < 100 CTOs)`);
-          } else {
-            // Se retornou 100 ou mais, continuar (pode haver mais dados)
-            // Mesmo que retorne exatamente batchSize (1000), continuar até retornar menos
-            hasMore = true;
-          }
-          
-          // Delay maior para evitar sobrecarga e timeout
-          // Delay aumenta com o número de lotes processados
-          const delay = Math.min(200, 50 + (batchNumber * 5));
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-        
-        console.log(`✅ [API] Todos os lotes processados: ${batchNumber} lotes`);
-        console.log(`📊 [API] Total processado: ${processedCTOs} CTOs de ${totalCTOs || 0} esperadas`);
-        
-        if (processedCTOs < (totalCTOs || 0)) {
-          console.warn(`⚠️ [API] ATENÇÃO: Processou apenas ${processedCTOs} de ${totalCTOs || 0} CTOs!`);
-          console.warn(`⚠️ [API] Diferença: ${(totalCTOs || 0) - processedCTOs} CTOs não foram processadas`);
-          console.warn(`⚠️ [API] Isso pode indicar problema de paginação ou limite do Supabase`);
-        }
-        
-        console.log(`🎉 [API] Finalizando cálculo...`);
-        
-        // 6. Simplificar polígono final usando PostGIS
-        if (accumulatedPolygonGeoJSON) {
-          const { data: simplifyResult, error: simplifyError } = await supabase.rpc('simplify_polygon_geojson', {
-            p_geojson: accumulatedPolygonGeoJSON,
-            p_tolerance: simplificationTolerance
-          });
-          
-          if (!simplifyError && simplifyResult && simplifyResult.length > 0 && simplifyResult[0].success) {
-            accumulatedPolygonGeoJSON = simplifyResult[0].geometry_geojson;
-          } else if (simplifyError) {
-            console.warn(`⚠️ [API] Erro ao simplificar polígono final (não crítico):`, simplifyError.message);
-          }
-        }
-        
-        // 7. Validar e salvar polígono no Supabase
-        if (!accumulatedPolygonGeoJSON) {
-          throw new Error('Nenhum polígono foi gerado');
-        }
+        // Estratégia de busca: primeiro tentar busca exata, depois parcial mais precisa
+        // Usar nomeEscapado para garantir que caracteres especiais como \ funcionem corretamente
         
-        // GeoJSON já está como string
-        const geoJsonString = accumulatedPolygonGeoJSON;
+        // ETAPA 1: Busca exata (case-insensitive)
+        let { data, error } = await supabase
+          .from('ctos')
+          .select('*')
+          .ilike('cto', nomeEscapado) // Busca exata (sem % no início e fim)
+          .limit(100);
         
-        // Calcular área em km² usando PostGIS
-        const { data: areaResult, error: areaError } = await supabase.rpc('calculate_polygon_area_km2', {
-          p_geojson: geoJsonString
-        });
+        if (error) {
+          console.error('❌ [API] Erro ao buscar CTOs (exata):', error);
+          throw error;
+        }
         
-        let areaKm2 = 0;
-        if (!areaError && areaResult && areaResult.length > 0 && areaResult[0].success) {
-          areaKm2 = parseFloat(areaResult[0].area_km2) || 0;
+        // Se encontrou resultados com busca exata, usar esses
+        if (data && data.length > 0) {
+          console.log(`✅ [API] ${data.length} CTO(s) encontrada(s) com busca EXATA para "${nomeLimpo}"`);
         } else {
-          // Fallback: tentar calcular usando Turf.js se PostGIS falhar
-          const errorMsg = areaResult?.[0]?.error_message || areaError?.message || 'Erro desconhecido';
-          console.warn(`⚠️ [API] Erro ao calcular área com PostGIS, usando Turf.js como fallback: ${errorMsg}`);
-          try {
-            const geoJsonObj = JSON.parse(geoJsonString);
-            const turfPolygon = turf.feature(geoJsonObj);
-            areaKm2 = turf.area(turfPolygon) / 1000000;
-            console.log(`✅ [API] Área calculada com Turf.js: ${areaKm2.toFixed(2)} km²`);
-          } catch (turfErr) {
-            console.warn(`⚠️ [API] Erro ao calcular área (PostGIS e Turf.js falharam):`, turfErr.message);
-            areaKm2 = 0;
+          // ETAPA 2: Se não encontrou com busca exata, tentar busca parcial mais precisa
+          // Usar padrão que evita pegar substrings no meio de números
+          // Exemplo: "CTO \ ITA 131" não deve pegar "CTO \ ITA 1310"
+          // Vamos usar busca que procura o nome completo como palavra (com espaços ou fim de string)
+          const nomeEscapadoComBoundaries = `${nomeEscapado}(\\s|$|\\\\)`;
+          
+          // Tentar busca parcial, mas filtrar resultados para garantir que não pegue substrings indesejadas
+          const { data: partialData, error: partialError } = await supabase
+            .from('ctos')
+            .select('*')
+            .ilike('cto', `%${nomeEscapado}%`)
+            .limit(200); // Buscar mais para filtrar depois
+          
+          if (partialError) {
+            console.error('❌ [API] Erro ao buscar CTOs (parcial):', partialError);
+            throw partialError;
           }
-        }
-        
-        // Obter próxima versão
-        const { data: maxVersionData } = await supabase
-          .from('coverage_polygons')
-          .select('version')
-          .order('version', { ascending: false })
-          .limit(1);
-        
-        const nextVersion = (maxVersionData && maxVersionData[0]?.version) ? maxVersionData[0].version + 1 : 1;
-        
-        // Desativar versões antigas
-        await supabase
-          .from('coverage_polygons')
-          .update({ is_active: false })
-          .eq('is_active', true);
-        
-        // Salvar polígono final no Supabase usando função RPC que converte GeoJSON para PostGIS
-        console.log(`💾 [API] Salvando polígono no Supabase...`);
-        console.log(`   - GeoJSON tamanho: ${geoJsonString.length} caracteres`);
-        console.log(`   - Total CTOs: ${processedCTOs}`);
-        console.log(`   - Área: ${areaKm2.toFixed(2)} km²`);
-        console.log(`   - Versão: ${nextVersion}`);
-        
-        let insertData = null;
-        let polygonId = null;
-        
-        // Tentar usar função RPC primeiro
-        const { data: rpcData, error: insertError } = await supabase.rpc('save_coverage_polygon_from_geojson', {
-          p_geometry_geojson: geoJsonString,
-          p_total_ctos: processedCTOs,
-          p_area_km2: areaKm2,
-          p_simplification_tolerance: simplificationTolerance,
-          p_version: nextVersion
-        });
-        
-        if (insertError) {
-          console.error('❌ [API] Erro ao salvar polígono via RPC:', insertError);
-          console.error('❌ [API] Código do erro:', insertError.code);
-          console.error('❌ [API] Mensagem:', insertError.message);
-          console.error('❌ [API] Detalhes:', insertError.details);
-          console.error('❌ [API] Hint:', insertError.hint);
           
-          // Se a função não existir, tentar inserir diretamente usando SQL
-          if (insertError.code === 'PGRST116' || insertError.message?.includes('does not exist') || insertError.message?.includes('function')) {
-            console.warn('⚠️ [API] Função save_coverage_polygon_from_geojson não encontrada. Tentando inserir via SQL direto...');
-            
-            // Usar SQL direto para inserir
-            const sqlInsert = `
-              INSERT INTO coverage_polygons (
-                geometry,
-                simplified_geometry,
-                total_ctos,
-                area_km2,
-                simplification_tolerance,
-                is_active,
-                version
-              ) VALUES (
-                ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326),
-                ST_SetSRID(ST_GeomFromGeoJSON($1::text), 4326),
-                $2,
-                $3,
-                $4,
-                true,
-                $5
-              )
-              RETURNING id;
-            `;
-            
-            const { data: sqlData, error: sqlError } = await supabase.rpc('exec_sql', {
-              sql: sqlInsert,
-              params: [geoJsonString, processedCTOs, areaKm2, simplificationTolerance, nextVersion]
-            });
-            
-            if (sqlError) {
-              // Última tentativa: inserir via .from() com GeoJSON (pode funcionar se Supabase aceitar)
-              console.warn('⚠️ [API] SQL direto falhou. Tentando inserir via .from()...');
+          // Filtrar resultados para garantir correspondência exata do nome (ignorando case)
+          // Isso evita que "CTO \ ITA 131" pegue "CTO \ ITA 1310", "CTO \ ITA 1311", etc.
+          if (partialData && partialData.length > 0) {
+            const nomeLimpoLower = nomeLimpo.toLowerCase().trim();
+            data = partialData.filter(row => {
+              const ctoNome = (row.cto || '').toLowerCase().trim();
               
-              const { data: directInsert, error: directError } = await supabase
-                .from('coverage_polygons')
-                .insert({
-                  geometry: geoJsonString,
-                  simplified_geometry: geoJsonString,
-                  total_ctos: processedCTOs,
-                  area_km2: areaKm2,
-                  simplification_tolerance: simplificationTolerance,
-                  is_active: true,
-                  version: nextVersion
-                })
-                .select();
+              // Verificar correspondência exata
+              if (ctoNome === nomeLimpoLower) {
+                return true;
+              }
               
-              if (directError) {
-                console.error('❌ [API] Erro ao inserir diretamente:', directError);
-                throw new Error(`Falha ao salvar polígono: ${directError.message}. Execute o SQL save_coverage_polygon_from_geojson.sql no Supabase.`);
+              // Verificar se o nome da CTO começa com o nome pesquisado
+              if (ctoNome.startsWith(nomeLimpoLower)) {
+                const charAfter = ctoNome[nomeLimpoLower.length];
+                
+                // Se não há caractere depois (fim de string), é válido
+                if (!charAfter) {
+                  return true;
+                }
+                
+                // Se o caractere depois é espaço, barra invertida, ou qualquer coisa que NÃO seja dígito, é válido
+                // Isso evita que "131" pegue "1310", "1311", etc.
+                if (charAfter === ' ' || charAfter === '\\' || !/\d/.test(charAfter)) {
+                  return true;
+                }
+                
+                // Se o caractere depois é um dígito, rejeitar (evita pegar "1310" quando pesquisa "131")
+                return false;
               }
               
-              console.log(`✅ [API] Polígono inserido diretamente! ID: ${directInsert?.[0]?.id || 'N/A'}`);
-              polygonId = directInsert?.[0]?.id || null;
-              insertData = [{ polygon_id: polygonId, success: true, message: 'Polígono salvo diretamente' }];
-            } else {
-              polygonId = sqlData?.[0]?.id || null;
-              insertData = [{ polygon_id: polygonId, success: true, message: 'Polígono salvo via SQL' }];
+              return false;
+            });
+            
+            // Limitar a 100 resultados após filtro
+            if (data.length > 100) {
+              data = data.slice(0, 100);
             }
+            
+            console.log(`✅ [API] ${data.length} CTO(s) encontrada(s) com busca PARCIAL FILTRADA para "${nomeLimpo}" (de ${partialData.length} resultados iniciais)`);
           } else {
-            throw insertError;
-          }
-        } else {
-          // Sucesso via RPC
-          insertData = rpcData;
-          polygonId = rpcData?.[0]?.polygon_id || null;
-          
-          // Verificar resposta da função RPC
-          if (!insertData || insertData.length === 0) {
-            console.error('❌ [API] Função RPC retornou resposta vazia:', insertData);
-            throw new Error('Falha ao salvar polígono - função RPC retornou resposta vazia');
-          }
-          
-          // Verificar se a função retornou sucesso
-          if (insertData[0]?.success === false) {
-            console.error('❌ [API] Função RPC retornou erro:', insertData[0]?.message);
-            throw new Error(`Falha ao salvar polígono: ${insertData[0]?.message || 'Erro desconhecido'}`);
-          }
-          
-          if (!polygonId && insertData[0]?.polygon_id) {
-            polygonId = insertData[0].polygon_id;
+            data = [];
+            console.log(`⚠️ [API] Nenhuma CTO encontrada para "${nomeLimpo}"`);
           }
         }
         
-        // Verificar se realmente foi salvo
-        if (!insertData || insertData.length === 0 || (!insertData[0]?.success && !polygonId)) {
-          console.error('❌ [API] Resposta inválida ao salvar polígono:', JSON.stringify(insertData, null, 2));
-          throw new Error('Falha ao salvar polígono - resposta inválida');
+        if (error) {
+          console.error('❌ [API] Erro ao buscar CTOs:', error);
+          throw error;
         }
         
-        // Verificar se foi realmente salvo no banco (aguardar um pouco para garantir commit)
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        if (polygonId) {
-          const { data: verifyData, error: verifyError } = await supabase
-            .from('coverage_polygons')
-            .select('id, version, total_ctos, is_active, area_km2')
-            .eq('id', polygonId)
-            .single();
-          
-          if (verifyError) {
-            console.error(`❌ [API] ERRO CRÍTICO: Polígono não encontrado no banco após salvar!`, verifyError);
-            console.error(`   - Polygon ID retornado: ${polygonId}`);
-            console.error(`   - Isso indica que o INSERT falhou silenciosamente`);
-            throw new Error(`Polígono não foi salvo no banco. ID: ${polygonId}, Erro: ${verifyError.message}`);
-          } else {
-            console.log(`✅ [API] Polígono VERIFICADO no banco:`);
-            console.log(`   - ID: ${verifyData.id}`);
-            console.log(`   - Versão: ${verifyData.version}`);
-            console.log(`   - Total CTOs: ${verifyData.total_ctos}`);
-            console.log(`   - Área: ${verifyData.area_km2} km²`);
-            console.log(`   - Ativo: ${verifyData.is_active}`);
-          }
-        } else {
-          console.warn(`⚠️ [API] Polygon ID não foi retornado. Verificando último polígono inserido...`);
-          
-          // Buscar último polígono inserido
-          const { data: lastPolygon, error: lastError } = await supabase
-            .from('coverage_polygons')
-            .select('id, version, total_ctos, is_active, area_km2')
-            .eq('version', nextVersion)
-            .eq('is_active', true)
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
-          
-          if (lastError || !lastPolygon) {
-            console.error(`❌ [API] ERRO CRÍTICO: Nenhum polígono encontrado após salvar!`, lastError);
-            throw new Error(`Polígono não foi salvo no banco. Verifique os logs do Supabase.`);
-          } else {
-            polygonId = lastPolygon.id;
-            console.log(`✅ [API] Polígono encontrado no banco (busca alternativa):`);
-            console.log(`   - ID: ${lastPolygon.id}`);
-            console.log(`   - Versão: ${lastPolygon.version}`);
-            console.log(`   - Total CTOs: ${lastPolygon.total_ctos}`);
-            console.log(`   - Área: ${lastPolygon.area_km2} km²`);
+        // Formatar resultados
+        const ctos = (data || []).map((row, index) => {
+          const dataCadastro = row.data_cadastro || row.data_criacao || row.created_at || '';
+          // Log apenas para as primeiras 3 CTOs para debug
+          if (index < 3) {
+            console.log(`🔍 [API] CTO ${index + 1} - ID: ${row.id_cto}, data_cadastro original:`, row.data_cadastro, 'tipo:', typeof row.data_cadastro);
           }
-        }
+          return {
+            nome: row.cto || row.id_cto || '',
+            latitude: parseFloat(row.latitude),
+            longitude: parseFloat(row.longitude),
+            vagas_total: row.portas || 0,
+            clientes_conectados: row.ocupado || 0,
+            pct_ocup: row.pct_ocup || 0,
+            cidade: row.cid_rede || '',
+            pop: row.pop || '',
+            id: row.id_cto || row.id?.toString() || '',
+            id_cto: row.id_cto || row.id?.toString() || '',
+            is_condominio: false,
+            status_cto: row.status_cto || '',
+            olt: row.olt || '',
+            slot: row.slot || '',
+            pon: row.pon || '',
+            data_criacao: dataCadastro
+          };
+        });
         
-        const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        uploadProgress.stage = 'completed';
-        uploadProgress.calculationPercent = 100;
-        uploadProgress.message = 'Área de cobertura criada com sucesso!';
+        console.log(`✅ [API] ${ctos.length} CTOs encontradas com nome "${nome}"`);
         
-        console.log(`✅ [API] ===== POLÍGONOS CALCULADOS COM SUCESSO (POSTGIS)! =====`);
-        console.log(`   - Polygon ID: ${polygonId || 'N/A'}`);
-        console.log(`   - Total CTOs: ${processedCTOs}`);
-        console.log(`   - Área: ${areaKm2.toFixed(2)} km²`);
-        console.log(`   - Versão: ${nextVersion}`);
-        console.log(`   - Tempo: ${processingTime}s`);
-        console.log(`   - Lotes processados: ${batchNumber}`);
-        console.log(`   - Método: PostGIS (via Supabase)`);
-        console.log(`✅ [API] ==========================================`);
-      } catch (err) {
-        console.error('❌ [API] Erro no processamento em background:', err);
-        uploadProgress.stage = 'error';
-        uploadProgress.message = `Erro: ${err.message}`;
+        return res.json({
+          success: true,
+          ctos: ctos,
+          count: ctos.length
+        });
+      } catch (supabaseErr) {
+        console.error('❌ [API] Erro ao buscar CTOs do Supabase:', supabaseErr);
+        return res.status(500).json({ error: 'Erro ao buscar CTOs', details: supabaseErr.message });
       }
-    })();
-    
+    } else {
+      return res.status(503).json({ error: 'Supabase não disponível' });
+    }
   } catch (err) {
-    console.error('❌ [API] Erro na rota /api/coverage/calculate:', err);
-    
+    console.error('❌ [API] Erro na rota /api/ctos/search:', err);
+    return res.status(500).json({ error: 'Erro interno', details: err.message });
+  }
+});
+
+// Rota para buscar total de portas por caminho de rede
+app.get('/api/ctos/caminho-rede', async (req, res) => {
+  try {
+    // Garantir headers CORS
     const origin = req.headers.origin;
     if (origin) {
       res.setHeader('Access-Control-Allow-Origin', origin);
@@ -1763,16 +4143,77 @@ app.post('/api/coverage/calculate', async (req, res) => {
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     
-    res.status(500).json({ 
-      success: false, 
+    const olt = req.query.olt; // CHASSE (campo olt na tabela)
+    const slot = req.query.slot; // PLACA (campo slot na tabela)
+    const pon = req.query.pon; // OLT (campo pon na tabela)
+    
+    if (!olt || !slot || !pon) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Parâmetros olt, slot e pon são obrigatórios' 
+      });
+    }
+    
+    console.log(`🔍 [API] Buscando total de portas para caminho de rede: ${olt} / ${slot} / ${pon}`);
+    
+    if (supabase && isSupabaseAvailable()) {
+      try {
+        // Buscar TODAS as CTOs com esse caminho de rede
+        const { data, error } = await supabase
+          .from('ctos')
+          .select('portas')
+          .eq('olt', olt)
+          .eq('slot', slot)
+          .eq('pon', pon);
+        
+        if (error) {
+          console.error('❌ [API] Erro ao buscar CTOs do caminho de rede:', error);
+          throw error;
+        }
+        
+        // Calcular total de portas
+        const totalPortas = (data || []).reduce((sum, cto) => {
+          return sum + (parseInt(cto.portas || 0) || 0);
+        }, 0);
+        
+        console.log(`✅ [API] Caminho de rede ${olt} / ${slot} / ${pon}: ${data?.length || 0} CTOs, ${totalPortas} portas totais`);
+        
+        return res.json({
+          success: true,
+          caminho_rede: {
+            olt: olt,
+            slot: slot,
+            pon: pon
+          },
+          total_ctos: data?.length || 0,
+          total_portas: totalPortas
+        });
+      } catch (supabaseErr) {
+        console.error('❌ [API] Erro ao buscar CTOs do Supabase:', supabaseErr);
+        return res.status(500).json({ 
+          success: false,
+          error: 'Erro ao buscar CTOs', 
+          details: supabaseErr.message 
+        });
+      }
+    } else {
+      return res.status(503).json({ 
+        success: false,
+        error: 'Supabase não disponível' 
+      });
+    }
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/caminho-rede:', err);
+    return res.status(500).json({ 
+      success: false,
       error: 'Erro interno', 
       details: err.message 
     });
   }
 });
 
-// Rota para verificar status do cálculo
-app.get('/api/coverage/calculate-status', async (req, res) => {
+// Rota OTIMIZADA: Buscar totais de múltiplos caminhos de rede de uma vez
+app.post('/api/ctos/caminhos-rede-batch', async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -1783,187 +4224,179 @@ app.get('/api/coverage/calculate-status', async (req, res) => {
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     
+    const { caminhos } = req.body; // Array de objetos { olt, slot, pon }
+    
+    if (!Array.isArray(caminhos) || caminhos.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Parâmetro caminhos deve ser um array não vazio' 
+      });
+    }
+    
+    console.log(`🔍 [API] Buscando totais para ${caminhos.length} caminhos de rede em batch`);
+    
     if (!supabase || !isSupabaseAvailable()) {
       return res.status(503).json({ 
-        success: false, 
+        success: false,
         error: 'Supabase não disponível' 
       });
     }
     
-    const calculationId = req.query.calculation_id;
-    
-    // Se há calculation_id, verificar status do cálculo incremental
-    if (calculationId) {
-      try {
-        const { data: statusData, error: statusError } = await supabase.rpc('get_coverage_calculation_status', {
-          p_calculation_id: calculationId
+    try {
+      // Buscar todos os caminhos de uma vez usando OR conditions
+      // Construir query dinâmica para múltiplos caminhos
+      const resultados = {};
+      const perfisPon = await readPerfisPon();
+      
+      // Processar em lotes para evitar query muito grande
+      const BATCH_SIZE = 50; // Processar até 50 caminhos por vez
+      
+      for (let i = 0; i < caminhos.length; i += BATCH_SIZE) {
+        const batch = caminhos.slice(i, i + BATCH_SIZE);
+        
+        // Construir filtros OR para cada caminho no batch
+        const orConditions = batch.map(caminho => {
+          return `and.olt.eq.${caminho.olt},and.slot.eq.${caminho.slot},and.pon.eq.${caminho.pon}`;
         });
         
-        if (!statusError && statusData && statusData.length > 0) {
-          const status = statusData[0];
-          return res.json({
-            success: true,
-            status: status.status === 'completed' ? 'completed' : 'processing',
-            calculation_id: calculationId,
-            processed_ctos: status.processed_ctos,
-            total_ctos: status.total_ctos,
-            progress_percent: status.progress_percent,
-            error_message: status.error_message
-          });
+        // Para cada caminho no batch, fazer uma query separada (mais simples e confiável)
+        const batchPromises = batch.map(async (caminho) => {
+          // Construir chave incluindo CIDADE e POP para garantir unicidade completa
+          const caminhoKey = `${caminho.cidade || 'N/A'}|${caminho.pop || 'N/A'}|${caminho.olt}|${caminho.slot}|${caminho.pon}`;
+          
+          try {
+            // Filtrar por CIDADE (cid_rede), POP, OLT, SLOT e PON para garantir precisão e performance
+            let query = supabase
+              .from('ctos')
+              .select('portas, ocupado, cid_rede, pop, olt, slot, pon, latitude, longitude')
+              .eq('olt', caminho.olt)
+              .eq('slot', caminho.slot)
+              .eq('pon', caminho.pon);
+            
+            // Adicionar filtro por CIDADE (cid_rede) se fornecido (melhora performance e precisão)
+            if (caminho.cidade && caminho.cidade !== 'N/A') {
+              query = query.eq('cid_rede', caminho.cidade);
+            }
+            
+            // Adicionar filtro por POP se fornecido
+            if (caminho.pop && caminho.pop !== 'N/A') {
+              query = query.eq('pop', caminho.pop);
+            }
+            
+            const { data, error } = await query;
+            
+            if (error) {
+              console.error(`❌ [API] Erro ao buscar caminho ${caminhoKey}:`, error);
+              return { caminhoKey, total_portas: 0, total_ctos: 0, error: error.message };
+            }
+            
+            const totalPortas = (data || []).reduce((sum, cto) => {
+              return sum + (parseInt(cto.portas || 0) || 0);
+            }, 0);
+            
+            // Split, ONTs e orçamento óptico (sem CIDADE/POP o caminho pode cobrir mais de uma PON: vale a pior)
+            const validacoes = validarPons(data || [], perfisPon, await centrosDosPopsDasCTOs(data || []));
+            
+            return {
+              caminhoKey,
+              caminho_rede: caminho,
+              total_portas: totalPortas,
+              total_ctos: data?.length || 0,
+              validacao_pon: validacoes.sort((a, b) => b.alertas.length - a.alertas.length)[0] || null
+            };
+          } catch (err) {
+            console.error(`❌ [API] Erro ao processar caminho ${caminhoKey}:`, err);
+            return { caminhoKey, total_portas: 0, total_ctos: 0, error: err.message };
+          }
+        });
+        
+        const batchResults = await Promise.all(batchPromises);
+        
+        // Adicionar resultados ao objeto final
+        for (const result of batchResults) {
+          resultados[result.caminhoKey] = result;
         }
-      } catch (statusErr) {
-        console.warn('⚠️ [API] Erro ao buscar status incremental:', statusErr);
-        // Continuar para verificar polígono final
       }
-    }
-    
-    // Buscar polígono ativo mais recente (cálculo já finalizado)
-    const { data, error } = await supabase
-      .from('coverage_polygons')
-      .select('id, version, total_ctos, area_km2, created_at, is_active')
-      .eq('is_active', true)
-      .order('version', { ascending: false })
-      .limit(1)
-      .single();
-    
-    if (error && error.code !== 'PGRST116') {
-      console.error('❌ [API] Erro ao buscar status:', error);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Erro ao buscar status' 
-      });
-    }
-    
-    if (!data) {
+      
+      console.log(`✅ [API] Batch completo: ${Object.keys(resultados).length} caminhos processados`);
+      
       return res.json({
+        success: true,
+        resultados: resultados,
+        total_caminhos: caminhos.length,
+        caminhos_processados: Object.keys(resultados).length
+      });
+    } catch (supabaseErr) {
+      console.error('❌ [API] Erro ao buscar caminhos do Supabase:', supabaseErr);
+      return res.status(500).json({
         success: false,
-        status: 'not_calculated',
-        message: 'Nenhum polígono de cobertura encontrado. Execute POST /api/coverage/calculate primeiro.'
+        error: 'Erro ao buscar caminhos',
+        details: supabaseErr.message
       });
     }
-    
-    res.json({
-      success: true,
-      status: 'completed',
-      polygon_id: data.id,
-      version: data.version,
-      total_ctos: data.total_ctos,
-      area_km2: data.area_km2,
-      created_at: data.created_at
-    });
-    
   } catch (err) {
-    console.error('❌ [API] Erro na rota /api/coverage/calculate-status:', err);
-    
-    const origin = req.headers.origin;
-    if (origin) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-      res.setHeader('Access-Control-Allow-Origin', '*');
-    }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    res.status(500).json({ 
-      success: false, 
+    console.error('❌ [API] Erro na rota /api/ctos/caminhos-rede-batch:', err);
+    return res.status(500).json({ 
+      success: false,
       error: 'Erro interno', 
       details: err.message 
     });
   }
 });
 
-// Rota para obter polígono de cobertura ativo
-app.get('/api/coverage/polygon', async (req, res) => {
-  try {
-    // Garantir headers CORS
-    const origin = req.headers.origin;
-    if (origin) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-      res.setHeader('Access-Control-Allow-Origin', '*');
-    }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    const useSimplified = req.query.simplified !== 'false'; // Default: usar simplificado
-    
-    if (!supabase || !isSupabaseAvailable()) {
-      return res.status(503).json({ 
-        success: false, 
-        error: 'Supabase não disponível' 
-      });
+// Buscar as CTOs de um trecho da rede em lotes de 1000 (limite do Supabase), paginando por id
+// filtros: { coluna: valor } da tabela ctos ('N/A' = CTOs sem o campo preenchido, como aparecem na árvore)
+async function buscarCTOsRede(filtros, colunas) {
+  const ctos = [];
+  let lastId = 0;
+  while (true) {
+    let query = supabase
+      .from('ctos')
+      .select(`id, ${colunas}`)
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(1000);
+
+    for (const [coluna, valor] of Object.entries(filtros)) {
+      query = valor === 'N/A' ? query.or(`${coluna}.is.null,${coluna}.eq.`) : query.eq(coluna, valor);
     }
-    
-    // Buscar polígono ativo
-    const { data, error } = await supabase.rpc('get_active_coverage_polygon');
-    
+
+    const { data, error } = await query;
     if (error) {
-      console.error('❌ [API] Erro ao buscar polígono:', error);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Erro ao buscar polígono de cobertura', 
-        details: error.message 
-      });
-    }
-    
-    if (!data || data.length === 0) {
-      return res.json({ 
-        success: false, 
-        message: 'Nenhum polígono de cobertura encontrado. Execute o cálculo primeiro.' 
-      });
+      throw error;
     }
-    
-    const polygon = data[0];
-    
-    // Converter geometria para GeoJSON usando função SQL
-    const { data: geoJsonData, error: geoJsonError } = await supabase.rpc('get_polygon_geojson', {
-      p_polygon_id: polygon.id,
-      p_use_simplified: useSimplified
-    });
-    
-    let geometry = null;
-    if (!geoJsonError && geoJsonData && geoJsonData.length > 0 && geoJsonData[0].geojson) {
-      try {
-        geometry = JSON.parse(geoJsonData[0].geojson);
-      } catch (parseError) {
-        console.warn('⚠️ [API] Erro ao fazer parse do GeoJSON:', parseError);
-      }
-    } else if (geoJsonError) {
-      console.warn('⚠️ [API] Erro ao buscar GeoJSON:', geoJsonError);
+
+    ctos.push(...(data || []));
+    if (!data || data.length < 1000) {
+      break;
     }
-    
-    res.json({
-      success: true,
-      id: polygon.id,
-      geometry: geometry,
-      total_ctos: polygon.total_ctos,
-      area_km2: polygon.area_km2,
-      version: polygon.version,
-      created_at: polygon.created_at,
-      is_simplified: useSimplified
-    });
-    
-  } catch (err) {
-    console.error('❌ [API] Erro na rota /api/coverage/polygon:', err);
-    
-    const origin = req.headers.origin;
-    if (origin) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-      res.setHeader('Access-Control-Allow-Origin', '*');
+    lastId = data[data.length - 1].id;
+  }
+  return ctos;
+}
+
+// Filtros de rede da query string (cidade → cid_rede, pop, olt, slot, pon)
+function filtrosRedeDaQuery(query) {
+  const filtros = {};
+  for (const [parametro, coluna] of [['cidade', 'cid_rede'], ['pop', 'pop'], ['olt', 'olt'], ['slot', 'slot'], ['pon', 'pon']]) {
+    const valor = String(query[parametro] ?? '').trim();
+    if (valor) {
+      filtros[coluna] = valor;
     }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    res.status(500).json({ 
-      success: false, 
-      error: 'Erro interno', 
-      details: err.message 
-    });
   }
-});
+  return filtros;
+}
 
+// Árvore de capacidade da rede (ver backend/arvoreRede.js)
+// Cache por filtros e upload da base (a árvore da rede inteira lê todas as CTOs)
+const ARVORE_REDE_CACHE_TTL = 5 * 60 * 1000; // 5 minutos
+const ARVORE_REDE_CACHE_MAX = 50;
+const arvoreRedeCache = new Map(); // chave → { arvore, geradaEm }
 
-// Rota para calcular polígono de cobertura para CTOs específicas (usado pelo AnaliseCobertura.svelte)
-// Usa função SQL no Supabase (calculate_polygon_for_specific_ctos) - igual ao padrão do MapaConsulta.svelte
-app.post('/api/coverage/calculate-polygon-for-ctos', async (req, res) => {
+// Rota para buscar a árvore POP → OLT → slot → PON com portas, ocupadas, livres e % de ocupação por nível
+// Parâmetros (opcionais): cidade, pop, olt, slot, pon (filtros), limiar (% de ocupação, padrão 80),
+// ctos=true (inclui as CTOs de cada PON - use com filtros)
+app.get('/api/ctos/arvore-rede', async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -1973,111 +4406,215 @@ app.post('/api/coverage/calculate-polygon-for-ctos', async (req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
+
+    const limiar = req.query.limiar !== undefined && req.query.limiar !== '' ? Number(req.query.limiar) : LIMIAR_OCUPACAO_PADRAO;
+    if (!Number.isFinite(limiar) || limiar < 0 || limiar > 100) {
+      return res.status(400).json({ success: false, error: 'Parâmetro limiar deve estar entre 0 e 100' });
+    }
+
+    const incluirCTOs = req.query.ctos === 'true' || req.query.ctos === '1';
+    const filtros = filtrosRedeDaQuery(req.query);
+
     if (!supabase || !isSupabaseAvailable()) {
-      return res.status(503).json({
-        success: false,
-        error: 'Supabase não disponível'
-      });
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
     }
-    
-    const { ctos } = req.body;
-    
-    if (!ctos || !Array.isArray(ctos) || ctos.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Array de CTOs é obrigatório e não pode estar vazio'
-      });
+
+    const baseUploadId = await getUltimoUploadBaseId();
+    const chaveCache = JSON.stringify({ filtros, limiar, incluirCTOs, baseUploadId });
+    const emCache = arvoreRedeCache.get(chaveCache);
+    if (emCache && Date.now() - emCache.geradaEm < ARVORE_REDE_CACHE_TTL) {
+      return res.json({ success: true, limiar, filtros, ...emCache.arvore, cache: true });
     }
-    
-    // Preparar array de CTOs para o Supabase (apenas latitude e longitude)
-    const ctosForSupabase = ctos.map(cto => ({
-      latitude: parseFloat(cto.latitude),
-      longitude: parseFloat(cto.longitude)
-    })).filter(cto => 
-      !isNaN(cto.latitude) && !isNaN(cto.longitude) &&
-      cto.latitude >= -90 && cto.latitude <= 90 &&
-      cto.longitude >= -180 && cto.longitude <= 180
-    );
-    
-    if (ctosForSupabase.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Nenhuma CTO com coordenadas válidas encontrada'
-      });
+
+    console.log(`🌳 [API] Montando árvore de rede (filtros: ${JSON.stringify(filtros)}, limiar: ${limiar}%)...`);
+
+    let ctos;
+    try {
+      ctos = await buscarCTOsRede(filtros, 'id_cto, cto, cid_rede, pop, olt, slot, pon, portas, ocupado, livre, pct_ocup, status_cto' + (incluirCTOs ? ', latitude, longitude' : ''));
+    } catch (error) {
+      console.error('❌ [API] Erro ao buscar CTOs para a árvore de rede:', error);
+      return res.status(500).json({ success: false, error: 'Erro ao buscar CTOs', details: error.message });
     }
-    
-    console.log(`🗺️ [API] Calculando polígono para ${ctosForSupabase.length} CTO(s) usando função SQL do Supabase...`);
-    
-    // Chamar função SQL do Supabase (igual ao padrão do MapaConsulta.svelte)
-    const { data, error } = await supabase.rpc('calculate_polygon_for_specific_ctos', {
-      p_ctos: ctosForSupabase
-    });
-    
-    if (error) {
-      console.error('❌ [API] Erro ao chamar função SQL do Supabase:', error);
-      return res.status(500).json({
-        success: false,
-        error: 'Erro ao calcular polígono no Supabase',
-        details: error.message
-      });
+
+    const arvore = montarArvoreRede(ctos, { limiar, incluirCTOs });
+
+    if (arvoreRedeCache.size >= ARVORE_REDE_CACHE_MAX) {
+      arvoreRedeCache.delete(arvoreRedeCache.keys().next().value);
     }
-    
-    if (!data || !data.success) {
-      console.error('❌ [API] Função SQL retornou erro:', data);
-      return res.status(500).json({
-        success: false,
-        error: data?.error || 'Erro desconhecido ao calcular polígono',
-        details: data
-      });
+    arvoreRedeCache.set(chaveCache, { arvore, geradaEm: Date.now() });
+
+    console.log(`✅ [API] Árvore de rede: ${arvore.arvore.length} POP(s), ${arvore.totais.total_ctos} CTOs, ${arvore.totais.ctos_acima_limiar} acima de ${limiar}%`);
+
+    res.json({ success: true, limiar, filtros, ...arvore });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/arvore-rede:', err);
+    res.status(500).json({ success: false, error: 'Erro interno', details: err.message });
+  }
+});
+
+// ============================================
+// PERFIS DE PON (split e orçamento óptico)
+// ============================================
+// Perfis por modelo de OLT (ver backend/capacidadePon.js). A validação aponta PONs com
+// mais portas de CTO que o split, mais clientes que o máximo de ONTs ou sem margem no
+// orçamento óptico estimado. Usada nos totais de caminho de rede da Análise de Cobertura
+// (caminhos-rede-batch) e como alerta na Viabilidade Alares.
+
+const PERFIS_PON_CACHE_TTL = 60 * 1000; // 1 minuto
+let perfisPonCache = null;
+let perfisPonCacheTime = 0;
+
+// Perfis gravados com listas em texto (mesmo formato aceito pelo editor)
+function perfilPonParaRegistro(perfil) {
+  return {
+    modelo: perfil.modelo,
+    olts: perfil.olts.join(','),
+    splitters: perfil.splitters.map(razao => `1:${razao}`).join(','),
+    max_onts: perfil.max_onts,
+    potencia_tx_dbm: perfil.potencia_tx_dbm,
+    sensibilidade_rx_dbm: perfil.sensibilidade_rx_dbm,
+    conectores: perfil.conectores
+  };
+}
+
+// Ler perfis de PON (Supabase primeiro, fallback Excel)
+async function readPerfisPon() {
+  if (perfisPonCache && Date.now() - perfisPonCacheTime < PERFIS_PON_CACHE_TTL) {
+    return perfisPonCache;
+  }
+
+  let registros = null;
+
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { data, error } = await supabase
+        .from('perfis_pon')
+        .select('modelo, olts, splitters, max_onts, potencia_tx_dbm, sensibilidade_rx_dbm, conectores')
+        .order('modelo', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      registros = data || [];
+    } catch (supabaseErr) {
+      console.error('❌ [PON] Erro ao ler perfis de PON do Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+      if (supabaseErr.code === '42P01' || supabaseErr.message?.includes('does not exist')) {
+        console.error('❌ [PON] Execute o SQL em backend/sql/create_perfis_pon.sql');
+      }
     }
-    
-    // A função SQL retorna geometry como JSONB (já é um objeto JSON)
-    // Se for string, fazer parse
-    let geometry = data.geometry;
-    if (typeof geometry === 'string') {
-      try {
-        geometry = JSON.parse(geometry);
-      } catch (parseErr) {
-        console.error('❌ [API] Erro ao fazer parse do GeoJSON:', parseErr);
-        return res.status(500).json({
-          success: false,
-          error: 'Erro ao processar GeoJSON retornado pelo Supabase'
-        });
+  }
+
+  if (registros === null) {
+    try {
+      if (fs.existsSync(PERFIS_PON_FILE)) {
+        const workbook = XLSX.readFile(PERFIS_PON_FILE);
+        registros = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+      } else {
+        registros = [];
+      }
+    } catch (excelErr) {
+      console.error('❌ [PON] Erro ao ler perfis de PON do Excel (usando perfil padrão):', excelErr);
+      registros = [];
+    }
+  }
+
+  // Registros gravados passam pela mesma validação do editor (perfis inválidos são ignorados)
+  const { perfis, erros } = validarPerfisPon(registros);
+  if (erros.length > 0) {
+    console.warn(`⚠️ [PON] Perfis de PON ignorados: ${erros.join('; ')}`);
+  }
+
+  perfisPonCache = perfis;
+  perfisPonCacheTime = Date.now();
+  return perfisPonCache;
+}
+
+// Substituir todos os perfis de PON (Supabase primeiro, fallback Excel)
+async function savePerfisPon(perfis) {
+  perfisPonCache = null;
+  const registros = perfis.map(perfilPonParaRegistro);
+
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { error: deleteError } = await supabase
+        .from('perfis_pon')
+        .delete()
+        .neq('id', 0);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      if (registros.length > 0) {
+        const agora = new Date().toISOString();
+        const { error: insertError } = await supabase
+          .from('perfis_pon')
+          .insert(registros.map(registro => ({ ...registro, updated_at: agora })));
+
+        if (insertError) {
+          throw insertError;
+        }
+      }
+
+      console.log(`✅ [Supabase] ${registros.length} perfil(is) de PON salvos`);
+      return;
+    } catch (supabaseErr) {
+      console.error('❌ [PON] Erro ao salvar perfis de PON no Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+    }
+  }
+
+  await withLock('perfis_pon', async () => {
+    const worksheet = XLSX.utils.json_to_sheet(registros, { header: ['modelo', 'olts', 'splitters', 'max_onts', 'potencia_tx_dbm', 'sensibilidade_rx_dbm', 'conectores'] });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Perfis PON');
+    XLSX.writeFile(workbook, PERFIS_PON_FILE);
+    perfisPonCache = null;
+    console.log(`✅ [Excel] ${registros.length} perfil(is) de PON salvos em ${PERFIS_PON_FILE}`);
+  });
+}
+
+// Centro de cada POP (origem estimada da fibra), calculado com TODAS as CTOs do POP
+// Guardado como Promise para que consultas simultâneas do mesmo POP (caminhos-rede-batch) busquem uma vez só
+const CENTROS_POPS_CACHE_TTL = 10 * 60 * 1000; // 10 minutos
+const CENTROS_POPS_CACHE_MAX = 500;
+const centrosPopsCache = new Map(); // 'cidade|pop' → { promessa, geradoEm }
+
+async function centrosDosPopsDasCTOs(ctos) {
+  const chaves = new Set(ctos.map(cto => `${String(cto.cid_rede ?? '').trim() || 'N/A'}|${String(cto.pop ?? '').trim() || 'N/A'}`));
+  const centros = new Map();
+
+  await Promise.all([...chaves].map(async (chave) => {
+    let emCache = centrosPopsCache.get(chave);
+    if (!emCache || Date.now() - emCache.geradoEm >= CENTROS_POPS_CACHE_TTL) {
+      const [cidade, pop] = chave.split('|');
+      emCache = {
+        promessa: buscarCTOsRede({ cid_rede: cidade, pop }, 'cid_rede, pop, latitude, longitude')
+          .then(ctosPop => centrosDosPops(ctosPop).get(chave) || null),
+        geradoEm: Date.now()
+      };
+      if (centrosPopsCache.size >= CENTROS_POPS_CACHE_MAX) {
+        centrosPopsCache.delete(centrosPopsCache.keys().next().value);
       }
+      centrosPopsCache.set(chave, emCache);
     }
-    
-    console.log(`✅ [API] Polígono calculado com sucesso: ${data.total_ctos} CTO(s)`);
-    
-    // Retornar resposta no mesmo formato esperado pelo frontend
-    res.json({
-      success: true,
-      geometry: geometry,
-      total_ctos: data.total_ctos || ctosForSupabase.length,
-      is_single_circle: data.is_single_circle || false
-    });
-    
-  } catch (err) {
-    console.error('❌ [API] Erro na rota /api/coverage/calculate-polygon-for-ctos:', err);
-    
-    const origin = req.headers.origin;
-    if (origin) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-      res.setHeader('Access-Control-Allow-Origin', '*');
+
+    try {
+      const centro = await emCache.promessa;
+      if (centro) {
+        centros.set(chave, centro);
+      }
+    } catch (err) {
+      centrosPopsCache.delete(chave);
+      console.warn(`⚠️ [PON] Não foi possível calcular o centro do POP ${chave}: ${err.message}`);
     }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    res.status(500).json({
-      success: false,
-      error: 'Erro interno',
-      details: err.message
-    });
-  }
-});
+  }));
 
-// Rota para verificar se um ponto está dentro da cobertura
-app.get('/api/coverage/check-point', async (req, res) => {
+  return centros;
+}
+
+// Endpoint para listar os perfis de PON
+app.get('/api/pon/profiles', requireAuth, async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -2087,88 +4624,24 @@ app.get('/api/coverage/check-point', async (req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    const lat = parseFloat(req.query.lat);
-    const lng = parseFloat(req.query.lng);
-    
-    if (isNaN(lat) || isNaN(lng)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Latitude e longitude são obrigatórios' 
-      });
-    }
-    
-    if (!supabase || !isSupabaseAvailable()) {
-      return res.status(503).json({ 
-        success: false, 
-        error: 'Supabase não disponível' 
-      });
-    }
-    
-    // Verificar se ponto está coberto
-    const { data, error } = await supabase.rpc('check_point_in_coverage', {
-      p_latitude: lat,
-      p_longitude: lng
-    });
-    
-    if (error) {
-      console.error('❌ [API] Erro ao verificar ponto:', error);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Erro ao verificar ponto', 
-        details: error.message 
-      });
-    }
-    
-    if (!data || data.length === 0) {
-      return res.json({ 
-        success: false, 
-        is_covered: false, 
-        message: 'Nenhum polígono de cobertura encontrado' 
-      });
-    }
-    
-    const result = data[0];
-    
+
+    const perfis = await readPerfisPon();
+
     res.json({
       success: true,
-      is_covered: result.is_covered,
-      polygon_id: result.polygon_id,
-      distance_to_coverage_meters: result.distance_to_coverage_meters
+      perfis,
+      perfil_padrao: PERFIL_PON_PADRAO,
+      splitters_disponiveis: Object.keys(PERDA_SPLITTER_DB).map(Number),
+      margem_minima_db: MARGEM_SEGURANCA_DB
     });
-    
   } catch (err) {
-    console.error('❌ [API] Erro na rota /api/coverage/check-point:', err);
-    
-    const origin = req.headers.origin;
-    if (origin) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    } else {
-      res.setHeader('Access-Control-Allow-Origin', '*');
-    }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    res.status(500).json({ 
-      success: false, 
-      error: 'Erro interno', 
-      details: err.message 
-    });
+    console.error('❌ [PON] Erro ao listar perfis de PON:', err);
+    res.status(500).json({ success: false, error: 'Erro ao listar perfis de PON', details: err.message });
   }
 });
 
-// Rota para buscar CTOs por nome
-// Função auxiliar para escapar caracteres especiais do padrão LIKE do PostgreSQL
-// Escapa: %, _, \ (caracteres especiais do LIKE)
-function escapeLikePattern(pattern) {
-  if (!pattern) return pattern;
-  // Escapar backslash primeiro (para não escapar os escapes subsequentes)
-  return pattern
-    .replace(/\\/g, '\\\\')  // Escapar \ como \\
-    .replace(/%/g, '\\%')    // Escapar % como \%
-    .replace(/_/g, '\\_');   // Escapar _ como \_
-}
-
-app.get('/api/ctos/search', async (req, res) => {
+// Endpoint para substituir os perfis de PON
+app.put('/api/pon/profiles', requireCapacidade('gerenciar_perfis_pon'), async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -2177,159 +4650,37 @@ app.get('/api/ctos/search', async (req, res) => {
     } else {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    const nome = req.query.nome;
-    
-    if (!nome || !nome.trim()) {
-      return res.status(400).json({ error: 'Nome da CTO é obrigatório' });
-    }
-    
-    // Limpar e escapar o nome para busca segura no LIKE
-    const nomeLimpo = nome.trim();
-    const nomeEscapado = escapeLikePattern(nomeLimpo);
-    
-    console.log(`🔍 [API] Buscando CTOs com nome: "${nomeLimpo}" (escaped: "${nomeEscapado}")`);
-    
-    if (supabase && isSupabaseAvailable()) {
-      try {
-        // Estratégia de busca: primeiro tentar busca exata, depois parcial mais precisa
-        // Usar nomeEscapado para garantir que caracteres especiais como \ funcionem corretamente
-        
-        // ETAPA 1: Busca exata (case-insensitive)
-        let { data, error } = await supabase
-          .from('ctos')
-          .select('*')
-          .ilike('cto', nomeEscapado) // Busca exata (sem % no início e fim)
-          .limit(100);
-        
-        if (error) {
-          console.error('❌ [API] Erro ao buscar CTOs (exata):', error);
-          throw error;
-        }
-        
-        // Se encontrou resultados com busca exata, usar esses
-        if (data && data.length > 0) {
-          console.log(`✅ [API] ${data.length} CTO(s) encontrada(s) com busca EXATA para "${nomeLimpo}"`);
-        } else {
-          // ETAPA 2: Se não encontrou com busca exata, tentar busca parcial mais precisa
-          // Usar padrão que evita pegar substrings no meio de números
-          // Exemplo: "CTO \ ITA 131" não deve pegar "CTO \ ITA 1310"
-          // Vamos usar busca que procura o nome completo como palavra (com espaços ou fim de string)
-          const nomeEscapadoComBoundaries = `${nomeEscapado}(\\s|$|\\\\)`;
-          
-          // Tentar busca parcial, mas filtrar resultados para garantir que não pegue substrings indesejadas
-          const { data: partialData, error: partialError } = await supabase
-            .from('ctos')
-            .select('*')
-            .ilike('cto', `%${nomeEscapado}%`)
-            .limit(200); // Buscar mais para filtrar depois
-          
-          if (partialError) {
-            console.error('❌ [API] Erro ao buscar CTOs (parcial):', partialError);
-            throw partialError;
-          }
-          
-          // Filtrar resultados para garantir correspondência exata do nome (ignorando case)
-          // Isso evita que "CTO \ ITA 131" pegue "CTO \ ITA 1310", "CTO \ ITA 1311", etc.
-          if (partialData && partialData.length > 0) {
-            const nomeLimpoLower = nomeLimpo.toLowerCase().trim();
-            data = partialData.filter(row => {
-              const ctoNome = (row.cto || '').toLowerCase().trim();
-              
-              // Verificar correspondência exata
-              if (ctoNome === nomeLimpoLower) {
-                return true;
-              }
-              
-              // Verificar se o nome da CTO começa com o nome pesquisado
-              if (ctoNome.startsWith(nomeLimpoLower)) {
-                const charAfter = ctoNome[nomeLimpoLower.length];
-                
-                // Se não há caractere depois (fim de string), é válido
-                if (!charAfter) {
-                  return true;
-                }
-                
-                // Se o caractere depois é espaço, barra invertida, ou qualquer coisa que NÃO seja dígito, é válido
-                // Isso evita que "131" pegue "1310", "1311", etc.
-                if (charAfter === ' ' || charAfter === '\\' || !/\d/.test(charAfter)) {
-                  return true;
-                }
-                
-                // Se o caractere depois é um dígito, rejeitar (evita pegar "1310" quando pesquisa "131")
-                return false;
-              }
-              
-              return false;
-            });
-            
-            // Limitar a 100 resultados após filtro
-            if (data.length > 100) {
-              data = data.slice(0, 100);
-            }
-            
-            console.log(`✅ [API] ${data.length} CTO(s) encontrada(s) com busca PARCIAL FILTRADA para "${nomeLimpo}" (de ${partialData.length} resultados iniciais)`);
-          } else {
-            data = [];
-            console.log(`⚠️ [API] Nenhuma CTO encontrada para "${nomeLimpo}"`);
-          }
-        }
-        
-        if (error) {
-          console.error('❌ [API] Erro ao buscar CTOs:', error);
-          throw error;
-        }
-        
-        // Formatar resultados
-        const ctos = (data || []).map((row, index) => {
-          const dataCadastro = row.data_cadastro || row.data_criacao || row.created_at || '';
-          // Log apenas para as primeiras 3 CTOs para debug
-          if (index < 3) {
-            console.log(`🔍 [API] CTO ${index + 1} - ID: ${row.id_cto}, data_cadastro original:`, row.data_cadastro, 'tipo:', typeof row.data_cadastro);
-          }
-          return {
-            nome: row.cto || row.id_cto || '',
-            latitude: parseFloat(row.latitude),
-            longitude: parseFloat(row.longitude),
-            vagas_total: row.portas || 0,
-            clientes_conectados: row.ocupado || 0,
-            pct_ocup: row.pct_ocup || 0,
-            cidade: row.cid_rede || '',
-            pop: row.pop || '',
-            id: row.id_cto || row.id?.toString() || '',
-            id_cto: row.id_cto || row.id?.toString() || '',
-            is_condominio: false,
-            status_cto: row.status_cto || '',
-            olt: row.olt || '',
-            slot: row.slot || '',
-            pon: row.pon || '',
-            data_criacao: dataCadastro
-          };
-        });
-        
-        console.log(`✅ [API] ${ctos.length} CTOs encontradas com nome "${nome}"`);
-        
-        return res.json({
-          success: true,
-          ctos: ctos,
-          count: ctos.length
-        });
-      } catch (supabaseErr) {
-        console.error('❌ [API] Erro ao buscar CTOs do Supabase:', supabaseErr);
-        return res.status(500).json({ error: 'Erro ao buscar CTOs', details: supabaseErr.message });
-      }
-    } else {
-      return res.status(503).json({ error: 'Supabase não disponível' });
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const { perfis: novosPerfis, erros } = validarPerfisPon(req.body?.perfis);
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, error: 'Perfis inválidos', details: erros });
     }
+
+    const perfisAnteriores = await readPerfisPon();
+
+    await savePerfisPon(novosPerfis);
+    await registrarAuditoria(req, 'rede.alterar_perfis_pon', 'perfis_pon',
+      { perfis: perfisAnteriores },
+      { perfis: novosPerfis });
+
+    console.log(`✅ [PON] Perfis de PON atualizados por '${req.usuario}': ${novosPerfis.length} perfil(is)`);
+
+    res.json({
+      success: true,
+      message: 'Perfis de PON salvos.',
+      perfis: novosPerfis
+    });
   } catch (err) {
-    console.error('❌ [API] Erro na rota /api/ctos/search:', err);
-    return res.status(500).json({ error: 'Erro interno', details: err.message });
+    console.error('❌ [PON] Erro ao salvar perfis de PON:', err);
+    res.status(500).json({ success: false, error: 'Erro ao salvar perfis de PON', details: err.message });
   }
 });
 
-// Rota para buscar total de portas por caminho de rede
-app.get('/api/ctos/caminho-rede', async (req, res) => {
+// Rota para validar split, máximo de ONTs e orçamento óptico das PONs
+// Parâmetros (opcionais): cidade, pop, olt, slot, pon (filtros), apenas_alertas=true
+// cto + distancia_cliente_metros: orçamento do cliente atendido por essa CTO (fibra estimada até a CTO + drop)
+app.get('/api/ctos/validacao-pon', async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -2339,78 +4690,153 @@ app.get('/api/ctos/caminho-rede', async (req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    const olt = req.query.olt; // CHASSE (campo olt na tabela)
-    const slot = req.query.slot; // PLACA (campo slot na tabela)
-    const pon = req.query.pon; // OLT (campo pon na tabela)
-    
-    if (!olt || !slot || !pon) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Parâmetros olt, slot e pon são obrigatórios' 
-      });
+
+    const filtros = filtrosRedeDaQuery(req.query);
+    const apenasAlertas = req.query.apenas_alertas === 'true' || req.query.apenas_alertas === '1';
+    const idCto = String(req.query.cto ?? '').trim();
+    const distanciaCliente = req.query.distancia_cliente_metros !== undefined && req.query.distancia_cliente_metros !== ''
+      ? Number(req.query.distancia_cliente_metros)
+      : 0;
+    if (!Number.isFinite(distanciaCliente) || distanciaCliente < 0) {
+      return res.status(400).json({ success: false, error: 'Parâmetro distancia_cliente_metros deve ser um número maior ou igual a zero' });
     }
-    
-    console.log(`🔍 [API] Buscando total de portas para caminho de rede: ${olt} / ${slot} / ${pon}`);
-    
-    if (supabase && isSupabaseAvailable()) {
-      try {
-        // Buscar TODAS as CTOs com esse caminho de rede
-        const { data, error } = await supabase
-          .from('ctos')
-          .select('portas')
-          .eq('olt', olt)
-          .eq('slot', slot)
-          .eq('pon', pon);
-        
-        if (error) {
-          console.error('❌ [API] Erro ao buscar CTOs do caminho de rede:', error);
-          throw error;
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    let ctos;
+    try {
+      ctos = await buscarCTOsRede(filtros, 'id_cto, cto, cid_rede, pop, olt, slot, pon, portas, ocupado, latitude, longitude');
+    } catch (error) {
+      console.error('❌ [API] Erro ao buscar CTOs para a validação de PON:', error);
+      return res.status(500).json({ success: false, error: 'Erro ao buscar CTOs', details: error.message });
+    }
+
+    const [perfis, centros] = await Promise.all([readPerfisPon(), centrosDosPopsDasCTOs(ctos)]);
+    const pons = validarPons(ctos, perfis, centros)
+      .sort((a, b) => (b.alertas.length - a.alertas.length) || a.chave.localeCompare(b.chave, 'pt-BR', { numeric: true }));
+    const ponsComAlerta = pons.filter(pon => pon.status === 'alerta');
+
+    // Orçamento do cliente: enlace até a CTO escolhida + drop
+    let cliente = null;
+    if (idCto) {
+      const cto = ctos.find(item => String(item.id_cto ?? '').trim() === idCto);
+      if (cto) {
+        const perfil = resolverPerfilPon(cto.olt, perfis);
+        const distanciaFibra = distanciaFibraEstimada(cto, centros);
+        const orcamento = distanciaFibra !== null ? orcamentoOptico(perfil, distanciaFibra + distanciaCliente) : null;
+        const ponCliente = pons.find(pon => pon.chave === [cto.cid_rede, cto.pop, cto.olt, cto.slot, cto.pon].map(valor => String(valor ?? '').trim() || 'N/A').join('|'));
+        const alertas = [...(ponCliente?.alertas || [])];
+        if (orcamento && !orcamento.dentro_orcamento) {
+          alertas.push(`Cliente com margem óptica estimada de ${orcamento.margem_db} dB (mínimo ${MARGEM_SEGURANCA_DB} dB)`);
         }
-        
-        // Calcular total de portas
-        const totalPortas = (data || []).reduce((sum, cto) => {
-          return sum + (parseInt(cto.portas || 0) || 0);
-        }, 0);
-        
-        console.log(`✅ [API] Caminho de rede ${olt} / ${slot} / ${pon}: ${data?.length || 0} CTOs, ${totalPortas} portas totais`);
-        
-        return res.json({
-          success: true,
-          caminho_rede: {
-            olt: olt,
-            slot: slot,
-            pon: pon
-          },
-          total_ctos: data?.length || 0,
-          total_portas: totalPortas
-        });
-      } catch (supabaseErr) {
-        console.error('❌ [API] Erro ao buscar CTOs do Supabase:', supabaseErr);
-        return res.status(500).json({ 
-          success: false,
-          error: 'Erro ao buscar CTOs', 
-          details: supabaseErr.message 
-        });
+
+        cliente = {
+          id_cto: idCto,
+          modelo: perfil.modelo,
+          distancia_fibra_metros: distanciaFibra !== null ? Math.round(distanciaFibra) : null,
+          distancia_cliente_metros: Math.round(distanciaCliente),
+          orcamento,
+          alertas,
+          status: alertas.length > 0 ? 'alerta' : 'ok'
+        };
       }
-    } else {
-      return res.status(503).json({ 
-        success: false,
-        error: 'Supabase não disponível' 
-      });
     }
-  } catch (err) {
-    console.error('❌ [API] Erro na rota /api/ctos/caminho-rede:', err);
-    return res.status(500).json({ 
-      success: false,
-      error: 'Erro interno', 
-      details: err.message 
+
+    res.json({
+      success: true,
+      filtros,
+      margem_minima_db: MARGEM_SEGURANCA_DB,
+      distancia_estimada: true,
+      total_pons: pons.length,
+      pons_com_alerta: ponsComAlerta.length,
+      pons: apenasAlertas ? ponsComAlerta : pons,
+      cliente
     });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/validacao-pon:', err);
+    res.status(500).json({ success: false, error: 'Erro interno', details: err.message });
   }
 });
 
-// Rota OTIMIZADA: Buscar totais de múltiplos caminhos de rede de uma vez
-app.post('/api/ctos/caminhos-rede-batch', async (req, res) => {
+// ============================================
+// HISTÓRICO DE OCUPAÇÃO DAS CTOs
+// ============================================
+// Cada upload da base grava uma foto das portas de todas as CTOs
+// (ocupacao_registrar_historico em backend/sql/create_ctos_ocupacao_historico.sql).
+// Todas as CTOs de um upload ficam com o mesmo registrado_em, que identifica o ponto da série.
+
+const COLUNAS_HISTORICO_OCUPACAO = 'registrado_em, id_cto, cto, cid_rede, pop, olt, slot, pon, portas, ocupado, livre, pct_ocup';
+
+/**
+ * Grava a ocupação atual das CTOs no histórico (não crítico: falhas só geram aviso)
+ * @param {number|null} snapshotId - Snapshot da base publicado pelo upload
+ */
+async function registrarHistoricoOcupacao(snapshotId = null) {
+  try {
+    const { data, error } = await supabase.rpc('ocupacao_registrar_historico', { p_snapshot_id: snapshotId });
+    if (error) {
+      throw error;
+    }
+    console.log(`✅ [Histórico] Ocupação de ${data} CTO(s) registrada no histórico`);
+    previsaoEsgotamentoCache.clear();
+  } catch (err) {
+    console.warn(`⚠️ [Histórico] Erro ao registrar histórico de ocupação (não crítico): ${err.message}. Execute backend/sql/create_ctos_ocupacao_historico.sql`);
+  }
+}
+
+// Buscar pontos do histórico em lotes de 1000 (limite do Supabase), paginando por id
+// filtros: { coluna: valor } ('N/A' = campo vazio, como em buscarCTOsRede); desde: ISO (opcional)
+async function buscarHistoricoOcupacao(filtros, desde = null) {
+  const pontos = [];
+  let lastId = 0;
+  while (true) {
+    let query = supabase
+      .from('ctos_ocupacao_historico')
+      .select(`id, ${COLUNAS_HISTORICO_OCUPACAO}`)
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(1000);
+
+    for (const [coluna, valor] of Object.entries(filtros)) {
+      query = valor === 'N/A' ? query.or(`${coluna}.is.null,${coluna}.eq.`) : query.eq(coluna, valor);
+    }
+    if (desde) {
+      query = query.gte('registrado_em', desde);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    pontos.push(...(data || []));
+    if (!data || data.length < 1000) {
+      break;
+    }
+    lastId = data[data.length - 1].id;
+  }
+  return pontos.sort((a, b) => new Date(a.registrado_em) - new Date(b.registrado_em));
+}
+
+// Parâmetro desde (data inicial da série): null se ausente, undefined se inválido
+function desdeHistoricoDaQuery(query) {
+  const valor = String(query.desde ?? '').trim();
+  if (!valor) {
+    return null;
+  }
+  const data = new Date(valor);
+  return Number.isNaN(data.getTime()) ? undefined : data.toISOString();
+}
+
+function pctOcupacao(ocupado, portas) {
+  return portas > 0 ? Math.round((ocupado / portas) * 10000) / 100 : 0;
+}
+
+// Rota para o histórico de ocupação de uma PON (soma das CTOs do caminho olt/slot/pon em cada upload)
+// Parâmetros: olt, slot, pon (obrigatórios), cidade, pop (opcionais), desde (data inicial)
+app.get('/api/ctos/pon-history', async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -2420,119 +4846,284 @@ app.post('/api/ctos/caminhos-rede-batch', async (req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    const { caminhos } = req.body; // Array de objetos { olt, slot, pon }
-    
-    if (!Array.isArray(caminhos) || caminhos.length === 0) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Parâmetro caminhos deve ser um array não vazio' 
-      });
+
+    const filtros = filtrosRedeDaQuery(req.query);
+    if (!filtros.olt || !filtros.slot || !filtros.pon) {
+      return res.status(400).json({ success: false, error: 'Parâmetros olt, slot e pon são obrigatórios' });
     }
-    
-    console.log(`🔍 [API] Buscando totais para ${caminhos.length} caminhos de rede em batch`);
-    
+    const desde = desdeHistoricoDaQuery(req.query);
+    if (desde === undefined) {
+      return res.status(400).json({ success: false, error: 'Parâmetro desde deve ser uma data válida' });
+    }
+
     if (!supabase || !isSupabaseAvailable()) {
-      return res.status(503).json({ 
-        success: false,
-        error: 'Supabase não disponível' 
-      });
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
     }
-    
-    try {
-      // Buscar todos os caminhos de uma vez usando OR conditions
-      // Construir query dinâmica para múltiplos caminhos
-      const resultados = {};
-      
-      // Processar em lotes para evitar query muito grande
-      const BATCH_SIZE = 50; // Processar até 50 caminhos por vez
-      
-      for (let i = 0; i < caminhos.length; i += BATCH_SIZE) {
-        const batch = caminhos.slice(i, i + BATCH_SIZE);
-        
-        // Construir filtros OR para cada caminho no batch
-        const orConditions = batch.map(caminho => {
-          return `and.olt.eq.${caminho.olt},and.slot.eq.${caminho.slot},and.pon.eq.${caminho.pon}`;
-        });
-        
-        // Para cada caminho no batch, fazer uma query separada (mais simples e confiável)
-        const batchPromises = batch.map(async (caminho) => {
-          // Construir chave incluindo CIDADE e POP para garantir unicidade completa
-          const caminhoKey = `${caminho.cidade || 'N/A'}|${caminho.pop || 'N/A'}|${caminho.olt}|${caminho.slot}|${caminho.pon}`;
-          
-          try {
-            // Filtrar por CIDADE (cid_rede), POP, OLT, SLOT e PON para garantir precisão e performance
-            let query = supabase
-              .from('ctos')
-              .select('portas')
-              .eq('olt', caminho.olt)
-              .eq('slot', caminho.slot)
-              .eq('pon', caminho.pon);
-            
-            // Adicionar filtro por CIDADE (cid_rede) se fornecido (melhora performance e precisão)
-            if (caminho.cidade && caminho.cidade !== 'N/A') {
-              query = query.eq('cid_rede', caminho.cidade);
-            }
-            
-            // Adicionar filtro por POP se fornecido
-            if (caminho.pop && caminho.pop !== 'N/A') {
-              query = query.eq('pop', caminho.pop);
-            }
-            
-            const { data, error } = await query;
-            
-            if (error) {
-              console.error(`❌ [API] Erro ao buscar caminho ${caminhoKey}:`, error);
-              return { caminhoKey, total_portas: 0, total_ctos: 0, error: error.message };
-            }
-            
-            const totalPortas = (data || []).reduce((sum, cto) => {
-              return sum + (parseInt(cto.portas || 0) || 0);
-            }, 0);
-            
-            return {
-              caminhoKey,
-              caminho_rede: caminho,
-              total_portas: totalPortas,
-              total_ctos: data?.length || 0
-            };
-          } catch (err) {
-            console.error(`❌ [API] Erro ao processar caminho ${caminhoKey}:`, err);
-            return { caminhoKey, total_portas: 0, total_ctos: 0, error: err.message };
-          }
-        });
-        
-        const batchResults = await Promise.all(batchPromises);
-        
-        // Adicionar resultados ao objeto final
-        for (const result of batchResults) {
-          resultados[result.caminhoKey] = result;
-        }
+
+    const pontos = await buscarHistoricoOcupacao(filtros, desde);
+
+    const porUpload = new Map();
+    for (const ponto of pontos) {
+      if (!porUpload.has(ponto.registrado_em)) {
+        porUpload.set(ponto.registrado_em, { registrado_em: ponto.registrado_em, total_ctos: 0, portas: 0, ocupado: 0, livre: 0 });
       }
-      
-      console.log(`✅ [API] Batch completo: ${Object.keys(resultados).length} caminhos processados`);
-      
-      return res.json({
-        success: true,
-        resultados: resultados,
-        total_caminhos: caminhos.length,
-        caminhos_processados: Object.keys(resultados).length
-      });
-    } catch (supabaseErr) {
-      console.error('❌ [API] Erro ao buscar caminhos do Supabase:', supabaseErr);
-      return res.status(500).json({
-        success: false,
-        error: 'Erro ao buscar caminhos',
-        details: supabaseErr.message
-      });
+      const total = porUpload.get(ponto.registrado_em);
+      total.total_ctos++;
+      total.portas += ponto.portas || 0;
+      total.ocupado += ponto.ocupado || 0;
+      total.livre += ponto.livre || 0;
+    }
+    const historico = [...porUpload.values()].map(total => ({ ...total, pct_ocup: pctOcupacao(total.ocupado, total.portas) }));
+
+    res.json({
+      success: true,
+      filtros,
+      total_pontos: historico.length,
+      historico
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/pon-history:', err);
+    res.status(500).json({ success: false, error: 'Erro ao buscar histórico de ocupação da PON', details: err.message });
+  }
+});
+
+// Previsão de esgotamento (ver backend/previsaoOcupacao.js)
+// A tendência de cada CTO/PON do último upload vem pronta de ocupacao_tendencias
+// (backend/sql/create_ctos_ocupacao_historico.sql): o histórico não passa pelo backend.
+// Cache por filtros; o histórico só muda no upload da base (registrarHistoricoOcupacao limpa o cache)
+const PREVISAO_ESGOTAMENTO_CACHE_TTL = 10 * 60 * 1000; // 10 minutos
+const PREVISAO_ESGOTAMENTO_CACHE_MAX = 20;
+const PREVISAO_ESGOTAMENTO_LIMITE_PADRAO = 200;
+const PREVISAO_ESGOTAMENTO_LIMITE_MAX = 2000;
+const previsaoEsgotamentoCache = new Map(); // filtros → { previsoes, geradaEm }
+
+async function obterPrevisaoEsgotamento(filtros) {
+  const chave = JSON.stringify(filtros);
+  const emCache = previsaoEsgotamentoCache.get(chave);
+  if (emCache && Date.now() - emCache.geradaEm < PREVISAO_ESGOTAMENTO_CACHE_TTL) {
+    return emCache;
+  }
+
+  const desde = new Date(Date.now() - PREVISAO_JANELA_DIAS * 24 * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase.rpc('ocupacao_tendencias', {
+    p_desde: desde,
+    p_cid_rede: filtros.cid_rede ?? null,
+    p_pop: filtros.pop ?? null,
+    p_olt: filtros.olt ?? null,
+    p_slot: filtros.slot ?? null,
+    p_pon: filtros.pon ?? null
+  });
+  if (error) {
+    throw error;
+  }
+  const previsao = { previsoes: preverEsgotamento({ ctos: data?.ctos || [], pons: data?.pons || [] }), geradaEm: Date.now() };
+
+  if (previsaoEsgotamentoCache.size >= PREVISAO_ESGOTAMENTO_CACHE_MAX) {
+    previsaoEsgotamentoCache.delete(previsaoEsgotamentoCache.keys().next().value);
+  }
+  previsaoEsgotamentoCache.set(chave, previsao);
+  return previsao;
+}
+
+// Rota para as CTOs e PONs (caminho olt/slot/pon) que devem esgotar as portas dentro do horizonte
+// Parâmetros: horizon_days (padrão 90), cidade, pop, olt, slot, pon (filtros), limite (por lista)
+app.get('/api/ctos/saturation-forecast', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const horizonte = req.query.horizon_days !== undefined && req.query.horizon_days !== ''
+      ? Number(req.query.horizon_days)
+      : PREVISAO_HORIZONTE_PADRAO_DIAS;
+    if (!Number.isInteger(horizonte) || horizonte < 1 || horizonte > PREVISAO_HORIZONTE_MAXIMO_DIAS) {
+      return res.status(400).json({ success: false, error: `Parâmetro horizon_days deve ser um inteiro entre 1 e ${PREVISAO_HORIZONTE_MAXIMO_DIAS}` });
+    }
+    const limite = req.query.limite !== undefined && req.query.limite !== ''
+      ? Number(req.query.limite)
+      : PREVISAO_ESGOTAMENTO_LIMITE_PADRAO;
+    if (!Number.isInteger(limite) || limite < 1 || limite > PREVISAO_ESGOTAMENTO_LIMITE_MAX) {
+      return res.status(400).json({ success: false, error: `Parâmetro limite deve ser um inteiro entre 1 e ${PREVISAO_ESGOTAMENTO_LIMITE_MAX}` });
+    }
+    const filtros = filtrosRedeDaQuery(req.query);
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
     }
+
+    const { previsoes, geradaEm } = await obterPrevisaoEsgotamento(filtros);
+    const ctos = filtrarPorHorizonte(previsoes.ctos, horizonte);
+    const pons = filtrarPorHorizonte(previsoes.pons, horizonte);
+
+    res.json({
+      success: true,
+      filtros,
+      horizon_days: horizonte,
+      modelo: {
+        tipo: 'tendencia_linear',
+        janela_dias: PREVISAO_JANELA_DIAS,
+        minimo_uploads: PREVISAO_MINIMO_PONTOS
+      },
+      gerada_em: new Date(geradaEm).toISOString(),
+      total_ctos_avaliadas: previsoes.ctos.length,
+      total_pons_avaliadas: previsoes.pons.length,
+      total_ctos: ctos.length,
+      total_pons: pons.length,
+      ctos: ctos.slice(0, limite),
+      pons: pons.slice(0, limite)
+    });
   } catch (err) {
-    console.error('❌ [API] Erro na rota /api/ctos/caminhos-rede-batch:', err);
-    return res.status(500).json({ 
-      success: false,
-      error: 'Erro interno', 
-      details: err.message 
+    console.error('❌ [API] Erro na rota /api/ctos/saturation-forecast:', err);
+    res.status(500).json({ success: false, error: 'Erro ao calcular a previsão de esgotamento', details: err.message });
+  }
+});
+
+// Rota para o histórico de ocupação de uma CTO (um ponto por upload da base)
+// :id = id_cto; parâmetro opcional desde (data inicial)
+app.get('/api/ctos/:id/history', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const idCto = String(req.params.id ?? '').trim();
+    if (!idCto) {
+      return res.status(400).json({ success: false, error: 'id_cto é obrigatório' });
+    }
+    const desde = desdeHistoricoDaQuery(req.query);
+    if (desde === undefined) {
+      return res.status(400).json({ success: false, error: 'Parâmetro desde deve ser uma data válida' });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    const pontos = await buscarHistoricoOcupacao({ id_cto: idCto }, desde);
+    const ultimo = pontos[pontos.length - 1];
+
+    res.json({
+      success: true,
+      id_cto: idCto,
+      cto: ultimo
+        ? { nome: ultimo.cto, cid_rede: ultimo.cid_rede, pop: ultimo.pop, olt: ultimo.olt, slot: ultimo.slot, pon: ultimo.pon }
+        : null,
+      total_pontos: pontos.length,
+      historico: pontos.map(ponto => ({
+        registrado_em: ponto.registrado_em,
+        portas: ponto.portas,
+        ocupado: ponto.ocupado,
+        livre: ponto.livre,
+        pct_ocup: ponto.pct_ocup
+      }))
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/:id/history:', err);
+    res.status(500).json({ success: false, error: 'Erro ao buscar histórico de ocupação da CTO', details: err.message });
+  }
+});
+
+// ============================================
+// SUGESTÕES DE ALÍVIO DE REDE
+// ============================================
+// Critérios e ordenação em backend/alivioRede.js. Raios de cobertura pelas regras
+// de cobertura; folga de cada PON pelos perfis de PON (validarPons).
+
+const SUGESTOES_ALIVIO_MAX = 50;
+
+// Rota para sugerir CTOs de outras PONs que podem receber clientes de uma CTO saturada
+// Body: { id_cto (obrigatório), limite (padrão 10) }
+app.post('/api/ctos/relief-suggestions', async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const idCto = String(req.body?.id_cto ?? '').trim();
+    if (!idCto) {
+      return res.status(400).json({ success: false, error: 'id_cto da CTO saturada é obrigatório' });
+    }
+    const limite = req.body?.limite !== undefined && req.body?.limite !== null && req.body?.limite !== ''
+      ? Number(req.body.limite)
+      : SUGESTOES_ALIVIO_PADRAO;
+    if (!Number.isInteger(limite) || limite < 1 || limite > SUGESTOES_ALIVIO_MAX) {
+      return res.status(400).json({ success: false, error: `limite deve ser um inteiro entre 1 e ${SUGESTOES_ALIVIO_MAX}` });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    const { data: encontradas, error: ctoError } = await supabase
+      .from('ctos')
+      .select('id_cto, cto, cid_rede, pop, olt, slot, pon, latitude, longitude, portas, ocupado, livre, status_cto')
+      .eq('id_cto', idCto)
+      .limit(1);
+    if (ctoError) {
+      throw ctoError;
+    }
+    const saturada = encontradas?.[0];
+    if (!saturada) {
+      return res.status(404).json({ success: false, error: `CTO ${idCto} não encontrada` });
+    }
+    const lat = parseFloat(saturada.latitude);
+    const lng = parseFloat(saturada.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({ success: false, error: `CTO ${idCto} sem coordenadas válidas` });
+    }
+
+    // Vizinhas que podem ter área sobreposta: até o raio da saturada + o maior raio das regras
+    const regras = await readRegrasCobertura();
+    saturada.raio_metros = raioCoberturaCTO(saturada, regras);
+    const { data: proximas, error: nearbyError } = await supabase.rpc('find_ctos_nearby', {
+      p_latitude: lat,
+      p_longitude: lng,
+      p_radius_meters: saturada.raio_metros + raioMaximoCobertura(regras)
+    });
+    if (nearbyError) {
+      throw nearbyError;
+    }
+    // CTOs de prédios atendem só o prédio e ficam de fora
+    const vizinhas = (proximas || [])
+      .filter(({ is_condominio }) => !is_condominio)
+      .map(({ cto, distancia_metros }) => ({ cto, distancia_metros, raio_metros: raioCoberturaCTO(cto, regras) }));
+
+    // Clientes de cada PON vizinha: todas as CTOs do caminho, não só as próximas
+    const chaveSaturada = chaveCaminhoRede(saturada);
+    const chavesPons = [...new Set(vizinhas.map(({ cto }) => chaveCaminhoRede(cto)))].filter(chave => chave !== chaveSaturada);
+    const ctosDasPons = (await Promise.all(chavesPons.map(chave => {
+      const [cid_rede, pop, olt, slot, pon] = chave.split('|');
+      return buscarCTOsRede({ cid_rede, pop, olt, slot, pon }, 'id_cto, cto, cid_rede, pop, olt, slot, pon, portas, ocupado, latitude, longitude');
+    }))).flat();
+    const [perfis, centros] = await Promise.all([readPerfisPon(), centrosDosPopsDasCTOs(ctosDasPons)]);
+    const pons = new Map(validarPons(ctosDasPons, perfis, centros).map(pon => [pon.chave, pon]));
+
+    const resultado = sugerirAlivio(saturada, vizinhas, pons, { limite });
+    console.log(`✅ [Alívio] CTO ${idCto}: ${resultado.total_sugestoes} sugestão(ões) entre ${vizinhas.length} CTO(s) vizinha(s) em ${chavesPons.length} PON(s)`);
+
+    res.json({
+      success: true,
+      ...resultado,
+      total_vizinhas: vizinhas.length
     });
+  } catch (err) {
+    console.error('❌ [API] Erro na rota /api/ctos/relief-suggestions:', err);
+    res.status(500).json({ success: false, error: 'Erro ao buscar sugestões de alívio', details: err.message });
   }
 });
 
@@ -3409,7 +6000,7 @@ app.get('/api/base-last-modified', async (req, res) => {
 });
 
 // Rota para deletar todos os dados da base de dados CTO (apenas Admin)
-app.delete('/api/base/delete', requireAdmin, async (req, res) => {
+app.delete('/api/base/delete', requireCapacidade('deletar_base'), async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -3424,10 +6015,14 @@ app.delete('/api/base/delete', requireAdmin, async (req, res) => {
 
     let deletedFromSupabase = false;
     let deletedCount = 0;
+    let totalCTOsAntes = null; // Para auditoria
+    const arquivosRemovidos = [];
 
     // Deletar polígonos de cobertura primeiro
     console.log('🗑️ [API] Deletando polígonos de cobertura...');
     const polygonDeleteResult = await deleteAllCoveragePolygons();
+    alteracoesCobertura = null; // Sem base e sem mancha: próximo cálculo é completo
+    relatorioQualidadeBase = null;
     if (polygonDeleteResult.success) {
       console.log(`✅ [API] Polígonos deletados: ${polygonDeleteResult.deletedCount || 0} polígono(s)`);
     } else {
@@ -3465,6 +6060,7 @@ app.delete('/api/base/delete', requireAdmin, async (req, res) => {
           .select('*', { count: 'exact', head: true });
         
         console.log(`📊 [API] Registros existentes antes da deleção: ${countBefore || 0}`);
+        totalCTOsAntes = countBefore || 0;
         
         if (countBefore && countBefore > 0) {
           // Deletar TODOS os registros usando uma condição que sempre seja verdadeira
@@ -3579,55 +6175,525 @@ app.delete('/api/base/delete', requireAdmin, async (req, res) => {
         // Continuar para tentar deletar arquivos locais (fallback)
       }
     } else {
-      console.log('⚠️ [API] Supabase não disponível, pulando deleção do Supabase');
+      console.log('⚠️ [API] Supabase não disponível, pulando deleção do Supabase');
+    }
+
+    // Deletar arquivos locais também (se existirem)
+    try {
+      const allFiles = await fsPromises.readdir(DATA_DIR);
+      const allBaseAtualFiles = allFiles.filter(file => 
+        file.startsWith('base_atual_') && file.endsWith('.xlsx')
+      );
+      
+      if (allBaseAtualFiles.length > 0) {
+        console.log(`🗑️ [API] Deletando ${allBaseAtualFiles.length} arquivo(s) local(is)...`);
+        
+        for (const file of allBaseAtualFiles) {
+          const filePath = path.join(DATA_DIR, file);
+          try {
+            await fsPromises.unlink(filePath);
+            arquivosRemovidos.push(file);
+            console.log(`✅ [API] Arquivo local removido: ${file}`);
+          } catch (err) {
+            console.error(`❌ [API] Erro ao remover arquivo local ${file}:`, err.message);
+          }
+        }
+      } else {
+        console.log('ℹ️ [API] Nenhum arquivo local encontrado para deletar');
+      }
+    } catch (fileErr) {
+      console.warn('⚠️ [API] Erro ao deletar arquivos locais (não crítico):', fileErr.message);
+    }
+
+    console.log(`✅ [API] ===== DELEÇÃO CONCLUÍDA =====`);
+
+    // Nenhum snapshot está mais em uso (eles continuam disponíveis para rollback)
+    if (deletedFromSupabase) {
+      const { error: snapshotsError } = await supabase
+        .from('base_snapshots')
+        .update({ is_live: false })
+        .eq('is_live', true);
+      if (snapshotsError) {
+        console.warn(`⚠️ [API] Não foi possível atualizar os snapshots da base (não crítico): ${snapshotsError.message}`);
+      }
+    }
+
+    invalidarCacheTiles();
+    await registrarAuditoria(req, 'base.deletar', 'ctos',
+      { totalCTOs: totalCTOsAntes, arquivos: arquivosRemovidos },
+      {
+        ctosRemovidas: deletedCount,
+        poligonosRemovidos: polygonDeleteResult.deletedCount || 0,
+        deletadoSupabase: deletedFromSupabase
+      }
+    );
+    
+    if (deletedFromSupabase) {
+      res.json({
+        success: true,
+        message: `Base de dados deletada com sucesso! ${deletedCount > 0 ? `${deletedCount} CTOs removidas.` : 'Tabela já estava vazia.'}`,
+        deletedCount
+      });
+    } else {
+      res.json({
+        success: true,
+        message: 'Tentativa de deleção realizada. Verifique os logs para detalhes.',
+        deletedCount: 0
+      });
+    }
+  } catch (err) {
+    console.error('❌ [API] Erro ao deletar base de dados:', err);
+    console.error('❌ [API] Stack:', err.stack);
+    
+    // Garantir headers CORS mesmo em erro
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    
+    res.status(500).json({
+      success: false,
+      error: `Erro ao deletar base de dados: ${err.message || 'Erro desconhecido'}`
+    });
+  }
+});
+
+// Rota para listar os snapshots da base disponíveis para rollback
+app.get('/api/base/snapshots', requireCapacidade('upload_base'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    const { data, error } = await supabase
+      .from('base_snapshots')
+      .select('id, total_ctos, motivo, arquivo, created_by, created_at, is_live')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao listar snapshots da base',
+        details: `${error.message}. Execute backend/sql/create_base_snapshots.sql`
+      });
+    }
+
+    const snapshots = data || [];
+    res.json({
+      success: true,
+      snapshots,
+      snapshotAtual: snapshots.find(snapshot => snapshot.is_live)?.id ?? null,
+      manter: BASE_SNAPSHOTS_MANTER
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro ao listar snapshots da base:', err);
+    res.status(500).json({ success: false, error: 'Erro ao listar snapshots da base', details: err.message });
+  }
+});
+
+// Rota para restaurar a base a partir de um snapshot
+// Body: { snapshot_id } ou { passos } (quantos snapshots voltar a partir do atual; padrão 1)
+app.post('/api/base/rollback', requireCapacidade('upload_base'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    if (uploadInProgress) {
+      return res.status(409).json({ success: false, error: 'Há um upload da base em andamento. Aguarde a conclusão para restaurar um snapshot.' });
+    }
+
+    const { snapshot_id: snapshotIdBody, passos: passosBody } = req.body || {};
+    const passos = passosBody === undefined ? 1 : parseInt(passosBody, 10);
+    if (snapshotIdBody === undefined && (isNaN(passos) || passos < 1)) {
+      return res.status(400).json({ success: false, error: 'passos deve ser um número inteiro maior ou igual a 1' });
+    }
+
+    const { data: snapshots, error: snapshotsError } = await supabase
+      .from('base_snapshots')
+      .select('id, total_ctos, motivo, arquivo, created_at, is_live')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (snapshotsError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao listar snapshots da base',
+        details: `${snapshotsError.message}. Execute backend/sql/create_base_snapshots.sql`
+      });
+    }
+
+    const lista = snapshots || [];
+    const indiceAtual = lista.findIndex(snapshot => snapshot.is_live);
+    let alvo;
+    if (snapshotIdBody !== undefined) {
+      alvo = lista.find(snapshot => String(snapshot.id) === String(snapshotIdBody));
+      if (!alvo) {
+        return res.status(404).json({ success: false, error: `Snapshot #${snapshotIdBody} não encontrado` });
+      }
+    } else {
+      // Sem snapshot em uso (ex.: base deletada), voltar a partir do mais recente
+      alvo = lista[indiceAtual === -1 ? passos - 1 : indiceAtual + passos];
+      if (!alvo) {
+        return res.status(404).json({ success: false, error: `Não há snapshot ${passos} versão(ões) antes da base atual` });
+      }
+    }
+
+    if (alvo.is_live) {
+      return res.status(400).json({ success: false, error: `O snapshot #${alvo.id} já é a base em uso` });
+    }
+
+    const snapshotAnterior = indiceAtual === -1 ? null : lista[indiceAtual];
+    console.log(`⏪ [API] Restaurando base a partir do snapshot #${alvo.id} (${alvo.arquivo || alvo.motivo})...`);
+
+    const { data: totalRestaurado, error: restoreError } = await supabase.rpc('base_restaurar_snapshot', {
+      p_snapshot_id: alvo.id
+    });
+
+    if (restoreError) {
+      console.error('❌ [API] Erro ao restaurar snapshot:', restoreError);
+      return res.status(500).json({
+        success: false,
+        error: 'Erro ao restaurar snapshot. A base atual foi mantida.',
+        details: restoreError.message
+      });
+    }
+
+    console.log(`✅ [API] Base restaurada: ${totalRestaurado} CTO(s) do snapshot #${alvo.id}`);
+
+    // A mancha não acompanha as alterações do rollback: próximo cálculo é completo
+    alteracoesCobertura = null;
+    relatorioQualidadeBase = null; // Refeito sob demanda para a base restaurada
+
+    // Registrar no histórico de uploads (a base em uso mudou)
+    const { error: historyError } = await supabase
+      .from('upload_history')
+      .insert([{
+        file_name: `rollback → snapshot #${alvo.id}${alvo.arquivo ? ` (${alvo.arquivo})` : ''}`,
+        file_size: 0,
+        total_rows: totalRestaurado,
+        valid_rows: totalRestaurado,
+        uploaded_by: req.usuario || 'Sistema',
+        snapshot_id: alvo.id
+      }]);
+
+    if (historyError) {
+      console.warn('⚠️ [API] Erro ao registrar rollback no histórico (não crítico):', historyError.message);
+    }
+    // A versão dos tiles da base vem de upload_history: invalidar só depois do registro
+    invalidarCacheTiles('base');
+
+    await registrarAuditoria(req, 'base.rollback', `snapshot #${alvo.id}`,
+      snapshotAnterior ? { snapshot: snapshotAnterior.id, totalCTOs: snapshotAnterior.total_ctos } : null,
+      { snapshot: alvo.id, arquivo: alvo.arquivo, totalCTOs: totalRestaurado }
+    );
+
+    res.json({
+      success: true,
+      message: `Base restaurada a partir do snapshot #${alvo.id} (${totalRestaurado} CTOs).`,
+      snapshotId: alvo.id,
+      totalCTOs: totalRestaurado
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro ao restaurar base:', err);
+    res.status(500).json({ success: false, error: 'Erro ao restaurar base', details: err.message });
+  }
+});
+
+// ============================================
+// QUALIDADE DOS DADOS DA BASE
+// ============================================
+// Avaliação em backend/qualidadeBase.js. O relatório é gerado ao fim de cada upload
+// (incluindo as linhas que o arquivo teve ignoradas) ou sob demanda (só a base atual)
+
+const LINHAS_IGNORADAS_MAX = 5000; // Linhas ignoradas guardadas por upload
+const QUALIDADE_LIMITE_PADRAO = 500; // Problemas retornados por /api/base/quality
+const QUALIDADE_LIMITE_MAX = 5000;
+
+// Último relatório: { gerado_em, arquivo, total_ctos, ctos_com_problemas, total_problemas, resumo, problemas }
+let relatorioQualidadeBase = null;
+let geracaoQualidadeBase = null; // Promise da geração sob demanda em andamento
+
+async function gerarRelatorioQualidadeBase(linhasIgnoradas = [], arquivo = null) {
+  const [ctos, regras] = await Promise.all([
+    buscarCTOsRede({}, 'id_cto, cto, cid_rede, pop, latitude, longitude, portas, ocupado, pct_ocup, status_cto'),
+    readRegrasCobertura()
+  ]);
+  const statusConhecidos = regras.filter(regra => regra.campo === 'status_cto').map(regra => regra.valor);
+
+  relatorioQualidadeBase = {
+    gerado_em: new Date().toISOString(),
+    arquivo,
+    ...avaliarQualidadeBase(ctos, { linhasIgnoradas, statusConhecidos })
+  };
+  console.log(`✅ [Qualidade] ${relatorioQualidadeBase.total_problemas} problema(s) em ${relatorioQualidadeBase.ctos_com_problemas} de ${relatorioQualidadeBase.total_ctos} CTO(s)`);
+  return relatorioQualidadeBase;
+}
+
+// Relatório atual, gerando sob demanda se ainda não houver (ou se recalcular = true)
+async function obterRelatorioQualidadeBase(recalcular = false) {
+  if (relatorioQualidadeBase && !recalcular) {
+    return relatorioQualidadeBase;
+  }
+  if (!geracaoQualidadeBase) {
+    geracaoQualidadeBase = gerarRelatorioQualidadeBase().finally(() => {
+      geracaoQualidadeBase = null;
+    });
+  }
+  return geracaoQualidadeBase;
+}
+
+// Rota para o relatório de qualidade da base
+// Query: tipo (filtra os problemas), limite (padrão 500), recalcular=true (refazer com a base atual)
+app.get('/api/base/quality', requireCapacidade('upload_base'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const tipo = String(req.query.tipo || '').trim();
+    if (tipo && !TIPOS_PROBLEMA_QUALIDADE[tipo]) {
+      return res.status(400).json({
+        success: false,
+        error: `Tipo de problema inválido: ${tipo}`,
+        details: `Tipos aceitos: ${Object.keys(TIPOS_PROBLEMA_QUALIDADE).join(', ')}`
+      });
+    }
+
+    const limite = req.query.limite === undefined ? QUALIDADE_LIMITE_PADRAO : parseInt(req.query.limite, 10);
+    if (isNaN(limite) || limite < 0 || limite > QUALIDADE_LIMITE_MAX) {
+      return res.status(400).json({ success: false, error: `limite deve estar entre 0 e ${QUALIDADE_LIMITE_MAX}` });
+    }
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
+    }
+
+    const { problemas, ...relatorio } = await obterRelatorioQualidadeBase(req.query.recalcular === 'true');
+    const filtrados = tipo ? problemas.filter(problema => problema.tipo === tipo) : problemas;
+
+    res.json({
+      success: true,
+      ...relatorio,
+      total_filtrado: filtrados.length,
+      problemas: filtrados.slice(0, limite)
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro ao gerar relatório de qualidade da base:', err);
+    res.status(500).json({ success: false, error: 'Erro ao gerar relatório de qualidade da base', details: err.message });
+  }
+});
+
+// Rota para baixar o relatório de qualidade completo em Excel
+app.get('/api/base/quality.xlsx', requireCapacidade('upload_base'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    if (!supabase || !isSupabaseAvailable()) {
+      return res.status(503).json({ success: false, error: 'Supabase não disponível' });
     }
 
-    // Deletar arquivos locais também (se existirem)
+    const relatorio = await obterRelatorioQualidadeBase();
+
+    const resumo = [
+      { Indicador: 'Gerado em', Valor: relatorio.gerado_em },
+      { Indicador: 'Arquivo', Valor: relatorio.arquivo || '(base atual)' },
+      { Indicador: 'CTOs na base', Valor: relatorio.total_ctos },
+      { Indicador: 'CTOs com problemas', Valor: relatorio.ctos_com_problemas },
+      ...relatorio.resumo.map(({ descricao, total }) => ({ Indicador: descricao, Valor: total }))
+    ];
+    const problemas = relatorio.problemas.map(problema => ({
+      'PROBLEMA': TIPOS_PROBLEMA_QUALIDADE[problema.tipo],
+      'ID_CTO': problema.id_cto,
+      'CTO': problema.cto,
+      'CID_REDE': problema.cid_rede,
+      'POP': problema.pop,
+      'LATITUDE': problema.latitude,
+      'LONGITUDE': problema.longitude,
+      'LINHA DO ARQUIVO': problema.linha ?? '',
+      'DETALHE': problema.detalhe
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(resumo), 'Resumo');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(problemas, {
+      header: ['PROBLEMA', 'ID_CTO', 'CTO', 'CID_REDE', 'POP', 'LATITUDE', 'LONGITUDE', 'LINHA DO ARQUIVO', 'DETALHE']
+    }), 'Problemas');
+    const excelBuffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="qualidade_base.xlsx"');
+    res.setHeader('Content-Length', excelBuffer.length);
+    res.send(excelBuffer);
+  } catch (err) {
+    console.error('❌ [API] Erro ao gerar Excel de qualidade da base:', err);
+    res.status(500).json({ success: false, error: 'Erro ao gerar relatório de qualidade da base', details: err.message });
+  }
+});
+
+// ============================================
+// MAPEAMENTO DE COLUNAS DA BASE
+// ============================================
+// Cabeçalhos que o mapeamento fixo do normalizeKey não conhece, associados a um
+// campo da base (ver backend/leitoresBase.js). Têm prioridade sobre o fixo e são
+// recarregados no início de cada upload.
+
+let mapeamentoColunasBase = new Map(); // cabeçalho (minúsculas) → campo da base
+
+// Ler mapeamentos de colunas (Supabase primeiro, fallback Excel) e atualizar o usado pelo normalizeKey
+async function readMapeamentosColunas() {
+  let registros = null;
+
+  if (supabase && isSupabaseAvailable()) {
     try {
-      const allFiles = await fsPromises.readdir(DATA_DIR);
-      const allBaseAtualFiles = allFiles.filter(file => 
-        file.startsWith('base_atual_') && file.endsWith('.xlsx')
-      );
-      
-      if (allBaseAtualFiles.length > 0) {
-        console.log(`🗑️ [API] Deletando ${allBaseAtualFiles.length} arquivo(s) local(is)...`);
-        
-        for (const file of allBaseAtualFiles) {
-          const filePath = path.join(DATA_DIR, file);
-          try {
-            await fsPromises.unlink(filePath);
-            console.log(`✅ [API] Arquivo local removido: ${file}`);
-          } catch (err) {
-            console.error(`❌ [API] Erro ao remover arquivo local ${file}:`, err.message);
-          }
-        }
+      const { data, error } = await supabase
+        .from('mapeamentos_colunas_base')
+        .select('cabecalho, campo')
+        .order('cabecalho', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      registros = data || [];
+    } catch (supabaseErr) {
+      console.error('❌ [Mapeamento] Erro ao ler mapeamentos de colunas do Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+      if (supabaseErr.code === '42P01' || supabaseErr.message?.includes('does not exist')) {
+        console.error('❌ [Mapeamento] Execute o SQL em backend/sql/create_mapeamentos_colunas_base.sql');
+      }
+    }
+  }
+
+  if (registros === null) {
+    try {
+      if (fs.existsSync(MAPEAMENTOS_COLUNAS_FILE)) {
+        const workbook = XLSX.readFile(MAPEAMENTOS_COLUNAS_FILE);
+        registros = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
       } else {
-        console.log('ℹ️ [API] Nenhum arquivo local encontrado para deletar');
+        registros = [];
       }
-    } catch (fileErr) {
-      console.warn('⚠️ [API] Erro ao deletar arquivos locais (não crítico):', fileErr.message);
+    } catch (excelErr) {
+      console.error('❌ [Mapeamento] Erro ao ler mapeamentos de colunas do Excel (usando apenas o mapeamento fixo):', excelErr);
+      registros = [];
     }
+  }
 
-    console.log(`✅ [API] ===== DELEÇÃO CONCLUÍDA =====`);
-    
-    if (deletedFromSupabase) {
-      res.json({
-        success: true,
-        message: `Base de dados deletada com sucesso! ${deletedCount > 0 ? `${deletedCount} CTOs removidas.` : 'Tabela já estava vazia.'}`,
-        deletedCount
-      });
+  // Registros gravados passam pela mesma validação do editor (inválidos são ignorados)
+  const { mapeamentos, erros } = validarMapeamentosColunas(registros);
+  if (erros.length > 0) {
+    console.warn(`⚠️ [Mapeamento] Mapeamentos de colunas ignorados: ${erros.join('; ')}`);
+  }
+
+  mapeamentoColunasBase = new Map(mapeamentos.map(({ cabecalho, campo }) => [chaveCabecalho(cabecalho), campo]));
+  return mapeamentos;
+}
+
+// Substituir todos os mapeamentos de colunas (Supabase primeiro, fallback Excel)
+async function saveMapeamentosColunas(mapeamentos) {
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { error: deleteError } = await supabase
+        .from('mapeamentos_colunas_base')
+        .delete()
+        .neq('id', 0);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      if (mapeamentos.length > 0) {
+        const agora = new Date().toISOString();
+        const { error: insertError } = await supabase
+          .from('mapeamentos_colunas_base')
+          .insert(mapeamentos.map(mapeamento => ({ ...mapeamento, updated_at: agora })));
+
+        if (insertError) {
+          throw insertError;
+        }
+      }
+
+      console.log(`✅ [Supabase] ${mapeamentos.length} mapeamento(s) de colunas salvos`);
+      await readMapeamentosColunas();
+      return;
+    } catch (supabaseErr) {
+      console.error('❌ [Mapeamento] Erro ao salvar mapeamentos de colunas no Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+    }
+  }
+
+  await withLock('mapeamentos_colunas', async () => {
+    const worksheet = XLSX.utils.json_to_sheet(mapeamentos, { header: ['cabecalho', 'campo'] });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Mapeamentos');
+    XLSX.writeFile(workbook, MAPEAMENTOS_COLUNAS_FILE);
+    console.log(`✅ [Excel] ${mapeamentos.length} mapeamento(s) de colunas salvos em ${MAPEAMENTOS_COLUNAS_FILE}`);
+  });
+  await readMapeamentosColunas();
+}
+
+// Endpoint para listar os mapeamentos de colunas e os formatos aceitos no upload
+app.get('/api/base/column-mappings', requireCapacidade('upload_base'), async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
     } else {
-      res.json({
-        success: true,
-        message: 'Tentativa de deleção realizada. Verifique os logs para detalhes.',
-        deletedCount: 0
-      });
+      res.setHeader('Access-Control-Allow-Origin', '*');
     }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const mapeamentos = await readMapeamentosColunas();
+
+    res.json({
+      success: true,
+      mapeamentos,
+      campos: CAMPOS_BASE,
+      formatos: formatosBase()
+    });
   } catch (err) {
-    console.error('❌ [API] Erro ao deletar base de dados:', err);
-    console.error('❌ [API] Stack:', err.stack);
-    
-    // Garantir headers CORS mesmo em erro
+    console.error('❌ [Mapeamento] Erro ao listar mapeamentos de colunas:', err);
+    res.status(500).json({ success: false, error: 'Erro ao listar mapeamentos de colunas', details: err.message });
+  }
+});
+
+// Endpoint para substituir os mapeamentos de colunas
+app.put('/api/base/column-mappings', requireCapacidade('gerenciar_mapeamento_colunas'), async (req, res) => {
+  try {
+    // Garantir headers CORS
     const origin = req.headers.origin;
     if (origin) {
       res.setHeader('Access-Control-Allow-Origin', origin);
@@ -3635,11 +6701,29 @@ app.delete('/api/base/delete', requireAdmin, async (req, res) => {
       res.setHeader('Access-Control-Allow-Origin', '*');
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    
-    res.status(500).json({
-      success: false,
-      error: `Erro ao deletar base de dados: ${err.message || 'Erro desconhecido'}`
+
+    const { mapeamentos: novosMapeamentos, erros } = validarMapeamentosColunas(req.body?.mapeamentos);
+    if (erros.length > 0) {
+      return res.status(400).json({ success: false, error: 'Mapeamentos inválidos', details: erros });
+    }
+
+    const mapeamentosAnteriores = await readMapeamentosColunas();
+
+    await saveMapeamentosColunas(novosMapeamentos);
+    await registrarAuditoria(req, 'base.alterar_mapeamento_colunas', 'mapeamentos_colunas_base',
+      { mapeamentos: mapeamentosAnteriores },
+      { mapeamentos: novosMapeamentos });
+
+    console.log(`✅ [Mapeamento] Mapeamentos de colunas atualizados por '${req.usuario}': ${novosMapeamentos.length} mapeamento(s)`);
+
+    res.json({
+      success: true,
+      message: 'Mapeamentos de colunas salvos.',
+      mapeamentos: novosMapeamentos
     });
+  } catch (err) {
+    console.error('❌ [Mapeamento] Erro ao salvar mapeamentos de colunas:', err);
+    res.status(500).json({ success: false, error: 'Erro ao salvar mapeamentos de colunas', details: err.message });
   }
 });
 
@@ -3850,12 +6934,14 @@ async function saveProjetistas(projetistas) {
   // Tentar Supabase primeiro
   const saved = await saveProjetistasToSupabase(projetistas);
   if (saved) {
+    invalidarCacheUsuarios();
     return; // Sucesso no Supabase
   }
   
   // Fallback para Excel
   console.log('⚠️ [Save] Usando fallback Excel para salvar projetistas');
   await saveProjetistasToExcel(projetistas);
+  invalidarCacheUsuarios();
 }
 
 // Função para ler tabulações do Supabase (nova versão)
@@ -4018,31 +7104,322 @@ async function saveTabulacoesToExcel(tabulacoes) {
       const workbook = XLSX.utils.book_new();
       XLSX.utils.book_append_sheet(workbook, worksheet, 'Tabulações');
       
-      // Salvar arquivo (atualiza a base de dados)
-      XLSX.writeFile(workbook, TABULACOES_FILE);
-      console.log(`✅ [Excel] Base de dados atualizada! Tabulações salvas no Excel: ${tabulacoes.length} tabulações`);
-      console.log(`📁 [Excel] Arquivo: ${TABULACOES_FILE}`);
-      if (tabulacoes.length > 0) {
-        console.log(`📋 [Excel] Tabulações na base: ${tabulacoes.join(', ')}`);
+      // Salvar arquivo (atualiza a base de dados)
+      XLSX.writeFile(workbook, TABULACOES_FILE);
+      console.log(`✅ [Excel] Base de dados atualizada! Tabulações salvas no Excel: ${tabulacoes.length} tabulações`);
+      console.log(`📁 [Excel] Arquivo: ${TABULACOES_FILE}`);
+      if (tabulacoes.length > 0) {
+        console.log(`📋 [Excel] Tabulações na base: ${tabulacoes.join(', ')}`);
+      }
+    } catch (err) {
+      console.error('❌ [Excel] Erro ao salvar tabulações:', err);
+      throw err;
+    }
+  });
+}
+
+// Função para salvar tabulações (tenta Supabase primeiro, fallback para Excel)
+async function saveTabulacoes(tabulacoes) {
+  // Tentar Supabase primeiro
+  const saved = await saveTabulacoesToSupabase(tabulacoes);
+  if (saved) {
+    return; // Sucesso no Supabase
+  }
+  
+  // Fallback para Excel
+  console.log('⚠️ [Save] Usando fallback Excel para salvar tabulações');
+  await saveTabulacoesToExcel(tabulacoes);
+}
+
+// ============================================
+// Auditoria de ações administrativas
+// ============================================
+// Registra quem fez o quê, em qual alvo, com valores antes/depois e data/hora.
+// Supabase (tabela auditoria) primeiro, fallback para Excel (auditoria.xlsx).
+// Falhas ao registrar são logadas mas nunca interrompem a ação auditada.
+
+// Registrar ação na auditoria
+// antes/depois: objetos com os valores relevantes (nunca incluir senhas)
+async function registrarAuditoria(req, acao, alvo, antes = null, depois = null) {
+  const registro = {
+    ator: req?.usuario || 'desconhecido',
+    acao: acao,
+    alvo: alvo ?? null,
+    antes: antes ?? null,
+    depois: depois ?? null,
+    ip: req?.ip || null,
+    created_at: new Date().toISOString()
+  };
+  
+  console.log(`📝 [Auditoria] ${registro.ator} → ${acao}${registro.alvo ? ` (${registro.alvo})` : ''}`);
+  
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { error } = await supabase
+        .from('auditoria')
+        .insert(registro);
+      
+      if (error) {
+        throw error;
+      }
+      
+      return true;
+    } catch (supabaseErr) {
+      console.error('❌ [Auditoria] Erro ao registrar no Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+      if (supabaseErr.code === '42P01' || supabaseErr.message?.includes('does not exist')) {
+        console.error('❌ [Auditoria] Execute o SQL em backend/sql/create_auditoria.sql');
+      }
+    }
+  }
+  
+  try {
+    await withLock('auditoria', async () => {
+      const registros = readAuditoriaFromExcel();
+      registros.push(registro);
+      
+      const worksheet = XLSX.utils.json_to_sheet(registros.map(r => ({
+        ...r,
+        antes: r.antes === null ? '' : JSON.stringify(r.antes),
+        depois: r.depois === null ? '' : JSON.stringify(r.depois)
+      })));
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Auditoria');
+      XLSX.writeFile(workbook, AUDITORIA_FILE);
+    });
+    return true;
+  } catch (excelErr) {
+    console.error('❌ [Auditoria] Erro ao registrar no Excel:', excelErr);
+    return false;
+  }
+}
+
+// Ler registros de auditoria do Excel (fallback)
+function readAuditoriaFromExcel() {
+  if (!fs.existsSync(AUDITORIA_FILE)) {
+    return [];
+  }
+  
+  const parseJson = (valor) => {
+    if (valor === undefined || valor === null || valor === '') return null;
+    try {
+      return JSON.parse(valor);
+    } catch {
+      return valor;
+    }
+  };
+  
+  const workbook = XLSX.readFile(AUDITORIA_FILE);
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet).map(row => ({
+    ator: row.ator || '',
+    acao: row.acao || '',
+    alvo: row.alvo ?? null,
+    antes: parseJson(row.antes),
+    depois: parseJson(row.depois),
+    ip: row.ip || null,
+    created_at: row.created_at
+  }));
+}
+
+// Converter filtro de data (YYYY-MM-DD ou ISO) em limite ISO
+// Datas sem hora usam o início (de) ou o fim (até) do dia
+function limiteDataAuditoria(valor, fimDoDia) {
+  if (!valor) return null;
+  const texto = String(valor).trim();
+  const data = /^\d{4}-\d{2}-\d{2}$/.test(texto)
+    ? new Date(`${texto}T${fimDoDia ? '23:59:59.999' : '00:00:00.000'}-03:00`)
+    : new Date(texto);
+  return isNaN(data.getTime()) ? null : data.toISOString();
+}
+
+// Consultar auditoria com filtros
+// filtros: { ator, acao, alvo, de, ate, limit, offset }
+// Retorna { registros, total }
+async function consultarAuditoria(filtros = {}) {
+  const limit = Math.min(Math.max(parseInt(filtros.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(filtros.offset, 10) || 0, 0);
+  const de = limiteDataAuditoria(filtros.de, false);
+  const ate = limiteDataAuditoria(filtros.ate, true);
+  
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      let query = supabase
+        .from('auditoria')
+        .select('id, ator, acao, alvo, antes, depois, ip, created_at', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      
+      if (filtros.ator) query = query.ilike('ator', `%${filtros.ator}%`);
+      // Ação aceita prefixo (ex: "projetista" retorna todas as ações sobre projetistas)
+      if (filtros.acao) query = query.ilike('acao', `${filtros.acao}%`);
+      if (filtros.alvo) query = query.ilike('alvo', `%${filtros.alvo}%`);
+      if (de) query = query.gte('created_at', de);
+      if (ate) query = query.lte('created_at', ate);
+      
+      const { data, error, count } = await query;
+      
+      if (error) {
+        throw error;
+      }
+      
+      return { registros: data || [], total: count ?? (data || []).length };
+    } catch (supabaseErr) {
+      console.error('❌ [Auditoria] Erro ao consultar Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+    }
+  }
+  
+  const contem = (valor, busca) => String(valor || '').toLowerCase().includes(String(busca).toLowerCase());
+  const registros = readAuditoriaFromExcel()
+    .filter(r => !filtros.ator || contem(r.ator, filtros.ator))
+    .filter(r => !filtros.acao || String(r.acao).toLowerCase().startsWith(String(filtros.acao).toLowerCase()))
+    .filter(r => !filtros.alvo || contem(r.alvo, filtros.alvo))
+    .filter(r => !de || r.created_at >= de)
+    .filter(r => !ate || r.created_at <= ate)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  
+  return { registros: registros.slice(offset, offset + limit), total: registros.length };
+}
+
+// ============================================
+// Papéis e capacidades (persistência)
+// ============================================
+// Papéis padrão vêm de roles.js; as capacidades editadas ficam na tabela
+// papeis (Supabase) ou em papeis.xlsx (fallback). O admin nunca é editável.
+// Cache curto em memória para não consultar o banco a cada requisição.
+const PAPEIS_CACHE_TTL = 60 * 1000; // 1 minuto
+let papeisCache = null;
+let papeisCacheTime = 0;
+
+// Aplicar capacidades salvas sobre os papéis padrão
+function aplicarCapacidadesSalvas(registros) {
+  const papeis = {};
+  for (const [nome, papel] of Object.entries(PAPEIS_PADRAO)) {
+    papeis[nome] = { descricao: papel.descricao, capacidades: [...papel.capacidades] };
+  }
+  
+  for (const registro of registros || []) {
+    const nome = normalizarPapel(registro.nome);
+    if (!papeis[nome] || nome === PAPEL_ADMIN) {
+      continue;
+    }
+    
+    let capacidades = registro.capacidades;
+    if (typeof capacidades === 'string') {
+      try {
+        capacidades = JSON.parse(capacidades);
+      } catch {
+        capacidades = [];
+      }
+    }
+    papeis[nome].capacidades = filtrarCapacidades(capacidades);
+  }
+  
+  return papeis;
+}
+
+// Ler papéis com suas capacidades (Supabase primeiro, fallback Excel)
+async function readPapeis() {
+  if (papeisCache && Date.now() - papeisCacheTime < PAPEIS_CACHE_TTL) {
+    return papeisCache;
+  }
+  
+  let registros = null;
+  
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { data, error } = await supabase
+        .from('papeis')
+        .select('nome, capacidades');
+      
+      if (error) {
+        throw error;
+      }
+      
+      registros = data || [];
+    } catch (supabaseErr) {
+      console.error('❌ [Papéis] Erro ao ler papéis do Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
+      if (supabaseErr.code === '42P01' || supabaseErr.message?.includes('does not exist')) {
+        console.error('❌ [Papéis] Execute o SQL em backend/sql/create_papeis.sql');
+      }
+    }
+  }
+  
+  if (registros === null) {
+    try {
+      if (fs.existsSync(PAPEIS_FILE)) {
+        const workbook = XLSX.readFile(PAPEIS_FILE);
+        registros = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+      } else {
+        registros = [];
+      }
+    } catch (excelErr) {
+      console.error('❌ [Papéis] Erro ao ler papéis do Excel (usando padrão):', excelErr);
+      registros = [];
+    }
+  }
+  
+  papeisCache = aplicarCapacidadesSalvas(registros);
+  papeisCacheTime = Date.now();
+  return papeisCache;
+}
+
+// Salvar capacidades de um papel (Supabase primeiro, fallback Excel)
+async function savePapelCapacidades(nome, capacidades) {
+  papeisCache = null;
+  
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { error } = await supabase
+        .from('papeis')
+        .upsert({ nome, capacidades, updated_at: new Date().toISOString() }, { onConflict: 'nome' });
+      
+      if (error) {
+        throw error;
       }
-    } catch (err) {
-      console.error('❌ [Excel] Erro ao salvar tabulações:', err);
-      throw err;
+      
+      console.log(`✅ [Supabase] Capacidades do papel '${nome}' salvas: ${capacidades.join(', ') || '(nenhuma)'}`);
+      return;
+    } catch (supabaseErr) {
+      console.error('❌ [Papéis] Erro ao salvar no Supabase, usando fallback Excel:', supabaseErr.message || supabaseErr);
     }
+  }
+  
+  await withLock('papeis', async () => {
+    const papeis = await readPapeis();
+    papeis[nome] = { ...papeis[nome], capacidades };
+    papeisCache = null;
+    
+    const linhas = Object.entries(papeis)
+      .filter(([nomePapel]) => nomePapel !== PAPEL_ADMIN)
+      .map(([nomePapel, papel]) => ({ nome: nomePapel, capacidades: JSON.stringify(papel.capacidades) }));
+    
+    const worksheet = XLSX.utils.json_to_sheet(linhas);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Papéis');
+    XLSX.writeFile(workbook, PAPEIS_FILE);
+    console.log(`✅ [Excel] Capacidades do papel '${nome}' salvas em ${PAPEIS_FILE}`);
   });
 }
 
-// Função para salvar tabulações (tenta Supabase primeiro, fallback para Excel)
-async function saveTabulacoes(tabulacoes) {
-  // Tentar Supabase primeiro
-  const saved = await saveTabulacoesToSupabase(tabulacoes);
-  if (saved) {
-    return; // Sucesso no Supabase
+// Obter capacidades de um papel (papel desconhecido não tem nenhuma)
+async function getCapacidadesPapel(papel) {
+  if (papel === PAPEL_ADMIN) {
+    return Object.keys(CAPACIDADES);
   }
   
-  // Fallback para Excel
-  console.log('⚠️ [Save] Usando fallback Excel para salvar tabulações');
-  await saveTabulacoesToExcel(tabulacoes);
+  const papeis = await readPapeis();
+  return papeis[papel]?.capacidades || [];
+}
+
+// Obter papel e capacidades atuais de um usuário (consulta o tipo no banco)
+// Retorna null se a conta não existe mais (excluída ou renomeada depois do login)
+async function getCapacidadesUsuario(usuario) {
+  const tipo = await getTipoUsuario(usuario);
+  if (tipo === null) {
+    return null;
+  }
+  const papel = normalizarPapel(tipo);
+  return { papel, capacidades: await getCapacidadesPapel(papel) };
 }
 
 // Função para formatar data para DD/MM/YYYY
@@ -4624,7 +8001,7 @@ app.get('/api/projetistas', async (req, res) => {
 });
 
 // Rota para adicionar projetista (apenas Admin)
-app.post('/api/projetistas', requireAdmin, async (req, res) => {
+app.post('/api/projetistas', requireCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const { nome, senha } = req.body;
     
@@ -4653,14 +8030,15 @@ app.post('/api/projetistas', requireAdmin, async (req, res) => {
           return res.json({ success: false, error: 'Projetista já existe' });
         }
         
-        // Inserir no Supabase (novo usuário sempre começa como 'user')
+        // Inserir no Supabase (novo usuário sempre começa com o papel padrão)
         const { error } = await supabase
           .from('projetistas')
-          .insert([{ nome: nomeLimpo, senha: senhaLimpa, tipo: 'user' }]);
+          .insert([{ nome: nomeLimpo, senha: await hashPassword(senhaLimpa), tipo: PAPEL_PADRAO }]);
         
         if (error) {
           throw error;
         }
+        invalidarCacheUsuarios();
         
         console.log(`✅ [Supabase] Projetista '${nomeLimpo}' adicionado no Supabase`);
         
@@ -4688,8 +8066,8 @@ app.post('/api/projetistas', requireAdmin, async (req, res) => {
       return res.json({ success: false, error: 'Projetista já existe' });
     }
     
-    // Adicionar novo projetista com senha (novo usuário sempre começa como 'user')
-    projetistas.push({ nome: nomeLimpo, senha: senhaLimpa, tipo: 'user' });
+    // Adicionar novo projetista com senha (novo usuário sempre começa com o papel padrão)
+    projetistas.push({ nome: nomeLimpo, senha: await hashPassword(senhaLimpa), tipo: PAPEL_PADRAO });
     
     // Ordenar alfabeticamente por nome
     projetistas.sort((a, b) => {
@@ -4711,7 +8089,7 @@ app.post('/api/projetistas', requireAdmin, async (req, res) => {
 });
 
 // Rota para deletar projetista (apenas Admin)
-app.delete('/api/projetistas/:nome', requireAdmin, async (req, res) => {
+app.delete('/api/projetistas/:nome', requireCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -4722,13 +8100,17 @@ app.delete('/api/projetistas/:nome', requireAdmin, async (req, res) => {
     
     console.log(`🔍 Tentando deletar projetista: '${nomeDecoded}'`);
     
+    if (await recusarAlteracaoDeAdmin(req, res, nomeDecoded)) {
+      return;
+    }
+    
     // Tentar deletar no Supabase primeiro
     if (supabase && isSupabaseAvailable()) {
       try {
         // Buscar projetista para verificar se existe
         const { data: existing } = await supabase
           .from('projetistas')
-          .select('nome')
+          .select('nome, tipo')
           .ilike('nome', nomeDecoded)
           .limit(1);
         
@@ -4751,8 +8133,11 @@ app.delete('/api/projetistas/:nome', requireAdmin, async (req, res) => {
         if (error) {
           throw error;
         }
+        invalidarCacheUsuarios();
         
         console.log(`✅ [Supabase] Projetista '${nomeDecoded}' deletado do Supabase`);
+        await registrarAuditoria(req, 'projetista.excluir', existing[0].nome, { nome: existing[0].nome, tipo: existing[0].tipo || 'user' }, null);
+        revokeUserSessions(existing[0].nome);
         
         // Buscar todos para retornar
         const projetistas = await readProjetistasAsync();
@@ -4791,6 +8176,7 @@ app.delete('/api/projetistas/:nome', requireAdmin, async (req, res) => {
     }
     
     // Remover da lista
+    const projetistaRemovido = projetistas.find(p => (typeof p === 'string' ? p : p.nome) === nomeDecoded);
     const projetistasAntes = projetistas.length;
     projetistas = projetistas.filter(p => {
       const nomeProj = typeof p === 'string' ? p : p.nome;
@@ -4804,6 +8190,11 @@ app.delete('/api/projetistas/:nome', requireAdmin, async (req, res) => {
     await saveProjetistas(projetistas);
     
     console.log(`✅ Projetista '${nomeDecoded}' deletado e base de dados atualizada!`);
+    revokeUserSessions(nomeDecoded);
+    await registrarAuditoria(req, 'projetista.excluir', nomeDecoded, {
+      nome: nomeDecoded,
+      tipo: typeof projetistaRemovido === 'string' ? 'user' : (projetistaRemovido.tipo || 'user')
+    }, null);
     
     // Retornar apenas os nomes para compatibilidade
     const nomesProjetistas = projetistas.map(p => typeof p === 'string' ? p : p.nome);
@@ -4819,100 +8210,315 @@ app.delete('/api/projetistas/:nome', requireAdmin, async (req, res) => {
   }
 });
 
-// Middleware de autorização para verificar se o usuário é Admin
-async function requireAdmin(req, res, next) {
-  try {
-    // Tentar obter usuário do body, header ou query (flexível para diferentes métodos HTTP)
-    // Headers HTTP são case-insensitive, mas Node.js pode retornar em diferentes casos
-    // Buscar header em diferentes variações de case
-    let headerUsuario = null;
-    const headerKeys = Object.keys(req.headers);
-    for (const key of headerKeys) {
-      if (key.toLowerCase() === 'x-usuario') {
-        headerUsuario = req.headers[key];
-        break;
+// Validar token de sessão enviado no header Authorization e anexar usuário ao request
+// Retorna o payload da sessão, ou null se o token estiver ausente/inválido/expirado
+function attachSession(req) {
+  const token = extractBearerToken(req);
+  const sessao = verifySessionToken(token);
+  
+  if (!sessao) {
+    return null;
+  }
+  
+  req.usuario = sessao.sub;
+  req.userTipo = (sessao.tipo || 'user').toLowerCase();
+  req.user = { nome: sessao.sub, tipo: req.userTipo };
+  req.sessionToken = token;
+  return sessao;
+}
+
+// Cache por usuário do tipo e das permissões de ferramentas (consultados pelos middlewares em toda requisição)
+// Formato: { usuario (minúsculo): { valor, em } } - limpo sempre que um projetista é salvo
+const USUARIOS_CACHE_TTL = 30 * 1000; // 30 segundos
+const tipoUsuarioCache = new Map();
+const permissoesFerramentasCache = new Map();
+
+function lerCacheUsuario(cache, usuario) {
+  const entrada = cache.get(usuario.toLowerCase());
+  return entrada && Date.now() - entrada.em < USUARIOS_CACHE_TTL ? entrada : null;
+}
+
+function gravarCacheUsuario(cache, usuario, valor) {
+  cache.set(usuario.toLowerCase(), { valor, em: Date.now() });
+  return valor;
+}
+
+// Limpar o cache de usuários (cadastro, exclusão, renomeação, papel ou permissões alterados)
+function invalidarCacheUsuarios() {
+  tipoUsuarioCache.clear();
+  permissoesFerramentasCache.clear();
+}
+
+// Buscar tipo atual do usuário (Supabase primeiro, fallback Excel)
+// O tipo pode ter mudado depois do login, por isso não confiamos apenas no token
+// Retorna null se o usuário não existe em nenhuma fonte (conta excluída ou renomeada)
+async function getTipoUsuario(usuarioLimpo) {
+  const emCache = lerCacheUsuario(tipoUsuarioCache, usuarioLimpo);
+  if (emCache) {
+    return emCache.valor;
+  }
+  
+  let tipoUsuario = null;
+  let consultaFalhou = false; // Erro de leitura não entra no cache (não recusar a conta por 30s)
+  
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { data, error } = await supabase
+        .from('projetistas')
+        .select('tipo')
+        .ilike('nome', usuarioLimpo)
+        .limit(1);
+      
+      if (!error && data && data.length > 0) {
+        tipoUsuario = (data[0].tipo || 'user').toLowerCase();
       }
+    } catch (err) {
+      console.error('❌ [Auth] Erro ao buscar tipo do usuário no Supabase:', err);
+      consultaFalhou = true;
+      // Continuar com fallback
     }
-    
-    const usuario = req.body?.usuario || headerUsuario || req.query.usuario;
-    
-    console.log('🔍 [Auth] Verificando autorização admin:', {
-      bodyUsuario: req.body?.usuario,
-      headerUsuario: headerUsuario,
-      queryUsuario: req.query.usuario,
-      usuarioFinal: usuario
-    });
-    
-    if (!usuario || !usuario.trim()) {
-      console.error('❌ [Auth] Usuário não fornecido na requisição');
-      return res.status(401).json({ success: false, error: 'Usuário não autenticado' });
+  }
+  
+  // Fallback: buscar do Excel (usuário não encontrado no Supabase)
+  if (tipoUsuario === null) {
+    try {
+      const projetistas = await readProjetistasAsync();
+      const projetista = projetistas.find(p => {
+        const nomeProj = typeof p === 'string' ? p : p.nome;
+        return nomeProj.toLowerCase() === usuarioLimpo.toLowerCase();
+      });
+      
+      if (projetista && typeof projetista !== 'string') {
+        tipoUsuario = (projetista.tipo || 'user').toLowerCase();
+        console.log(`📋 [Auth] Tipo encontrado no Excel para '${usuarioLimpo}': ${tipoUsuario}`);
+      } else if (projetista) {
+        tipoUsuario = 'user';
+        console.log(`⚠️ [Auth] Projetista '${usuarioLimpo}' encontrado mas sem tipo definido (usando default: user)`);
+      } else {
+        console.warn(`⚠️ [Auth] Projetista '${usuarioLimpo}' não encontrado em nenhuma fonte`);
+      }
+    } catch (excelErr) {
+      console.error('❌ [Auth] Erro ao buscar tipo do Excel:', excelErr);
+      consultaFalhou = true;
     }
-    
-    const usuarioLimpo = usuario.trim();
-    
-    // Buscar tipo do usuário
-    let tipoUsuario = 'user'; // Default
-    
-    if (supabase && isSupabaseAvailable()) {
-      try {
-        const { data, error } = await supabase
-          .from('projetistas')
-          .select('tipo')
-          .ilike('nome', usuarioLimpo)
-          .limit(1);
-        
-        if (!error && data && data.length > 0) {
-          tipoUsuario = (data[0].tipo || 'user').toLowerCase();
-        }
-      } catch (err) {
-        console.error('❌ [Auth] Erro ao buscar tipo do usuário no Supabase:', err);
-        // Continuar com fallback
+  }
+  
+  return consultaFalhou ? tipoUsuario : gravarCacheUsuario(tipoUsuarioCache, usuarioLimpo, tipoUsuario);
+}
+
+// Buscar permissões de ferramentas do usuário (formato: { 'id-da-ferramenta': true/false })
+// Sem permissões salvas retorna {} (nenhuma ferramenta habilitada explicitamente)
+async function getPermissoesFerramentas(usuarioLimpo) {
+  const emCache = lerCacheUsuario(permissoesFerramentasCache, usuarioLimpo);
+  if (emCache) {
+    return emCache.valor;
+  }
+  
+  let permissoes = {};
+  let consultaFalhou = false;
+
+  // Tentar buscar no Supabase primeiro
+  if (supabase && isSupabaseAvailable()) {
+    try {
+      const { data, error } = await supabase
+        .from('projetistas')
+        .select('permissoes_ferramentas')
+        .ilike('nome', usuarioLimpo)
+        .limit(1);
+
+      if (!error && data && data.length > 0 && data[0].permissoes_ferramentas) {
+        // Se há permissões salvas, usar elas
+        permissoes = typeof data[0].permissoes_ferramentas === 'string'
+          ? JSON.parse(data[0].permissoes_ferramentas)
+          : data[0].permissoes_ferramentas;
       }
+    } catch (supabaseErr) {
+      console.error('❌ [Supabase] Erro ao buscar permissões, usando fallback:', supabaseErr);
+      consultaFalhou = true;
+      // Continuar com fallback Excel
     }
-    
-    // Fallback: buscar do Excel (sempre verificar se não encontrou no Supabase)
-    if (tipoUsuario === 'user' || !tipoUsuario) {
-      try {
-        const projetistas = await readProjetistasAsync();
-        const projetista = projetistas.find(p => {
-          const nomeProj = typeof p === 'string' ? p : p.nome;
-          return nomeProj.toLowerCase() === usuarioLimpo.toLowerCase();
+  }
+
+  // Fallback: buscar do Excel (se houver campo de permissões)
+  // Por enquanto, o Excel não guarda permissões de ferramentas
+
+  permissoes = permissoes && typeof permissoes === 'object' ? permissoes : {};
+  return consultaFalhou ? permissoes : gravarCacheUsuario(permissoesFerramentasCache, usuarioLimpo, permissoes);
+}
+
+// Resposta para token válido de uma conta que não existe mais
+function responderContaInexistente(req, res) {
+  console.warn(`⚠️ [Auth] Conta '${req.usuario}' não existe mais: ${req.method} ${req.path}`);
+  return res.status(401).json({ success: false, error: 'Conta não encontrada. Faça login novamente.' });
+}
+
+// Middleware de autenticação: exige token de sessão válido (emitido em /api/auth/login)
+// de uma conta que ainda existe
+async function requireAuth(req, res, next) {
+  if (!attachSession(req)) {
+    console.warn(`⚠️ [Auth] Sessão ausente ou inválida: ${req.method} ${req.path}`);
+    return res.status(401).json({ success: false, error: 'Sessão inválida ou expirada. Faça login novamente.' });
+  }
+  
+  try {
+    if (await getTipoUsuario(req.usuario) === null) {
+      return responderContaInexistente(req, res);
+    }
+  } catch (err) {
+    console.error('❌ [Auth] Erro ao verificar conta do usuário:', err);
+    return res.status(500).json({ success: false, error: 'Erro ao verificar permissões' });
+  }
+  next();
+}
+
+// Middleware de autorização por capacidade do papel do usuário
+// Uso: app.post('/rota', requireCapacidade('upload_base'), handler)
+// O papel é consultado no banco a cada requisição (mudanças de papel valem imediatamente)
+function requireCapacidade(capacidade) {
+  return async (req, res, next) => {
+    try {
+      // Usuário vem do token de sessão (não confiar em header/body/query)
+      if (!attachSession(req)) {
+        console.error('❌ [Auth] Token de sessão ausente ou inválido');
+        return res.status(401).json({ success: false, error: 'Sessão inválida ou expirada. Faça login novamente.' });
+      }
+      
+      const usuarioAtual = await getCapacidadesUsuario(req.usuario);
+      if (!usuarioAtual) {
+        return responderContaInexistente(req, res);
+      }
+      const { papel, capacidades } = usuarioAtual;
+      
+      // Adicionar papel e capacidades ao request para uso posterior
+      req.userTipo = papel;
+      req.user.tipo = papel;
+      req.capacidades = capacidades;
+      
+      if (!capacidades.includes(capacidade)) {
+        console.warn(`⚠️ [Auth] Acesso negado para '${req.usuario}' (papel: ${papel}) - capacidade '${capacidade}' necessária`);
+        return res.status(403).json({
+          success: false,
+          error: 'Acesso negado. Seu perfil não tem permissão para esta ação.',
+          capacidade: capacidade
         });
-        
-        if (projetista && typeof projetista !== 'string') {
-          tipoUsuario = (projetista.tipo || 'user').toLowerCase();
-          console.log(`📋 [Auth] Tipo encontrado no Excel para '${usuarioLimpo}': ${tipoUsuario}`);
-        } else if (projetista) {
-          console.log(`⚠️ [Auth] Projetista '${usuarioLimpo}' encontrado mas sem tipo definido (usando default: user)`);
-        } else {
-          console.warn(`⚠️ [Auth] Projetista '${usuarioLimpo}' não encontrado em nenhuma fonte`);
-        }
-      } catch (excelErr) {
-        console.error('❌ [Auth] Erro ao buscar tipo do Excel:', excelErr);
       }
+      
+      next();
+    } catch (err) {
+      console.error('❌ [Auth] Erro no middleware de autorização:', err);
+      return res.status(500).json({ success: false, error: 'Erro ao verificar permissões' });
     }
-    
-    // Verificar se é admin
-    console.log(`🔍 [Auth] Tipo do usuário '${usuarioLimpo}': ${tipoUsuario}`);
-    if (tipoUsuario !== 'admin') {
-      console.warn(`⚠️ [Auth] Acesso negado para usuário '${usuarioLimpo}' (tipo: ${tipoUsuario})`);
-      return res.status(403).json({ success: false, error: 'Acesso negado. Apenas administradores podem realizar esta ação.' });
+  };
+}
+
+// Middleware para rotas /api/projetistas/:nome/* que o próprio usuário pode acessar
+// Permite o dono da conta (usuário do token) ou quem tiver a capacidade informada
+function requireSelfOrCapacidade(capacidade) {
+  const verificarCapacidade = requireCapacidade(capacidade);
+  
+  return (req, res, next) => {
+    if (!attachSession(req)) {
+      return res.status(401).json({ success: false, error: 'Sessão inválida ou expirada. Faça login novamente.' });
     }
     
-    console.log(`✅ [Auth] Usuário '${usuarioLimpo}' autorizado como admin`);
+    const nomeAlvo = decodeURIComponent(req.params.nome || '').trim().toLowerCase();
+    if (nomeAlvo && nomeAlvo === req.usuario.toLowerCase()) {
+      return requireAuth(req, res, next);
+    }
     
-    // Adicionar tipo ao request para uso posterior
-    req.userTipo = tipoUsuario;
-    next();
+    return verificarCapacidade(req, res, next);
+  };
+}
+
+// Contas de administrador só podem ser alteradas (senha, nome, papel, exclusão) por outro administrador
+// Evita que quem gerencia projetistas tome a conta do admin trocando a senha
+// Retorna true se a requisição foi recusada (resposta 403 já enviada)
+async function recusarAlteracaoDeAdmin(req, res, nomeAlvo) {
+  if (nomeAlvo.toLowerCase() === (req.usuario || '').toLowerCase()) {
+    return false;
+  }
+  if (normalizarPapel(await getTipoUsuario(nomeAlvo)) !== PAPEL_ADMIN) {
+    return false;
+  }
+  if (normalizarPapel(await getTipoUsuario(req.usuario)) === PAPEL_ADMIN) {
+    return false;
+  }
+  
+  console.warn(`⚠️ [Auth] '${req.usuario}' tentou alterar a conta de administrador '${nomeAlvo}': ${req.method} ${req.path}`);
+  res.status(403).json({ success: false, error: 'Apenas administradores podem alterar contas de administrador.' });
+  return true;
+}
+
+// Regra de FERRAMENTAS_POR_ROTA que se aplica ao caminho (ou null se a rota não pertence a uma ferramenta)
+function encontrarRegraFerramenta(caminho) {
+  // Rotas do Express não diferenciam maiúsculas/minúsculas
+  const caminhoNormalizado = String(caminho || '').toLowerCase();
+  return FERRAMENTAS_POR_ROTA.find(regra =>
+    caminhoNormalizado === regra.prefixo || caminhoNormalizado.startsWith(`${regra.prefixo}/`)
+  ) || null;
+}
+
+// Middleware global: exige permissão de ferramenta para as rotas de FERRAMENTAS_POR_ROTA
+// Mesmo critério do Dashboard: admin acessa tudo, demais usuários só ferramentas marcadas como true
+async function requireFerramentaDaRota(req, res, next) {
+  const regra = encontrarRegraFerramenta(req.path);
+  if (!regra) {
+    return next();
+  }
+
+  try {
+    if (!attachSession(req)) {
+      console.warn(`⚠️ [Auth] Sessão ausente ou inválida: ${req.method} ${req.path}`);
+      return res.status(401).json({ success: false, error: 'Sessão inválida ou expirada. Faça login novamente.' });
+    }
+
+    const usuarioAtual = await getCapacidadesUsuario(req.usuario);
+    if (!usuarioAtual) {
+      return responderContaInexistente(req, res);
+    }
+    const { papel, capacidades } = usuarioAtual;
+    req.userTipo = papel;
+    req.user.tipo = papel;
+    req.capacidades = capacidades;
+
+    if (papel === PAPEL_ADMIN || (regra.capacidade && capacidades.includes(regra.capacidade))) {
+      return next();
+    }
+
+    const permissoes = await getPermissoesFerramentas(req.usuario);
+    if (regra.ferramentas.some(ferramenta => permissoes[ferramenta] === true)) {
+      return next();
+    }
+
+    console.warn(`⚠️ [Auth] Acesso negado para '${req.usuario}' em ${req.method} ${req.path} - ferramenta necessária: ${regra.ferramentas.join(' ou ')}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Acesso negado. Você não tem permissão para usar esta ferramenta.',
+      ferramentas: regra.ferramentas
+    });
   } catch (err) {
-    console.error('❌ [Auth] Erro no middleware de autorização:', err);
+    console.error('❌ [Auth] Erro ao verificar permissão de ferramenta:', err);
     return res.status(500).json({ success: false, error: 'Erro ao verificar permissões' });
   }
 }
 
+// Tempo mínimo de resposta para logins recusados
+// Evita que o tempo de resposta revele se o usuário existe ou qual fonte (Supabase/Excel) respondeu
+const LOGIN_MIN_RESPONSE_MS = 500;
+
+// Formatar tempo restante de bloqueio para mensagens ao usuário
+function formatarTempoEspera(ms) {
+  const segundos = Math.ceil(ms / 1000);
+  if (segundos < 60) {
+    return `${segundos} segundo(s)`;
+  }
+  return `${Math.ceil(segundos / 60)} minuto(s)`;
+}
+
 // Rota para autenticar usuário (validar login)
 app.post('/api/auth/login', async (req, res) => {
   try {
+    const inicioLogin = Date.now();
     const { usuario, senha } = req.body;
     
     if (!usuario || !usuario.trim()) {
@@ -4925,6 +8531,45 @@ app.post('/api/auth/login', async (req, res) => {
     
     const usuarioLimpo = usuario.trim();
     const senhaLimpa = senha.trim();
+    const ip = req.ip;
+    
+    // Verificar bloqueio / backoff antes de conferir a senha
+    const tentativa = checkLoginAllowed(usuarioLimpo, ip);
+    if (!tentativa.allowed) {
+      console.warn(`⚠️ [Login] Tentativa recusada para '${usuarioLimpo}' (IP ${ip}) - ${tentativa.locked ? 'bloqueado' : 'aguardando backoff'}`);
+      registrarTentativaLogin(usuarioLimpo, ip, false, tentativa.locked ? 'bloqueado' : 'backoff');
+      res.setHeader('Retry-After', Math.ceil(tentativa.retryAfterMs / 1000));
+      return res.status(429).json({
+        success: false,
+        error: tentativa.locked
+          ? `Muitas tentativas incorretas. Acesso bloqueado temporariamente. Tente novamente em ${formatarTempoEspera(tentativa.retryAfterMs)} ou peça a um administrador para desbloquear.`
+          : `Muitas tentativas seguidas. Aguarde ${formatarTempoEspera(tentativa.retryAfterMs)} antes de tentar novamente.`,
+        locked: tentativa.locked,
+        retryAfter: Math.ceil(tentativa.retryAfterMs / 1000)
+      });
+    }
+    
+    // Responder falha de login (contabiliza tentativa e iguala o tempo de resposta)
+    const responderFalhaLogin = async (motivo) => {
+      const { locked } = registerLoginFailure(usuarioLimpo, ip);
+      registrarTentativaLogin(usuarioLimpo, ip, false, motivo);
+      if (locked) {
+        console.warn(`🔒 [Login] Usuário '${usuarioLimpo}' bloqueado por ${LOGIN_LOCKOUT_MS / 60000} minutos após falhas seguidas`);
+      }
+      
+      const restante = LOGIN_MIN_RESPONSE_MS - (Date.now() - inicioLogin);
+      if (restante > 0) {
+        await new Promise(resolve => setTimeout(resolve, restante));
+      }
+      
+      return res.json({
+        success: false,
+        error: locked
+          ? `Muitas tentativas incorretas. Acesso bloqueado temporariamente por ${formatarTempoEspera(LOGIN_LOCKOUT_MS)}.`
+          : 'Usuário ou senha incorretos',
+        locked: locked
+      });
+    };
     
     let projetistaEncontrado = null;
     let tipoUsuario = 'user'; // Default
@@ -4934,7 +8579,7 @@ app.post('/api/auth/login', async (req, res) => {
       try {
         const { data, error } = await supabase
           .from('projetistas')
-          .select('nome, senha, tipo')
+          .select('id, nome, senha, tipo')
           .ilike('nome', usuarioLimpo)
           .limit(1);
         
@@ -4943,15 +8588,34 @@ app.post('/api/auth/login', async (req, res) => {
         }
         
         if (!data || data.length === 0) {
-          return res.json({ success: false, error: 'Usuário ou senha incorretos' });
+          // Conferir contra hash fictício para manter o mesmo custo de um usuário existente
+          await verifyPassword(senhaLimpa, null);
+          return await responderFalhaLogin('usuario_inexistente');
         }
         
         projetistaEncontrado = data[0];
-        if (projetistaEncontrado.senha !== senhaLimpa) {
-          return res.json({ success: false, error: 'Usuário ou senha incorretos' });
+        if (!(await verifyPassword(senhaLimpa, projetistaEncontrado.senha))) {
+          return await responderFalhaLogin('senha_incorreta');
         }
         
         tipoUsuario = (projetistaEncontrado.tipo || 'user').toLowerCase();
+        
+        // Senha legada em texto puro: converter para hash agora que foi validada
+        if (!isPasswordHash(projetistaEncontrado.senha)) {
+          try {
+            const { error: upgradeError } = await supabase
+              .from('projetistas')
+              .update({ senha: await hashPassword(senhaLimpa) })
+              .eq('id', projetistaEncontrado.id);
+            
+            if (upgradeError) {
+              throw upgradeError;
+            }
+            console.log(`🔒 [Supabase] Senha de '${projetistaEncontrado.nome}' convertida para hash`);
+          } catch (upgradeErr) {
+            console.error('❌ [Supabase] Erro ao converter senha para hash (login continua):', upgradeErr);
+          }
+        }
       } catch (supabaseErr) {
         console.error('❌ [Supabase] Erro ao validar login, usando fallback Excel:', supabaseErr);
         // Continuar com fallback Excel
@@ -4969,13 +8633,29 @@ app.post('/api/auth/login', async (req, res) => {
       });
       
       if (!projetistaEncontrado) {
-        return res.json({ success: false, error: 'Usuário ou senha incorretos' });
+        await verifyPassword(senhaLimpa, null);
+        return await responderFalhaLogin('usuario_inexistente');
       }
       
       // Verificar senha
       const senhaProj = typeof projetistaEncontrado === 'string' ? '' : projetistaEncontrado.senha;
-      if (senhaProj !== senhaLimpa) {
-        return res.json({ success: false, error: 'Usuário ou senha incorretos' });
+      if (!(await verifyPassword(senhaLimpa, senhaProj))) {
+        return await responderFalhaLogin('senha_incorreta');
+      }
+      
+      // Senha legada em texto puro: converter para hash no Excel agora que foi validada
+      if (!isPasswordHash(senhaProj)) {
+        try {
+          const projetistasExcel = readProjetistasFromExcel();
+          const indexExcel = projetistasExcel.findIndex(p => p.nome.toLowerCase() === usuarioLimpo.toLowerCase());
+          if (indexExcel !== -1) {
+            projetistasExcel[indexExcel] = { ...projetistasExcel[indexExcel], senha: await hashPassword(senhaLimpa) };
+            await saveProjetistasToExcel(projetistasExcel);
+            console.log(`🔒 [Excel] Senha de '${projetistasExcel[indexExcel].nome}' convertida para hash`);
+          }
+        } catch (upgradeErr) {
+          console.error('❌ [Excel] Erro ao converter senha para hash (login continua):', upgradeErr);
+        }
       }
       
       // Obter tipo do usuário
@@ -4984,6 +8664,13 @@ app.post('/api/auth/login', async (req, res) => {
       }
     }
     
+    // Tipos antigos ('user') viram o papel equivalente
+    tipoUsuario = normalizarPapel(tipoUsuario);
+    
+    // Login válido: zerar contador de falhas e registrar tentativa
+    registerLoginSuccess(usuarioLimpo);
+    registrarTentativaLogin(usuarioLimpo, ip, true, 'sucesso');
+    
     // Registrar usuário como online
     const now = Date.now();
     activeSessions[usuarioLimpo] = {
@@ -5052,11 +8739,17 @@ app.post('/api/auth/login', async (req, res) => {
     
     console.log(`🟢 Usuário ${usuarioLimpo} (${tipoUsuario}) fez login`);
     
+    // Emitir token de sessão (enviado pelo frontend no header Authorization)
+    const { token, expiresAt } = createSessionToken(usuarioLimpo, tipoUsuario);
+    
     res.json({ 
       success: true, 
       message: 'Login realizado com sucesso',
       tipo: tipoUsuario,
-      usuario: usuarioLimpo
+      capacidades: await getCapacidadesPapel(tipoUsuario),
+      usuario: usuarioLimpo,
+      token: token,
+      expiresAt: expiresAt
     });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -5064,7 +8757,7 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // Rota para atualizar senha do projetista
-app.put('/api/projetistas/:nome/password', async (req, res) => {
+app.put('/api/projetistas/:nome/password', requireSelfOrCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -5082,6 +8775,10 @@ app.put('/api/projetistas/:nome/password', async (req, res) => {
       return res.status(400).json({ success: false, error: 'A senha deve ter pelo menos 4 caracteres' });
     }
     
+    if (await recusarAlteracaoDeAdmin(req, res, nomeDecoded)) {
+      return;
+    }
+    
     // Tentar atualizar no Supabase primeiro
     if (supabase && isSupabaseAvailable()) {
       try {
@@ -5096,10 +8793,10 @@ app.put('/api/projetistas/:nome/password', async (req, res) => {
           return res.status(404).json({ success: false, error: 'Projetista não encontrado' });
         }
         
-        // Atualizar senha
+        // Atualizar senha (armazenar apenas o hash)
         const { error } = await supabase
           .from('projetistas')
-          .update({ senha: senha.trim() })
+          .update({ senha: await hashPassword(senha.trim()) })
           .eq('id', existing[0].id);
         
         if (error) {
@@ -5127,12 +8824,13 @@ app.put('/api/projetistas/:nome/password', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Projetista não encontrado' });
     }
     
-    // Atualizar senha
+    // Atualizar senha (armazenar apenas o hash)
+    const senhaHash = await hashPassword(senha.trim());
     const projetista = projetistas[projetistaIndex];
     if (typeof projetista === 'string') {
-      projetistas[projetistaIndex] = { nome: projetista, senha: senha.trim() };
+      projetistas[projetistaIndex] = { nome: projetista, senha: senhaHash };
     } else {
-      projetistas[projetistaIndex] = { ...projetista, senha: senha.trim() };
+      projetistas[projetistaIndex] = { ...projetista, senha: senhaHash };
     }
     
     // Salvar no Excel
@@ -5147,8 +8845,19 @@ app.put('/api/projetistas/:nome/password', async (req, res) => {
   }
 });
 
+// Renomear a conta revoga todas as sessões do nome antigo
+// Se o usuário renomeou a própria conta, um novo token é emitido para o novo nome
+function renovarSessaoAposRenomear(req, nomeAntigo, novoNome) {
+  revokeUserSessions(nomeAntigo);
+  if (!req.usuario || req.usuario.toLowerCase() !== nomeAntigo.toLowerCase()) {
+    return {};
+  }
+  
+  return createSessionToken(novoNome, req.userTipo);
+}
+
 // Rota para atualizar nome do projetista
-app.put('/api/projetistas/:nome/name', async (req, res) => {
+app.put('/api/projetistas/:nome/name', requireSelfOrCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -5168,6 +8877,10 @@ app.put('/api/projetistas/:nome/name', async (req, res) => {
       return res.status(400).json({ success: false, error: 'O novo nome deve ter pelo menos 2 caracteres' });
     }
     
+    if (await recusarAlteracaoDeAdmin(req, res, nomeDecoded)) {
+      return;
+    }
+    
     // Tentar atualizar no Supabase primeiro
     if (supabase && isSupabaseAvailable()) {
       try {
@@ -5202,6 +8915,7 @@ app.put('/api/projetistas/:nome/name', async (req, res) => {
         if (error) {
           throw error;
         }
+        invalidarCacheUsuarios();
         
         console.log(`✅ [Supabase] Nome do projetista '${nomeDecoded}' atualizado para '${novoNomeLimpo}' no Supabase`);
         
@@ -5219,7 +8933,7 @@ app.put('/api/projetistas/:nome/name', async (req, res) => {
           delete logoutHistory[nomeDecoded];
         }
         
-        return res.json({ success: true, message: 'Nome atualizado com sucesso', novoNome: novoNomeLimpo });
+        return res.json({ success: true, message: 'Nome atualizado com sucesso', novoNome: novoNomeLimpo, ...renovarSessaoAposRenomear(req, nomeDecoded, novoNomeLimpo) });
       } catch (supabaseErr) {
         console.error('❌ [Supabase] Erro ao atualizar nome, usando fallback Excel:', supabaseErr);
         // Continuar com fallback Excel
@@ -5286,7 +9000,7 @@ app.put('/api/projetistas/:nome/name', async (req, res) => {
     
     console.log(`✅ Nome do projetista '${nomeDecoded}' atualizado para '${novoNomeLimpo}' com sucesso`);
     
-    res.json({ success: true, message: 'Nome atualizado com sucesso', novoNome: novoNomeLimpo });
+    res.json({ success: true, message: 'Nome atualizado com sucesso', novoNome: novoNomeLimpo, ...renovarSessaoAposRenomear(req, nomeDecoded, novoNomeLimpo) });
   } catch (err) {
     console.error('❌ Erro ao atualizar nome:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -5294,7 +9008,7 @@ app.put('/api/projetistas/:nome/name', async (req, res) => {
 });
 
 // Rota para alterar tipo de usuário (apenas Admin)
-app.put('/api/projetistas/:nome/role', requireAdmin, async (req, res) => {
+app.put('/api/projetistas/:nome/role', requireCapacidade('gerenciar_papeis'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -5308,16 +9022,16 @@ app.put('/api/projetistas/:nome/role', requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Tipo é obrigatório' });
     }
     
-    const tipoLimpo = tipo.trim().toLowerCase();
+    const tipoLimpo = normalizarPapel(tipo);
     
-    // Validar tipo (apenas 'admin' ou 'user')
-    if (tipoLimpo !== 'admin' && tipoLimpo !== 'user') {
-      return res.status(400).json({ success: false, error: 'Tipo deve ser "admin" ou "user"' });
+    // Validar papel (deve ser um dos papéis cadastrados)
+    const papeis = await readPapeis();
+    if (!papeis[tipoLimpo]) {
+      return res.status(400).json({ success: false, error: `Papel inválido. Papéis disponíveis: ${Object.keys(papeis).join(', ')}` });
     }
     
-    // Obter o usuário que está fazendo a requisição (do middleware requireAdmin já validou que é admin)
-    const usuarioRequisicao = req.body?.usuario || req.headers['x-usuario'] || req.query.usuario || '';
-    const usuarioRequisicaoLimpo = usuarioRequisicao.trim().toLowerCase();
+    // Obter o usuário que está fazendo a requisição (do token de sessão validado pelo middleware)
+    const usuarioRequisicaoLimpo = (req.usuario || '').trim().toLowerCase();
     
     // IMPEDIR que um usuário altere seu próprio tipo (segurança)
     if (usuarioRequisicaoLimpo && nomeDecoded.toLowerCase() === usuarioRequisicaoLimpo) {
@@ -5327,6 +9041,14 @@ app.put('/api/projetistas/:nome/role', requireAdmin, async (req, res) => {
       });
     }
     
+    // Promover para admin ou rebaixar um admin também exige ser administrador
+    if (tipoLimpo === PAPEL_ADMIN && req.userTipo !== PAPEL_ADMIN) {
+      return res.status(403).json({ success: false, error: 'Apenas administradores podem atribuir o papel de administrador.' });
+    }
+    if (await recusarAlteracaoDeAdmin(req, res, nomeDecoded)) {
+      return;
+    }
+    
     // Tentar atualizar no Supabase primeiro
     if (supabase && isSupabaseAvailable()) {
       try {
@@ -5350,8 +9072,10 @@ app.put('/api/projetistas/:nome/role', requireAdmin, async (req, res) => {
         if (error) {
           throw error;
         }
+        invalidarCacheUsuarios();
         
         console.log(`✅ [Supabase] Tipo do projetista '${nomeDecoded}' atualizado para '${tipoLimpo}' no Supabase`);
+        await registrarAuditoria(req, 'projetista.alterar_tipo', existing[0].nome, { tipo: normalizarPapel(existing[0].tipo) }, { tipo: tipoLimpo });
         
         // Atualizar sessão ativa se o usuário estiver logado
         if (activeSessions[nomeDecoded]) {
@@ -5384,36 +9108,177 @@ app.put('/api/projetistas/:nome/role', requireAdmin, async (req, res) => {
     
     // Atualizar tipo
     const projetista = projetistas[projetistaIndex];
+    const tipoAnterior = normalizarPapel(typeof projetista === 'string' ? '' : projetista.tipo);
     if (typeof projetista === 'string') {
       projetistas[projetistaIndex] = { nome: projetista, senha: '', tipo: tipoLimpo };
     } else {
       projetistas[projetistaIndex] = { ...projetista, tipo: tipoLimpo };
     }
     
-    // Salvar no Excel
-    await saveProjetistas(projetistas);
+    // Salvar no Excel
+    await saveProjetistas(projetistas);
+    
+    // Atualizar sessão ativa se o usuário estiver logado
+    if (activeSessions[nomeDecoded]) {
+      activeSessions[nomeDecoded].tipo = tipoLimpo;
+    }
+    
+    console.log(`✅ Tipo do projetista '${nomeDecoded}' atualizado para '${tipoLimpo}' com sucesso`);
+    await registrarAuditoria(req, 'projetista.alterar_tipo', nomeDecoded, { tipo: tipoAnterior }, { tipo: tipoLimpo });
+    
+    res.json({ 
+      success: true, 
+      message: `Tipo do usuário atualizado para '${tipoLimpo}' com sucesso`,
+      tipo: tipoLimpo
+    });
+  } catch (err) {
+    console.error('❌ Erro ao atualizar tipo:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Endpoint para listar papéis e suas capacidades (qualquer usuário autenticado)
+// Usado pelo editor de papéis nas Configurações
+app.get('/api/papeis', requireAuth, async (req, res) => {
+  try {
+    const papeis = await readPapeis();
+    
+    res.json({
+      success: true,
+      papeis: Object.entries(papeis).map(([nome, papel]) => ({
+        nome,
+        descricao: papel.descricao,
+        capacidades: nome === PAPEL_ADMIN ? Object.keys(CAPACIDADES) : papel.capacidades,
+        editavel: nome !== PAPEL_ADMIN
+      })),
+      capacidades: CAPACIDADES
+    });
+  } catch (err) {
+    console.error('❌ [Papéis] Erro ao listar papéis:', err);
+    res.status(500).json({ success: false, error: 'Erro ao listar papéis', details: err.message });
+  }
+});
+
+// Endpoint para editar as capacidades de um papel
+// O papel admin não pode ser editado (sempre tem todas as capacidades)
+app.put('/api/papeis/:nome', requireCapacidade('gerenciar_papeis'), async (req, res) => {
+  try {
+    const nomePapel = normalizarPapel(decodeURIComponent(req.params.nome));
+    const { capacidades } = req.body;
+    
+    if (nomePapel === PAPEL_ADMIN) {
+      return res.status(400).json({ success: false, error: 'O papel admin sempre tem todas as capacidades e não pode ser editado' });
+    }
+    
+    // IMPEDIR que o usuário amplie as capacidades do próprio papel (mesma regra de PUT /api/projetistas/:nome/role)
+    if (nomePapel === normalizarPapel(req.userTipo)) {
+      console.warn(`⚠️ [Papéis] '${req.usuario}' tentou editar as capacidades do próprio papel '${nomePapel}'`);
+      await registrarAuditoria(req, 'papel.alterar_capacidades_negado', nomePapel, null, {
+        capacidades: Array.isArray(capacidades) ? capacidades : null,
+        motivo: 'proprio_papel'
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Você não pode alterar as capacidades do seu próprio papel. Peça a um administrador para fazer isso.'
+      });
+    }
+    
+    const papeis = await readPapeis();
+    if (!papeis[nomePapel]) {
+      return res.status(404).json({ success: false, error: 'Papel não encontrado' });
+    }
+    
+    if (!Array.isArray(capacidades)) {
+      return res.status(400).json({ success: false, error: 'Capacidades devem ser uma lista' });
+    }
+    
+    const capacidadesDesconhecidas = capacidades.filter(c => !Object.prototype.hasOwnProperty.call(CAPACIDADES, c));
+    if (capacidadesDesconhecidas.length > 0) {
+      return res.status(400).json({ success: false, error: `Capacidades desconhecidas: ${capacidadesDesconhecidas.join(', ')}` });
+    }
+    
+    const capacidadesAnteriores = papeis[nomePapel].capacidades;
+    const novasCapacidades = filtrarCapacidades(capacidades);
+    
+    await savePapelCapacidades(nomePapel, novasCapacidades);
+    await registrarAuditoria(req, 'papel.alterar_capacidades', nomePapel, { capacidades: capacidadesAnteriores }, { capacidades: novasCapacidades });
     
-    // Atualizar sessão ativa se o usuário estiver logado
-    if (activeSessions[nomeDecoded]) {
-      activeSessions[nomeDecoded].tipo = tipoLimpo;
+    res.json({
+      success: true,
+      message: `Capacidades do papel '${nomePapel}' atualizadas com sucesso`,
+      papel: { nome: nomePapel, descricao: papeis[nomePapel].descricao, capacidades: novasCapacidades, editavel: true }
+    });
+  } catch (err) {
+    console.error('❌ [Papéis] Erro ao editar papel:', err);
+    res.status(500).json({ success: false, error: 'Erro ao editar papel', details: err.message });
+  }
+});
+
+// Endpoint para desbloquear login de um projetista
+// Zera o contador de tentativas incorretas e remove o bloqueio temporário
+app.post('/api/projetistas/:nome/unlock', requireCapacidade('gerenciar_projetistas'), async (req, res) => {
+  try {
+    const nomeDecoded = decodeURIComponent(req.params.nome).trim();
+    
+    if (!nomeDecoded) {
+      return res.status(400).json({ success: false, error: 'Nome do projetista é obrigatório' });
     }
     
-    console.log(`✅ Tipo do projetista '${nomeDecoded}' atualizado para '${tipoLimpo}' com sucesso`);
+    const estavaBloqueado = unlockLoginUser(nomeDecoded);
+    await registrarAuditoria(req, 'projetista.desbloquear', nomeDecoded, { bloqueado: estavaBloqueado }, { bloqueado: false });
     
-    res.json({ 
-      success: true, 
-      message: `Tipo do usuário atualizado para '${tipoLimpo}' com sucesso`,
-      tipo: tipoLimpo
+    console.log(`🔓 [Auth] Login de '${nomeDecoded}' desbloqueado por '${req.usuario}'`);
+    
+    res.json({
+      success: true,
+      message: estavaBloqueado
+        ? `Usuário '${nomeDecoded}' desbloqueado com sucesso`
+        : `Usuário '${nomeDecoded}' não estava bloqueado`
     });
   } catch (err) {
-    console.error('❌ Erro ao atualizar tipo:', err);
+    console.error('❌ Erro ao desbloquear projetista:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// Endpoint para obter papel e capacidades atuais do usuário logado
+// O frontend usa para atualizar a interface quando o papel muda durante a sessão
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    const usuarioAtual = await getCapacidadesUsuario(req.usuario);
+    if (!usuarioAtual) {
+      return responderContaInexistente(req, res);
+    }
+    const { papel, capacidades } = usuarioAtual;
+    res.json({ success: true, usuario: req.usuario, tipo: papel, capacidades });
+  } catch (err) {
+    console.error('❌ [Auth] Erro ao obter dados do usuário:', err);
+    res.status(500).json({ success: false, error: 'Erro ao obter dados do usuário', details: err.message });
+  }
+});
+
+// Endpoint para listar usuários com login bloqueado
+app.get('/api/auth/lockouts', requireCapacidade('gerenciar_projetistas'), (req, res) => {
+  res.json({ success: true, bloqueados: listLockedUsers() });
+});
+
+// Endpoint para consultar a auditoria de ações administrativas
+// Filtros (query string): ator, acao (prefixo), alvo, de, ate (YYYY-MM-DD ou ISO), limit, offset
+app.get('/api/auditoria', requireCapacidade('ver_auditoria'), async (req, res) => {
+  try {
+    const { ator, acao, alvo, de, ate, limit, offset } = req.query;
+    const { registros, total } = await consultarAuditoria({ ator, acao, alvo, de, ate, limit, offset });
+    
+    res.json({ success: true, registros, total });
+  } catch (err) {
+    console.error('❌ [Auditoria] Erro ao consultar auditoria:', err);
+    res.status(500).json({ success: false, error: 'Erro ao consultar auditoria', details: err.message });
+  }
+});
+
 // Endpoint para obter permissões de ferramentas de um projetista
 // Permite que o usuário veja suas próprias permissões ou admin veja qualquer usuário
-app.get('/api/projetistas/:nome/permissions', async (req, res) => {
+app.get('/api/projetistas/:nome/permissions', requireSelfOrCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -5431,65 +9296,11 @@ app.get('/api/projetistas/:nome/permissions', async (req, res) => {
     }
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     
-    // Verificar se o usuário tem permissão para ver essas permissões
-    const usuarioRequisicao = req.body?.usuario || req.headers['x-usuario'] || req.query.usuario || '';
-    const usuarioRequisicaoLimpo = usuarioRequisicao.trim().toLowerCase();
-    
-    // Verificar se é admin ou se está consultando suas próprias permissões
-    let isAdmin = false;
-    if (usuarioRequisicaoLimpo) {
-      if (supabase && isSupabaseAvailable()) {
-        try {
-          const { data } = await supabase
-            .from('projetistas')
-            .select('tipo')
-            .ilike('nome', usuarioRequisicaoLimpo)
-            .limit(1);
-          
-          if (data && data.length > 0) {
-            isAdmin = (data[0].tipo || 'user').toLowerCase() === 'admin';
-          }
-        } catch (err) {
-          console.error('Erro ao verificar tipo de usuário:', err);
-        }
-      }
-    }
-    
-    // Se não é admin e não está consultando suas próprias permissões, negar acesso
-    if (!isAdmin && usuarioRequisicaoLimpo && nomeDecoded.toLowerCase() !== usuarioRequisicaoLimpo) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Você não tem permissão para ver as permissões de outro usuário' 
-      });
-    }
-    
-    let permissions = {}; // Permissões padrão: todas as ferramentas habilitadas
-    
-    // Tentar buscar no Supabase primeiro
-    if (supabase && isSupabaseAvailable()) {
-      try {
-        const { data, error } = await supabase
-          .from('projetistas')
-          .select('permissoes_ferramentas')
-          .ilike('nome', nomeDecoded)
-          .limit(1);
-        
-        if (!error && data && data.length > 0 && data[0].permissoes_ferramentas) {
-          // Se há permissões salvas, usar elas
-          permissions = typeof data[0].permissoes_ferramentas === 'string' 
-            ? JSON.parse(data[0].permissoes_ferramentas)
-            : data[0].permissoes_ferramentas;
-        }
-      } catch (supabaseErr) {
-        console.error('❌ [Supabase] Erro ao buscar permissões, usando fallback:', supabaseErr);
-        // Continuar com fallback Excel
-      }
-    }
-    
-    // Fallback: buscar do Excel (se houver campo de permissões)
-    // Por enquanto, retornar permissões padrão (todas habilitadas)
-    
-    res.json({ 
+    // Permissão (próprio usuário ou gerenciar_projetistas) já verificada pelo middleware requireSelfOrCapacidade
+
+    const permissions = await getPermissoesFerramentas(nomeDecoded);
+
+    res.json({
       success: true, 
       permissions: permissions
     });
@@ -5500,7 +9311,7 @@ app.get('/api/projetistas/:nome/permissions', async (req, res) => {
 });
 
 // Endpoint para salvar permissões de ferramentas de um projetista
-app.put('/api/projetistas/:nome/permissions', requireAdmin, async (req, res) => {
+app.put('/api/projetistas/:nome/permissions', requireCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -5529,7 +9340,7 @@ app.put('/api/projetistas/:nome/permissions', requireAdmin, async (req, res) =>
         // Verificar se o projetista existe
         const { data: existing } = await supabase
           .from('projetistas')
-          .select('id, nome')
+          .select('id, nome, permissoes_ferramentas')
           .ilike('nome', nomeDecoded)
           .limit(1);
         
@@ -5537,6 +9348,16 @@ app.put('/api/projetistas/:nome/permissions', requireAdmin, async (req, res) =>
           return res.status(404).json({ success: false, error: 'Projetista não encontrado' });
         }
         
+        // Permissões anteriores (para auditoria)
+        let permissoesAnteriores = existing[0].permissoes_ferramentas || null;
+        if (typeof permissoesAnteriores === 'string') {
+          try {
+            permissoesAnteriores = JSON.parse(permissoesAnteriores);
+          } catch {
+            // Manter valor original se não for JSON válido
+          }
+        }
+        
         // Atualizar permissões (salvar como JSON string)
         const { error } = await supabase
           .from('projetistas')
@@ -5546,8 +9367,10 @@ app.put('/api/projetistas/:nome/permissions', requireAdmin, async (req, res) =>
         if (error) {
           throw error;
         }
+        invalidarCacheUsuarios();
         
         console.log(`✅ [Supabase] Permissões de ferramentas do projetista '${nomeDecoded}' atualizadas no Supabase`);
+        await registrarAuditoria(req, 'projetista.alterar_permissoes', existing[0].nome, permissoesAnteriores, permissions);
         
         return res.json({ 
           success: true, 
@@ -5576,7 +9399,7 @@ app.put('/api/projetistas/:nome/permissions', requireAdmin, async (req, res) =>
 
 // Rota para buscar dados completos de um projetista específico (apenas Admin)
 // IMPORTANTE: Esta rota deve vir DEPOIS de rotas mais específicas como /permissions
-app.get('/api/projetistas/:nome', requireAdmin, async (req, res) => {
+app.get('/api/projetistas/:nome', requireCapacidade('gerenciar_projetistas'), async (req, res) => {
   try {
     const nomeEncoded = req.params.nome;
     const nomeDecoded = decodeURIComponent(nomeEncoded).trim();
@@ -5597,9 +9420,10 @@ app.get('/api/projetistas/:nome', requireAdmin, async (req, res) => {
     // Buscar projetista no Supabase
     if (supabase && isSupabaseAvailable()) {
       try {
+        // Senha não é retornada (armazenada apenas como hash)
         const { data, error } = await supabase
           .from('projetistas')
-          .select('nome, senha, tipo')
+          .select('nome, tipo')
           .ilike('nome', nomeDecoded)
           .limit(1);
         
@@ -5612,8 +9436,7 @@ app.get('/api/projetistas/:nome', requireAdmin, async (req, res) => {
             success: true, 
             projetista: {
               nome: data[0].nome || '',
-              senha: data[0].senha || '',
-              tipo: data[0].tipo || 'user'
+              tipo: normalizarPapel(data[0].tipo)
             }
           });
         }
@@ -5632,11 +9455,10 @@ app.get('/api/projetistas/:nome', requireAdmin, async (req, res) => {
     
     if (projetista) {
       const dadosProjetista = typeof projetista === 'string' 
-        ? { nome: projetista, senha: '', tipo: 'user' }
+        ? { nome: projetista, tipo: PAPEL_PADRAO }
         : { 
             nome: projetista.nome || '', 
-            senha: projetista.senha || '', 
-            tipo: projetista.tipo || 'user' 
+            tipo: normalizarPapel(projetista.tipo) 
           };
       
       return res.json({ success: true, projetista: dadosProjetista });
@@ -5654,8 +9476,12 @@ app.get('/api/projetistas/:nome', requireAdmin, async (req, res) => {
 // Função para processar Excel em STREAMING REAL usando exceljs (para arquivos grandes)
 // Esta função usa streaming reader que processa linha por linha SEM carregar arquivo na memória
 // Função para normalizar chaves (extraída para uso compartilhado)
+// Mapeamentos cadastrados nas Configurações (mapeamentoColunasBase) têm prioridade sobre o fixo
 function normalizeKey(key) {
   const lower = String(key || '').toLowerCase().trim();
+  if (mapeamentoColunasBase.has(lower)) {
+    return mapeamentoColunasBase.get(lower);
+  }
   const mapping = {
     'cid_rede': 'cid_rede', 'cid rede': 'cid_rede', 'estado': 'estado', 'pop': 'pop',
     'olt': 'olt', 'slot': 'slot', 'pon': 'pon', 'id_cto': 'id_cto', 'id cto': 'id_cto', 'cto': 'cto',
@@ -5890,6 +9716,51 @@ async function loadExistingCTOs(supabaseClient, progressCallback = null) {
   }
 }
 
+// ============================================
+// UPLOAD TRANSACIONAL DA BASE (staging + snapshots)
+// ============================================
+// Funções SQL em backend/sql/create_base_snapshots.sql
+
+const BASE_SNAPSHOTS_MANTER = 5; // Snapshots guardados para rollback (incluindo o que está em uso)
+
+/**
+ * Copia ctos para ctos_staging, onde o upload aplica as alterações
+ * @returns {Promise<string>} - Tabela onde aplicar as alterações ('ctos_staging', ou 'ctos' se as funções SQL não existirem)
+ */
+async function prepararStagingBase() {
+  const { data, error } = await supabase.rpc('base_preparar_staging');
+  if (error) {
+    console.warn(`⚠️ [Upload] Upload transacional indisponível (${error.message}). Execute backend/sql/create_base_snapshots.sql. Aplicando alterações direto em ctos...`);
+    return 'ctos';
+  }
+  console.log(`✅ [Upload] ctos_staging preparada com ${data} CTO(s)`);
+  return 'ctos_staging';
+}
+
+/**
+ * Publica ctos_staging como a nova base (troca atômica) e guarda o snapshot
+ * @returns {Promise<number>} - Id do snapshot publicado
+ */
+async function publicarStagingBase(arquivo, usuario) {
+  const { data, error } = await supabase.rpc('base_publicar_staging', {
+    p_arquivo: arquivo,
+    p_criado_por: usuario,
+    p_manter: BASE_SNAPSHOTS_MANTER
+  });
+  if (error) {
+    throw new Error(`Erro ao publicar a nova base: ${error.message}`);
+  }
+  console.log(`✅ [Upload] Nova base publicada (snapshot #${data})`);
+  return data;
+}
+
+async function descartarStagingBase() {
+  const { error } = await supabase.rpc('base_descartar_staging');
+  if (error) {
+    console.warn(`⚠️ [Upload] Erro ao descartar ctos_staging (não crítico): ${error.message}`);
+  }
+}
+
 /**
  * Deleta CTOs que saíram da base (Cenário 1)
  * CTOs que existem no Supabase mas não existem no Excel novo devem ser deletadas
@@ -5897,10 +9768,11 @@ async function loadExistingCTOs(supabaseClient, progressCallback = null) {
  * @param {Object} supabaseClient - Cliente Supabase
  * @param {string[]} idsToDelete - Array de id_cto para deletar
  * @param {Function} progressCallback - Callback opcional para atualizar progresso (recebe { deleted, total, percent })
+ * @param {string} tabela - Tabela de destino ('ctos' ou 'ctos_staging' no upload transacional)
  * @returns {Promise<Object>} - { deleted: number } - Quantidade de CTOs deletadas
  * @throws {Error} - Se houver erro ao deletar
  */
-async function deleteCTOsInBatches(supabaseClient, idsToDelete, progressCallback = null) {
+async function deleteCTOsInBatches(supabaseClient, idsToDelete, progressCallback = null, tabela = 'ctos') {
   if (!idsToDelete || idsToDelete.length === 0) {
     console.log('ℹ️ [Upload] Nenhuma CTO para deletar (Cenário 1)');
     return { deleted: 0 };
@@ -5921,7 +9793,7 @@ async function deleteCTOsInBatches(supabaseClient, idsToDelete, progressCallback
       
       // Deletar lote usando .in() para deletar múltiplos IDs de uma vez
       const { error, count } = await supabaseClient
-        .from('ctos')
+        .from(tabela)
         .delete()
         .in('id_cto', batch)
         .select('id_cto', { count: 'exact', head: true });
@@ -5980,10 +9852,11 @@ async function deleteCTOsInBatches(supabaseClient, idsToDelete, progressCallback
  * @param {Object} supabaseClient - Cliente Supabase
  * @param {Object[]} ctosToUpdate - Array de objetos CTO para atualizar (deve incluir chave_unica)
  * @param {Function} progressCallback - Callback opcional para atualizar progresso (recebe { updated, total, percent })
+ * @param {string} tabela - Tabela de destino ('ctos' ou 'ctos_staging' no upload transacional)
  * @returns {Promise<Object>} - { updated: number, errors: number } - Quantidade de CTOs atualizadas e erros
  * @throws {Error} - Se houver erro ao atualizar
  */
-async function updateCTOsInBatches(supabaseClient, ctosToUpdate, progressCallback = null) {
+async function updateCTOsInBatches(supabaseClient, ctosToUpdate, progressCallback = null, tabela = 'ctos') {
   if (!ctosToUpdate || ctosToUpdate.length === 0) {
     console.log('ℹ️ [Upload] Nenhuma CTO para atualizar (Cenário 3)');
     return { updated: 0 };
@@ -6041,7 +9914,7 @@ async function updateCTOsInBatches(supabaseClient, ctosToUpdate, progressCallbac
           
           // Atualizar CTO individual
           const { error } = await supabaseClient
-            .from('ctos')
+            .from(tabela)
             .update(updateData)
             .eq('id_cto', cto.id_cto);
           
@@ -6110,10 +9983,11 @@ async function updateCTOsInBatches(supabaseClient, ctosToUpdate, progressCallbac
  * @param {Object} supabaseClient - Cliente Supabase
  * @param {Object[]} ctosToInsert - Array de objetos CTO para inserir (deve incluir chave_unica)
  * @param {Function} progressCallback - Callback opcional para atualizar progresso (recebe { inserted, total, percent })
+ * @param {string} tabela - Tabela de destino ('ctos' ou 'ctos_staging' no upload transacional)
  * @returns {Promise<Object>} - { inserted: number } - Quantidade de CTOs inseridas
  * @throws {Error} - Se houver erro ao inserir
  */
-async function insertCTOsInBatches(supabaseClient, ctosToInsert, progressCallback = null) {
+async function insertCTOsInBatches(supabaseClient, ctosToInsert, progressCallback = null, tabela = 'ctos') {
   if (!ctosToInsert || ctosToInsert.length === 0) {
     console.log('ℹ️ [Upload] Nenhuma CTO nova para inserir (Cenário 2)');
     return { inserted: 0 };
@@ -6143,7 +10017,7 @@ async function insertCTOsInBatches(supabaseClient, ctosToInsert, progressCallbac
       
       // Inserir lote no Supabase
       const { error, data } = await supabaseClient
-        .from('ctos')
+        .from(tabela)
         .insert(batchWithChave)
         .select('id_cto');
       
@@ -6346,6 +10220,7 @@ async function processExcelStreaming(filePath, supabaseClient, existingCTOsMap =
   let invalidCoords = 0; // CTOs com coordenadas inválidas
   let invalidProcessing = 0; // CTOs com erro ao processar
   let invalidSamples = []; // Amostras de CTOs inválidas (máximo 10)
+  const linhasIgnoradas = []; // Linhas ignoradas para o relatório de qualidade (máximo LINHAS_IGNORADAS_MAX)
   
   // Função auxiliar para converter data
   const parseDate = (value) => {
@@ -6502,9 +10377,8 @@ async function processExcelStreaming(filePath, supabaseClient, existingCTOsMap =
         totalRows++;
         processedRows++;
         
+        const rowData = {}; // Fora do try: o catch usa id_cto/cto da linha
         try {
-          const rowData = {};
-          
           // Ler apenas células com valores
           row.eachCell((cell, colNumber) => {
             if (headers[colNumber] && cell.value !== null && cell.value !== undefined) {
@@ -6575,6 +10449,14 @@ async function processExcelStreaming(filePath, supabaseClient, existingCTOsMap =
             totalInvalid++;
             invalidCoords++;
             
+            const detalhes = !cto.latitude || !cto.longitude 
+              ? 'Latitude ou longitude ausente'
+              : isNaN(cto.latitude) || isNaN(cto.longitude)
+              ? 'Latitude ou longitude não é número'
+              : cto.latitude < -90 || cto.latitude > 90
+              ? `Latitude fora do range válido: ${cto.latitude}`
+              : `Longitude fora do range válido: ${cto.longitude}`;
+            
             // Guardar amostra para log (máximo 10)
             if (invalidSamples.length < 10) {
               invalidSamples.push({
@@ -6583,13 +10465,19 @@ async function processExcelStreaming(filePath, supabaseClient, existingCTOsMap =
                 motivo: 'Coordenadas inválidas',
                 latitude: cto.latitude,
                 longitude: cto.longitude,
-                detalhes: !cto.latitude || !cto.longitude 
-                  ? 'Latitude ou longitude ausente'
-                  : isNaN(cto.latitude) || isNaN(cto.longitude)
-                  ? 'Latitude ou longitude não é número'
-                  : cto.latitude < -90 || cto.latitude > 90
-                  ? `Latitude fora do range válido: ${cto.latitude}`
-                  : `Longitude fora do range válido: ${cto.longitude}`
+                detalhes
+              });
+            }
+            if (linhasIgnoradas.length < LINHAS_IGNORADAS_MAX) {
+              linhasIgnoradas.push({
+                linha: row.number,
+                id_cto: cto.id_cto,
+                cto: cto.cto,
+                cid_rede: cto.cid_rede,
+                pop: cto.pop,
+                latitude: rowData.latitude,
+                longitude: rowData.longitude,
+                detalhe: `Coordenadas inválidas: ${detalhes}`
               });
             }
           }
@@ -6607,6 +10495,16 @@ async function processExcelStreaming(filePath, supabaseClient, existingCTOsMap =
               erro: rowErr.message || String(rowErr)
             });
           }
+          if (linhasIgnoradas.length < LINHAS_IGNORADAS_MAX) {
+            linhasIgnoradas.push({
+              linha: row.number,
+              id_cto: rowData?.id_cto,
+              cto: rowData?.cto,
+              cid_rede: rowData?.cid_rede,
+              pop: rowData?.pop,
+              detalhe: `Erro ao processar linha: ${rowErr.message || String(rowErr)}`
+            });
+          }
         }
         
         // Atualizar progresso a cada 5000 linhas processadas (menos frequente = menos overhead)
@@ -6692,7 +10590,9 @@ async function processExcelStreaming(filePath, supabaseClient, existingCTOsMap =
         ctosToInsert,    // NOVO: Lista de CTOs novas
         ctosToUpdate,    // NOVO: Lista de CTOs atualizadas
         idsInExcel,      // NOVO: Set de IDs no Excel (para identificar deletadas)
-        ctosUnchanged    // NOVO: Quantidade de CTOs não alteradas
+        ctosUnchanged,   // NOVO: Quantidade de CTOs não alteradas
+        invalidSamples,  // Amostra de CTOs inválidas (prévia do upload)
+        linhasIgnoradas  // Linhas ignoradas (relatório de qualidade)
       };
     } else {
       // Modo legado: comportamento original
@@ -6756,9 +10656,10 @@ function validateExcelStructure(filePathOrBuffer) {
       return { valid: false, error: 'Arquivo não encontrado' };
     }
     
-    // Verificar extensão do arquivo (se for caminho)
-    if (isFilePath && !filePathOrBuffer.match(/\.(xlsx|xls)$/i)) {
-      return { valid: false, error: 'Arquivo deve ter extensão .xlsx ou .xls' };
+    // Verificar extensão do arquivo (se for caminho); outros formatos são convertidos para .xlsx antes
+    if (isFilePath && !formatoAceito(filePathOrBuffer)) {
+      const extensoes = formatosBase().flatMap(formato => formato.extensoes).join(', ');
+      return { valid: false, error: `Arquivo deve ter uma das extensões: ${extensoes}` };
     }
     
     // Para arquivos grandes, apenas verificar se é um Excel válido usando exceljs (mais eficiente)
@@ -6777,6 +10678,140 @@ function validateExcelStructure(filePathOrBuffer) {
   }
 }
 
+// ============================================
+// PRÉVIA DO UPLOAD DA BASE (dry-run)
+// ============================================
+// POST /api/upload-base com dry_run=true valida as colunas e compara o arquivo com a base
+// (chave_unica) como no upload normal, mas sem gravar nada. O resultado fica em
+// uploadProgress.preview (GET /api/upload-progress, stage 'preview') para o admin
+// conferir antes de enviar o arquivo de novo sem dry_run.
+
+const PREVIA_UPLOAD_AMOSTRAS = 20; // Amostras por tipo de alteração
+const PREVIA_UPLOAD_SUSPEITAS_MAX = 100; // Alterações suspeitas listadas
+const PREVIA_UPLOAD_DISTANCIA_SUSPEITA_METROS = 100; // CTO que mudou de lugar mais que isso
+
+function resumoCTOPrevia(cto) {
+  return {
+    id_cto: cto.id_cto != null ? String(cto.id_cto) : '',
+    cto: cto.cto || '',
+    cid_rede: cto.cid_rede || '',
+    pop: cto.pop || '',
+    status_cto: cto.status_cto || '',
+    latitude: cto.latitude != null ? parseFloat(cto.latitude) : null,
+    longitude: cto.longitude != null ? parseFloat(cto.longitude) : null,
+    portas: cto.portas != null ? parseInt(cto.portas, 10) : null,
+    ocupado: cto.ocupado != null ? parseInt(cto.ocupado, 10) : null
+  };
+}
+
+// Gerar a prévia das alterações de um arquivo de base (não grava nada no Supabase)
+async function gerarPreviaUploadBase(filePath, fileName) {
+  if (!supabase || !isSupabaseAvailable()) {
+    throw new Error('A prévia compara o arquivo com a base no Supabase, que não está disponível');
+  }
+
+  uploadProgress.message = 'Carregando CTOs existentes para comparação...';
+  const existingCTOsMap = await loadExistingCTOs(supabase, (progress) => {
+    uploadProgress.message = `Carregando CTOs existentes... ${progress.loaded} CTO(s)`;
+  });
+
+  uploadProgress.stage = 'processing';
+  const result = await processExcelStreaming(filePath, supabase, existingCTOsMap, (progress) => {
+    uploadProgress.processedRows = progress.processedRows;
+    uploadProgress.totalRows = progress.totalRows;
+    uploadProgress.message = progress.message || `Analisando arquivo... ${progress.processedRows}/${progress.totalRows} linhas`;
+  });
+
+  const idsToDelete = [];
+  for (const idCto of existingCTOsMap.keys()) {
+    if (!result.idsInExcel.has(idCto)) {
+      idsToDelete.push(idCto);
+    }
+  }
+
+  // Estado atual das CTOs atualizadas e removidas (para comparar posição, portas e clientes)
+  uploadProgress.message = 'Comparando CTOs alteradas com a base atual...';
+  const idsAntigos = [...idsToDelete, ...result.ctosToUpdate.map(cto => String(cto.id_cto))];
+  const antigas = new Map();
+  for (let i = 0; i < idsAntigos.length; i += 500) {
+    const { data, error } = await supabase
+      .from('ctos')
+      .select('id_cto, cto, cid_rede, pop, status_cto, latitude, longitude, portas, ocupado')
+      .in('id_cto', idsAntigos.slice(i, i + 500));
+
+    if (error) {
+      throw new Error(`Erro ao ler CTOs atuais: ${error.message}`);
+    }
+    for (const row of data || []) {
+      antigas.set(String(row.id_cto), row);
+    }
+  }
+
+  const suspeitas = [];
+  const contagemSuspeitas = { movidas: 0, perderam_portas: 0, removidas_com_clientes: 0 };
+  const registrarSuspeita = (tipo, cto, detalhe) => {
+    contagemSuspeitas[tipo]++;
+    if (suspeitas.length < PREVIA_UPLOAD_SUSPEITAS_MAX) {
+      suspeitas.push({ tipo, id_cto: String(cto.id_cto), cto: cto.cto || '', detalhe });
+    }
+  };
+
+  const amostraAtualizadas = [];
+  for (const cto of result.ctosToUpdate) {
+    const antiga = antigas.get(String(cto.id_cto));
+    if (!antiga) continue;
+
+    const antes = resumoCTOPrevia(antiga);
+    const depois = resumoCTOPrevia(cto);
+
+    if (antes.latitude !== null && antes.longitude !== null && !isNaN(antes.latitude) && !isNaN(antes.longitude)) {
+      const distancia = turf.distance([antes.longitude, antes.latitude], [depois.longitude, depois.latitude], { units: 'meters' });
+      if (distancia > PREVIA_UPLOAD_DISTANCIA_SUSPEITA_METROS) {
+        registrarSuspeita('movidas', cto, `Mudou ${Math.round(distancia)} m de posição`);
+      }
+    }
+    if (antes.portas !== null && (depois.portas ?? 0) < antes.portas) {
+      registrarSuspeita('perderam_portas', cto, `Portas: ${antes.portas} → ${depois.portas ?? 0}${antes.ocupado ? ` (${antes.ocupado} ocupada(s))` : ''}`);
+    }
+
+    if (amostraAtualizadas.length < PREVIA_UPLOAD_AMOSTRAS) {
+      amostraAtualizadas.push({ antes, depois });
+    }
+  }
+
+  for (const idCto of idsToDelete) {
+    const antiga = antigas.get(idCto);
+    if (antiga && parseInt(antiga.ocupado, 10) > 0) {
+      registrarSuspeita('removidas_com_clientes', antiga, `Removida com ${parseInt(antiga.ocupado, 10)} cliente(s)`);
+    }
+  }
+
+  return {
+    arquivo: fileName,
+    gerada_em: new Date().toISOString(),
+    linhas: result.totalRows,
+    linhas_validas: result.validRows,
+    linhas_invalidas: result.invalidRows,
+    amostra_invalidas: result.invalidSamples || [],
+    base_atual: existingCTOsMap.size,
+    inseridas: result.ctosToInsert.length,
+    atualizadas: result.ctosToUpdate.length,
+    removidas: idsToDelete.length,
+    inalteradas: result.ctosUnchanged,
+    amostras: {
+      inseridas: result.ctosToInsert.slice(0, PREVIA_UPLOAD_AMOSTRAS).map(resumoCTOPrevia),
+      atualizadas: amostraAtualizadas,
+      removidas: idsToDelete.slice(0, PREVIA_UPLOAD_AMOSTRAS).map(idCto => resumoCTOPrevia(antigas.get(idCto) || { id_cto: idCto }))
+    },
+    suspeitas: {
+      ...contagemSuspeitas,
+      total: contagemSuspeitas.movidas + contagemSuspeitas.perderam_portas + contagemSuspeitas.removidas_com_clientes,
+      distancia_limite_metros: PREVIA_UPLOAD_DISTANCIA_SUSPEITA_METROS,
+      lista: suspeitas
+    }
+  };
+}
+
 // Rota GET para /api/upload-base (retorna erro informativo)
 app.get('/api/upload-base', (req, res) => {
   console.log('⚠️ [Upload] Requisição GET recebida em /api/upload-base (deveria ser POST)');
@@ -6796,7 +10831,8 @@ app.get('/api/upload-base', (req, res) => {
 });
 
 // Rota para upload e atualização da base de dados
-app.post('/api/upload-base', (req, res, next) => {
+// ?dry_run=true: só gera a prévia das alterações, sem gravar (o multer não aceita campos além do arquivo)
+app.post('/api/upload-base', requireCapacidade('upload_base'), (req, res, next) => {
   console.log('📥 [Upload] Requisição POST recebida para upload de base de dados');
   console.log('📥 [Upload] Método:', req.method);
   console.log('📥 [Upload] Origin:', req.headers.origin);
@@ -6871,14 +10907,14 @@ app.post('/api/upload-base', (req, res, next) => {
       });
     }
 
-    // Verificar se é um arquivo Excel
+    // Verificar se é um arquivo Excel ou de um formato com leitor (CSV, GeoJSON, KML, Shapefile)
     const allowedMimes = [
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'application/vnd.ms-excel',
       'application/octet-stream'
     ];
     
-    if (!allowedMimes.includes(req.file.mimetype) && !req.file.originalname.match(/\.(xlsx|xls)$/i)) {
+    if (!allowedMimes.includes(req.file.mimetype) && !formatoAceito(req.file.originalname)) {
       // Garantir headers CORS
       if (origin) {
         res.setHeader('Access-Control-Allow-Origin', origin);
@@ -6889,14 +10925,23 @@ app.post('/api/upload-base', (req, res, next) => {
       
       return res.status(400).json({
         success: false,
-        error: 'Formato de arquivo inválido. Apenas arquivos Excel (.xlsx ou .xls) são aceitos.'
+        error: `Formato de arquivo inválido. Formatos aceitos: ${formatosBase().flatMap(formato => formato.extensoes).join(', ')}`
       });
     }
 
     // Obter informações do arquivo
-    const tempFilePath = req.file.path;
+    let tempFilePath = req.file.path; // Substituído pelo .xlsx convertido quando o arquivo não é Excel
     const fileSize = req.file.size;
     const fileName = req.file.originalname;
+    const dryRun = req.query.dry_run === 'true';
+    
+    // Auditoria do upload em todos os caminhos (Supabase, fallback Excel ou falha), com o resultado
+    const auditarUpload = (resultado, detalhes = {}, antes = null) => registrarAuditoria(req, 'base.upload', fileName, antes, {
+      arquivo: fileName,
+      tamanho: fileSize,
+      resultado,
+      ...detalhes
+    });
     
     console.log(`📤 Arquivo recebido: ${fileName} (${fileSize} bytes)`);
     console.log(`📋 Tipo MIME: ${req.file.mimetype}`);
@@ -6936,14 +10981,55 @@ app.post('/api/upload-base', (req, res, next) => {
     // Processar validação e processamento em background
     res.json({
       success: true,
-      message: `Upload recebido! Validando e processando arquivo em background...`,
+      message: dryRun
+        ? 'Upload recebido! Gerando prévia das alterações em background...'
+        : `Upload recebido! Validando e processando arquivo em background...`,
       processing: true,
+      dryRun,
       fileSize: fileSize,
       fileName: fileName
     });
     
     console.log(`💾 [Upload] Arquivo salvo temporariamente em: ${tempFilePath} (${fileSize} bytes)`);
     
+    // Mapeamentos de colunas cadastrados nas Configurações (usados pelo normalizeKey)
+    await readMapeamentosColunas();
+    
+    // Outros formatos: converter para .xlsx e seguir o mesmo fluxo do Excel
+    const leitor = leitorDoArquivo(fileName);
+    if (leitor) {
+      uploadProgress.message = `Convertendo arquivo ${leitor.descricao}...`;
+      const arquivoConvertido = `${tempFilePath}.xlsx`;
+      try {
+        const conversao = await converterParaExcel(tempFilePath, arquivoConvertido);
+        console.log(`✅ [Upload] ${fileName} convertido de ${conversao.formato}: ${conversao.linhas} linha(s), colunas ${conversao.cabecalhos.join(', ')}`);
+      } catch (conversaoErr) {
+        console.error(`❌ [Upload] Erro ao converter ${fileName}:`, conversaoErr);
+        for (const arquivo of [tempFilePath, arquivoConvertido]) {
+          try {
+            await fsPromises.unlink(arquivo);
+          } catch (unlinkErr) {
+            // Arquivo convertido pode não existir
+          }
+        }
+        uploadProgress.stage = 'error';
+        uploadProgress.message = `Erro ao ler arquivo ${leitor.descricao}: ${conversaoErr.message}`;
+        uploadProgress.uploadPercent = 0;
+        if (!dryRun) {
+          await auditarUpload('erro', { erro: uploadProgress.message });
+        }
+        uploadInProgress = false;
+        if (resolveUpload) resolveUpload();
+        return; // Já respondemos, então apenas retornar
+      }
+      try {
+        await fsPromises.unlink(tempFilePath);
+      } catch (unlinkErr) {
+        console.warn('⚠️ [Upload] Erro ao remover arquivo original após conversão:', unlinkErr.message);
+      }
+      tempFilePath = arquivoConvertido;
+    }
+    
     // Validar colunas do arquivo ANTES de processar (0% a 5%)
     console.log('🔍 [Upload] Validando colunas do arquivo...');
     uploadProgress.message = 'Validando colunas do arquivo...';
@@ -6974,6 +11060,9 @@ app.post('/api/upload-base', (req, res, next) => {
       uploadProgress.stage = 'error';
       uploadProgress.message = validationResult.error || 'Erro ao validar colunas do arquivo';
       uploadProgress.uploadPercent = 0;
+      if (!dryRun) {
+        await auditarUpload('rejeitado', { erro: uploadProgress.message });
+      }
       uploadInProgress = false;
       if (resolveUpload) resolveUpload();
       
@@ -6984,8 +11073,40 @@ app.post('/api/upload-base', (req, res, next) => {
     uploadProgress.uploadPercent = 5; // Validação completa (5%)
     uploadProgress.message = 'Validação concluída. Carregando CTOs existentes...';
     
+    // Prévia (dry-run): comparar com a base sem gravar e descartar o arquivo
+    if (dryRun) {
+      (async () => {
+        try {
+          console.log(`🔍 [Upload] Gerando prévia das alterações de ${fileName} (dry-run)...`);
+          const preview = await gerarPreviaUploadBase(tempFilePath, fileName);
+          uploadProgress.preview = preview;
+          uploadProgress.stage = 'preview';
+          uploadProgress.uploadPercent = 100;
+          uploadProgress.message = 'Prévia pronta. Confirme para aplicar a nova base.';
+          console.log(`✅ [Upload] Prévia: ${preview.inseridas} nova(s), ${preview.atualizadas} atualizada(s), ${preview.removidas} removida(s), ${preview.suspeitas.total} alteração(ões) suspeita(s)`);
+        } catch (err) {
+          console.error('❌ [Upload] Erro ao gerar prévia do upload:', err);
+          uploadProgress.stage = 'error';
+          uploadProgress.message = `Erro ao gerar prévia: ${err.message}`;
+        } finally {
+          try {
+            await fsPromises.unlink(tempFilePath);
+          } catch (unlinkErr) {
+            console.warn('⚠️ [Upload] Erro ao remover arquivo temporário da prévia:', unlinkErr.message);
+          }
+          uploadInProgress = false;
+          if (resolveUpload) resolveUpload();
+          uploadPromise = null;
+        }
+      })();
+      return;
+    }
+    
     (async () => {
       let tempFileDeleted = false;
+      // Preenchidos pela importação no Supabase; a auditoria é gravada uma vez, no fim ou no erro
+      let auditoriaAntes = null;
+      const auditoriaDetalhes = { destino: 'excel' };
       try {
         console.log('🔍 [Background] Iniciando processamento do arquivo...');
         console.log('ℹ️ [Background] Validação será feita durante processamento em chunks (economiza memória)');
@@ -6996,6 +11117,8 @@ app.post('/api/upload-base', (req, res, next) => {
     
         // Tentar importar para Supabase ANTES de salvar arquivo Excel
         let supabaseImported = false;
+        let tabelaDestino = 'ctos'; // 'ctos_staging' enquanto o upload transacional não for publicado
+        let snapshotId = null;
         let importedRows = 0;
         let totalRows = 0;
         if (supabase && isSupabaseAvailable()) {
@@ -7076,6 +11199,16 @@ app.post('/api/upload-base', (req, res, next) => {
             // POLÍGONOS NÃO SÃO TRATADOS AQUI
             // Polígonos são tratados apenas no botão "Criar Nova Mancha de Cobertura"
             // O usuário deve recalcular os polígonos manualmente após atualizar a base
+            // As alterações ficam registradas para o recálculo incremental (antes de aplicar, para ler a posição antiga)
+            await registrarAlteracoesCobertura(idsToDelete, result.ctosToUpdate, result.ctosToInsert);
+            
+            // Upload transacional: os 3 cenários são aplicados em ctos_staging e publicados de uma vez no final
+            // Sem as funções de create_base_snapshots.sql, aplicar direto em ctos (comportamento antigo)
+            const temAlteracoes = idsToDelete.length > 0 || result.ctosToInsert.length > 0 || result.ctosToUpdate.length > 0;
+            if (temAlteracoes) {
+              uploadProgress.message = 'Preparando cópia da base para aplicar as alterações...';
+              tabelaDestino = await prepararStagingBase();
+            }
             
             // NOVO: Executar os 3 cenários
             let deleteResult = { deleted: 0 };
@@ -7099,7 +11232,7 @@ app.post('/api/upload-base', (req, res, next) => {
                 uploadProgress.message = `Deletando ${idsToDelete.length} CTO(s) que saíram da base...`;
               };
               
-              deleteResult = await deleteCTOsInBatches(supabase, idsToDelete, deleteProgressCallback);
+              deleteResult = await deleteCTOsInBatches(supabase, idsToDelete, deleteProgressCallback, tabelaDestino);
               uploadProgress.uploadPercent = 85; // Fim do estágio de deleção
               uploadProgress.processedRows = idsToDelete.length; // Garantir que está completo
             }
@@ -7121,7 +11254,7 @@ app.post('/api/upload-base', (req, res, next) => {
                 uploadProgress.message = `Inserindo ${result.ctosToInsert.length} CTO(s) nova(s)...`;
               };
               
-              insertResult = await insertCTOsInBatches(supabase, result.ctosToInsert, insertProgressCallback);
+              insertResult = await insertCTOsInBatches(supabase, result.ctosToInsert, insertProgressCallback, tabelaDestino);
               uploadProgress.uploadPercent = 90; // Fim do estágio de inserção
               uploadProgress.processedRows = result.ctosToInsert.length; // Garantir que está completo
             }
@@ -7143,11 +11276,32 @@ app.post('/api/upload-base', (req, res, next) => {
                 uploadProgress.message = `Atualizando ${result.ctosToUpdate.length} CTO(s) que mudaram...`;
               };
               
-              updateResult = await updateCTOsInBatches(supabase, result.ctosToUpdate, updateProgressCallback);
+              updateResult = await updateCTOsInBatches(supabase, result.ctosToUpdate, updateProgressCallback, tabelaDestino);
               uploadProgress.uploadPercent = 95; // Fim do estágio de atualização
               uploadProgress.processedRows = result.ctosToUpdate.length; // Garantir que está completo
             }
             
+            // Publicar a base montada em ctos_staging (troca atômica + snapshot)
+            if (tabelaDestino === 'ctos_staging') {
+              // Nunca publicar uma cópia incompleta: lotes que falharam abortam e descartam ctos_staging
+              const falhas = [];
+              if (deleteResult.deleted < idsToDelete.length) {
+                falhas.push(`${idsToDelete.length - deleteResult.deleted} CTO(s) não puderam ser removidas`);
+              }
+              if (insertResult.inserted < result.ctosToInsert.length) {
+                falhas.push(`${result.ctosToInsert.length - insertResult.inserted} CTO(s) não puderam ser inseridas`);
+              }
+              if (updateResult.errors > 0) {
+                falhas.push(`${updateResult.errors} CTO(s) não puderam ser atualizadas`);
+              }
+              if (falhas.length > 0) {
+                throw new Error(falhas.join('; '));
+              }
+              uploadProgress.message = 'Publicando a nova base...';
+              snapshotId = await publicarStagingBase(fileName, req.usuario || 'Sistema');
+              tabelaDestino = null;
+            }
+            
             // Calcular total processado
             importedRows = deleteResult.deleted + insertResult.inserted + updateResult.updated;
             
@@ -7163,14 +11317,28 @@ app.post('/api/upload-base', (req, res, next) => {
             console.log(`📊 [Background] Total de operações: ${importedRows} (${insertResult.inserted} inserções + ${updateResult.updated} atualizações + ${deleteResult.deleted} deleções)`);
             console.log('📊 [Background] ===========================================');
             
-            // Atualizar progresso final do upload
-            uploadProgress.stage = 'completed';
-            uploadProgress.uploadPercent = 100;
-            uploadProgress.processedRows = totalRows;
-            uploadProgress.totalRows = totalRows;
-            uploadProgress.importedRows = importedRows;
-            uploadProgress.totalCTOs = importedRows;
-            uploadProgress.message = 'Base de dados atualizada com sucesso!';
+            // Foto da ocupação das CTOs para o histórico (GET /api/ctos/:id/history)
+            uploadProgress.message = 'Registrando histórico de ocupação...';
+            await registrarHistoricoOcupacao(snapshotId);
+            
+            // Relatório de qualidade da nova base (inclui as linhas ignoradas do arquivo)
+            uploadProgress.message = 'Verificando a qualidade dos dados...';
+            try {
+              await gerarRelatorioQualidadeBase(result.linhasIgnoradas, fileName);
+            } catch (qualidadeErr) {
+              relatorioQualidadeBase = null;
+              console.warn('⚠️ [Background] Erro ao gerar relatório de qualidade (não crítico):', qualidadeErr.message);
+            }
+            
+            auditoriaAntes = { totalCTOs: existingCTOsMap.size };
+            Object.assign(auditoriaDetalhes, {
+              destino: 'supabase',
+              linhas: totalRows,
+              linhasValidas: result.validRows,
+              inseridas: insertResult.inserted,
+              atualizadas: updateResult.updated,
+              removidas: deleteResult.deleted
+            });
             
             // Registrar no histórico de uploads
             if (importedRows > 0 || idsToDelete.length > 0 || result.ctosToUpdate.length > 0) {
@@ -7184,7 +11352,8 @@ app.post('/api/upload-base', (req, res, next) => {
                     file_size: fileSize,
                     total_rows: totalRows,
                     valid_rows: result.validRows,
-                    uploaded_by: req.body?.usuario || req.user?.nome || 'Sistema'
+                    uploaded_by: req.usuario || 'Sistema',
+                    ...(snapshotId ? { snapshot_id: snapshotId } : {})
                   }]);
                 
                 if (historyError) {
@@ -7203,6 +11372,19 @@ app.post('/api/upload-base', (req, res, next) => {
               console.warn('⚠️ [Background] Nenhuma mudança detectada na base de dados');
               console.warn(`⚠️ [Background] Total de linhas: ${totalRows}, Válidas: ${result.validRows}, Inválidas: ${result.invalidRows}`);
             }
+            
+            // A versão dos tiles da base vem de upload_history: invalidar só depois do registro
+            // (e antes de avisar o frontend, que recarrega os tiles ao concluir)
+            invalidarCacheTiles('base');
+            
+            // Atualizar progresso final do upload
+            uploadProgress.stage = 'completed';
+            uploadProgress.uploadPercent = 100;
+            uploadProgress.processedRows = totalRows;
+            uploadProgress.totalRows = totalRows;
+            uploadProgress.importedRows = importedRows;
+            uploadProgress.totalCTOs = importedRows;
+            uploadProgress.message = 'Base de dados atualizada com sucesso!';
           } catch (supabaseErr) {
             console.error('❌ [Background] ===== ERRO NA IMPORTAÇÃO SUPABASE =====');
             console.error('❌ [Background] Erro ao importar para Supabase:', supabaseErr.message);
@@ -7214,6 +11396,16 @@ app.post('/api/upload-base', (req, res, next) => {
             if (supabaseErr.hint) {
               console.error('❌ [Background] Dica:', supabaseErr.hint);
             }
+            
+            // Falha no upload transacional: ctos não foi alterada, descartar a cópia e manter a base anterior
+            if (tabelaDestino === 'ctos_staging') {
+              await descartarStagingBase();
+              uploadProgress.stage = 'error';
+              uploadProgress.message = `Erro ao atualizar a base: ${supabaseErr.message}. Nenhuma alteração foi aplicada, a base anterior foi mantida.`;
+              throw supabaseErr;
+            }
+            
+            auditoriaDetalhes.erroSupabase = supabaseErr.message;
             console.error('❌ [Background] Continuando com salvamento Excel (fallback)...');
             // Continuar com salvamento Excel (não quebrar o fluxo)
           }
@@ -7352,9 +11544,11 @@ app.post('/api/upload-base', (req, res, next) => {
           console.log(`⚠️ [Background] Importação Supabase não realizada (usando apenas Excel)`);
         }
         console.log(`✅ [Background] Base antiga substituída - sistema agora usa: ${newBaseFileName}`);
+        await auditarUpload('sucesso', auditoriaDetalhes, auditoriaAntes);
       } catch (err) {
         console.error('❌ [Background] Erro ao processar arquivo em background:', err);
         console.error('❌ [Background] Stack:', err.stack);
+        await auditarUpload('erro', { ...auditoriaDetalhes, erro: err.message }, auditoriaAntes);
         
         // Garantir que arquivo temporário seja deletado mesmo em caso de erro
         if (!tempFileDeleted && tempFilePath) {
@@ -7400,7 +11594,7 @@ app.post('/api/upload-base', (req, res, next) => {
 });
 
 // Rota para listar tabulações
-app.get('/api/tabulacoes', async (req, res) => {
+app.get('/api/tabulacoes', requireAuth, async (req, res) => {
   try {
     const tabulacoes = await readTabulacoes();
     res.json({ success: true, tabulacoes });
@@ -7410,7 +11604,7 @@ app.get('/api/tabulacoes', async (req, res) => {
 });
 
 // Rota para adicionar tabulação
-app.post('/api/tabulacoes', async (req, res) => {
+app.post('/api/tabulacoes', requireCapacidade('gerenciar_tabulacoes'), async (req, res) => {
   try {
     const { nome } = req.body;
     
@@ -7478,7 +11672,7 @@ app.post('/api/tabulacoes', async (req, res) => {
 });
 
 // Rota para deletar tabulação
-app.delete('/api/tabulacoes/:nome', async (req, res) => {
+app.delete('/api/tabulacoes/:nome', requireCapacidade('gerenciar_tabulacoes'), async (req, res) => {
   try {
     const nome = decodeURIComponent(req.params.nome);
     
@@ -7513,6 +11707,7 @@ app.delete('/api/tabulacoes/:nome', async (req, res) => {
         }
         
         console.log(`✅ [Supabase] Tabulação '${nomeLimpo}' deletada do Supabase`);
+        await registrarAuditoria(req, 'tabulacao.excluir', existing[0].nome, { nome: existing[0].nome }, null);
         
         // Buscar todas para retornar
         const tabulacoes = await readTabulacoes();
@@ -7538,6 +11733,7 @@ app.delete('/api/tabulacoes/:nome', async (req, res) => {
     
     // Salvar
     await saveTabulacoes(tabulacoes);
+    await registrarAuditoria(req, 'tabulacao.excluir', nomeLimpo, { nome: nomeLimpo }, null);
     
     res.json({ success: true, tabulacoes, message: 'Tabulação deletada com sucesso' });
   } catch (err) {
@@ -7549,7 +11745,13 @@ app.delete('/api/tabulacoes/:nome', async (req, res) => {
 // Rota para logout
 app.post('/api/auth/logout', async (req, res) => {
   try {
-    const { usuario } = req.body;
+    // Revogar token de sessão (se enviado) - o usuário do token tem prioridade sobre o body
+    const sessaoRevogada = revokeSessionToken(extractBearerToken(req));
+    const usuario = sessaoRevogada ? sessaoRevogada.sub : req.body?.usuario;
+    
+    if (sessaoRevogada) {
+      console.log(`🔒 [Auth] Token de sessão revogado para ${sessaoRevogada.sub}`);
+    }
     
     if (usuario && usuario.trim()) {
       const usuarioLimpo = usuario.trim();
@@ -7653,7 +11855,7 @@ app.get('/api/projetistas/entrada-saida', async (req, res) => {
   }
 });
 
-app.get('/api/users/online', async (req, res) => {
+app.get('/api/users/online', requireCapacidade('ver_usuarios_online'), async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -7780,7 +11982,7 @@ app.post('/api/users/heartbeat', (req, res) => {
 });
 
 // Rota para verificar/criar base_VI_ALA.xlsx
-app.get('/api/vi-ala/ensure-base', async (req, res) => {
+app.get('/api/vi-ala/ensure-base', requireAuth, async (req, res) => {
   try {
     await ensureVIALABase();
     res.json({ success: true, message: 'Base VI ALA verificada/criada com sucesso' });
@@ -7791,7 +11993,7 @@ app.get('/api/vi-ala/ensure-base', async (req, res) => {
 });
 
 // Rota de teste para verificar se o servidor está respondendo
-app.get('/api/vi-ala/test', (req, res) => {
+app.get('/api/vi-ala/test', requireAuth, (req, res) => {
   console.log('📥 [API] Teste recebido');
   res.json({ success: true, message: 'Servidor está respondendo', timestamp: new Date().toISOString() });
 });
@@ -7989,7 +12191,7 @@ app.get('/health', (req, res) => {
 });
 
 // Rota para obter próximo VI ALA (busca o mais recente no Supabase e retorna próximo)
-app.get('/api/vi-ala/next', async (req, res) => {
+app.get('/api/vi-ala/next', requireAuth, async (req, res) => {
   const requestStartTime = Date.now();
   
   // Garantir headers CORS
@@ -8040,7 +12242,7 @@ app.get('/api/vi-ala/next', async (req, res) => {
 });
 
 // Rota para salvar registro VI ALA (Supabase primeiro, fallback Excel)
-app.post('/api/vi-ala/save', async (req, res) => {
+app.post('/api/vi-ala/save', requireAuth, async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -8106,7 +12308,7 @@ app.post('/api/vi-ala/save', async (req, res) => {
 });
 
 // Rota para listar VI ALAs (os 10 mais recentes)
-app.get('/api/vi-ala/list', async (req, res) => {
+app.get('/api/vi-ala/list', requireAuth, async (req, res) => {
   try {
     console.log('📥 [API] Requisição recebida para listar VI ALAs');
     
@@ -8216,6 +12418,26 @@ function parseDateFromString(dateStr) {
   }
 }
 
+// Função auxiliar para filtrar registros de VI ALA por período (startDate/endDate no formato YYYY-MM-DD)
+// Com filtro informado, registros sem data válida ficam de fora
+function registroVIALANoPeriodo(row, startDate, endDate) {
+  if (!startDate && !endDate) {
+    return true;
+  }
+  const date = parseDateFromString(row['DATA'] || '');
+  if (!date) {
+    return false;
+  }
+  const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (startDate && dateOnly < new Date(startDate + 'T00:00:00')) {
+    return false;
+  }
+  if (endDate && dateOnly > new Date(endDate + 'T00:00:00')) {
+    return false;
+  }
+  return true;
+}
+
 // Função auxiliar para agrupar por período
 function getPeriodKey(date, period) {
   if (!date) return null;
@@ -8261,7 +12483,7 @@ function getWeekNumber(date) {
 }
 
 // Rota para obter estatísticas por tabulação (gráfico de pizza)
-app.get('/api/vi-ala/stats', async (req, res) => {
+app.get('/api/vi-ala/stats', requireAuth, async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -8329,7 +12551,7 @@ app.get('/api/vi-ala/stats', async (req, res) => {
 });
 
 // Rota para obter timeline de VI ALAs (gráfico de linha)
-app.get('/api/vi-ala/timeline', async (req, res) => {
+app.get('/api/vi-ala/timeline', requireAuth, async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -8523,8 +12745,76 @@ function parsePeriodToDate(periodKey, periodType) {
   }
 }
 
+// Rota para obter o mapa de calor das VI ALAs em grade hexagonal (DashboardCensup e MapaConsulta)
+// Query: tamanho_metros (lado do hexágono), tabulacao (uma ou mais, separadas por vírgula), projetista, startDate, endDate (YYYY-MM-DD)
+app.get('/api/vi-ala/heatmap', requireAuth, async (req, res) => {
+  try {
+    // Garantir headers CORS
+    const origin = req.headers.origin;
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    } else {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    }
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+    const informado = (valor) => valor !== undefined && valor !== '';
+    const tamanhoMetros = informado(req.query.tamanho_metros) ? Number(req.query.tamanho_metros) : HEX_TAMANHO_PADRAO_METROS;
+    if (!Number.isFinite(tamanhoMetros) || tamanhoMetros < HEX_TAMANHO_MIN_METROS || tamanhoMetros > HEX_TAMANHO_MAX_METROS) {
+      return res.status(400).json({ success: false, error: `tamanho_metros deve estar entre ${HEX_TAMANHO_MIN_METROS} e ${HEX_TAMANHO_MAX_METROS}` });
+    }
+    const { startDate, endDate } = req.query;
+    for (const data of [startDate, endDate]) {
+      if (informado(data) && !/^\d{4}-\d{2}-\d{2}$/.test(String(data))) {
+        return res.status(400).json({ success: false, error: 'startDate e endDate devem estar no formato YYYY-MM-DD' });
+      }
+    }
+    // tabulacao aceita ?tabulacao=A,B ou ?tabulacao=A&tabulacao=B
+    const tabulacoes = new Set([req.query.tabulacao].flat()
+      .flatMap(valor => String(valor ?? '').split(','))
+      .map(valor => valor.trim().toLowerCase())
+      .filter(Boolean));
+    const projetista = String(req.query.projetista ?? '').trim().toLowerCase();
+
+    await _ensureVIALABaseInternal();
+    const data = await _readVIALABaseInternal();
+
+    // Opções dos filtros (da base inteira, para os selects do frontend)
+    const filtrosDisponiveis = {
+      tabulacoes: [...new Set(data.map(row => String(row['TABULAÇÃO FINAL'] || '').trim()).filter(Boolean))].sort(),
+      projetistas: [...new Set(data.map(row => String(row['PROJETISTA'] || '').trim()).filter(Boolean))].sort()
+    };
+
+    const registros = data.filter(row =>
+      (tabulacoes.size === 0 || tabulacoes.has(String(row['TABULAÇÃO FINAL'] || '').trim().toLowerCase())) &&
+      (!projetista || String(row['PROJETISTA'] || '').trim().toLowerCase() === projetista) &&
+      registroVIALANoPeriodo(row, startDate, endDate)
+    );
+    const { hexagonos, total, sem_coordenadas, max_total } = agruparEmHexagonos(registros, { tamanhoMetros });
+
+    const resumo = {
+      total,
+      sem_coordenadas,
+      total_hexagonos: hexagonos.length,
+      max_total,
+      tamanho_metros: tamanhoMetros
+    };
+    console.log(`✅ [API] Mapa de calor de VI ALAs: ${total} registro(s) em ${hexagonos.length} hexágono(s) de ${tamanhoMetros} m`);
+
+    res.json({
+      success: true,
+      ...resumo,
+      filtros_disponiveis: filtrosDisponiveis,
+      geojson: geojsonHexagonos(hexagonos, resumo)
+    });
+  } catch (err) {
+    console.error('❌ [API] Erro ao obter mapa de calor de VI ALAs:', err);
+    res.status(500).json({ success: false, error: 'Erro ao obter mapa de calor de VI ALAs', details: err.message });
+  }
+});
+
 // Rota para baixar o arquivo base_VI ALA.xlsx completo
-app.get('/api/vi-ala.xlsx', async (req, res) => {
+app.get('/api/vi-ala.xlsx', requireCapacidade('exportar_vi_ala'), async (req, res) => {
   try {
     // Garantir headers CORS
     const origin = req.headers.origin;
@@ -8576,7 +12866,7 @@ app.get('/api/vi-ala.xlsx', async (req, res) => {
 });
 
 // Rota para upload da base VI ALA
-app.post('/api/vi-ala/upload-base', upload.single('file'), async (req, res) => {
+app.post('/api/vi-ala/upload-base', requireAuth, upload.single('file'), async (req, res) => {
   // Garantir headers CORS
   const origin = req.headers.origin;
   if (origin) {
@@ -8829,6 +13119,15 @@ try {
   console.log(`📁 Arquivo tabulações: ${TABULACOES_FILE}`);
     console.log(`✅ Servidor iniciado com sucesso!`);
     
+    // Carregar malha viária para /api/route (não bloqueia)
+    if (fs.existsSync(OSM_PBF_FILE)) {
+      carregarGrafoViario(OSM_PBF_FILE).catch(() => {
+        console.log(`⚠️ [Startup] Rotas pelas ruas indisponíveis (erro ao carregar ${OSM_PBF_FILE})`);
+      });
+    } else {
+      console.log(`⚠️ [Startup] Malha viária não encontrada em ${OSM_PBF_FILE} - /api/route indisponível (configure OSM_PBF_PATH)`);
+    }
+    
     // Testar conexão com Supabase na inicialização (não bloqueia)
     (async () => {
       try {
@@ -0,0 +1,24 @@
+-- ============================================
+-- Tabela de auditoria de ações administrativas
+-- ============================================
+-- Registra quem fez o quê (ator, ação, alvo), os valores antes/depois
+-- e quando. Usada por GET /api/auditoria e pela seção "Auditoria"
+-- das Configurações.
+-- Ações registradas: base.deletar, base.upload, projetista.excluir,
+-- projetista.alterar_tipo, projetista.alterar_permissoes,
+-- projetista.desbloquear, tabulacao.excluir
+
+CREATE TABLE IF NOT EXISTS auditoria (
+  id BIGSERIAL PRIMARY KEY,
+  ator TEXT NOT NULL,
+  acao TEXT NOT NULL,
+  alvo TEXT,
+  antes JSONB,
+  depois JSONB,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auditoria_created_at ON auditoria (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_ator ON auditoria (LOWER(ator), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auditoria_acao ON auditoria (acao, created_at DESC);
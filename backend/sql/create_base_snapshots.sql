@@ -0,0 +1,201 @@
+-- ============================================
+-- Upload transacional da base e snapshots para rollback
+-- ============================================
+-- O upload da base não altera mais a tabela ctos lote a lote:
+--   1. base_preparar_staging() copia ctos para ctos_staging;
+--   2. o backend aplica deleções, inserções e atualizações em ctos_staging;
+--   3. base_publicar_staging() guarda ctos_staging como snapshot e substitui o
+--      conteúdo de ctos em uma única transação (DELETE + INSERT: quem consulta
+--      continua vendo a base anterior até o COMMIT).
+-- Se o upload falhar no meio, ctos não foi tocada (base_descartar_staging()).
+-- ctos_staging é criada uma vez aqui (e não a cada upload) para já estar no
+-- cache de esquema da API REST quando o backend escrever nela. Se as colunas
+-- de ctos mudarem, apague ctos_staging e rode este script de novo.
+--
+-- Cada base publicada vira um snapshot (tabela ctos_snapshot_<id>). Os
+-- snapshots mais recentes (p_manter) ficam disponíveis para
+-- POST /api/base/rollback, que usa base_restaurar_snapshot().
+-- O snapshot que está em ctos é o de is_live = true; upload_history.snapshot_id
+-- registra o snapshot publicado por cada upload (ou restaurado por um rollback).
+--
+-- As funções rodam como SECURITY DEFINER porque criam e removem tabelas.
+-- Por isso fixam o search_path e só o backend (service_role) pode executá-las:
+-- sem o REVOKE, qualquer um com a chave anon apagaria ou trocaria a base via /rpc.
+-- Conferência após rodar este script:
+--   SELECT base_preparar_staging();
+--   SELECT base_descartar_staging();
+
+CREATE TABLE IF NOT EXISTS base_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  tabela TEXT,
+  total_ctos INTEGER NOT NULL DEFAULT 0,
+  motivo TEXT NOT NULL DEFAULT 'upload' CHECK (motivo IN ('upload', 'inicial')),
+  arquivo TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  is_live BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS idx_base_snapshots_created_at ON base_snapshots (created_at DESC);
+
+ALTER TABLE upload_history ADD COLUMN IF NOT EXISTS snapshot_id BIGINT;
+
+CREATE TABLE IF NOT EXISTS ctos_staging (LIKE ctos INCLUDING ALL);
+
+-- Copiar as linhas de uma tabela para ctos (mesmas colunas) e ajustar a sequência do id, se houver
+CREATE OR REPLACE FUNCTION base_substituir_ctos(p_origem TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_total INTEGER;
+  v_sequencia TEXT := pg_get_serial_sequence('ctos', 'id');
+BEGIN
+  DELETE FROM ctos;
+  EXECUTE format('INSERT INTO ctos OVERRIDING SYSTEM VALUE SELECT * FROM %I', p_origem);
+  GET DIAGNOSTICS v_total = ROW_COUNT;
+
+  IF v_sequencia IS NOT NULL THEN
+    EXECUTE format('SELECT setval(%L, GREATEST((SELECT COALESCE(MAX(id), 0) FROM ctos), 1))', v_sequencia);
+  END IF;
+
+  RETURN v_total;
+END;
+$$;
+
+-- Guardar o conteúdo de uma tabela como snapshot (retorna o id do snapshot)
+CREATE OR REPLACE FUNCTION base_criar_snapshot(p_origem TEXT, p_motivo TEXT, p_arquivo TEXT, p_criado_por TEXT)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id BIGINT;
+  v_tabela TEXT;
+  v_total INTEGER;
+BEGIN
+  INSERT INTO base_snapshots (motivo, arquivo, created_by)
+  VALUES (p_motivo, p_arquivo, p_criado_por)
+  RETURNING id INTO v_id;
+
+  v_tabela := 'ctos_snapshot_' || v_id;
+  EXECUTE format('CREATE TABLE %I AS SELECT * FROM %I', v_tabela, p_origem);
+  EXECUTE format('SELECT COUNT(*) FROM %I', v_tabela) INTO v_total;
+
+  UPDATE base_snapshots SET tabela = v_tabela, total_ctos = v_total WHERE id = v_id;
+  RETURN v_id;
+END;
+$$;
+
+-- Preencher ctos_staging com o conteúdo atual de ctos (retorna o total de linhas copiadas)
+CREATE OR REPLACE FUNCTION base_preparar_staging()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_total INTEGER;
+  v_sequencia TEXT;
+BEGIN
+  TRUNCATE ctos_staging;
+  INSERT INTO ctos_staging OVERRIDING SYSTEM VALUE SELECT * FROM ctos;
+  GET DIAGNOSTICS v_total = ROW_COUNT;
+
+  -- Coluna identity ganha sequência própria na cópia: avançar para não repetir ids de ctos
+  v_sequencia := pg_get_serial_sequence('ctos_staging', 'id');
+  IF v_sequencia IS NOT NULL THEN
+    EXECUTE format('SELECT setval(%L, GREATEST((SELECT COALESCE(MAX(id), 0) FROM ctos_staging), 1))', v_sequencia);
+  END IF;
+
+  RETURN v_total;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION base_descartar_staging()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  TRUNCATE ctos_staging;
+END;
+$$;
+
+-- Publicar ctos_staging como a nova base (retorna o id do snapshot publicado)
+-- Na primeira publicação, a base anterior também vira snapshot (motivo 'inicial') para permitir o rollback
+-- Snapshots além dos p_manter mais recentes são removidos
+CREATE OR REPLACE FUNCTION base_publicar_staging(p_arquivo TEXT, p_criado_por TEXT, p_manter INTEGER DEFAULT 5)
+RETURNS BIGINT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id BIGINT;
+  v_antigo RECORD;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM base_snapshots WHERE is_live) AND EXISTS (SELECT 1 FROM ctos) THEN
+    PERFORM base_criar_snapshot('ctos', 'inicial', NULL, p_criado_por);
+  END IF;
+
+  v_id := base_criar_snapshot('ctos_staging', 'upload', p_arquivo, p_criado_por);
+  PERFORM base_substituir_ctos('ctos_staging');
+  TRUNCATE ctos_staging;
+
+  UPDATE base_snapshots SET is_live = (id = v_id);
+
+  FOR v_antigo IN
+    SELECT id, tabela FROM base_snapshots
+    WHERE NOT is_live
+    ORDER BY created_at DESC, id DESC
+    OFFSET GREATEST(p_manter - 1, 0)
+  LOOP
+    EXECUTE format('DROP TABLE IF EXISTS %I', v_antigo.tabela);
+    DELETE FROM base_snapshots WHERE id = v_antigo.id;
+  END LOOP;
+
+  RETURN v_id;
+END;
+$$;
+
+-- Restaurar um snapshot em ctos (retorna o total de CTOs restauradas)
+CREATE OR REPLACE FUNCTION base_restaurar_snapshot(p_snapshot_id BIGINT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tabela TEXT;
+  v_total INTEGER;
+BEGIN
+  SELECT tabela INTO v_tabela FROM base_snapshots WHERE id = p_snapshot_id;
+  IF v_tabela IS NULL OR to_regclass(v_tabela) IS NULL THEN
+    RAISE EXCEPTION 'Snapshot % não encontrado', p_snapshot_id;
+  END IF;
+
+  v_total := base_substituir_ctos(v_tabela);
+  UPDATE base_snapshots SET is_live = (id = p_snapshot_id);
+  RETURN v_total;
+END;
+$$;
+
+-- Somente o backend (service_role) executa estas funções
+REVOKE EXECUTE ON FUNCTION base_substituir_ctos(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION base_criar_snapshot(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION base_preparar_staging() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION base_descartar_staging() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION base_publicar_staging(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION base_restaurar_snapshot(BIGINT) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION base_substituir_ctos(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION base_criar_snapshot(TEXT, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION base_preparar_staging() TO service_role;
+GRANT EXECUTE ON FUNCTION base_descartar_staging() TO service_role;
+GRANT EXECUTE ON FUNCTION base_publicar_staging(TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION base_restaurar_snapshot(BIGINT) TO service_role;
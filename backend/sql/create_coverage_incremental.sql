@@ -0,0 +1,46 @@
+-- ============================================
+-- Recálculo incremental da mancha de cobertura
+-- ============================================
+-- Usado por POST /api/coverage/calculate quando há alterações conhecidas da
+-- base desde a versão ativa (ver "RECÁLCULO INCREMENTAL" no server.js):
+--   1. os tiles tocados por CTOs removidas ou movidas são recortados do polígono
+--      ativo (difference_polygons_geojson);
+--   2. os buffers das CTOs novas/movidas e das CTOs ao redor desses tiles são
+--      recalculados (calculate_coverage_polygon_batch) e unidos ao resultado.
+-- A nova versão registra como foi calculada (calculo_tipo) e, no caso
+-- incremental, de qual versão partiu (versao_origem).
+-- Depende de backend/sql/create_coverage_versions.sql.
+
+ALTER TABLE coverage_polygons ADD COLUMN IF NOT EXISTS calculo_tipo TEXT NOT NULL DEFAULT 'completo';
+ALTER TABLE coverage_polygons ADD COLUMN IF NOT EXISTS versao_origem INTEGER;
+
+-- Diferença entre dois polígonos GeoJSON (p_geojson1 menos p_geojson2)
+-- Mesmo formato de retorno de union_polygons_geojson
+CREATE OR REPLACE FUNCTION difference_polygons_geojson(
+  p_geojson1 TEXT,
+  p_geojson2 TEXT
+)
+RETURNS TABLE (
+  success BOOLEAN,
+  geometry_geojson TEXT,
+  error_message TEXT
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_resultado geometry;
+BEGIN
+  v_resultado := ST_CollectionExtract(
+    ST_Difference(
+      ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(p_geojson1), 4326)),
+      ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(p_geojson2), 4326))
+    ),
+    3
+  );
+
+  RETURN QUERY SELECT true, ST_AsGeoJSON(ST_Multi(v_resultado)), NULL::TEXT;
+EXCEPTION WHEN OTHERS THEN
+  RETURN QUERY SELECT false, NULL::TEXT, SQLERRM;
+END;
+$$;
@@ -0,0 +1,64 @@
+-- ============================================
+-- Versões da mancha de cobertura e comparação entre versões
+-- ============================================
+-- Cada cálculo (POST /api/coverage/calculate) grava uma nova linha em
+-- coverage_polygons com o próximo número de versão, em vez de apagar as
+-- anteriores. Só uma versão fica ativa (is_active); a ativa pode ser trocada
+-- por POST /api/coverage/versions/:version/activate.
+-- base_upload_id guarda o id do upload_history mais recente no momento do
+-- cálculo (texto, para aceitar id numérico ou UUID).
+--
+-- coverage_polygon_diff é usada por GET /api/coverage/diff?from=&to=:
+--   gained = área coberta em p_to_version e não em p_from_version
+--   lost   = área coberta em p_from_version e não em p_to_version
+-- Não retorna linha se alguma das versões não existir.
+--
+-- Conferência após rodar este script:
+--   SELECT version, is_active, base_upload_id FROM coverage_polygons ORDER BY version DESC;
+--   SELECT gained_area_km2, lost_area_km2 FROM coverage_polygon_diff(1, 2);
+
+ALTER TABLE coverage_polygons ADD COLUMN IF NOT EXISTS base_upload_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_coverage_polygons_version ON coverage_polygons (version);
+
+CREATE OR REPLACE FUNCTION coverage_polygon_diff(
+  p_from_version INTEGER,
+  p_to_version INTEGER,
+  p_tolerance DOUBLE PRECISION DEFAULT 0.0001
+)
+RETURNS TABLE (
+  gained_geojson TEXT,
+  lost_geojson TEXT,
+  gained_area_km2 DOUBLE PRECISION,
+  lost_area_km2 DOUBLE PRECISION
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH de AS (
+    SELECT ST_MakeValid(geometry) AS geom
+    FROM coverage_polygons
+    WHERE version = p_from_version
+    ORDER BY created_at DESC
+    LIMIT 1
+  ),
+  para AS (
+    SELECT ST_MakeValid(geometry) AS geom
+    FROM coverage_polygons
+    WHERE version = p_to_version
+    ORDER BY created_at DESC
+    LIMIT 1
+  ),
+  diferencas AS (
+    SELECT
+      ST_CollectionExtract(ST_Difference(para.geom, de.geom), 3) AS ganho,
+      ST_CollectionExtract(ST_Difference(de.geom, para.geom), 3) AS perda
+    FROM de, para
+  )
+  SELECT
+    ST_AsGeoJSON(ST_SimplifyPreserveTopology(ganho, p_tolerance)) AS gained_geojson,
+    ST_AsGeoJSON(ST_SimplifyPreserveTopology(perda, p_tolerance)) AS lost_geojson,
+    ST_Area(ganho::geography) / 1000000 AS gained_area_km2,
+    ST_Area(perda::geography) / 1000000 AS lost_area_km2
+  FROM diferencas;
+$$;
@@ -0,0 +1,85 @@
+-- ============================================
+-- Busca de CTOs próximas com índice espacial (PostGIS)
+-- ============================================
+-- Usada por GET /api/ctos/nearby.
+-- Filtra as CTOs com ST_DWithin sobre um índice GiST de geography,
+-- calcula a distância (em metros) no próprio banco, ordena pela distância
+-- e informa se a CTO pertence a um prédio (tabela condominios, por
+-- condominios.id_equipamento = ctos.id_cto) na mesma consulta.
+-- Os ids são comparados pelo valor numérico (id_equipamento_numerico), como o
+-- parseInt do backend: '0123', '123' e '123.0' são o mesmo equipamento.
+--
+-- Conferência após rodar este script (o plano deve usar idx_ctos_geography):
+--   EXPLAIN ANALYZE SELECT * FROM find_ctos_nearby(-5.79, -35.21, 350);
+--   SELECT cto->>'cto', distancia_metros, is_condominio FROM find_ctos_nearby(-5.79, -35.21, 350);
+-- Teste com CTOs de exemplo (raio, ordenação, prédios e índice): backend/sql/test_ctos_nearby.sql
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+-- Ponto geography da CTO (NULL para coordenadas ausentes ou inválidas)
+-- IMMUTABLE para poder ser usada no índice
+CREATE OR REPLACE FUNCTION cto_geography(p_latitude DOUBLE PRECISION, p_longitude DOUBLE PRECISION)
+RETURNS geography
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  SELECT CASE
+    WHEN p_latitude BETWEEN -90 AND 90 AND p_longitude BETWEEN -180 AND 180
+      THEN ST_SetSRID(ST_MakePoint(p_longitude, p_latitude), 4326)::geography
+  END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_ctos_geography ON ctos USING GIST (cto_geography(latitude, longitude));
+
+-- Id numérico de CTO/equipamento, como o parseInt do backend: dígitos do início
+-- (sem espaços e zeros à esquerda); NULL sem dígitos, para 0 ou acima de BIGINT
+CREATE OR REPLACE FUNCTION id_equipamento_numerico(p_valor TEXT)
+RETURNS BIGINT
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  SELECT CASE
+    WHEN TRIM(p_valor) ~ '^-?0*[0-9]{1,18}([^0-9]|$)'
+      THEN NULLIF(substring(TRIM(p_valor) FROM '^-?[0-9]+')::BIGINT, 0)
+  END
+$$;
+
+-- Ligação CTO → prédio
+DROP INDEX IF EXISTS idx_condominios_id_equipamento;
+CREATE INDEX IF NOT EXISTS idx_condominios_id_numerico ON condominios (id_equipamento_numerico(id_equipamento::TEXT));
+
+CREATE OR REPLACE FUNCTION find_ctos_nearby(
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_radius_meters DOUBLE PRECISION DEFAULT 350
+)
+RETURNS TABLE (
+  cto JSONB,
+  distancia_metros DOUBLE PRECISION,
+  is_condominio BOOLEAN,
+  condominio JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH ponto AS (
+    SELECT ST_SetSRID(ST_MakePoint(p_longitude, p_latitude), 4326)::geography AS geog
+  )
+  SELECT
+    to_jsonb(c) AS cto,
+    ST_Distance(cto_geography(c.latitude, c.longitude), ponto.geog) AS distancia_metros,
+    predio.dados IS NOT NULL AS is_condominio,
+    predio.dados AS condominio
+  FROM ctos c
+  CROSS JOIN ponto
+  LEFT JOIN LATERAL (
+    SELECT to_jsonb(cd) AS dados
+    FROM condominios cd
+    WHERE id_equipamento_numerico(cd.id_equipamento::TEXT) = id_equipamento_numerico(c.id_cto::TEXT)
+    LIMIT 1
+  ) predio ON id_equipamento_numerico(c.id_cto::TEXT) IS NOT NULL
+  WHERE ST_DWithin(cto_geography(c.latitude, c.longitude), ponto.geog, p_radius_meters)
+  ORDER BY distancia_metros;
+$$;
@@ -0,0 +1,47 @@
+-- ============================================
+-- K CTOs mais próximas com filtros de capacidade e status (PostGIS)
+-- ============================================
+-- Usada por GET /api/ctos/nearest.
+-- Depende de cto_geography(), id_equipamento_numerico() e dos índices
+-- idx_ctos_geography e idx_condominios_id_numerico (rodar antes backend/sql/create_ctos_nearby.sql).
+-- Ordena pelo operador KNN (<->) sobre o índice GiST, sem limite de raio:
+-- a varredura para assim que encontra p_k CTOs que passam nos filtros.
+-- CTOs de prédios (tabela condominios) ficam de fora, como em find_ctos_nearby.
+--
+-- Conferência após rodar este script (o plano deve usar idx_ctos_geography):
+--   EXPLAIN ANALYZE SELECT * FROM find_ctos_nearest(-5.79, -35.21, 5, 1, ARRAY['ATIVADO']);
+
+CREATE OR REPLACE FUNCTION find_ctos_nearest(
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_k INTEGER DEFAULT 10,
+  p_min_livre INTEGER DEFAULT 0,
+  p_status TEXT[] DEFAULT NULL -- Status aceitos em MAIÚSCULAS (NULL = qualquer status)
+)
+RETURNS TABLE (
+  cto JSONB,
+  distancia_metros DOUBLE PRECISION
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH ponto AS (
+    SELECT ST_SetSRID(ST_MakePoint(p_longitude, p_latitude), 4326)::geography AS geog
+  )
+  SELECT
+    to_jsonb(c) AS cto,
+    ST_Distance(cto_geography(c.latitude, c.longitude), ponto.geog) AS distancia_metros
+  FROM ctos c
+  CROSS JOIN ponto
+  WHERE cto_geography(c.latitude, c.longitude) IS NOT NULL
+    AND COALESCE(c.portas, 0) - COALESCE(c.ocupado, 0) >= p_min_livre
+    AND (p_status IS NULL OR UPPER(TRIM(c.status_cto)) = ANY (p_status))
+    AND NOT EXISTS (
+      SELECT 1
+      FROM condominios cd
+      WHERE id_equipamento_numerico(c.id_cto::TEXT) IS NOT NULL
+        AND id_equipamento_numerico(cd.id_equipamento::TEXT) = id_equipamento_numerico(c.id_cto::TEXT)
+    )
+  ORDER BY cto_geography(c.latitude, c.longitude) <-> ponto.geog
+  LIMIT p_k;
+$$;
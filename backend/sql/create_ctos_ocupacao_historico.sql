@@ -0,0 +1,173 @@
+-- ============================================
+-- Histórico de ocupação das CTOs
+-- ============================================
+-- O upload da base sobrescreve portas, ocupado, livre e pct_ocup em ctos. Ao
+-- fim de cada upload, o backend chama ocupacao_registrar_historico(), que grava
+-- uma foto das portas de todas as CTOs (uma linha por CTO, todas com o mesmo
+-- registrado_em). Usado por GET /api/ctos/:id/history e GET /api/ctos/pon-history.
+-- ocupacao_tendencias() calcula no banco a tendência (regr_slope) usada por
+-- GET /api/ctos/saturation-forecast, sem trazer o histórico para o backend.
+--   snapshot_id - snapshot da base publicado pelo upload (base_snapshots), se houver
+--   pct_ocup    - recalculado como ocupado / portas (0-100), como nos vector tiles
+-- A tabela cresce uma base inteira por upload; para limpar pontos antigos:
+--   DELETE FROM ctos_ocupacao_historico WHERE registrado_em < NOW() - INTERVAL '2 years';
+
+CREATE TABLE IF NOT EXISTS ctos_ocupacao_historico (
+  id BIGSERIAL PRIMARY KEY,
+  registrado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  snapshot_id BIGINT,
+  id_cto TEXT NOT NULL,
+  cto TEXT,
+  cid_rede TEXT,
+  pop TEXT,
+  olt TEXT,
+  slot TEXT,
+  pon TEXT,
+  portas INTEGER NOT NULL DEFAULT 0,
+  ocupado INTEGER NOT NULL DEFAULT 0,
+  livre INTEGER NOT NULL DEFAULT 0,
+  pct_ocup DOUBLE PRECISION NOT NULL DEFAULT 0
+);
+
+-- Campo do caminho normalizado como no backend (vazio vira 'N/A')
+CREATE OR REPLACE FUNCTION ocupacao_campo(p_valor TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  SELECT COALESCE(NULLIF(TRIM(p_valor), ''), 'N/A')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_ctos_ocupacao_historico_cto ON ctos_ocupacao_historico (id_cto, registrado_em);
+CREATE INDEX IF NOT EXISTS idx_ctos_ocupacao_historico_pon ON ctos_ocupacao_historico (olt, slot, pon, registrado_em);
+-- Filtro de cidade da previsão (mesma normalização de ocupacao_tendencias)
+CREATE INDEX IF NOT EXISTS idx_ctos_ocupacao_historico_cidade ON ctos_ocupacao_historico (ocupacao_campo(cid_rede), registrado_em);
+-- Último upload (MAX) e janela da previsão
+CREATE INDEX IF NOT EXISTS idx_ctos_ocupacao_historico_registrado_em ON ctos_ocupacao_historico (registrado_em);
+
+-- Gravar a ocupação atual de todas as CTOs (retorna o total de linhas gravadas)
+CREATE OR REPLACE FUNCTION ocupacao_registrar_historico(p_snapshot_id BIGINT DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_total INTEGER;
+BEGIN
+  INSERT INTO ctos_ocupacao_historico (registrado_em, snapshot_id, id_cto, cto, cid_rede, pop, olt, slot, pon, portas, ocupado, livre, pct_ocup)
+  SELECT
+    NOW(),
+    p_snapshot_id,
+    TRIM(c.id_cto::TEXT),
+    c.cto::TEXT,
+    c.cid_rede::TEXT,
+    c.pop::TEXT,
+    c.olt::TEXT,
+    c.slot::TEXT,
+    c.pon::TEXT,
+    COALESCE(c.portas, 0)::INTEGER,
+    COALESCE(c.ocupado, 0)::INTEGER,
+    COALESCE(c.livre, 0)::INTEGER,
+    CASE WHEN COALESCE(c.portas, 0) > 0 THEN ROUND(COALESCE(c.ocupado, 0) * 100.0 / c.portas, 2)::DOUBLE PRECISION ELSE 0 END
+  FROM ctos c
+  WHERE c.id_cto IS NOT NULL AND TRIM(c.id_cto::TEXT) <> '';
+  GET DIAGNOSTICS v_total = ROW_COUNT;
+
+  RETURN v_total;
+END;
+$$;
+
+-- Somente o backend (service_role) grava o histórico
+REVOKE EXECUTE ON FUNCTION ocupacao_registrar_historico(BIGINT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION ocupacao_registrar_historico(BIGINT) TO service_role;
+
+-- Tendência de ocupação das CTOs e dos caminhos cid_rede/pop/olt/slot/pon
+-- Só entram CTOs e caminhos presentes no último upload (CTOs removidas da base
+-- saem da previsão); os filtros (NULL = todos, 'N/A' = vazio) valem para o
+-- caminho atual. A série de cada CTO/caminho usa os uploads desde p_desde:
+--   portas_por_dia = regr_slope(ocupado, dias) e r2 = regr_r2(ocupado, dias)
+--   (NULL quando todos os pontos são do mesmo instante)
+-- Retorna um único JSONB { ctos: [...], pons: [...] } para não cair no limite
+-- de linhas do PostgREST; a projeção do esgotamento fica em previsaoOcupacao.js.
+CREATE OR REPLACE FUNCTION ocupacao_tendencias(
+  p_desde TIMESTAMPTZ,
+  p_cid_rede TEXT DEFAULT NULL,
+  p_pop TEXT DEFAULT NULL,
+  p_olt TEXT DEFAULT NULL,
+  p_slot TEXT DEFAULT NULL,
+  p_pon TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  WITH ultimo AS (
+    SELECT MAX(registrado_em) AS registrado_em FROM ctos_ocupacao_historico
+  ),
+  atuais AS (
+    SELECT DISTINCT ON (h.id_cto)
+      h.id_cto, h.cto,
+      ocupacao_campo(h.cid_rede) AS cid_rede,
+      ocupacao_campo(h.pop) AS pop,
+      ocupacao_campo(h.olt) AS olt,
+      ocupacao_campo(h.slot) AS slot,
+      ocupacao_campo(h.pon) AS pon
+    FROM ctos_ocupacao_historico h
+    JOIN ultimo u ON h.registrado_em = u.registrado_em
+    WHERE (p_cid_rede IS NULL OR ocupacao_campo(h.cid_rede) = p_cid_rede)
+      AND (p_pop IS NULL OR ocupacao_campo(h.pop) = p_pop)
+      AND (p_olt IS NULL OR ocupacao_campo(h.olt) = p_olt)
+      AND (p_slot IS NULL OR ocupacao_campo(h.slot) = p_slot)
+      AND (p_pon IS NULL OR ocupacao_campo(h.pon) = p_pon)
+    ORDER BY h.id_cto, h.id DESC
+  ),
+  tendencia_ctos AS (
+    SELECT
+      a.id_cto, a.cto, a.cid_rede, a.pop, a.olt, a.slot, a.pon,
+      COUNT(*)::INTEGER AS uploads,
+      MAX(h.registrado_em) AS ultimo_upload,
+      (ARRAY_AGG(h.portas ORDER BY h.registrado_em DESC))[1] AS portas,
+      (ARRAY_AGG(h.ocupado ORDER BY h.registrado_em DESC))[1] AS ocupado,
+      regr_slope(h.ocupado, EXTRACT(EPOCH FROM h.registrado_em) / 86400) AS portas_por_dia,
+      regr_r2(h.ocupado, EXTRACT(EPOCH FROM h.registrado_em) / 86400) AS r2
+    FROM atuais a
+    JOIN ctos_ocupacao_historico h ON h.id_cto = a.id_cto AND h.registrado_em >= p_desde
+    GROUP BY a.id_cto, a.cto, a.cid_rede, a.pop, a.olt, a.slot, a.pon
+  ),
+  caminhos AS (
+    SELECT DISTINCT cid_rede, pop, olt, slot, pon FROM atuais
+  ),
+  pons_por_upload AS (
+    SELECT
+      c.cid_rede, c.pop, c.olt, c.slot, c.pon, h.registrado_em,
+      SUM(h.portas) AS portas,
+      SUM(h.ocupado) AS ocupado,
+      COUNT(*) AS total_ctos
+    FROM ctos_ocupacao_historico h
+    JOIN caminhos c
+      ON ocupacao_campo(h.olt) = c.olt AND ocupacao_campo(h.slot) = c.slot AND ocupacao_campo(h.pon) = c.pon
+     AND ocupacao_campo(h.cid_rede) = c.cid_rede AND ocupacao_campo(h.pop) = c.pop
+    WHERE h.registrado_em >= p_desde
+    GROUP BY c.cid_rede, c.pop, c.olt, c.slot, c.pon, h.registrado_em
+  ),
+  tendencia_pons AS (
+    SELECT
+      cid_rede, pop, olt, slot, pon,
+      (ARRAY_AGG(total_ctos ORDER BY registrado_em DESC))[1]::INTEGER AS total_ctos,
+      COUNT(*)::INTEGER AS uploads,
+      MAX(registrado_em) AS ultimo_upload,
+      (ARRAY_AGG(portas ORDER BY registrado_em DESC))[1]::INTEGER AS portas,
+      (ARRAY_AGG(ocupado ORDER BY registrado_em DESC))[1]::INTEGER AS ocupado,
+      regr_slope(ocupado, EXTRACT(EPOCH FROM registrado_em) / 86400) AS portas_por_dia,
+      regr_r2(ocupado, EXTRACT(EPOCH FROM registrado_em) / 86400) AS r2
+    FROM pons_por_upload
+    GROUP BY cid_rede, pop, olt, slot, pon
+  )
+  SELECT jsonb_build_object(
+    'ultimo_upload', (SELECT registrado_em FROM ultimo),
+    'ctos', COALESCE((SELECT jsonb_agg(to_jsonb(tendencia_ctos)) FROM tendencia_ctos), '[]'::JSONB),
+    'pons', COALESCE((SELECT jsonb_agg(to_jsonb(tendencia_pons)) FROM tendencia_pons), '[]'::JSONB)
+  );
+$$;
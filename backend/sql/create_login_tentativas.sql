@@ -0,0 +1,22 @@
+-- ============================================
+-- Tabela de auditoria de tentativas de login
+-- ============================================
+-- Registra todo login bem-sucedido ou recusado (senha incorreta,
+-- usuário inexistente, bloqueado, aguardando backoff).
+-- Complementa os registros de "Entrada/Saída_Projetistas".
+-- Data e hora são gravadas no timezone do Brasil (America/Sao_Paulo).
+
+CREATE TABLE IF NOT EXISTS login_tentativas (
+  id BIGSERIAL PRIMARY KEY,
+  nome_projetista TEXT NOT NULL,
+  ip TEXT,
+  sucesso BOOLEAN NOT NULL,
+  motivo TEXT,
+  data DATE NOT NULL,
+  hora TIME NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_tentativas_nome ON login_tentativas (LOWER(nome_projetista), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_tentativas_ip ON login_tentativas (ip, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_tentativas_falhas ON login_tentativas (created_at DESC) WHERE sucesso = FALSE;
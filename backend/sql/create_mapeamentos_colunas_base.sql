@@ -0,0 +1,21 @@
+-- ============================================
+-- Mapeamento de colunas do upload da base
+-- ============================================
+-- Cabeçalhos de arquivo (Excel, CSV, GeoJSON, KML, Shapefile) que o mapeamento
+-- fixo do backend (normalizeKey) não conhece, associados a um campo da base de
+-- CTOs. Usado por POST /api/upload-base antes de validar as colunas; o mapeamento
+-- cadastrado aqui tem prioridade sobre o fixo.
+--   cabecalho - nome da coluna no arquivo (comparado sem diferenciar maiúsculas)
+--   campo     - campo da base (cid_rede, estado, pop, olt, slot, pon, id_cto, cto,
+--               latitude, longitude, status_cto, data_cadastro, portas, ocupado,
+--               livre, pct_ocup)
+-- O editor nas Configurações substitui a tabela inteira a cada gravação.
+
+CREATE TABLE IF NOT EXISTS mapeamentos_colunas_base (
+  id BIGSERIAL PRIMARY KEY,
+  cabecalho TEXT NOT NULL,
+  campo TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mapeamentos_colunas_base_cabecalho ON mapeamentos_colunas_base (LOWER(cabecalho));
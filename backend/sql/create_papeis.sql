@@ -0,0 +1,15 @@
+-- ============================================
+-- Capacidades dos papéis (perfis de acesso)
+-- ============================================
+-- Os papéis padrão (admin, supervisor, projetista, viewer, auditor) e suas
+-- capacidades iniciais estão definidos em backend/roles.js.
+-- Esta tabela guarda apenas as capacidades editadas pelo editor de papéis.
+-- O papel admin sempre tem todas as capacidades e não é gravado aqui.
+-- O papel de cada usuário continua na coluna projetistas.tipo
+-- (o valor antigo 'user' equivale ao papel 'projetista').
+
+CREATE TABLE IF NOT EXISTS papeis (
+  nome TEXT PRIMARY KEY,
+  capacidades JSONB NOT NULL DEFAULT '[]'::jsonb,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,24 @@
+-- ============================================
+-- Perfis de PON (split e orçamento óptico)
+-- ============================================
+-- Um perfil por modelo de OLT, usado por GET /api/ctos/validacao-pon e pelos
+-- totais de caminho de rede (POST /api/ctos/caminhos-rede-batch). A lógica de
+-- validação está em backend/capacidadePon.js.
+--   olts      - valores do campo olt (CHASSE) das CTOs atendidas, separados por
+--               vírgula, em MAIÚSCULAS; vazio = perfil padrão (no máximo um)
+--   splitters - níveis de splitter da PON, separados por vírgula (ex: 1:8,1:8)
+-- Sem perfis cadastrados vale o perfil padrão do backend (1:8 + 1:8, 64 ONTs,
+-- +3 dBm / -27 dBm, 4 conectores).
+-- O editor nas Configurações substitui a tabela inteira a cada gravação.
+
+CREATE TABLE IF NOT EXISTS perfis_pon (
+  id BIGSERIAL PRIMARY KEY,
+  modelo TEXT NOT NULL UNIQUE,
+  olts TEXT NOT NULL DEFAULT '',
+  splitters TEXT NOT NULL,
+  max_onts INTEGER NOT NULL CHECK (max_onts > 0),
+  potencia_tx_dbm DOUBLE PRECISION NOT NULL,
+  sensibilidade_rx_dbm DOUBLE PRECISION NOT NULL,
+  conectores INTEGER NOT NULL DEFAULT 4 CHECK (conectores >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
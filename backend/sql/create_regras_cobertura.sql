@@ -0,0 +1,26 @@
+-- ============================================
+-- Regras de raio da mancha de cobertura
+-- ============================================
+-- Raio de atendimento (em metros) por cidade (cid_rede), POP (pop) ou
+-- status da CTO (status_cto), usado por POST /api/coverage/calculate e
+-- GET /api/coverage/check-point. A lógica de aplicação (prioridade e
+-- desempate) está em backend/regrasCobertura.js; CTOs sem regra usam 250m.
+-- Os valores são gravados em MAIÚSCULAS, sem espaços nas pontas.
+-- O editor nas Configurações substitui a tabela inteira a cada gravação.
+--
+-- coverage_polygons passa a registrar o conjunto de regras usado em cada
+-- cálculo (regras_cobertura) e sua versão (regras_cobertura_versao).
+-- Polígonos sem versão foram calculados apenas com o raio padrão.
+
+CREATE TABLE IF NOT EXISTS regras_cobertura (
+  id BIGSERIAL PRIMARY KEY,
+  campo TEXT NOT NULL CHECK (campo IN ('cid_rede', 'pop', 'status_cto')),
+  valor TEXT NOT NULL,
+  raio_metros DOUBLE PRECISION NOT NULL CHECK (raio_metros > 0),
+  prioridade INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (campo, valor)
+);
+
+ALTER TABLE coverage_polygons ADD COLUMN IF NOT EXISTS regras_cobertura JSONB;
+ALTER TABLE coverage_polygons ADD COLUMN IF NOT EXISTS regras_cobertura_versao TEXT;
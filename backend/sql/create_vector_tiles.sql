@@ -0,0 +1,141 @@
+-- ============================================
+-- Vector tiles (Mapbox Vector Tile) das CTOs, condomínios e cobertura
+-- ============================================
+-- Usada por GET /api/tiles/{camada}/{z}/{x}/{y}.mvt.
+-- Retorna o tile em base64 (o PostgREST devolve TEXT sem conversão) ou NULL
+-- quando não há nada no tile. O backend guarda os tiles em cache por versão
+-- da base (ctos, condominios) ou da mancha ativa (cobertura).
+--
+-- Camadas (nome da layer dentro do tile = nome da camada):
+--   ctos        - z >= 13: um ponto por CTO (id_cto, nome, cidade, pop,
+--                 status_cto, portas, ocupado, pct_ocup, quantidade = 1)
+--                 z <  13: CTOs agrupadas em células de 64 unidades do tile
+--                 (quantidade, portas, ocupado e pct_ocup somados/recalculados)
+--   condominios - z >= 12: um ponto por CTO de prédio (nome_predio, id_cto,
+--                 nome, status_cto); vazio abaixo disso
+--   cobertura   - polígono ativo (simplified_geometry abaixo de z 12)
+--
+-- Depende de backend/sql/create_ctos_nearby.sql (cto_geography).
+-- O filtro do tile é feito em geometry (envelope em 4326), então as CTOs e os
+-- condomínios ganham índices GiST de geometry próprios: o idx_ctos_geography
+-- (geography) não atende o operador && de geometry.
+-- Conferência após rodar este script:
+--   SELECT length(get_vector_tile('ctos', 14, 6233, 8450));
+--   SELECT length(get_vector_tile('cobertura', 10, 779, 1056));
+--   EXPLAIN SELECT 1 FROM ctos c WHERE cto_geography(c.latitude, c.longitude)::geometry && ST_MakeEnvelope(-35.3, -5.9, -35.1, -5.7, 4326);
+--     (o plano deve usar idx_ctos_geometria; nos condomínios, idx_condominios_geometria)
+
+CREATE INDEX IF NOT EXISTS idx_ctos_geometria ON ctos USING GIST ((cto_geography(latitude, longitude)::geometry));
+
+-- Ponto do condomínio a partir das colunas de texto (aceita vírgula decimal)
+-- NULL para valores vazios, não numéricos ou fora da faixa, sem erro de conversão
+-- IMMUTABLE para poder ser usada no índice
+CREATE OR REPLACE FUNCTION condominio_geometria(p_latitude TEXT, p_longitude TEXT)
+RETURNS geometry
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  SELECT CASE
+    WHEN v.lat ~ '^-?[0-9]+(\.[0-9]+)?$' AND v.lng ~ '^-?[0-9]+(\.[0-9]+)?$'
+      THEN cto_geography(v.lat::DOUBLE PRECISION, v.lng::DOUBLE PRECISION)::geometry
+  END
+  FROM (SELECT REPLACE(TRIM(p_latitude), ',', '.') AS lat, REPLACE(TRIM(p_longitude), ',', '.') AS lng) v
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_condominios_geometria ON condominios USING GIST (condominio_geometria(latitude::TEXT, longitude::TEXT));
+
+CREATE OR REPLACE FUNCTION get_vector_tile(
+  p_layer TEXT,
+  p_z INTEGER,
+  p_x INTEGER,
+  p_y INTEGER
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_envelope geometry := ST_TileEnvelope(p_z, p_x, p_y);
+  -- Envelope com margem (64/4096) em 4326 para o filtro espacial
+  v_filtro geometry := ST_Transform(ST_TileEnvelope(p_z, p_x, p_y, margin => 64.0 / 4096), 4326);
+  v_tile BYTEA;
+BEGIN
+  IF p_layer = 'ctos' AND p_z >= 13 THEN
+    SELECT ST_AsMVT(t, 'ctos', 4096, 'geom') INTO v_tile
+    FROM (
+      SELECT
+        ST_AsMVTGeom(ST_Transform(cto_geography(c.latitude, c.longitude)::geometry, 3857), v_envelope, 4096, 64, true) AS geom,
+        c.id_cto::TEXT AS id_cto,
+        c.cto::TEXT AS nome,
+        c.cid_rede::TEXT AS cidade,
+        c.pop::TEXT AS pop,
+        c.status_cto::TEXT AS status_cto,
+        COALESCE(c.portas, 0)::INTEGER AS portas,
+        COALESCE(c.ocupado, 0)::INTEGER AS ocupado,
+        COALESCE(c.pct_ocup, 0)::DOUBLE PRECISION AS pct_ocup,
+        1 AS quantidade
+      FROM ctos c
+      WHERE cto_geography(c.latitude, c.longitude)::geometry && v_filtro
+    ) t
+    WHERE t.geom IS NOT NULL;
+
+  ELSIF p_layer = 'ctos' THEN
+    SELECT ST_AsMVT(t, 'ctos', 4096, 'geom') INTO v_tile
+    FROM (
+      SELECT
+        ST_SnapToGrid(g.geom, 64) AS geom,
+        COUNT(*)::INTEGER AS quantidade,
+        SUM(g.portas)::INTEGER AS portas,
+        SUM(g.ocupado)::INTEGER AS ocupado,
+        CASE WHEN SUM(g.portas) > 0 THEN ROUND(SUM(g.ocupado) * 100.0 / SUM(g.portas), 2)::DOUBLE PRECISION ELSE 0 END AS pct_ocup
+      FROM (
+        SELECT
+          ST_AsMVTGeom(ST_Transform(cto_geography(c.latitude, c.longitude)::geometry, 3857), v_envelope, 4096, 0, true) AS geom,
+          COALESCE(c.portas, 0) AS portas,
+          COALESCE(c.ocupado, 0) AS ocupado
+        FROM ctos c
+        WHERE cto_geography(c.latitude, c.longitude)::geometry && v_filtro
+      ) g
+      WHERE g.geom IS NOT NULL
+      GROUP BY ST_SnapToGrid(g.geom, 64)
+    ) t;
+
+  ELSIF p_layer = 'condominios' AND p_z >= 12 THEN
+    SELECT ST_AsMVT(t, 'condominios', 4096, 'geom') INTO v_tile
+    FROM (
+      SELECT
+        ST_AsMVTGeom(ST_Transform(condominio_geometria(cd.latitude::TEXT, cd.longitude::TEXT), 3857), v_envelope, 4096, 64, true) AS geom,
+        cd.nome_predio::TEXT AS nome_predio,
+        TRIM(cd.id_equipamento::TEXT) AS id_cto,
+        cd.nome_equipamento::TEXT AS nome,
+        cd.status_cto::TEXT AS status_cto
+      FROM condominios cd
+      WHERE condominio_geometria(cd.latitude::TEXT, cd.longitude::TEXT) && v_filtro
+    ) t
+    WHERE t.geom IS NOT NULL;
+
+  ELSIF p_layer = 'cobertura' THEN
+    SELECT ST_AsMVT(t, 'cobertura', 4096, 'geom') INTO v_tile
+    FROM (
+      SELECT
+        ST_AsMVTGeom(
+          ST_Transform(CASE WHEN p_z < 12 THEN COALESCE(cp.simplified_geometry, cp.geometry) ELSE cp.geometry END, 3857),
+          v_envelope, 4096, 64, true
+        ) AS geom,
+        cp.version AS versao,
+        cp.area_km2::DOUBLE PRECISION AS area_km2
+      FROM coverage_polygons cp
+      WHERE cp.is_active = true
+        AND cp.geometry && v_filtro
+    ) t
+    WHERE t.geom IS NOT NULL;
+  END IF;
+
+  IF v_tile IS NULL OR length(v_tile) = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN encode(v_tile, 'base64');
+END;
+$$;
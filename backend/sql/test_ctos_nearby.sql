@@ -0,0 +1,102 @@
+-- ============================================
+-- Teste de find_ctos_nearby (PostgreSQL/PostGIS)
+-- ============================================
+-- Confere o corte pelo raio, a ordenação pela distância, a ligação com a
+-- tabela condominios (pelo id numérico) e o uso dos índices idx_ctos_geography
+-- e idx_condominios_id_numerico.
+-- Roda em uma transação desfeita no final (ROLLBACK): as CTOs de teste ficam
+-- no meio do Pacífico (0°, -150°), longe de qualquer CTO real, e nada é gravado.
+-- Qualquer falha interrompe o script com RAISE EXCEPTION.
+--
+-- Rodar depois de backend/sql/create_ctos_nearby.sql:
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f backend/sql/test_ctos_nearby.sql
+--
+-- Pontos de teste (a partir de 0°, -150°; 0,0009° ≈ 100 m):
+--   CTO TESTE A - no ponto consultado (id 99000001; o prédio 990000010 não é dela)
+--   CTO TESTE B - ~100 m ao norte, CTO de prédio (id com zeros à esquerda: 0099000002)
+--   CTO TESTE C - ~300 m a leste, CTO de prédio (id com casa decimal: 99000003.0)
+--   CTO TESTE D - ~400 m ao norte (fora do raio de 350 m)
+--   CTO TESTE E - latitude inválida (nunca retorna)
+
+BEGIN;
+
+INSERT INTO ctos (id_cto, cto, latitude, longitude) VALUES
+  ('99000001', 'CTO TESTE A', 0, -150),
+  (' 0099000002 ', 'CTO TESTE B', 0.0009, -150),
+  ('99000003.0', 'CTO TESTE C', 0, -149.9973),
+  ('99000004', 'CTO TESTE D', 0.0036, -150),
+  ('99000005', 'CTO TESTE E', 95, -150);
+
+INSERT INTO condominios (id_equipamento, nome_predio) VALUES
+  ('99000002', 'EDIFÍCIO TESTE'),
+  ('99000003', 'EDIFÍCIO TESTE DECIMAL'),
+  ('990000010', 'EDIFÍCIO OUTRO');
+
+DO $$
+DECLARE
+  v_ids TEXT[];
+  v_distancias DOUBLE PRECISION[];
+  v_predios TEXT[];
+BEGIN
+  SELECT
+    array_agg(r.cto->>'cto' ORDER BY r.ordem),
+    array_agg(r.distancia_metros ORDER BY r.ordem),
+    array_agg(CASE WHEN r.is_condominio THEN r.condominio->>'nome_predio' END ORDER BY r.ordem)
+  INTO v_ids, v_distancias, v_predios
+  FROM find_ctos_nearby(0, -150, 350) WITH ORDINALITY AS r(cto, distancia_metros, is_condominio, condominio, ordem)
+  WHERE r.cto->>'cto' LIKE 'CTO TESTE %';
+
+  -- Raio: D (~400 m) e E (coordenada inválida) ficam de fora; ordem pela distância
+  IF v_ids IS DISTINCT FROM ARRAY['CTO TESTE A', 'CTO TESTE B', 'CTO TESTE C'] THEN
+    RAISE EXCEPTION 'Raio de 350 m: esperado {A, B, C} em ordem de distância, veio %', v_ids;
+  END IF;
+
+  IF v_distancias[1] > 0.01 OR abs(v_distancias[2] - 99.5) > 1 OR abs(v_distancias[3] - 300.6) > 1 THEN
+    RAISE EXCEPTION 'Distâncias inesperadas (esperado ~0, ~99.5 e ~300.6 m): %', v_distancias;
+  END IF;
+
+  -- Prédios: B e C pelo valor numérico do id (zeros à esquerda, espaços e '.0'); A não casa com 990000010
+  IF v_predios IS DISTINCT FROM ARRAY[NULL, 'EDIFÍCIO TESTE', 'EDIFÍCIO TESTE DECIMAL']::TEXT[] THEN
+    RAISE EXCEPTION 'Ligação com condominios: esperado {NULL, EDIFÍCIO TESTE, EDIFÍCIO TESTE DECIMAL}, veio %', v_predios;
+  END IF;
+
+  -- Raio menor corta B e C
+  SELECT array_agg(n.cto->>'cto') INTO v_ids
+  FROM find_ctos_nearby(0, -150, 50) n
+  WHERE n.cto->>'cto' LIKE 'CTO TESTE %';
+
+  IF v_ids IS DISTINCT FROM ARRAY['CTO TESTE A'] THEN
+    RAISE EXCEPTION 'Raio de 50 m: esperado {A}, veio %', v_ids;
+  END IF;
+
+  RAISE NOTICE '✅ find_ctos_nearby: raio, ordenação e condomínios conferidos';
+END;
+$$;
+
+-- Plano: o filtro ST_DWithin precisa usar o índice GiST de cto_geography e a
+-- ligação com o prédio o índice do id numérico
+-- (seqscan desligado para a conferência não depender do tamanho das tabelas)
+SET LOCAL enable_seqscan = off;
+
+DO $$
+DECLARE
+  v_linha TEXT;
+  v_plano TEXT := '';
+BEGIN
+  FOR v_linha IN EXECUTE 'EXPLAIN SELECT * FROM find_ctos_nearby(-5.79, -35.21, 350)' LOOP
+    v_plano := v_plano || v_linha || E'\n';
+  END LOOP;
+
+  IF position('idx_ctos_geography' IN v_plano) = 0 THEN
+    RAISE EXCEPTION E'O plano de find_ctos_nearby não usa idx_ctos_geography:\n%', v_plano;
+  END IF;
+
+  IF position('idx_condominios_id_numerico' IN v_plano) = 0 THEN
+    RAISE EXCEPTION E'O plano de find_ctos_nearby não usa idx_condominios_id_numerico:\n%', v_plano;
+  END IF;
+
+  RAISE NOTICE '✅ find_ctos_nearby: plano usa idx_ctos_geography e idx_condominios_id_numerico';
+END;
+$$;
+
+ROLLBACK;
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sugerirAlivio, chaveCaminhoRede } from '../alivioRede.js';
+
+const saturada = {
+  id_cto: '1', cto: 'CTO-SAT', cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '1',
+  portas: 16, ocupado: 16, livre: 0, status_cto: 'ATIVADO', latitude: -25.43, longitude: -49.27, raio_metros: 250
+};
+
+const vizinha = (id, pon, extras = {}) => ({
+  cto: {
+    id_cto: id, cto: `CTO-${id}`, cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon,
+    portas: 16, ocupado: 4, livre: 12, status_cto: 'ATIVADO', latitude: -25.431, longitude: -49.27, ...extras
+  },
+  distancia_metros: extras.distancia_metros ?? 100,
+  raio_metros: 250
+});
+
+const ponComFolga = (pon) => [`CURITIBA|POP1|OLT1|1|${pon}`, { modelo: 'PADRÃO', total_ctos: 2, ocupado: 20, max_onts: 64, status: 'ok', alertas: [] }];
+
+test('sugerirAlivio descarta candidatas que não estão ATIVADO', () => {
+  const pons = new Map([ponComFolga('2'), ponComFolga('3'), ponComFolga('4')]);
+  const resultado = sugerirAlivio(saturada, [
+    vizinha('2', '2', { status_cto: 'NAO ATIVADO' }),
+    vizinha('3', '3', { status_cto: null }),
+    vizinha('4', '4', { status_cto: ' ativado ' })
+  ], pons);
+
+  assert.equal(resultado.descartadas.nao_ativada, 2);
+  assert.deepEqual(resultado.sugestoes.map(sugestao => sugestao.id_cto), ['4']);
+});
+
+test('sugerirAlivio ignora a mesma PON, CTOs sem portas, sem sobreposição ou com PON sem folga', () => {
+  const pons = new Map([
+    ponComFolga('2'), ponComFolga('3'), ponComFolga('5'),
+    ['CURITIBA|POP1|OLT1|1|4', { modelo: 'PADRÃO', total_ctos: 4, ocupado: 64, max_onts: 64, status: 'alerta', alertas: [] }]
+  ]);
+  const resultado = sugerirAlivio(saturada, [
+    { cto: saturada, distancia_metros: 0, raio_metros: 250 },
+    vizinha('6', '1'),
+    vizinha('2', '2', { livre: 0 }),
+    vizinha('3', '3', { distancia_metros: 500 }),
+    vizinha('4', '4'),
+    vizinha('5', '5', { distancia_metros: 200 })
+  ], pons);
+
+  assert.deepEqual(resultado.descartadas, { mesma_pon: 1, nao_ativada: 0, sem_portas_livres: 1, sem_sobreposicao: 1, pon_sem_folga: 1 });
+  assert.equal(resultado.total_sugestoes, 1);
+
+  const [sugestao] = resultado.sugestoes;
+  assert.equal(sugestao.capacidade_pon.chave, chaveCaminhoRede(sugestao));
+  assert.equal(sugestao.capacidade_pon.folga_onts, 44);
+  assert.equal(sugestao.clientes_migraveis, 12);
+  assert.equal(sugestao.sobreposicao_metros, 300);
+  assert.equal(resultado.saturada.pct_ocup, 100);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { montarArvoreRede, ocupacaoCTO } from '../arvoreRede.js';
+
+const ctos = [
+  { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '1', cto: 'CTO-A', id_cto: '1', portas: 16, ocupado: 14, livre: 2, pct_ocup: 87.5 },
+  { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '1', cto: 'CTO-B', id_cto: '2', portas: 16, ocupado: 4, livre: 12 },
+  { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '2', cto: 'CTO-C', id_cto: '3', portas: 8, ocupado: 8 },
+  { cid_rede: 'LONDRINA', pop: 'POP1', olt: 'OLT9', slot: '', pon: null, cto: 'CTO-D', id_cto: '4', portas: 8, ocupado: 0 }
+];
+
+test('ocupacaoCTO calcula livre e % quando a base não informa', () => {
+  assert.deepEqual(ocupacaoCTO({ portas: '16', ocupado: '4' }), { portas: 16, ocupado: 4, livre: 12, pct_ocup: 25 });
+  assert.deepEqual(ocupacaoCTO({ portas: 8, ocupado: 2, livre: 5, pct_ocup: '30' }), { portas: 8, ocupado: 2, livre: 5, pct_ocup: 30 });
+});
+
+test('montarArvoreRede soma portas e CTOs acima do limiar em todos os níveis', () => {
+  const { totais, arvore } = montarArvoreRede(ctos, { limiar: 80 });
+
+  assert.equal(totais.total_ctos, 4);
+  assert.equal(totais.portas, 48);
+  assert.equal(totais.ocupado, 26);
+  assert.equal(totais.livre, 22);
+  assert.equal(totais.ctos_acima_limiar, 2);
+
+  // O mesmo POP em cidades diferentes fica separado; mais ocupado primeiro
+  assert.deepEqual(arvore.map(pop => [pop.cidade, pop.nome]), [['CURITIBA', 'POP1'], ['LONDRINA', 'POP1']]);
+
+  const [pon1, pon2] = arvore[0].filhos[0].filhos[0].filhos;
+  assert.equal(pon2.nome, '1');
+  assert.equal(pon1.nome, '2');
+  assert.equal(pon1.pct_ocup, 100);
+  assert.equal(pon2.portas, 32);
+  assert.equal(pon2.ocupado, 18);
+  assert.equal(pon2.pct_ocup, 56.25);
+  assert.equal(pon2.ctos_acima_limiar, 1);
+  assert.equal(pon2.ctos, undefined);
+  assert.equal(pon2.filhos, undefined);
+});
+
+test('montarArvoreRede agrupa campos vazios como N/A e lista as CTOs da PON quando pedido', () => {
+  const { arvore } = montarArvoreRede(ctos, { incluirCTOs: true });
+  const londrina = arvore.find(pop => pop.cidade === 'LONDRINA');
+  const pon = londrina.filhos[0].filhos[0].filhos[0];
+
+  assert.equal(londrina.filhos[0].filhos[0].nome, 'N/A');
+  assert.equal(pon.nome, 'N/A');
+  assert.deepEqual(pon.ctos.map(cto => cto.nome), ['CTO-D']);
+
+  const curitiba = arvore.find(pop => pop.cidade === 'CURITIBA');
+  const ponCheia = curitiba.filhos[0].filhos[0].filhos.find(no => no.nome === '1');
+  assert.deepEqual(ponCheia.ctos.map(cto => [cto.nome, cto.acima_limiar]), [['CTO-A', true], ['CTO-B', false]]);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PERFIL_PON_PADRAO,
+  validarPerfisPon,
+  resolverPerfilPon,
+  splitRatio,
+  orcamentoOptico,
+  centrosDosPops,
+  validarPons
+} from '../capacidadePon.js';
+
+test('orcamentoOptico soma fibra, emendas, splitters e conectores', () => {
+  const orcamento = orcamentoOptico(PERFIL_PON_PADRAO, 2000);
+
+  assert.equal(orcamento.perda_fibra_db, 0.7);
+  assert.equal(orcamento.perda_emendas_db, 0.1);
+  assert.equal(orcamento.perda_splitters_db, 21);
+  assert.equal(orcamento.perda_conectores_db, 2);
+  assert.equal(orcamento.perda_total_db, 23.8);
+  assert.equal(orcamento.potencia_rx_dbm, -20.8);
+  assert.equal(orcamento.margem_db, 6.2);
+  assert.equal(orcamento.dentro_orcamento, true);
+});
+
+test('orcamentoOptico fica fora do orçamento em enlaces longos', () => {
+  const orcamento = orcamentoOptico(PERFIL_PON_PADRAO, 20000);
+  assert.equal(orcamento.margem_db, -1);
+  assert.equal(orcamento.dentro_orcamento, false);
+});
+
+test('validarPerfisPon normaliza splitters e OLTs e recusa OLT em dois perfis', () => {
+  const { perfis, erros } = validarPerfisPon([
+    { modelo: 'Huawei', splitters: '1:4, 1:16', max_onts: 128, potencia_tx_dbm: 5, sensibilidade_rx_dbm: -28, olts: 'olt1; OLT2' },
+    { modelo: 'Padrão', splitters: [8, 8], max_onts: 64, potencia_tx_dbm: 3, sensibilidade_rx_dbm: -27 }
+  ]);
+  assert.deepEqual(erros, []);
+  assert.deepEqual(perfis[0].splitters, [4, 16]);
+  assert.deepEqual(perfis[0].olts, ['OLT1', 'OLT2']);
+  assert.equal(perfis[1].conectores, PERFIL_PON_PADRAO.conectores);
+
+  const repetida = validarPerfisPon([
+    { modelo: 'A', splitters: '1:8', max_onts: 64, potencia_tx_dbm: 3, sensibilidade_rx_dbm: -27, olts: 'OLT1' },
+    { modelo: 'B', splitters: '1:8', max_onts: 64, potencia_tx_dbm: 3, sensibilidade_rx_dbm: -27, olts: 'olt1' }
+  ]);
+  assert.deepEqual(repetida.erros, ['Perfil 2: OLT OLT1 já está no perfil A']);
+});
+
+test('resolverPerfilPon usa o perfil da OLT, depois o perfil sem OLTs e por fim o padrão', () => {
+  const { perfis } = validarPerfisPon([
+    { modelo: 'Huawei', splitters: '1:4, 1:16', max_onts: 128, potencia_tx_dbm: 5, sensibilidade_rx_dbm: -28, olts: 'OLT1' },
+    { modelo: 'Geral', splitters: '1:32', max_onts: 32, potencia_tx_dbm: 3, sensibilidade_rx_dbm: -27 }
+  ]);
+  assert.equal(resolverPerfilPon(' olt1 ', perfis).modelo, 'Huawei');
+  assert.equal(resolverPerfilPon('OLT7', perfis).modelo, 'Geral');
+  assert.equal(resolverPerfilPon('OLT7', [perfis[0]]).modelo, PERFIL_PON_PADRAO.modelo);
+  assert.equal(splitRatio(perfis[0]), 64);
+});
+
+test('validarPons alerta PON com mais portas que o split e mais clientes que ONTs', () => {
+  const ctos = [
+    { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '1', portas: 40, ocupado: 36, latitude: -25.43, longitude: -49.27 },
+    { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '1', portas: 40, ocupado: 34, latitude: -25.44, longitude: -49.27 },
+    { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: '1', pon: '2', portas: 16, ocupado: 3, latitude: -25.435, longitude: -49.27 }
+  ];
+  const pons = validarPons(ctos, [], centrosDosPops(ctos));
+  const cheia = pons.find(pon => pon.pon === '1');
+  const livre = pons.find(pon => pon.pon === '2');
+
+  assert.equal(cheia.chave, 'CURITIBA|POP1|OLT1|1|1');
+  assert.equal(cheia.total_ctos, 2);
+  assert.equal(cheia.split_ratio, 64);
+  assert.equal(cheia.status, 'alerta');
+  assert.deepEqual(cheia.alertas, ['80 portas de CTO para split 1:64', '70 clientes para máximo de 64 ONTs']);
+  // Centro do POP em -25.435: as CTOs ficam a ~556 m em linha reta (× 1,3 de rota da fibra)
+  assert.ok(Math.abs(cheia.distancia_maxima_metros - 723) <= 2);
+  assert.equal(cheia.orcamento.dentro_orcamento, true);
+
+  assert.equal(livre.status, 'ok');
+  assert.deepEqual(livre.alertas, []);
+});
@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { leitorDoArquivo, formatoAceito, converterParaExcel } from '../leitoresBase.js';
+
+let pasta;
+
+before(async () => {
+  pasta = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'leitores-base-'));
+});
+
+after(async () => {
+  await fsPromises.rm(pasta, { recursive: true, force: true });
+});
+
+async function ler(nomeArquivo, conteudo) {
+  const caminho = path.join(pasta, nomeArquivo);
+  await fsPromises.writeFile(caminho, conteudo);
+  const { cabecalhos, linhas } = await leitorDoArquivo(caminho).ler(caminho);
+  const lidas = [];
+  for await (const linha of linhas) {
+    lidas.push(linha);
+  }
+  return { cabecalhos, linhas: lidas };
+}
+
+// Shapefile de pontos: .shp (cabeçalho de 100 bytes + registros Point) e .dbf (dBASE III)
+function shapefilePontos(pontos, campos, registros, apagados = []) {
+  const shp = Buffer.alloc(100 + pontos.length * 28);
+  pontos.forEach(([lng, lat], i) => {
+    const offset = 100 + i * 28;
+    shp.writeInt32BE(i + 1, offset);
+    shp.writeInt32BE(10, offset + 4); // 20 bytes de conteúdo, em palavras de 16 bits
+    shp.writeInt32LE(1, offset + 8); // Point
+    shp.writeDoubleLE(lng, offset + 12);
+    shp.writeDoubleLE(lat, offset + 20);
+  });
+
+  const tamanhoCabecalho = 32 + campos.length * 32 + 1;
+  const tamanhoRegistro = 1 + campos.reduce((total, campo) => total + campo.tamanho, 0);
+  const dbf = Buffer.alloc(tamanhoCabecalho + registros.length * tamanhoRegistro, 0x20);
+  dbf.fill(0, 0, tamanhoCabecalho);
+  dbf[0] = 0x03;
+  dbf.writeUInt32LE(registros.length, 4);
+  dbf.writeUInt16LE(tamanhoCabecalho, 8);
+  dbf.writeUInt16LE(tamanhoRegistro, 10);
+  campos.forEach((campo, i) => {
+    const offset = 32 + i * 32;
+    dbf.write(campo.nome, offset, 'latin1');
+    dbf[offset + 11] = campo.tipo.charCodeAt(0);
+    dbf[offset + 16] = campo.tamanho;
+  });
+  dbf[tamanhoCabecalho - 1] = 0x0D;
+  registros.forEach((valores, i) => {
+    let posicao = tamanhoCabecalho + i * tamanhoRegistro;
+    dbf[posicao++] = apagados.includes(i) ? 0x2A : 0x20;
+    campos.forEach((campo, j) => {
+      dbf.write(String(valores[j] ?? '').padEnd(campo.tamanho, ' '), posicao, campo.tamanho, 'latin1');
+      posicao += campo.tamanho;
+    });
+  });
+  return { shp, dbf };
+}
+
+test('formatos aceitos pela extensão', () => {
+  assert.equal(formatoAceito('base.xlsx'), true);
+  assert.equal(formatoAceito('BASE.CSV'), true);
+  assert.equal(formatoAceito('base.zip'), true);
+  assert.equal(formatoAceito('base.pdf'), false);
+  assert.equal(leitorDoArquivo('base.xlsx'), null);
+  assert.equal(leitorDoArquivo('pontos.geojson').formato, 'geojson');
+});
+
+test('CSV: detecta ponto e vírgula, ignora BOM e linhas em branco e aceita aspas com quebra de linha', async () => {
+  const { cabecalhos, linhas } = await ler('base.csv',
+    '\uFEFFcto;latitude;longitude;obs\r\n' +
+    'CTO-1;-25,43;-49,27;"rua ""A""; fundos"\r\n' +
+    '\r\n' +
+    'CTO-2;-25.44;-49.28;"linha 1\nlinha 2"\r\n' +
+    'CTO-3;;;\r\n'
+  );
+
+  assert.deepEqual(cabecalhos, ['cto', 'latitude', 'longitude', 'obs']);
+  assert.deepEqual(linhas, [
+    { cto: 'CTO-1', latitude: '-25,43', longitude: '-49,27', obs: 'rua "A"; fundos' },
+    { cto: 'CTO-2', latitude: '-25.44', longitude: '-49.28', obs: 'linha 1\nlinha 2' },
+    { cto: 'CTO-3', latitude: null, longitude: null, obs: null }
+  ]);
+});
+
+test('GeoJSON: propriedades + coordenadas do ponto no fim', async () => {
+  const { cabecalhos, linhas } = await ler('base.geojson', JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { cto: 'CTO-1', Latitude: 1, portas: 16 }, geometry: { type: 'Point', coordinates: [-49.27, -25.43] } },
+      { type: 'Feature', properties: { cto: 'CTO-2' }, geometry: null }
+    ]
+  }));
+
+  assert.deepEqual(cabecalhos, ['cto', 'portas', 'latitude', 'longitude']);
+  assert.deepEqual(linhas, [
+    { cto: 'CTO-1', portas: 16, latitude: -25.43, longitude: -49.27 },
+    { cto: 'CTO-2', latitude: null, longitude: null }
+  ]);
+});
+
+test('KML: name, ExtendedData e coordenadas do Point', async () => {
+  const { linhas } = await ler('base.kml', `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark>
+    <name><![CDATA[CTO-1 & cia]]></name>
+    <ExtendedData>
+      <Data name="portas"><value>16</value></Data>
+      <SchemaData schemaUrl="#s"><SimpleData name="pop">POP&amp;1</SimpleData></SchemaData>
+    </ExtendedData>
+    <Point><coordinates>-49.27,-25.43,0</coordinates></Point>
+  </Placemark>
+  <Placemark><name>Sem ponto</name><LineString><coordinates>0,0 1,1</coordinates></LineString></Placemark>
+</Document></kml>`);
+
+  assert.deepEqual(linhas, [
+    { name: 'CTO-1 & cia', portas: '16', pop: 'POP&1', latitude: -25.43, longitude: -49.27 },
+    { name: 'Sem ponto', latitude: null, longitude: null }
+  ]);
+});
+
+test('Shapefile: pontos do .shp com os atributos do .dbf, sem registros apagados', async () => {
+  const { shp, dbf } = shapefilePontos(
+    [[-49.27, -25.43], [-49.28, -25.44], [-49.29, -25.45]],
+    [{ nome: 'CTO', tipo: 'C', tamanho: 10 }, { nome: 'PORTAS', tipo: 'N', tamanho: 4 }, { nome: 'CADASTRO', tipo: 'D', tamanho: 8 }],
+    [['CTO-1', 16, '20260115'], ['CTO-2', 8, ''], ['CTO-3', '', '']],
+    [1]
+  );
+  const zip = new JSZip();
+  zip.file('ctos/ctos.shp', shp);
+  zip.file('ctos/ctos.dbf', dbf);
+
+  const { cabecalhos, linhas } = await ler('ctos.zip', await zip.generateAsync({ type: 'nodebuffer' }));
+
+  assert.deepEqual(cabecalhos, ['CTO', 'PORTAS', 'CADASTRO', 'latitude', 'longitude']);
+  assert.deepEqual(linhas, [
+    { CTO: 'CTO-1', PORTAS: 16, CADASTRO: '2026-01-15', latitude: -25.43, longitude: -49.27 },
+    { CTO: 'CTO-3', PORTAS: null, CADASTRO: null, latitude: -25.45, longitude: -49.29 }
+  ]);
+});
+
+test('Shapefile em coordenadas projetadas é recusado', async () => {
+  const { shp, dbf } = shapefilePontos([[500000, 7180000]], [{ nome: 'CTO', tipo: 'C', tamanho: 10 }], [['CTO-1']]);
+  const zip = new JSZip();
+  zip.file('ctos.shp', shp);
+  zip.file('ctos.dbf', dbf);
+  zip.file('ctos.prj', 'PROJCS["SIRGAS 2000 / UTM zone 22S",GEOGCS["SIRGAS 2000"]]');
+
+  await assert.rejects(ler('utm.zip', await zip.generateAsync({ type: 'nodebuffer' })), /coordenadas projetadas/);
+});
+
+test('converterParaExcel grava cabeçalhos e linhas em uma planilha', async () => {
+  const origem = path.join(pasta, 'converter.csv');
+  const destino = path.join(pasta, 'converter.xlsx');
+  await fsPromises.writeFile(origem, 'cto,portas\nCTO-1,16\nCTO-2,8\n');
+
+  const resultado = await converterParaExcel(origem, destino);
+  assert.deepEqual(resultado, { formato: 'csv', linhas: 2, cabecalhos: ['cto', 'portas'] });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(destino);
+  const valores = workbook.getWorksheet('CTOs').getSheetValues().filter(Boolean).map(linha => linha.slice(1));
+  assert.deepEqual(valores, [['cto', 'portas'], ['CTO-1', '16'], ['CTO-2', '8']]);
+});
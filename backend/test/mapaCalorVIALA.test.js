@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { agruparEmHexagonos, geojsonHexagonos } from '../mapaCalorVIALA.js';
+import { distanciaMetros } from '../utilitarios.js';
+
+const registro = (latitude, longitude, tabulacao) => ({ LATITUDE: latitude, LONGITUDE: longitude, 'TABULAÇÃO FINAL': tabulacao });
+
+test('agruparEmHexagonos junta pontos próximos e separa pontos distantes', () => {
+  const { hexagonos, total, sem_coordenadas: semCoordenadas, max_total: maxTotal } = agruparEmHexagonos([
+    registro('-25,4300', '-49,2700', 'Fora da Área de Cobertura'),
+    registro(-25.4301, -49.2701, 'Viável'),
+    registro(-25.4302, -49.2699, 'fora da área de cobertura'),
+    registro(-25.5, -49.4, 'Viável'),
+    registro('', -49.27, 'Viável'),
+    registro(0, 0, 'Viável')
+  ], { tamanhoMetros: 500 });
+
+  assert.equal(total, 4);
+  assert.equal(semCoordenadas, 2);
+  assert.equal(maxTotal, 3);
+  assert.equal(hexagonos.length, 2);
+
+  const [maior, menor] = hexagonos;
+  assert.equal(maior.total, 3);
+  assert.equal(maior.sem_cobertura, 2);
+  assert.equal(maior.pct_sem_cobertura, 66.67);
+  assert.deepEqual(maior.por_tabulacao, { 'Fora da Área de Cobertura': 1, 'Viável': 1, 'fora da área de cobertura': 1 });
+  assert.equal(menor.total, 1);
+});
+
+test('agruparEmHexagonos gera hexágonos fechados do tamanho pedido ao redor dos pontos', () => {
+  const { hexagonos } = agruparEmHexagonos([registro(-25.43, -49.27, 'Viável')], { tamanhoMetros: 1000 });
+  const [{ centro, poligono }] = hexagonos;
+
+  assert.equal(poligono.length, 7);
+  assert.deepEqual(poligono[0], poligono[6]);
+  for (const [lng, lat] of poligono.slice(0, 6)) {
+    assert.ok(Math.abs(distanciaMetros(centro[1], centro[0], lat, lng) - 1000) < 15);
+  }
+  // O ponto cai dentro do hexágono (a até o raio do centro)
+  assert.ok(distanciaMetros(centro[1], centro[0], -25.43, -49.27) <= 1000);
+});
+
+test('agruparEmHexagonos sem pontos válidos e geojsonHexagonos', () => {
+  assert.deepEqual(agruparEmHexagonos([registro(null, null, '')]), { hexagonos: [], total: 0, sem_coordenadas: 1, max_total: 0 });
+
+  const { hexagonos } = agruparEmHexagonos([registro(-25.43, -49.27, '')]);
+  const geojson = geojsonHexagonos(hexagonos, { total: 1 });
+  assert.equal(geojson.type, 'FeatureCollection');
+  assert.deepEqual(geojson.properties, { total: 1 });
+  assert.equal(geojson.features[0].geometry.type, 'Polygon');
+  assert.deepEqual(geojson.features[0].properties.por_tabulacao, { 'Não Informado': 1 });
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pontosSemCobertura, sugerirLocaisCTO, geojsonNovasCTOs, TABULACAO_SEM_COBERTURA } from '../planejamentoCTO.js';
+
+const ponto = (viAla, latitude, longitude) => ({ vi_ala: viAla, cidade: '', endereco: '', projetista: '', data: '', latitude, longitude });
+
+test('pontosSemCobertura filtra a tabulação e conta coordenadas inválidas', () => {
+  const { pontos, sem_coordenadas: semCoordenadas } = pontosSemCobertura([
+    { 'VI ALA': 'A1', 'TABULAÇÃO FINAL': ` ${TABULACAO_SEM_COBERTURA.toUpperCase()} `, LATITUDE: '-25,43', LONGITUDE: '-49,27' },
+    { 'VI ALA': 'A2', 'TABULAÇÃO FINAL': TABULACAO_SEM_COBERTURA, LATITUDE: '', LONGITUDE: '-49,27' },
+    { 'VI ALA': 'A3', 'TABULAÇÃO FINAL': 'Viável', LATITUDE: -25.43, LONGITUDE: -49.27 }
+  ]);
+  assert.deepEqual(pontos.map(item => [item.vi_ala, item.latitude, item.longitude]), [['A1', -25.43, -49.27]]);
+  assert.equal(semCoordenadas, 1);
+});
+
+test('sugerirLocaisCTO agrupa os pontos no raio e respeita o mínimo de pontos', () => {
+  const sugestoes = sugerirLocaisCTO([
+    ponto('A1', -25.4300, -49.2700),
+    ponto('A2', -25.4310, -49.2700),
+    ponto('A3', -25.4300, -49.2710),
+    ponto('B1', -25.5000, -49.4000)
+  ], { raioMetros: 250, minimoPontos: 2 });
+
+  assert.equal(sugestoes.length, 1);
+  assert.deepEqual(sugestoes[0].pontos.map(item => item.vi_ala).sort(), ['A1', 'A2', 'A3']);
+  assert.ok(sugestoes[0].pontos.every(item => item.distancia_metros <= 250));
+
+  const geojson = geojsonNovasCTOs([{ ...sugestoes[0], id: 1, pon_alimentacao: null }]);
+  assert.deepEqual(geojson.features.map(feature => feature.properties.tipo), ['nova_cto', 'demanda', 'demanda', 'demanda']);
+});
+
+test('sugerirLocaisCTO encontra vizinhos na latitude mais afastada do equador', () => {
+  // Pontos de -5° puxam a latitude média para o norte; a -33° os dois pontos estão a ~980 m
+  const sugestoes = sugerirLocaisCTO([
+    ponto('NORTE', -5, -35.2),
+    ponto('SUL-1', -33, -59.996),
+    ponto('SUL-2', -33, -59.9855)
+  ], { raioMetros: 1000, minimoPontos: 2 });
+
+  assert.equal(sugestoes.length, 1);
+  assert.deepEqual(sugestoes[0].pontos.map(item => item.vi_ala).sort(), ['SUL-1', 'SUL-2']);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { preverSerie, preverEsgotamento, filtrarPorHorizonte } from '../previsaoOcupacao.js';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const INICIO = Date.UTC(2026, 0, 1);
+const dia = (n) => INICIO + n * DIA_MS;
+
+// Linha de ocupacao_tendencias: ocupação do último upload + inclinação do banco
+const tendencia = (campos) => ({
+  uploads: 3,
+  ultimo_upload: new Date(dia(20)).toISOString(),
+  portas: 16,
+  ocupado: 6,
+  portas_por_dia: 0.2,
+  r2: 1,
+  ...campos
+});
+
+test('preverSerie projeta o esgotamento a partir do último upload', () => {
+  const previsao = preverSerie(tendencia(), { agora: dia(20) });
+  assert.equal(previsao.portas_por_mes, 6);
+  assert.equal(previsao.r2, 1);
+  assert.equal(previsao.livre, 10);
+  assert.equal(previsao.dias_para_esgotar, 50);
+  assert.equal(previsao.data_esgotamento, '2026-03-12');
+
+  // O tempo passado desde o último upload é descontado
+  assert.equal(preverSerie(tendencia(), { agora: dia(30) }).dias_para_esgotar, 40);
+});
+
+test('preverSerie não prevê com poucos uploads ou tendência de queda, e CTO cheia tem 0 dias', () => {
+  const poucos = preverSerie(tendencia({ uploads: 2 }), { agora: dia(20) });
+  assert.equal(poucos.portas_por_mes, null);
+  assert.equal(poucos.dias_para_esgotar, null);
+
+  const queda = preverSerie(tendencia({ portas_por_dia: -0.4 }), { agora: dia(20) });
+  assert.ok(queda.portas_por_mes < 0);
+  assert.equal(queda.dias_para_esgotar, null);
+
+  // regr_slope é NULL com um único upload
+  assert.equal(preverSerie(tendencia({ uploads: 1, portas_por_dia: null, r2: null }), { agora: dia(20) }).dias_para_esgotar, null);
+
+  assert.equal(preverSerie(tendencia({ uploads: 1, portas: 8, ocupado: 8, portas_por_dia: null }), { agora: dia(20) }).dias_para_esgotar, 0);
+});
+
+test('preverEsgotamento monta as CTOs e os caminhos de PON', () => {
+  const caminho = { cid_rede: 'CURITIBA', pop: 'POP1', olt: 'OLT1', slot: 1, pon: '1' };
+  const { ctos, pons } = preverEsgotamento({
+    ctos: [
+      tendencia({ id_cto: ' 1 ', cto: 'CTO-1', ...caminho, portas: 8, ocupado: 3, portas_por_dia: 0.1 }),
+      tendencia({ id_cto: '2', cto: 'CTO-2', ...caminho, portas: 8, ocupado: 3, portas_por_dia: 0.1 })
+    ],
+    pons: [tendencia({ ...caminho, total_ctos: 2 })]
+  }, { agora: dia(20) });
+
+  assert.equal(ctos.length, 2);
+  assert.equal(ctos[0].id_cto, '1');
+  assert.equal(ctos[0].nome, 'CTO-1');
+  assert.equal(ctos[0].dias_para_esgotar, 50);
+  assert.equal(pons.length, 1);
+  assert.equal(pons[0].chave, 'CURITIBA|POP1|OLT1|1|1');
+  assert.equal(pons[0].total_ctos, 2);
+  assert.equal(pons[0].portas, 16);
+  assert.equal(pons[0].ocupado, 6);
+  assert.equal(pons[0].dias_para_esgotar, 50);
+
+  assert.deepEqual(preverEsgotamento({}), { ctos: [], pons: [] });
+  assert.deepEqual(filtrarPorHorizonte([...ctos, { dias_para_esgotar: 10, pct_ocup: 0 }], 30).map(item => item.dias_para_esgotar), [10]);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { avaliarQualidadeBase, problemaCoordenada } from '../qualidadeBase.js';
+
+const LAT = -25.43;
+const LNG = -49.27;
+
+let proximoId = 1;
+const cto = (extras = {}) => {
+  const id = String(proximoId++);
+  return {
+    id_cto: id, cto: `CTO-${id}`, cid_rede: 'CURITIBA', pop: 'POP1',
+    latitude: LAT, longitude: LNG, portas: 16, ocupado: 8, pct_ocup: 50, status_cto: 'ATIVADO',
+    ...extras
+  };
+};
+
+// Problemas de um tipo, pelo id_cto
+const ids = (resultado, tipo) => resultado.problemas.filter(p => p.tipo === tipo).map(p => p.id_cto);
+const total = (resultado, tipo) => resultado.resumo.find(r => r.tipo === tipo).total;
+
+test('avaliarQualidadeBase não aponta problemas em uma base correta', () => {
+  const resultado = avaliarQualidadeBase([cto(), cto({ latitude: '-25,431', longitude: '-49,271' }), cto({ status_cto: 'Não Ativado' })]);
+  assert.equal(resultado.total_ctos, 3);
+  assert.equal(resultado.total_problemas, 0);
+  assert.equal(resultado.ctos_com_problemas, 0);
+});
+
+test('problemaCoordenada separa coordenadas inválidas das invertidas', () => {
+  assert.equal(problemaCoordenada(LAT, LNG), null);
+  assert.equal(problemaCoordenada(LNG, LAT).tipo, 'coordenada_invertida');
+  assert.equal(problemaCoordenada(0, 0).tipo, 'coordenada_invalida');
+  assert.equal(problemaCoordenada('', LNG).tipo, 'coordenada_invalida');
+  assert.equal(problemaCoordenada('abc', LNG).tipo, 'coordenada_invalida');
+  assert.match(problemaCoordenada(48.85, 2.35).detalhe, /fora do Brasil/);
+
+  const invertida = cto({ latitude: LNG, longitude: LAT });
+  const resultado = avaliarQualidadeBase([invertida, cto({ latitude: 0, longitude: 0 })]);
+  assert.deepEqual(ids(resultado, 'coordenada_invertida'), [invertida.id_cto]);
+  assert.equal(total(resultado, 'coordenada_invalida'), 1);
+});
+
+test('avaliarQualidadeBase usa o raio mínimo da cidade quando as CTOs estão concentradas', () => {
+  const perto = Array.from({ length: 6 }, (_, i) => cto({ latitude: LAT + i * 0.001 }));
+  const a11km = cto({ latitude: LAT + 0.1 });
+  const a22km = cto({ latitude: LAT + 0.2 });
+  const resultado = avaliarQualidadeBase([...perto, a11km, a22km]);
+  assert.deepEqual(ids(resultado, 'fora_da_cidade'), [a22km.id_cto]);
+  assert.match(resultado.problemas[0].detalhe, /limite 15,0 km/);
+});
+
+test('avaliarQualidadeBase estima o raio da cidade pela mediana das distâncias', () => {
+  // 10 CTOs a ~11 km do centro: limite = 4 × 11,1 km ≈ 44,5 km
+  const espalhadas = Array.from({ length: 10 }, (_, i) => cto({ latitude: LAT + (i % 2 ? 0.1 : -0.1) }));
+  const a33km = cto({ latitude: LAT + 0.3 });
+  const a55km = cto({ latitude: LAT - 0.5 });
+  const resultado = avaliarQualidadeBase([...espalhadas, a33km, a55km]);
+  assert.deepEqual(ids(resultado, 'fora_da_cidade'), [a55km.id_cto]);
+
+  // Cidades com poucas CTOs não são avaliadas
+  assert.equal(total(avaliarQualidadeBase([cto(), cto({ latitude: LAT - 3 })]), 'fora_da_cidade'), 0);
+});
+
+test('avaliarQualidadeBase aponta nomes repetidos na mesma cidade', () => {
+  const a = cto({ cto: 'CTO AÇÃO 01' });
+  const b = cto({ cto: ' cto acao  01' });
+  const outraCidade = cto({ cto: 'CTO AÇÃO 01', cid_rede: 'LONDRINA' });
+  const resultado = avaliarQualidadeBase([a, b, outraCidade]);
+  assert.deepEqual(ids(resultado, 'nome_duplicado'), [a.id_cto, b.id_cto]);
+  assert.match(resultado.problemas[0].detalhe, new RegExp(`2 CTOs de CURITIBA \\(id_cto ${a.id_cto}, ${b.id_cto}\\)`));
+});
+
+test('avaliarQualidadeBase confere ocupado e pct_ocup com tolerância', () => {
+  const dentroDaTolerancia = cto({ pct_ocup: 50.9 });
+  const emFracao = cto({ pct_ocup: 0.5 });
+  const inconsistente = cto({ pct_ocup: 52 });
+  const lotada = cto({ ocupado: 18, pct_ocup: 112.5 });
+  const resultado = avaliarQualidadeBase([dentroDaTolerancia, emFracao, inconsistente, lotada]);
+  assert.deepEqual(ids(resultado, 'pct_ocup_inconsistente'), [inconsistente.id_cto]);
+  assert.deepEqual(ids(resultado, 'ocupado_maior_que_portas'), [lotada.id_cto]);
+});
+
+test('avaliarQualidadeBase aponta status desconhecidos e aceita os das regras de cobertura', () => {
+  const cancelada = cto({ status_cto: 'CANCELADO' });
+  const vazia = cto({ status_cto: '' });
+  const base = [cto({ status_cto: ' ativado ' }), cancelada, vazia];
+
+  const resultado = avaliarQualidadeBase(base);
+  assert.deepEqual(ids(resultado, 'status_desconhecido'), [cancelada.id_cto, vazia.id_cto]);
+  assert.equal(resultado.problemas[1].detalhe, 'Status vazio');
+
+  assert.deepEqual(ids(avaliarQualidadeBase(base, { statusConhecidos: ['cancelado'] }), 'status_desconhecido'), [vazia.id_cto]);
+});
+
+test('avaliarQualidadeBase inclui as linhas ignoradas no upload sem contá-las como CTOs', () => {
+  const resultado = avaliarQualidadeBase([cto()], {
+    linhasIgnoradas: [{ linha: 7, id_cto: '99', cto: 'CTO-99', detalhe: 'Coordenada inválida' }]
+  });
+  assert.equal(total(resultado, 'linha_ignorada'), 1);
+  assert.equal(resultado.problemas[0].linha, 7);
+  assert.equal(resultado.total_problemas, 1);
+  assert.equal(resultado.ctos_com_problemas, 0);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RAIO_COBERTURA_PADRAO_METROS,
+  validarRegrasCobertura,
+  ordenarRegrasCobertura,
+  resolverRegraCobertura,
+  raioCoberturaCTO,
+  raioMaximoCobertura,
+  versaoRegrasCobertura
+} from '../regrasCobertura.js';
+
+const regrasValidas = (lista) => {
+  const { regras, erros } = validarRegrasCobertura(lista);
+  assert.deepEqual(erros, []);
+  return ordenarRegrasCobertura(regras);
+};
+
+test('validarRegrasCobertura normaliza campo, valor e prioridade', () => {
+  const { regras, erros } = validarRegrasCobertura([
+    { campo: ' POP ', valor: ' pop1 ', raio_metros: '300' },
+    { campo: 'cid_rede', valor: 'Curitiba', raio_metros: 400, prioridade: '2' }
+  ]);
+  assert.deepEqual(erros, []);
+  assert.deepEqual(regras, [
+    { campo: 'pop', valor: 'POP1', raio_metros: 300, prioridade: 0 },
+    { campo: 'cid_rede', valor: 'CURITIBA', raio_metros: 400, prioridade: 2 }
+  ]);
+});
+
+test('validarRegrasCobertura recusa regras inválidas e duplicadas', () => {
+  const { regras, erros } = validarRegrasCobertura([
+    { campo: 'olt', valor: 'OLT1', raio_metros: 300 },
+    { campo: 'pop', valor: '  ', raio_metros: 300 },
+    { campo: 'pop', valor: 'POP1', raio_metros: 5 },
+    { campo: 'pop', valor: 'POP1', raio_metros: 6000 },
+    { campo: 'pop', valor: 'POP1', raio_metros: 'abc' },
+    { campo: 'pop', valor: 'POP1', raio_metros: 300, prioridade: 1.5 },
+    { campo: 'pop', valor: 'POP1', raio_metros: 300 },
+    { campo: 'pop', valor: 'pop1', raio_metros: 350 }
+  ]);
+  assert.equal(regras.length, 1);
+  assert.equal(erros.length, 7);
+  assert.match(erros[0], /^Regra 1: campo inválido/);
+  assert.match(erros[1], /^Regra 2: valor é obrigatório/);
+  assert.match(erros[2], /^Regra 3: raio deve estar entre/);
+  assert.match(erros[3], /^Regra 4: raio deve estar entre/);
+  assert.match(erros[4], /^Regra 5: raio deve estar entre/);
+  assert.match(erros[5], /^Regra 6: prioridade deve ser um número inteiro/);
+  assert.match(erros[6], /^Regra 8: já existe uma regra para pop = POP1/);
+
+  assert.deepEqual(validarRegrasCobertura({}).erros, ['Regras devem ser uma lista']);
+});
+
+test('resolverRegraCobertura prefere status_cto, depois pop, depois cid_rede no empate', () => {
+  const regras = regrasValidas([
+    { campo: 'cid_rede', valor: 'CURITIBA', raio_metros: 400 },
+    { campo: 'pop', valor: 'POP1', raio_metros: 300 },
+    { campo: 'status_cto', valor: 'EM IMPLANTAÇÃO', raio_metros: 100 }
+  ]);
+  const cto = { cid_rede: 'curitiba', pop: 'POP1', status_cto: ' em implantação ' };
+
+  assert.equal(resolverRegraCobertura(cto, regras).campo, 'status_cto');
+  assert.equal(raioCoberturaCTO(cto, regras), 100);
+  assert.equal(raioCoberturaCTO({ ...cto, status_cto: 'ATIVADO' }, regras), 300);
+  assert.equal(raioCoberturaCTO({ ...cto, status_cto: 'ATIVADO', pop: 'POP2' }, regras), 400);
+});
+
+test('resolverRegraCobertura deixa a prioridade vencer a especificidade', () => {
+  const regras = regrasValidas([
+    { campo: 'status_cto', valor: 'ATIVADO', raio_metros: 200 },
+    { campo: 'cid_rede', valor: 'CURITIBA', raio_metros: 500, prioridade: 1 }
+  ]);
+  assert.equal(raioCoberturaCTO({ cid_rede: 'CURITIBA', status_cto: 'ATIVADO' }, regras), 500);
+  assert.equal(raioCoberturaCTO({ cid_rede: 'LONDRINA', status_cto: 'ATIVADO' }, regras), 200);
+});
+
+test('raioCoberturaCTO usa o raio padrão sem regra correspondente', () => {
+  const regras = regrasValidas([{ campo: 'pop', valor: 'POP1', raio_metros: 300 }]);
+  assert.equal(resolverRegraCobertura({ pop: 'POP2' }, regras), null);
+  assert.equal(raioCoberturaCTO({ pop: 'POP2' }, regras), RAIO_COBERTURA_PADRAO_METROS);
+  assert.equal(raioCoberturaCTO({}, []), RAIO_COBERTURA_PADRAO_METROS);
+
+  assert.equal(raioMaximoCobertura([]), RAIO_COBERTURA_PADRAO_METROS);
+  assert.equal(raioMaximoCobertura(regras), 300);
+});
+
+test('versaoRegrasCobertura não muda com a ordem das regras e muda com o conteúdo', () => {
+  const lista = [
+    { campo: 'cid_rede', valor: 'CURITIBA', raio_metros: 400 },
+    { campo: 'pop', valor: 'POP1', raio_metros: 300, prioridade: 1 },
+    { campo: 'status_cto', valor: 'ATIVADO', raio_metros: 200 }
+  ];
+  const versao = versaoRegrasCobertura(validarRegrasCobertura(lista).regras);
+
+  assert.match(versao, /^[0-9a-f]{12}$/);
+  assert.equal(versaoRegrasCobertura(validarRegrasCobertura([...lista].reverse()).regras), versao);
+  assert.notEqual(versaoRegrasCobertura(validarRegrasCobertura([{ ...lista[0], raio_metros: 450 }, lista[1], lista[2]]).regras), versao);
+
+  // Conjunto vazio também tem versão própria
+  assert.equal(versaoRegrasCobertura([]), versaoRegrasCobertura([]));
+  assert.notEqual(versaoRegrasCobertura([]), versao);
+});
@@ -0,0 +1,193 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import Pbf from 'pbf';
+import { carregarGrafoViario, calcularRota, codificarPolyline } from '../routing.js';
+import * as cliente from '../routingCliente.js';
+import { distanciaMetros } from '../utilitarios.js';
+
+// Malha de teste (d = 0,001°):
+// 5 --------------- 4      1-2-3 e 4-5-1: residenciais de mão dupla
+//  \   \            ^      3 → 4: residencial de mão única
+//   \      \        |      5 → 3: rodovia (só carro, mão única)
+//    1 ----- 2 ----- 3      6: nó fora das vias (só em via sem highway)
+const LAT = -23.55;
+const LNG = -46.63;
+const D = 0.001;
+const NOS = {
+  1: [LAT, LNG],
+  2: [LAT, LNG + D],
+  3: [LAT, LNG + 2 * D],
+  4: [LAT + D, LNG + 2 * D],
+  5: [LAT + D, LNG - D / 2],
+  6: [LAT + 2 * D, LNG + D]
+};
+const VIAS = [
+  { refs: [1, 2, 3], tags: { highway: 'residential' } },
+  { refs: [3, 4], tags: { highway: 'residential', oneway: 'yes' } },
+  { refs: [4, 5, 1], tags: { highway: 'residential' } },
+  { refs: [5, 3], tags: { highway: 'motorway' } },
+  { refs: [2, 6], tags: { building: 'yes' } }
+];
+
+const ponto = (id) => ({ lat: NOS[id][0], lng: NOS[id][1] });
+const distancia = (...ids) => ids.slice(1).reduce((soma, id, i) => soma + distanciaMetros(...NOS[ids[i]], ...NOS[id]), 0);
+
+// Codificação delta usada em DenseNodes e refs
+const deltas = (valores) => valores.map((valor, i) => valor - (i > 0 ? valores[i - 1] : 0));
+
+// Bloco com os nós 1-5 em DenseNodes (com lat_offset) e o nó 6 como Node simples
+function blocoNos() {
+  const latOffset = -23e9;
+  const ids = [1, 2, 3, 4, 5];
+  const pbf = new Pbf();
+  pbf.writeMessage(1, (_, p) => p.writeBytesField(1, Buffer.alloc(0)));
+  pbf.writeMessage(2, (_, p) => {
+    p.writeMessage(2, (__, p2) => {
+      p2.writePackedSVarint(1, deltas(ids));
+      p2.writePackedSVarint(8, deltas(ids.map(id => Math.round((NOS[id][0] * 1e9 - latOffset) / 100))));
+      p2.writePackedSVarint(9, deltas(ids.map(id => Math.round(NOS[id][1] * 1e7))));
+    });
+    p.writeMessage(1, (__, p2) => {
+      p2.writeSVarintField(1, 6);
+      p2.writeSVarintField(8, Math.round((NOS[6][0] * 1e9 - latOffset) / 100));
+      p2.writeSVarintField(9, Math.round(NOS[6][1] * 1e7));
+    });
+  });
+  pbf.writeVarintField(17, 100);
+  pbf.writeVarintField(19, latOffset); // int64 (não zigzag)
+  return pbf.finish();
+}
+
+function blocoVias() {
+  const strings = [''];
+  const indice = (valor) => {
+    if (!strings.includes(valor)) strings.push(valor);
+    return strings.indexOf(valor);
+  };
+  const vias = VIAS.map((via, i) => ({
+    id: i + 1,
+    chaves: Object.keys(via.tags).map(indice),
+    valores: Object.values(via.tags).map(indice),
+    refs: deltas(via.refs)
+  }));
+
+  const pbf = new Pbf();
+  pbf.writeMessage(1, (_, p) => strings.forEach(s => p.writeBytesField(1, Buffer.from(s))));
+  pbf.writeMessage(2, (_, p) => {
+    for (const via of vias) {
+      p.writeMessage(3, (__, p2) => {
+        p2.writeVarintField(1, via.id);
+        p2.writePackedVarint(2, via.chaves);
+        p2.writePackedVarint(3, via.valores);
+        p2.writePackedSVarint(8, via.refs);
+      });
+    }
+  });
+  return pbf.finish();
+}
+
+// BlobHeader + Blob; compactar = true grava o bloco em zlib_data
+function blob(tipo, dados, compactar) {
+  const corpo = new Pbf();
+  if (compactar) {
+    corpo.writeVarintField(2, dados.length);
+    corpo.writeBytesField(3, zlib.deflateSync(dados));
+  } else {
+    corpo.writeBytesField(1, dados);
+  }
+  const blobBuf = corpo.finish();
+
+  const cabecalho = new Pbf();
+  cabecalho.writeStringField(1, tipo);
+  cabecalho.writeVarintField(3, blobBuf.length);
+  const cabecalhoBuf = cabecalho.finish();
+
+  const tamanho = Buffer.alloc(4);
+  tamanho.writeUInt32BE(cabecalhoBuf.length);
+  return Buffer.concat([tamanho, cabecalhoBuf, blobBuf]);
+}
+
+let pasta;
+let arquivo;
+
+before(async () => {
+  pasta = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'routing-'));
+  arquivo = path.join(pasta, 'malha.osm.pbf');
+  await fsPromises.writeFile(arquivo, Buffer.concat([
+    blob('OSMHeader', Buffer.from('ignorado'), false),
+    blob('OSMData', blocoNos(), false),
+    blob('OSMData', blocoVias(), true)
+  ]));
+});
+
+after(async () => {
+  await cliente.encerrarRotas();
+  await fsPromises.rm(pasta, { recursive: true, force: true });
+});
+
+test('calcularRota exige a malha carregada', () => {
+  assert.throws(() => calcularRota(ponto(1), ponto(3), 'walking'), /Malha viária não carregada/);
+});
+
+test('carregarGrafoViario lê nós (densos e simples) e vias de blocos brutos e zlib', async () => {
+  const status = await carregarGrafoViario(arquivo);
+  assert.equal(status.estado, 'carregado');
+  // Nó 6 só aparece em via sem highway
+  assert.equal(status.nos, 5);
+  // 1-2-3 e 4-5-1: 4 segmentos × 2 sentidos; 3 → 4: 2 (a ida serve a pé e de carro); 5 → 3: 1
+  assert.equal(status.arestas, 11);
+});
+
+test('caminhada evita rodovia e ignora mão única', () => {
+  const rota = calcularRota(ponto(5), ponto(3), 'walking');
+  assert.equal(rota.encontrada, true);
+  assert.ok(Math.abs(rota.distancia_metros - distancia(5, 1, 2, 3)) < 0.5);
+  assert.deepEqual(rota.pontos, [5, 1, 2, 3].map(id => NOS[id]));
+
+  const contraMao = calcularRota(ponto(4), ponto(3), 'walking');
+  assert.ok(Math.abs(contraMao.distancia_metros - distancia(4, 3)) < 0.5);
+});
+
+test('carro usa rodovia e respeita mão única', () => {
+  const pelaRodovia = calcularRota(ponto(5), ponto(3), 'driving');
+  assert.ok(Math.abs(pelaRodovia.distancia_metros - distancia(5, 3)) < 0.5);
+
+  // 4 → 3 é contramão: volta por 4-5 e pela rodovia
+  const desvio = calcularRota(ponto(4), ponto(3), 'driving');
+  assert.ok(Math.abs(desvio.distancia_metros - distancia(4, 5, 3)) < 0.5);
+  assert.equal(desvio.polyline, codificarPolyline(desvio.pontos));
+});
+
+test('calcularRota soma a distância até a via e escolhe o modo pela distância linear', () => {
+  const fora = { lat: LAT - 0.0002, lng: LNG + D };
+  const rota = calcularRota(fora, ponto(3));
+  assert.equal(rota.modo, 'walking');
+  assert.ok(Math.abs(rota.distancia_metros - (distanciaMetros(fora.lat, fora.lng, ...NOS[2]) + distancia(2, 3))) < 0.5);
+  assert.deepEqual(rota.pontos[0], [fora.lat, fora.lng]);
+});
+
+test('calcularRota não encontra rota longe das vias', () => {
+  const rota = calcularRota({ lat: LAT + 0.05, lng: LNG }, ponto(3), 'walking');
+  assert.equal(rota.encontrada, false);
+  assert.match(rota.motivo, /ponto de origem/);
+});
+
+test('codificarPolyline segue o formato do Google', () => {
+  assert.equal(codificarPolyline([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+});
+
+test('routingCliente carrega a malha e calcula rotas na worker thread', async () => {
+  assert.equal(cliente.isGrafoViarioCarregado(), false);
+  const status = await cliente.carregarGrafoViario(arquivo);
+  assert.equal(status.nos, 5);
+  assert.equal(cliente.isGrafoViarioCarregado(), true);
+
+  const rota = await cliente.calcularRota(ponto(4), ponto(3), 'driving');
+  assert.ok(Math.abs(rota.distancia_metros - distancia(4, 5, 3)) < 0.5);
+
+  await assert.rejects(cliente.calcularRota(ponto(4), ponto(3), 'bicicleta'), /Modo de rota inválido/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classificarViabilidade, ctoAtivada } from '../viabilidadeLote.js';
+
+// CTO no formato de formatarCTOProxima
+const cto = (nome, distancia_metros, extras = {}) => ({
+  nome, distancia_metros, vagas_total: 16, clientes_conectados: 4, status_cto: 'ATIVADO', ...extras
+});
+
+test('classificarViabilidade aprova com portas só com CTO ATIVADO e porta livre no limite', () => {
+  const resultado = classificarViabilidade({
+    coberto: true,
+    ctos: [cto('CTO-2', 200), cto('CTO-1', 120, { status_cto: 'EM IMPLANTAÇÃO' })]
+  });
+  assert.equal(resultado.resultado, 'Aprovado Com Portas');
+  assert.deepEqual(resultado.dentroDoLimite.map(c => c.nome), ['CTO-1', 'CTO-2']);
+  assert.deepEqual(resultado.livresDentroDoLimite.map(c => c.nome), ['CTO-2']);
+});
+
+test('classificarViabilidade pede alívio quando as CTOs no limite estão cheias ou não ATIVADO', () => {
+  const { resultado, livresDentroDoLimite } = classificarViabilidade({
+    coberto: true,
+    ctos: [
+      cto('CTO-1', 50, { status_cto: 'NAO ATIVADO' }),
+      cto('CTO-2', 100, { status_cto: '' }),
+      cto('CTO-3', 150, { clientes_conectados: 16 })
+    ]
+  });
+  assert.equal(resultado, 'Aprovado Com Alívio de Rede/Cleanup');
+  assert.equal(livresDentroDoLimite.length, 0);
+});
+
+test('classificarViabilidade usa a distância real quando existe e respeita a cobertura', () => {
+  // 200 m em linha reta, 400 m pelas ruas: fora do limite
+  const ctos = [cto('CTO-1', 200, { distancia_real: 400 })];
+  assert.equal(classificarViabilidade({ coberto: true, ctos }).resultado, 'Sem CTO até 250m');
+  assert.equal(classificarViabilidade({ coberto: true, ctos }, { limiteMetros: 500 }).resultado, 'Aprovado Com Portas');
+
+  // Fora da mancha, mesmo com CTO livre ao lado
+  assert.equal(classificarViabilidade({ coberto: false, ctos: [cto('CTO-1', 10)] }).resultado, 'Fora da Área de Cobertura');
+  assert.equal(classificarViabilidade({ coberto: true }).resultado, 'Sem CTO até 250m');
+});
+
+test('ctoAtivada ignora maiúsculas e espaços do status', () => {
+  assert.equal(ctoAtivada({ status_cto: ' ativado ' }), true);
+  assert.equal(ctoAtivada({ status_cto: 'DESATIVADO' }), false);
+  assert.equal(ctoAtivada({}), false);
+});
@@ -0,0 +1,41 @@
+// ============================================
+// Funções auxiliares compartilhadas pelos módulos de rede e cobertura
+// ============================================
+// Normalização dos campos da tabela ctos / base de VI ALA e distância
+// geodésica, para os módulos puros do backend não repetirem as mesmas funções.
+// ============================================
+
+export const SEM_VALOR = 'N/A';
+export const METROS_POR_GRAU = 111320;
+
+// Texto do campo (vazio vira 'N/A', para agrupar CTOs sem o campo preenchido)
+export function texto(valor) {
+  const normalizado = String(valor ?? '').trim();
+  return normalizado || SEM_VALOR;
+}
+
+// Inteiro positivo (portas, ocupado, livre); vazio ou inválido vira 0
+export function inteiro(valor) {
+  const numero = parseInt(valor, 10);
+  return Number.isFinite(numero) && numero > 0 ? numero : 0;
+}
+
+export function arredondar(valor, casas = 2) {
+  const fator = 10 ** casas;
+  return Math.round(valor * fator) / fator;
+}
+
+// Coordenada da base de VI ALA (aceita vírgula decimal)
+export function coordenada(valor) {
+  const numero = parseFloat(String(valor ?? '').trim().replace(',', '.'));
+  return Number.isFinite(numero) ? numero : null;
+}
+
+// Distância geodésica (Haversine) em metros
+export function distanciaMetros(lat1, lng1, lat2, lng2) {
+  const R = 6371000; // Raio da Terra em metros
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
@@ -0,0 +1,51 @@
+// ============================================
+// Classificação da consulta de viabilidade em lote
+// ============================================
+// Mesmos critérios da Viabilidade Alares (ViabilidadeAlares.svelte) para uma
+// linha da planilha, a partir da cobertura do ponto e das CTOs de rua mais
+// próximas (find_ctos_nearest):
+//   - fora da mancha de cobertura           → 'Fora da Área de Cobertura'
+//   - CTO ATIVADO com porta livre no limite → 'Aprovado Com Portas'
+//   - alguma CTO no limite, sem porta livre → 'Aprovado Com Alívio de Rede/Cleanup'
+//   - nenhuma CTO no limite                 → 'Sem CTO até <limite>m'
+// A distância considerada é a real pelas ruas (distancia_real) quando a malha
+// viária está carregada; sem ela, a linear (distancia_metros).
+// ============================================
+
+export const VIABILIDADE_LIMITE_METROS = 250; // Mesmo limite da Viabilidade Alares
+// Status aceitos para "CTO com Porta Livre" (a Viabilidade Alares busca /api/ctos/nearest com status=ATIVADO)
+export const VIABILIDADE_STATUS_PORTA_LIVRE = ['ATIVADO'];
+
+export function distanciaConsiderada(cto) {
+  return cto.distancia_real ?? cto.distancia_metros;
+}
+
+export function ctoAtivada(cto) {
+  return VIABILIDADE_STATUS_PORTA_LIVRE.includes(String(cto.status_cto ?? '').trim().toUpperCase());
+}
+
+/**
+ * Classificar um ponto da consulta em lote
+ * @param {Object} dados - { coberto, ctos } (ctos no formato de formatarCTOProxima, com distancia_real opcional)
+ * @param {Object} opcoes - { limiteMetros }
+ * @returns {Object} - { resultado, dentroDoLimite: [...], livresDentroDoLimite: [...] } (listas da mais próxima para a mais distante)
+ */
+export function classificarViabilidade({ coberto, ctos = [] }, { limiteMetros = VIABILIDADE_LIMITE_METROS } = {}) {
+  const dentroDoLimite = [...ctos]
+    .sort((a, b) => distanciaConsiderada(a) - distanciaConsiderada(b))
+    .filter(cto => distanciaConsiderada(cto) <= limiteMetros);
+  const livresDentroDoLimite = dentroDoLimite.filter(cto => ctoAtivada(cto) && cto.vagas_total - cto.clientes_conectados > 0);
+
+  let resultado;
+  if (!coberto) {
+    resultado = 'Fora da Área de Cobertura';
+  } else if (livresDentroDoLimite.length > 0) {
+    resultado = 'Aprovado Com Portas';
+  } else if (dentroDoLimite.length > 0) {
+    resultado = 'Aprovado Com Alívio de Rede/Cleanup';
+  } else {
+    resultado = `Sem CTO até ${limiteMetros}m`;
+  }
+
+  return { resultado, dentroDoLimite, livresDentroDoLimite };
+}
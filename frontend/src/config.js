@@ -102,3 +102,75 @@ export function getApiUrl(path) {
   }
   return fallbackPath;
 }
+
+// ============================================
+// Token de sessão (emitido por /api/auth/login)
+// ============================================
+const AUTH_TOKEN_KEY = 'authToken';
+
+export function getAuthToken() {
+  try {
+    return (typeof localStorage !== 'undefined' && localStorage.getItem(AUTH_TOKEN_KEY)) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function setAuthToken(token) {
+  if (typeof localStorage !== 'undefined' && token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  }
+}
+
+export function clearAuthToken() {
+  if (typeof localStorage !== 'undefined') {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+}
+
+// Verificar se a URL aponta para a API do backend (/api/...)
+function isApiRequest(url) {
+  try {
+    const { pathname } = new URL(url, window.location.href);
+    return pathname.startsWith('/api/');
+  } catch {
+    return false;
+  }
+}
+
+// Interceptar fetch para enviar o token de sessão em todas as chamadas à API
+// Assim os componentes continuam usando fetch(getApiUrl(...)) sem se preocupar com autenticação
+// Se o backend responder 401, a sessão expirou: o token é descartado e o evento 'sessao-expirada' é disparado
+export function installAuthFetch() {
+  if (typeof window === 'undefined' || window.__authFetchInstalled) {
+    return;
+  }
+  
+  const originalFetch = window.fetch.bind(window);
+  
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : (input instanceof URL ? input.href : input.url);
+    const token = getAuthToken();
+    
+    if (!token || !isApiRequest(url)) {
+      return originalFetch(input, init);
+    }
+    
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    if (!headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    
+    const response = await originalFetch(input, { ...init, headers });
+    
+    if (response.status === 401 && !url.includes('/api/auth/')) {
+      console.warn('⚠️ [API] Sessão expirada ou inválida:', url);
+      clearAuthToken();
+      window.dispatchEvent(new CustomEvent('sessao-expirada'));
+    }
+    
+    return response;
+  };
+  
+  window.__authFetchInstalled = true;
+}
@@ -1,4 +1,8 @@
 import App from './App.svelte';
+import { installAuthFetch } from './config.js';
+
+// Enviar token de sessão automaticamente nas chamadas à API
+installAuthFetch();
 
 const app = new App({
   target: document.getElementById('app'),
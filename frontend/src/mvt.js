@@ -0,0 +1,190 @@
+// Decodificador de vector tiles (Mapbox Vector Tile 2.1)
+// Sem dependências do navegador ou do Vite, para rodar também nos testes (node --test)
+// Especificação: https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+
+// Leitor mínimo de protobuf (somente o necessário para o formato MVT)
+class LeitorProtobuf {
+  constructor(bytes, inicio = 0, fim = bytes.length) {
+    this.bytes = bytes;
+    this.pos = inicio;
+    this.fim = fim;
+  }
+
+  varint() {
+    let valor = 0;
+    let multiplicador = 1;
+    let byte;
+    do {
+      byte = this.bytes[this.pos++];
+      valor += (byte & 0x7f) * multiplicador;
+      multiplicador *= 128;
+    } while (byte & 0x80);
+    return valor;
+  }
+
+  zigzag() {
+    const valor = this.varint();
+    return valor % 2 === 1 ? (valor + 1) / -2 : valor / 2;
+  }
+
+  // Sub-leitor para um campo length-delimited
+  mensagem() {
+    const tamanho = this.varint();
+    const leitor = new LeitorProtobuf(this.bytes, this.pos, this.pos + tamanho);
+    this.pos += tamanho;
+    return leitor;
+  }
+
+  texto() {
+    const tamanho = this.varint();
+    const texto = new TextDecoder().decode(this.bytes.subarray(this.pos, this.pos + tamanho));
+    this.pos += tamanho;
+    return texto;
+  }
+
+  // Lista compactada de varints
+  compactados() {
+    const leitor = this.mensagem();
+    const valores = [];
+    while (leitor.pos < leitor.fim) {
+      valores.push(leitor.varint());
+    }
+    return valores;
+  }
+
+  float() {
+    const valor = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.pos, 4).getFloat32(0, true);
+    this.pos += 4;
+    return valor;
+  }
+
+  double() {
+    const valor = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.pos, 8).getFloat64(0, true);
+    this.pos += 8;
+    return valor;
+  }
+
+  pular(tipo) {
+    if (tipo === 0) this.varint();
+    else if (tipo === 1) this.pos += 8;
+    else if (tipo === 2) {
+      // Ler o tamanho antes de somar (em "this.pos += this.varint()" a posição é lida antes do varint avançar)
+      const tamanho = this.varint();
+      this.pos += tamanho;
+    }
+    else if (tipo === 5) this.pos += 4;
+    else throw new Error(`Tipo de campo protobuf não suportado: ${tipo}`);
+  }
+
+  // Percorrer os campos chamando lerCampo(numero, tipo) (retorna false se não leu o campo)
+  campos(lerCampo) {
+    while (this.pos < this.fim) {
+      const chave = this.varint();
+      const numero = Math.floor(chave / 8);
+      const tipo = chave & 0x7;
+      if (lerCampo(numero, tipo) === false) {
+        this.pular(tipo);
+      }
+    }
+  }
+}
+
+function lerValor(leitor) {
+  let valor = null;
+  leitor.campos((numero) => {
+    if (numero === 1) valor = leitor.texto();
+    else if (numero === 2) valor = leitor.float();
+    else if (numero === 3) valor = leitor.double();
+    else if (numero === 4 || numero === 5) valor = leitor.varint();
+    else if (numero === 6) valor = leitor.zigzag();
+    else if (numero === 7) valor = leitor.varint() === 1;
+    else return false;
+  });
+  return valor;
+}
+
+// Comandos da geometria MVT → lista de anéis/linhas/pontos ([[x, y], ...])
+function decodificarGeometria(comandos) {
+  const partes = [];
+  let atual = null;
+  let x = 0;
+  let y = 0;
+  let i = 0;
+
+  while (i < comandos.length) {
+    const comando = comandos[i] & 0x7;
+    const repeticoes = comandos[i] >> 3;
+    i++;
+
+    if (comando === 7) {
+      if (atual && atual.length > 0) {
+        atual.push([...atual[0]]);
+      }
+      continue;
+    }
+
+    for (let r = 0; r < repeticoes; r++) {
+      const dx = comandos[i++];
+      const dy = comandos[i++];
+      x += dx % 2 === 1 ? (dx + 1) / -2 : dx / 2;
+      y += dy % 2 === 1 ? (dy + 1) / -2 : dy / 2;
+
+      if (comando === 1) {
+        atual = [];
+        partes.push(atual);
+      }
+      atual.push([x, y]);
+    }
+  }
+
+  return partes;
+}
+
+// Decodificar um tile MVT
+// Retorna { [nomeCamada]: { extent, features: [{ tipo: 1|2|3, geometria, propriedades }] } }
+export function decodificarVectorTile(buffer) {
+  const tile = new LeitorProtobuf(new Uint8Array(buffer));
+  const camadas = {};
+
+  tile.campos((numero, tipo) => {
+    if (numero !== 3 || tipo !== 2) return false;
+
+    const leitor = tile.mensagem();
+    const chaves = [];
+    const valores = [];
+    const brutas = [];
+    let nome = '';
+    let extent = 4096;
+
+    leitor.campos((campo) => {
+      if (campo === 1) nome = leitor.texto();
+      else if (campo === 2) brutas.push(leitor.mensagem());
+      else if (campo === 3) chaves.push(leitor.texto());
+      else if (campo === 4) valores.push(lerValor(leitor.mensagem()));
+      else if (campo === 5) extent = leitor.varint();
+      else return false;
+    });
+
+    const features = brutas.map(feature => {
+      let tipoGeometria = 0;
+      let tags = [];
+      let comandos = [];
+      feature.campos((campo) => {
+        if (campo === 2) tags = feature.compactados();
+        else if (campo === 3) tipoGeometria = feature.varint();
+        else if (campo === 4) comandos = feature.compactados();
+        else return false;
+      });
+
+      const propriedades = {};
+      for (let t = 0; t + 1 < tags.length; t += 2) {
+        propriedades[chaves[tags[t]]] = valores[tags[t + 1]];
+      }
+      return { tipo: tipoGeometria, geometria: decodificarGeometria(comandos), propriedades };
+    });
+
+    camadas[nome] = { extent, features };
+  });
+
+  return camadas;
+}
@@ -0,0 +1,127 @@
+// Vector tiles (MVT) servidos por GET /api/tiles/{camada}/{z}/{x}/{y}.mvt
+// Camadas: ctos, condominios, cobertura (ver backend/sql/create_vector_tiles.sql)
+// O Google Maps não desenha MVT nativamente: cada tile é decodificado aqui e
+// desenhado em um <canvas> por uma camada sobreposta (map.overlayMapTypes).
+import { getApiUrl } from './config.js';
+import { decodificarVectorTile } from './mvt.js';
+
+const TAMANHO_TILE = 256;
+
+// Criar uma camada sobreposta do Google Maps que desenha os tiles de uma camada
+// googleMaps: objeto google.maps
+// desenhar(ctx, feature, escala, zoom): desenha uma feature (coordenadas do tile × escala = pixels do tile de 256px)
+// Uso: map.overlayMapTypes.push(criarCamadaVectorTile(google.maps, 'ctos', desenharCTOTile))
+export function criarCamadaVectorTile(googleMaps, camada, desenhar, { zoomMinimo = 0 } = {}) {
+  const controladores = new Map(); // canvas → AbortController
+
+  return {
+    tileSize: new googleMaps.Size(TAMANHO_TILE, TAMANHO_TILE),
+    maxZoom: 22,
+    name: camada,
+
+    getTile(coord, zoom, ownerDocument) {
+      const canvas = ownerDocument.createElement('canvas');
+      const densidade = window.devicePixelRatio || 1;
+      canvas.width = TAMANHO_TILE * densidade;
+      canvas.height = TAMANHO_TILE * densidade;
+      canvas.style.width = `${TAMANHO_TILE}px`;
+      canvas.style.height = `${TAMANHO_TILE}px`;
+
+      const total = 2 ** zoom;
+      if (zoom < zoomMinimo || coord.y < 0 || coord.y >= total) {
+        return canvas;
+      }
+      const x = ((coord.x % total) + total) % total; // O mapa repete horizontalmente
+
+      const controlador = new AbortController();
+      controladores.set(canvas, controlador);
+
+      fetch(getApiUrl(`/api/tiles/${camada}/${zoom}/${x}/${coord.y}.mvt`), { signal: controlador.signal })
+        .then(async (response) => {
+          if (response.status === 204 || !response.ok) {
+            return;
+          }
+          const dados = decodificarVectorTile(await response.arrayBuffer())[camada];
+          if (!dados) {
+            return;
+          }
+          const ctx = canvas.getContext('2d');
+          ctx.scale(densidade, densidade);
+          const escala = TAMANHO_TILE / dados.extent;
+          dados.features.forEach(feature => desenhar(ctx, feature, escala, zoom));
+        })
+        .catch(err => {
+          if (err.name !== 'AbortError') {
+            console.warn(`⚠️ Erro ao carregar tile ${camada}/${zoom}/${x}/${coord.y}:`, err);
+          }
+        })
+        .finally(() => controladores.delete(canvas));
+
+      return canvas;
+    },
+
+    releaseTile(canvas) {
+      controladores.get(canvas)?.abort();
+      controladores.delete(canvas);
+    }
+  };
+}
+
+// Cor da CTO pela ocupação (mesmas faixas da Análise de Cobertura)
+function corPorOcupacao(pctOcup) {
+  const porcentagem = parseFloat(pctOcup) || 0;
+  if (porcentagem < 50) {
+    return '#4CAF50'; // Verde
+  }
+  if (porcentagem < 80) {
+    return '#FF9800'; // Laranja
+  }
+  return '#F44336'; // Vermelho
+}
+
+// Desenhar CTO (ou grupo de CTOs em zoom baixo) da camada ctos
+export function desenharCTOTile(ctx, feature, escala) {
+  const { quantidade = 1, pct_ocup, status_cto } = feature.propriedades;
+  const raio = quantidade > 1 ? Math.min(3 + Math.log2(quantidade) * 1.5, 12) : 4;
+  const ativa = !status_cto || String(status_cto).toUpperCase().trim() === 'ATIVADO';
+
+  feature.geometria.forEach(([[x, y]]) => {
+    ctx.beginPath();
+    ctx.arc(x * escala, y * escala, raio, 0, Math.PI * 2);
+    ctx.fillStyle = ativa ? corPorOcupacao(pct_ocup) : '#9E9E9E';
+    ctx.globalAlpha = quantidade > 1 ? 0.75 : 1;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  });
+}
+
+// Desenhar CTO de prédio da camada condominios
+export function desenharCondominioTile(ctx, feature, escala) {
+  const lado = 8;
+  feature.geometria.forEach(([[x, y]]) => {
+    ctx.fillStyle = '#7B68EE';
+    ctx.fillRect(x * escala - lado / 2, y * escala - lado / 2, lado, lado);
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeRect(x * escala - lado / 2, y * escala - lado / 2, lado, lado);
+  });
+}
+
+// Desenhar a mancha da camada cobertura (anéis externos e buracos no mesmo caminho, regra evenodd)
+export function desenharCoberturaTile(ctx, feature, escala) {
+  ctx.beginPath();
+  feature.geometria.forEach(anel => {
+    anel.forEach(([x, y], i) => {
+      if (i === 0) ctx.moveTo(x * escala, y * escala);
+      else ctx.lineTo(x * escala, y * escala);
+    });
+    ctx.closePath();
+  });
+  ctx.fillStyle = 'rgba(107, 141, 214, 0.35)';
+  ctx.fill('evenodd');
+  ctx.strokeStyle = '#8B7AE8';
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+}
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodificarVectorTile } from '../src/mvt.js';
+
+// Escrita mínima de protobuf para montar os tiles de teste
+function varint(valor) {
+  const bytes = [];
+  while (valor >= 0x80) {
+    bytes.push((valor % 128) | 0x80);
+    valor = Math.floor(valor / 128);
+  }
+  bytes.push(valor);
+  return bytes;
+}
+
+const zigzag = (valor) => (valor < 0 ? -2 * valor - 1 : 2 * valor);
+const campoVarint = (numero, valor) => [...varint(numero * 8), ...varint(valor)];
+const campoBytes = (numero, bytes) => [...varint(numero * 8 + 2), ...varint(bytes.length), ...bytes];
+const campoTexto = (numero, texto) => campoBytes(numero, [...new TextEncoder().encode(texto)]);
+const campoCompactado = (numero, valores) => campoBytes(numero, valores.flatMap(varint));
+
+function campoFixo(numero, tipo, tamanho, escrever) {
+  const buffer = new DataView(new ArrayBuffer(tamanho));
+  escrever(buffer);
+  return [...varint(numero * 8 + tipo), ...new Uint8Array(buffer.buffer)];
+}
+
+// Value do MVT: string (1), float (2), double (3), uint (5), sint (6), bool (7)
+const valor = {
+  texto: (texto) => campoTexto(1, texto),
+  float: (numero) => campoFixo(2, 5, 4, (dv) => dv.setFloat32(0, numero, true)),
+  double: (numero) => campoFixo(3, 1, 8, (dv) => dv.setFloat64(0, numero, true)),
+  uint: (numero) => campoVarint(5, numero),
+  sint: (numero) => campoVarint(6, zigzag(numero)),
+  bool: (b) => campoVarint(7, b ? 1 : 0)
+};
+
+function feature({ id, tags = [], tipo, geometria }) {
+  return [
+    ...(id !== undefined ? campoVarint(1, id) : []),
+    ...campoCompactado(2, tags),
+    ...campoVarint(3, tipo),
+    ...campoCompactado(4, geometria)
+  ];
+}
+
+function camada({ nome, extent, chaves = [], valores = [], features }) {
+  return [
+    ...campoVarint(15, 2), // version
+    ...campoTexto(1, nome),
+    ...features.flatMap(f => campoBytes(2, feature(f))),
+    ...chaves.flatMap(chave => campoTexto(3, chave)),
+    ...valores.flatMap(v => campoBytes(4, v)),
+    ...(extent !== undefined ? campoVarint(5, extent) : [])
+  ];
+}
+
+const tile = (...camadas) => new Uint8Array(camadas.flatMap(c => campoBytes(3, camada(c)))).buffer;
+
+test('decodificarVectorTile lê as geometrias de exemplo da especificação MVT', () => {
+  const camadas = decodificarVectorTile(tile({
+    nome: 'exemplo',
+    features: [
+      // Exemplos da seção 4.3.5 da especificação
+      { tipo: 1, geometria: [9, 50, 34] },
+      { tipo: 1, geometria: [17, 10, 14, 3, 9] },
+      { tipo: 2, geometria: [9, 4, 4, 18, 0, 16, 16, 0] },
+      { tipo: 3, geometria: [9, 6, 12, 18, 10, 12, 24, 44, 15] },
+      { tipo: 3, geometria: [9, 0, 0, 26, 20, 0, 0, 20, 19, 0, 15, 9, 22, 2, 26, 18, 0, 0, 18, 17, 0, 15, 9, 4, 13, 26, 0, 8, 8, 0, 0, 7, 15] }
+    ]
+  }));
+
+  const { extent, features } = camadas.exemplo;
+  assert.equal(extent, 4096);
+  assert.deepEqual(features.map(f => f.tipo), [1, 1, 2, 3, 3]);
+  assert.deepEqual(features[0].geometria, [[[25, 17]]]);
+  // MultiPoint: cada ponto vira uma parte (os desenhos percorrem as partes como pontos)
+  assert.deepEqual(features[1].geometria, [[[5, 7]], [[3, 2]]]);
+  assert.deepEqual(features[2].geometria, [[[2, 2], [2, 10], [10, 10]]]);
+  assert.deepEqual(features[3].geometria, [[[3, 6], [8, 12], [20, 34], [3, 6]]]);
+  // Multipolígono: anel externo, segundo anel externo e buraco, todos fechados
+  assert.deepEqual(features[4].geometria, [
+    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+    [[11, 11], [20, 11], [20, 20], [11, 20], [11, 11]],
+    [[13, 13], [13, 17], [17, 17], [17, 13], [13, 13]]
+  ]);
+});
+
+test('decodificarVectorTile monta as propriedades com chaves e valores de todos os tipos', () => {
+  const camadas = decodificarVectorTile(tile({
+    nome: 'ctos',
+    extent: 512,
+    chaves: ['nome', 'pct_ocup', 'latitude', 'portas', 'saldo', 'ativa'],
+    valores: [valor.texto('CTO-01 Ação'), valor.float(62.5), valor.double(-5.791234567), valor.uint(300), valor.sint(-7), valor.bool(true), valor.uint(16)],
+    features: [
+      { id: 42, tipo: 1, tags: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5], geometria: [9, 50, 34] },
+      { tipo: 1, tags: [0, 0, 3, 6], geometria: [9, 2, 2] }
+    ]
+  }));
+
+  const { extent, features } = camadas.ctos;
+  assert.equal(extent, 512);
+  assert.deepEqual(features[0].propriedades, {
+    nome: 'CTO-01 Ação',
+    pct_ocup: 62.5,
+    latitude: -5.791234567,
+    portas: 300,
+    saldo: -7,
+    ativa: true
+  });
+  assert.deepEqual(features[1].propriedades, { nome: 'CTO-01 Ação', portas: 16 });
+});
+
+test('decodificarVectorTile separa as camadas e ignora campos desconhecidos', () => {
+  const buffer = tile(
+    { nome: 'ctos', features: [{ tipo: 1, geometria: [9, 50, 34] }] },
+    { nome: 'cobertura', features: [{ tipo: 3, geometria: [9, 6, 12, 18, 10, 12, 24, 44, 15] }] }
+  );
+  // Campo desconhecido no nível do tile (campo 9, length-delimited)
+  const comExtra = new Uint8Array([...campoTexto(9, 'ignorar'), ...new Uint8Array(buffer)]);
+
+  const camadas = decodificarVectorTile(comExtra.buffer);
+  assert.deepEqual(Object.keys(camadas), ['ctos', 'cobertura']);
+  assert.deepEqual(camadas.cobertura.features[0].geometria, [[[3, 6], [8, 12], [20, 34], [3, 6]]]);
+});
+
+test('decodificarVectorTile aceita tile vazio e varints longos', () => {
+  assert.deepEqual(decodificarVectorTile(new ArrayBuffer(0)), {});
+
+  // Coordenadas acima de 2^28 (varint de 5 bytes)
+  const camadas = decodificarVectorTile(tile({ nome: 'ctos', features: [{ tipo: 1, geometria: [9, zigzag(300000000), zigzag(-300000000)] }] }));
+  assert.deepEqual(camadas.ctos.features[0].geometria, [[[300000000, -300000000]]]);
+});